@@ -0,0 +1,191 @@
+// Plan the changes that bring on-chain feeds in line with feeds.json
+//
+// Mirrors PriceLoomOracle's admin checks so a plan is rejected before anything is sent:
+//   _validateConfig     decimals 1..18, 1 <= min <= max <= 31, min <= operators,
+//                       max <= operators (when there are any), trim 0, minPrice <= maxPrice,
+//                       bounds not at the int256 limits, description <= 100 bytes,
+//                       heartbeat or deviation set
+//   createFeed          operators: no zero address, no duplicates, at most 31
+//   setFeedConfig       decimals are immutable; validated against the current operator count
+//   addOperator         fewer than 31 operators
+//   removeOperator      the remaining operators still cover minSubmissions and maxSubmissions
+// Problems carry the contract's error name, e.g. { error: "BadMinMax", message }.
+//
+// planFeed() orders the steps so each one passes these checks against the state left by
+// the steps before it. Configs are plain objects: numbers, BigInt prices, a description.
+
+import { ethers } from "ethers";
+
+export const MAX_OPERATORS = 31;
+const INT256_MIN = -(2n ** 255n);
+const INT256_MAX = 2n ** 255n - 1n;
+
+export const CONFIG_FIELDS = [
+  "decimals",
+  "minSubmissions",
+  "maxSubmissions",
+  "trim",
+  "heartbeatSec",
+  "deviationBps",
+  "timeoutSec",
+  "minPrice",
+  "maxPrice",
+  "description",
+];
+
+// Solidity integer width of each numeric field
+const UINT_BITS = { decimals: 8, minSubmissions: 8, maxSubmissions: 8, trim: 8, heartbeatSec: 32, deviationBps: 32, timeoutSec: 32 };
+
+// From a getConfig() result or a feeds.json entry
+export function normalizeConfig(cfg) {
+  return {
+    decimals: Number(cfg.decimals),
+    minSubmissions: Number(cfg.minSubmissions),
+    maxSubmissions: Number(cfg.maxSubmissions),
+    trim: Number(cfg.trim ?? 0),
+    heartbeatSec: Number(cfg.heartbeatSec),
+    deviationBps: Number(cfg.deviationBps),
+    timeoutSec: Number(cfg.timeoutSec),
+    minPrice: BigInt(cfg.minPrice),
+    maxPrice: BigInt(cfg.maxPrice),
+    description: cfg.description,
+  };
+}
+
+// FeedConfig tuple for createFeed / setFeedConfig
+export function configTuple(cfg) {
+  return CONFIG_FIELDS.map((f) => cfg[f]);
+}
+
+const problem = (error, message) => ({ error, message });
+
+// Every _validateConfig check that fails (the contract reverts on the first one)
+export function configProblems(cfg, opCount) {
+  const out = [];
+  if (!(cfg.decimals > 0 && cfg.decimals <= 18)) out.push(problem("BadDecimals", `decimals ${cfg.decimals} is not in 1..18`));
+  if (cfg.maxSubmissions < cfg.minSubmissions) {
+    out.push(problem("BadMinMax", `maxSubmissions ${cfg.maxSubmissions} < minSubmissions ${cfg.minSubmissions}`));
+  }
+  if (cfg.minSubmissions < 1) out.push(problem("MinSubmissionsTooSmall", "minSubmissions must be at least 1"));
+  if (cfg.maxSubmissions > MAX_OPERATORS) {
+    out.push(problem("MaxSubmissionsTooLarge", `maxSubmissions ${cfg.maxSubmissions} > ${MAX_OPERATORS}`));
+  }
+  if (cfg.minSubmissions > opCount) {
+    out.push(problem("QuorumGreaterThanOps", `minSubmissions ${cfg.minSubmissions} > ${opCount} operator(s)`));
+  }
+  if (opCount > MAX_OPERATORS) out.push(problem("TooManyOps", `${opCount} operators > ${MAX_OPERATORS}`));
+  if (opCount > 0 && cfg.maxSubmissions > opCount) {
+    out.push(problem("MaxGreaterThanOperators", `maxSubmissions ${cfg.maxSubmissions} > ${opCount} operator(s)`));
+  }
+  if (cfg.trim !== 0) out.push(problem("TrimUnsupported", "trim must be 0"));
+  if (cfg.maxPrice < cfg.minPrice) out.push(problem("BoundsInvalid", `maxPrice ${cfg.maxPrice} < minPrice ${cfg.minPrice}`));
+  if (cfg.minPrice === INT256_MIN) out.push(problem("MinPriceTooLow", "minPrice is type(int256).min"));
+  if (cfg.maxPrice === INT256_MAX) out.push(problem("MaxPriceTooHigh", "maxPrice is type(int256).max"));
+  if (new TextEncoder().encode(cfg.description).length > 100) {
+    out.push(problem("DescriptionTooLong", "description is longer than 100 bytes"));
+  }
+  if (!(cfg.heartbeatSec > 0 || cfg.deviationBps > 0)) out.push(problem("NoGating", "heartbeatSec or deviationBps must be set"));
+  return out;
+}
+
+// A feeds.json entry (as returned by loadFeeds): shape, ranges, operators, then the config rules
+export function validateFeed(feed) {
+  const out = [];
+  for (const f of Object.keys(UINT_BITS)) {
+    if (f === "trim" && feed.trim === undefined) continue;
+    const v = feed[f];
+    if (!Number.isInteger(v) || v < 0 || v >= 2 ** UINT_BITS[f]) out.push(problem("BadField", `${f} must be a uint${UINT_BITS[f]}, got ${JSON.stringify(v)}`));
+  }
+  for (const f of ["minPrice", "maxPrice"]) {
+    // Strings in feeds.json: prices outgrow JS numbers (and Forge reads them with parseInt)
+    if (typeof feed[f] !== "string" || !/^-?\d+$/.test(feed[f])) {
+      out.push(problem("BadField", `${f} must be an integer string, got ${JSON.stringify(feed[f])}`));
+    } else if (BigInt(feed[f]) < INT256_MIN || BigInt(feed[f]) > INT256_MAX) {
+      out.push(problem("BadField", `${f} does not fit in an int256`));
+    }
+  }
+  if (typeof feed.description !== "string") out.push(problem("BadField", "description must be a string"));
+  if (!Array.isArray(feed.operators)) out.push(problem("BadField", "operators must be an array"));
+  if (out.length) return out;
+
+  const seen = new Set();
+  for (const op of feed.operators) {
+    if (!ethers.isAddress(op)) {
+      out.push(problem("BadField", `operator ${op} is not an address`));
+      continue;
+    }
+    if (BigInt(op) === 0n) out.push(problem("ZeroOperator", "operator is the zero address"));
+    if (seen.has(op.toLowerCase())) out.push(problem("DuplicateOperator", `operator ${op} is listed twice`));
+    seen.add(op.toLowerCase());
+  }
+  const cfg = normalizeConfig(feed);
+  if (cfg.minSubmissions > feed.operators.length) {
+    out.push(problem("MinGreaterThanOps", `minSubmissions ${cfg.minSubmissions} > ${feed.operators.length} operator(s)`));
+  }
+  return [...out, ...configProblems(cfg, feed.operators.length).filter((p) => p.error !== "QuorumGreaterThanOps")];
+}
+
+// Changed config fields: [{ field, from, to }]
+export function diffConfig(from, to) {
+  return CONFIG_FIELDS.filter((f) => from[f] !== to[f]).map((field) => ({ field, from: from[field], to: to[field] }));
+}
+
+// Greedy order: add operators first (room for a higher max), then the new config once it
+// fits the operator count, then removals (which need the new, lower max/min), then any adds
+// that were held back by the 31-operator cap. Every step is checked against the simulated state.
+function orderSteps(feedId, cfg, ops, target, add, remove) {
+  const steps = [];
+  let current = cfg;
+  let count = ops.length;
+  const pendingAdd = [...add];
+  const pendingRemove = [...remove];
+  let configDone = diffConfig(cfg, target).length === 0;
+
+  while (pendingAdd.length || pendingRemove.length || !configDone) {
+    if (pendingAdd.length && count < MAX_OPERATORS) {
+      const op = pendingAdd.shift();
+      steps.push({ fn: "addOperator", args: [feedId, op], text: `addOperator ${op}` });
+      count++;
+    } else if (!configDone && configProblems(target, count).length === 0) {
+      steps.push({ fn: "setFeedConfig", args: [feedId, configTuple(target)], text: "setFeedConfig" });
+      current = target;
+      configDone = true;
+    } else if (pendingRemove.length && count - 1 >= current.minSubmissions && count - 1 >= current.maxSubmissions) {
+      const op = pendingRemove.shift();
+      steps.push({ fn: "removeOperator", args: [feedId, op], text: `removeOperator ${op}` });
+      count--;
+    } else {
+      const stuck = !configDone ? configProblems(target, count)[0] : problem("QuorumGreaterThanOps", "no removal keeps minSubmissions/maxSubmissions covered");
+      return { steps, error: problem(stuck.error, `no safe order: ${stuck.message}`) };
+    }
+  }
+  return { steps, error: null };
+}
+
+// `feed`: a validated feeds.json entry; `onChain`: null when the feed doesn't exist, else
+// { cfg, operators } read from getConfig / getOperators.
+// → { feed, action: "create" | "update" | "noop", changes, add, remove, steps, problems }
+export function planFeed(feed, onChain) {
+  const target = normalizeConfig(feed);
+  if (!onChain) {
+    const steps = [{ fn: "createFeed", args: [feed.feedId, configTuple(target), feed.operators], text: "createFeed" }];
+    return { feed, action: "create", changes: diffConfig({}, target), add: [...feed.operators], remove: [], steps, problems: [] };
+  }
+
+  const cfg = normalizeConfig(onChain.cfg);
+  const has = new Set(onChain.operators.map((a) => a.toLowerCase()));
+  const wants = new Set(feed.operators.map((a) => a.toLowerCase()));
+  const add = feed.operators.filter((a) => !has.has(a.toLowerCase()));
+  const remove = onChain.operators.filter((a) => !wants.has(a.toLowerCase()));
+  const changes = diffConfig(cfg, target);
+  const plan = { feed, action: changes.length || add.length || remove.length ? "update" : "noop", changes, add, remove, steps: [], problems: [] };
+
+  if (target.decimals !== cfg.decimals) {
+    plan.problems.push(problem("DecimalsImmutable", `decimals are ${cfg.decimals} on-chain and can't change to ${target.decimals}`));
+    return plan;
+  }
+  const { steps, error } = orderSteps(feed.feedId, cfg, onChain.operators, target, add, remove);
+  plan.steps = steps;
+  if (error) plan.problems.push(error);
+  return plan;
+}
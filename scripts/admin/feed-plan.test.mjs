@@ -0,0 +1,107 @@
+// Unit tests for feed-plan.mjs, using the rules exercised by test/oracle/OracleAdmin.t.sol and OracleOperators.t.sol
+// Run: node --test scripts/admin/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { configProblems, normalizeConfig, planFeed, validateFeed } from "./feed-plan.mjs";
+
+const ops = (n, from = 1) => Array.from({ length: n }, (_, i) => `0x${(from + i).toString(16).padStart(40, "0")}`);
+
+function feed(overrides = {}) {
+  return {
+    id: "ar/usd-testv1",
+    feedId: "0x826d",
+    decimals: 8,
+    minSubmissions: 3,
+    maxSubmissions: 5,
+    heartbeatSec: 30,
+    deviationBps: 50,
+    timeoutSec: 120,
+    minPrice: "0",
+    maxPrice: "10000000000000000000000",
+    description: "AR/USD",
+    operators: ops(6),
+    ...overrides,
+  };
+}
+
+const onChain = (f) => ({ cfg: normalizeConfig(f), operators: f.operators });
+const errors = (problems) => problems.map((p) => p.error);
+const fns = (plan) => plan.steps.map((s) => s.fn);
+
+test("validation mirrors _validateConfig and createFeed", () => {
+  assert.deepEqual(validateFeed(feed()), []);
+  assert.deepEqual(errors(validateFeed(feed({ decimals: 19 }))), ["BadDecimals"]);
+  assert.deepEqual(errors(validateFeed(feed({ minSubmissions: 5, maxSubmissions: 3 }))), ["BadMinMax"]);
+  assert.deepEqual(errors(validateFeed(feed({ minSubmissions: 0 }))), ["MinSubmissionsTooSmall"]);
+  assert.deepEqual(errors(validateFeed(feed({ minSubmissions: 7, maxSubmissions: 7 }))), ["MinGreaterThanOps", "MaxGreaterThanOperators"]);
+  assert.deepEqual(errors(validateFeed(feed({ maxSubmissions: 6, operators: ops(5) }))), ["MaxGreaterThanOperators"]);
+  assert.deepEqual(errors(validateFeed(feed({ heartbeatSec: 0, deviationBps: 0 }))), ["NoGating"]);
+  assert.deepEqual(errors(validateFeed(feed({ minPrice: "5", maxPrice: "4" }))), ["BoundsInvalid"]);
+  assert.deepEqual(errors(validateFeed(feed({ description: "x".repeat(101) }))), ["DescriptionTooLong"]);
+  assert.deepEqual(errors(validateFeed(feed({ operators: [...ops(5), ops(1)[0]] }))), ["DuplicateOperator"]);
+  assert.deepEqual(errors(validateFeed(feed({ operators: [...ops(5), `0x${"0".repeat(40)}`] }))), ["ZeroOperator"]);
+  assert.deepEqual(errors(validateFeed(feed({ maxSubmissions: 31, operators: ops(32) }))), ["TooManyOps"]);
+  assert.deepEqual(errors(validateFeed(feed({ heartbeatSec: 2 ** 32, maxPrice: 10 }))), ["BadField", "BadField"]);
+});
+
+test("a missing feed is planned as one createFeed", () => {
+  const plan = planFeed(feed(), null);
+  assert.equal(plan.action, "create");
+  assert.deepEqual(fns(plan), ["createFeed"]);
+  assert.deepEqual(plan.add, ops(6));
+});
+
+test("no changes when only the address case differs", () => {
+  const f = feed();
+  const plan = planFeed(f, onChain({ ...f, operators: f.operators.map((a) => a.toUpperCase().replace("0X", "0x")) }));
+  assert.equal(plan.action, "noop");
+  assert.deepEqual(plan.steps, []);
+});
+
+test("decimals are immutable", () => {
+  const plan = planFeed(feed({ decimals: 18 }), onChain(feed()));
+  assert.deepEqual(errors(plan.problems), ["DecimalsImmutable"]);
+  assert.deepEqual(plan.steps, []);
+});
+
+test("raising maxSubmissions adds the operators before the new config", () => {
+  const plan = planFeed(feed({ maxSubmissions: 7, operators: ops(8) }), onChain(feed()));
+  assert.deepEqual(fns(plan), ["addOperator", "addOperator", "setFeedConfig"]);
+  assert.deepEqual(plan.changes, [{ field: "maxSubmissions", from: 5, to: 7 }]);
+});
+
+test("shrinking the operator set lowers maxSubmissions before removing", () => {
+  const plan = planFeed(feed({ minSubmissions: 2, maxSubmissions: 3, operators: ops(3) }), onChain(feed()));
+  assert.deepEqual(fns(plan), ["setFeedConfig", "removeOperator", "removeOperator", "removeOperator"]);
+  assert.deepEqual(plan.remove, ops(3, 4));
+  assert.deepEqual(plan.problems, []);
+});
+
+test("operator rotation at the 31 cap interleaves removals and adds", () => {
+  const current = feed({ maxSubmissions: 20, operators: ops(31) });
+  const plan = planFeed(feed({ maxSubmissions: 20, operators: [...ops(29), ...ops(2, 100)] }), onChain(current));
+  assert.deepEqual(fns(plan), ["removeOperator", "addOperator", "removeOperator", "addOperator"]);
+});
+
+test("each step is valid against the state the previous steps leave", () => {
+  // Replay the plan with the contract's checks
+  const current = feed({ minSubmissions: 4, maxSubmissions: 6, operators: ops(6) });
+  const target = feed({ minSubmissions: 2, maxSubmissions: 2, operators: [...ops(1), ...ops(2, 50)] });
+  const plan = planFeed(target, onChain(current));
+  let cfg = normalizeConfig(current);
+  let count = 6;
+  for (const step of plan.steps) {
+    if (step.fn === "addOperator") count++;
+    if (step.fn === "removeOperator") {
+      count--;
+      assert.ok(count >= cfg.minSubmissions && count >= cfg.maxSubmissions);
+    }
+    if (step.fn === "setFeedConfig") {
+      cfg = normalizeConfig(target);
+      assert.deepEqual(configProblems(cfg, count), []);
+    }
+  }
+  assert.equal(count, 3);
+  assert.deepEqual(plan.problems, []);
+});
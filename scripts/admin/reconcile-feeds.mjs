@@ -0,0 +1,186 @@
+// Feed reconciliation: plan / apply feeds.json against the oracle's on-chain state
+//
+// Reads getConfig and getOperators for every feed in the file and prints what would change:
+// feeds to create, config fields to update, operators to add or remove. The file is
+// validated with the oracle's own rules first (see feed-plan.mjs); nothing is sent if a
+// feed is invalid or can't reach its target (e.g. a decimals change).
+//
+// With --apply the steps are sent in the planned order: createFeed, or addOperator →
+// setFeedConfig → removeOperator, so every intermediate state passes the contract's
+// checks. Config and operator changes revert while a round is open (OpenRound); the
+// script waits for the round to close, up to --openRoundWait seconds.
+//
+// Feeds that exist on-chain but not in the file are left alone.
+//
+// Usage:
+//   node scripts/admin/reconcile-feeds.mjs --oracle 0xOracle [--feeds feeds/feeds.json] [--only ar/usd-testv1]
+//   node scripts/admin/reconcile-feeds.mjs --oracle 0xOracle --check           # exit 2 on drift (CI)
+//   ADMIN_PRIVATE_KEY=0x... node scripts/admin/reconcile-feeds.mjs --oracle 0xOracle --apply
+
+import { ethers } from "ethers";
+import { decodeError, describeError } from "../lib/oracle-errors.mjs";
+import { loadFeeds } from "../lib/feeds.mjs";
+import { normalizeConfig, planFeed, validateFeed } from "./feed-plan.mjs";
+import { oracleAt } from "../sdk/price-loom.mjs";
+import { parseArgs, short } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const ORACLE = argv.oracle || process.env.ORACLE;
+const FEEDS_FILE = argv.feeds || process.env.FEEDS_FILE || "feeds/feeds.json";
+const ONLY = argv.only ? new Set(argv.only.split(",")) : null;
+const APPLY = argv.apply === "true";
+const CHECK = argv.check === "true";
+const ADMIN_KEY = argv.adminKey || process.env.ADMIN_PRIVATE_KEY;
+const OPEN_ROUND_WAIT_SEC = Number(argv.openRoundWait || process.env.OPEN_ROUND_WAIT_SEC || 180);
+
+if (!ORACLE) {
+  console.error("Missing --oracle");
+  process.exit(1);
+}
+if (APPLY && !ADMIN_KEY) {
+  console.error("--apply needs --adminKey or ADMIN_PRIVATE_KEY (an account with FEED_ADMIN_ROLE)");
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(RPC);
+const oracle = oracleAt(ORACLE, provider);
+
+const show = (v) => (typeof v === "string" ? JSON.stringify(v) : String(v));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function readFeed(feedId) {
+  const cfg = await oracle.getConfig(feedId);
+  if (cfg.decimals === 0n) return null; // no feed
+  return { cfg: normalizeConfig(cfg), operators: [...(await oracle.getOperators(feedId))] };
+}
+
+async function planAll(feeds) {
+  const plans = [];
+  for (const feed of feeds) plans.push(planFeed(feed, await readFeed(feed.feedId)));
+  return plans;
+}
+
+function printPlan(plan) {
+  const { feed } = plan;
+  const name = `${feed.desc} (${short(feed.feedId)})`;
+  if (plan.action === "noop") {
+    console.log(`  = ${name} up to date`);
+    return;
+  }
+  console.log(`  ${plan.action === "create" ? "+" : "~"} ${name} ${plan.action === "create" ? "will be created" : "will be updated"}`);
+  for (const c of plan.changes) {
+    const value = plan.action === "create" ? show(c.to) : `${show(c.from)} → ${show(c.to)}`;
+    console.log(`      ${c.field.padEnd(16)} ${value}`);
+  }
+  for (const op of plan.add) console.log(`    + operator ${op}`);
+  for (const op of plan.remove) console.log(`    - operator ${op}`);
+  for (const p of plan.problems) console.log(`    ❌ ${p.error}: ${p.message}`);
+  if (plan.steps.length > 1) console.log(`      order: ${plan.steps.map((s) => s.text.replace(/ (0x[0-9a-fA-F]{40})$/, (_, a) => ` ${short(a)}`)).join(" → ")}`);
+}
+
+async function roundOpen(feedId) {
+  return (await oracle.currentRoundId(feedId)) !== (await oracle.latestFinalizedRoundId(feedId));
+}
+
+// Send one step; config and operator changes wait out (and retry after) an open round.
+// A nonce taken by another sender on the admin account means nothing was sent: retry too.
+async function send(admin, feedId, step) {
+  const deadline = Date.now() + OPEN_ROUND_WAIT_SEC * 1000;
+  for (;;) {
+    if (step.fn !== "createFeed" && (await roundOpen(feedId))) {
+      if (Date.now() >= deadline) throw new Error(`round still open after ${OPEN_ROUND_WAIT_SEC}s`);
+      await sleep(2000);
+      continue;
+    }
+    try {
+      const tx = await oracle.connect(admin)[step.fn](...step.args);
+      const receipt = await tx.wait();
+      return receipt.hash;
+    } catch (err) {
+      // A bot opened a round between the check and the transaction
+      const retry = decodeError(err).name === "OpenRound" || err.code === "NONCE_EXPIRED";
+      if (!retry || Date.now() >= deadline) throw err;
+    }
+  }
+}
+
+async function main() {
+  console.log(`🧭 Feed reconciliation: ${FEEDS_FILE} → oracle ${short(ORACLE)} (${RPC})\n`);
+
+  const feeds = (await loadFeeds(FEEDS_FILE)).filter((f) => !ONLY || ONLY.has(f.desc));
+  if (ONLY && feeds.length !== ONLY.size) {
+    throw new Error(`--only: no feed ${[...ONLY].filter((id) => !feeds.some((f) => f.desc === id)).join(", ")} in ${FEEDS_FILE}`);
+  }
+
+  let invalid = 0;
+  for (const feed of feeds) {
+    const problems = validateFeed(feed);
+    for (const p of problems) console.log(`❌ ${feed.desc}: ${p.error}: ${p.message}`);
+    invalid += problems.length;
+  }
+  if (invalid) {
+    console.log(`\n❌ ${FEEDS_FILE} has ${invalid} problem(s). Nothing was sent.`);
+    process.exit(1);
+  }
+
+  const plans = await planAll(feeds);
+  console.log("📋 Plan:");
+  for (const plan of plans) printPlan(plan);
+
+  const count = (action) => plans.filter((p) => p.action === action).length;
+  const adds = plans.reduce((n, p) => n + (p.action === "update" ? p.add.length : 0), 0);
+  const removes = plans.reduce((n, p) => n + p.remove.length, 0);
+  console.log(`\nPlan: ${count("create")} to create, ${count("update")} to update (${adds} operator(s) to add, ${removes} to remove), ${count("noop")} up to date.`);
+
+  const blocked = plans.filter((p) => p.problems.length);
+  if (blocked.length) {
+    console.log(`❌ ${blocked.length} feed(s) can't be reconciled (see above). Nothing was sent.`);
+    process.exit(1);
+  }
+  const pending = plans.filter((p) => p.steps.length);
+  if (!pending.length) {
+    console.log("✅ On-chain state matches the feeds file.");
+    return;
+  }
+  if (!APPLY) {
+    console.log("Run with --apply to make these changes.");
+    if (CHECK) process.exit(2);
+    return;
+  }
+
+  const admin = new ethers.Wallet(ADMIN_KEY, provider);
+  if (!(await oracle.hasRole(await oracle.FEED_ADMIN_ROLE(), admin.address))) {
+    throw new Error(`${admin.address} does not have FEED_ADMIN_ROLE on ${ORACLE}`);
+  }
+
+  console.log(`\n🚀 Applying as ${short(admin.address)}`);
+  for (const plan of pending) {
+    console.log(`  ${plan.feed.desc}`);
+    for (const step of plan.steps) {
+      try {
+        const hash = await send(admin, plan.feed.feedId, step);
+        console.log(`    ✅ ${step.text} (${short(hash)})`);
+      } catch (err) {
+        // Later steps rely on this one; re-run the plan to see where things stand
+        console.log(`    ❌ ${step.text}: ${describeError(err)}`);
+        console.log("\n❌ Apply stopped. Run the plan again to see the remaining changes.");
+        process.exit(1);
+      }
+    }
+  }
+
+  const after = await planAll(feeds);
+  const drift = after.filter((p) => p.steps.length);
+  if (drift.length) {
+    console.log(`\n❌ Still differs after apply: ${drift.map((p) => p.feed.desc).join(", ")}`);
+    process.exit(1);
+  }
+  console.log("\n✅ Applied. On-chain state matches the feeds file.");
+}
+
+main().catch((err) => {
+  console.error(`\n❌ ${describeError(err)}`);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+// Persistent operator state: key locks, the signing journal and per-feed bot state
+//
+// <dir>/locks/<address>.lock       { pid, host, startedAt } of the process using the key
+// <dir>/journal/<address>.jsonl    one line per signature: { chainId, oracle, feedId,
+//                                  roundId, answer, validUntil, signedAt }
+// <dir>/feeds-<chainId>-<oracle>.json   lastAnswer, failure counters, backoff per feed
+//
+// The journal is written (and fsynced) before a signature is produced, so after a
+// crash or restart an operator can never sign a second, different answer for a
+// (feedId, roundId) it already signed. Re-signing the same answer is allowed, and
+// reuses the recorded validUntil while it is still good.
+//
+// A lock is held for the life of the process. A lock left behind by a process that
+// is gone (same host) is taken over; a live one makes the second instance exit. A lock
+// naming this very pid that this process didn't take is stale too: a container restart
+// (PID 1) or a quick respawn can hand the killed process's pid to its successor.
+
+import { existsSync, unlinkSync } from "node:fs";
+import { mkdir, open, readFile, rename, unlink, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { signSubmission } from "../sdk/price-loom.mjs";
+
+const KEEP_ROUNDS = 50; // distinct rounds kept per feed when the file is compacted
+const REUSE_MARGIN_SEC = 10n; // re-sign with a fresh validUntil once the old one is this close
+
+export class DoubleSignError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DoubleSignError";
+  }
+}
+
+const held = new Set();
+process.on("exit", () => {
+  for (const file of held) {
+    try {
+      unlinkSync(file);
+    } catch {}
+  }
+});
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+// Take the lock for `address`; throws if another live process holds it.
+// Returns a function that releases it (also released on process exit).
+export async function lockKey(dir, address, { log = console.log } = {}) {
+  await mkdir(path.join(dir, "locks"), { recursive: true });
+  const file = path.join(dir, "locks", `${address.toLowerCase()}.lock`);
+  const body = JSON.stringify({ pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() });
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const fh = await open(file, "wx");
+      await fh.writeFile(body);
+      await fh.close();
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      let owner = {};
+      try {
+        owner = JSON.parse(await readFile(file, "utf8"));
+      } catch {}
+      const reused = owner.pid === process.pid && !held.has(file);
+      if (attempt === 1 && owner.host === os.hostname() && owner.pid && (reused || !pidAlive(owner.pid))) {
+        log(`🔓 Removing stale lock for ${address} (pid ${owner.pid} ${reused ? "is this process, restarted" : "is gone"})`);
+        await unlink(file).catch(() => {});
+        continue;
+      }
+      throw new Error(
+        `${address} is in use by pid ${owner.pid ?? "?"} on ${owner.host ?? "?"} since ${owner.startedAt ?? "?"} (${file}). ` +
+        "Run one bot per key; delete the lock file only if that process is really gone.",
+      );
+    }
+  }
+  held.add(file);
+  return () => {
+    held.delete(file);
+    if (existsSync(file)) unlinkSync(file);
+  };
+}
+
+// Journal for one operator on one (chainId, oracle). `validForSec` sets validUntil
+// for every new signature, so all signing paths share one expiry policy.
+export async function openSignJournal(dir, address, { chainId, oracle, validForSec = 60 }) {
+  await mkdir(path.join(dir, "journal"), { recursive: true });
+  const file = path.join(dir, "journal", `${address.toLowerCase()}.jsonl`);
+  const scope = { chainId: String(chainId), oracle: oracle.toLowerCase() };
+  const keyOf = (feedId, roundId) => `${feedId.toLowerCase()}:${roundId}`;
+
+  // Latest entry per (feedId, roundId) for this chain and oracle
+  const entries = new Map();
+  const lines = existsSync(file) ? (await readFile(file, "utf8")).split("\n").filter(Boolean) : [];
+  const kept = [];
+  for (const line of lines) {
+    let e;
+    try {
+      e = JSON.parse(line);
+    } catch {
+      continue; // torn last line from a crash
+    }
+    kept.push(e);
+    if (e.chainId === scope.chainId && e.oracle === scope.oracle) entries.set(keyOf(e.feedId, e.roundId), e);
+  }
+
+  // Compact: keep the latest KEEP_ROUNDS rounds of every feed (any chain / oracle).
+  // Re-signs add entries but not rounds, so round ids are deduplicated first.
+  const newest = new Map();
+  for (const e of kept) {
+    const feed = `${e.chainId}:${e.oracle}:${e.feedId}`;
+    if (!newest.has(feed)) newest.set(feed, new Set());
+    newest.get(feed).add(BigInt(e.roundId));
+  }
+  const floor = new Map([...newest].map(([feed, rounds]) => [feed, [...rounds].sort((a, b) => (a < b ? 1 : -1))[KEEP_ROUNDS - 1] ?? 0n]));
+  const compacted = kept.filter((e) => BigInt(e.roundId) >= floor.get(`${e.chainId}:${e.oracle}:${e.feedId}`));
+  if (compacted.length < lines.length) {
+    await writeFile(`${file}.tmp`, compacted.map((e) => JSON.stringify(e) + "\n").join(""));
+    await rename(`${file}.tmp`, file);
+  }
+
+  const fh = await open(file, "a");
+  let queue = Promise.resolve();
+  function append(entry) {
+    const run = queue.then(async () => {
+      await fh.appendFile(JSON.stringify(entry) + "\n");
+      await fh.datasync();
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    file,
+    size: entries.size,
+
+    // Answer this operator already signed for the round, or null
+    answerFor(feedId, roundId) {
+      const e = entries.get(keyOf(feedId, roundId));
+      return e ? BigInt(e.answer) : null;
+    },
+
+    // Record, then sign. Throws DoubleSignError for a second, different answer.
+    async sign(signer, domain, { feedId, roundId, answer }) {
+      const key = keyOf(feedId, roundId);
+      const prev = entries.get(key);
+      if (prev && BigInt(prev.answer) !== answer) {
+        throw new DoubleSignError(`refusing to sign ${answer} for round ${roundId}: already signed ${prev.answer}`);
+      }
+      const now = BigInt(Math.floor(Date.now() / 1000));
+      let validUntil = now + BigInt(validForSec);
+      if (prev && BigInt(prev.validUntil) > now + REUSE_MARGIN_SEC) {
+        validUntil = BigInt(prev.validUntil);
+      } else {
+        const entry = {
+          ...scope,
+          feedId: feedId.toLowerCase(),
+          roundId: roundId.toString(),
+          answer: answer.toString(),
+          validUntil: validUntil.toString(),
+          signedAt: new Date().toISOString(),
+        };
+        await append(entry);
+        entries.set(key, entry);
+      }
+      const submission = { feedId, roundId, answer, validUntil };
+      return { submission, signature: await signSubmission(signer, domain, submission) };
+    },
+
+    close: () => fh.close(),
+  };
+}
+
+// Per-feed bot state that should survive a restart, keyed by feedId
+export function feedStateFile(dir, chainId, oracle) {
+  return path.join(dir, `feeds-${chainId}-${oracle.toLowerCase()}.json`);
+}
+
+export async function loadFeedState(file) {
+  if (!existsSync(file)) return {};
+  return JSON.parse(await readFile(file, "utf8"));
+}
+
+export async function saveFeedState(file, state) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(`${file}.tmp`, JSON.stringify(state, null, 2));
+  await rename(`${file}.tmp`, file);
+}
@@ -0,0 +1,178 @@
+// Unit tests for the key locks and the signing journal in bot-state.mjs (temp directories, no chain needed)
+// Run: node --test scripts/bot/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { tmpdir, hostname } from "node:os";
+import path from "node:path";
+import { ethers } from "ethers";
+import { DoubleSignError, lockKey, openSignJournal } from "./bot-state.mjs";
+import { priceLoomDomain, recoverSubmitter } from "../sdk/price-loom.mjs";
+
+const ADDRESS = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const ORACLE = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const FEED_A = "0x" + "a".repeat(64);
+const FEED_B = "0x" + "b".repeat(64);
+const SCOPE = { chainId: 31337, oracle: ORACLE };
+const quiet = { log: () => {} };
+const signer = new ethers.Wallet("0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80");
+const domain = priceLoomDomain(31337, ORACLE);
+const nowSec = () => BigInt(Math.floor(Date.now() / 1000));
+
+async function withDir(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "bot-state-"));
+  try {
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Journal lines as an earlier run would have written them
+async function leaveJournal(dir, entries) {
+  await mkdir(path.join(dir, "journal"), { recursive: true });
+  const file = path.join(dir, "journal", `${ADDRESS.toLowerCase()}.jsonl`);
+  const line = (e) => JSON.stringify({ chainId: "31337", oracle: ORACLE.toLowerCase(), answer: "1", validUntil: "0", signedAt: "", ...e }) + "\n";
+  await writeFile(file, entries.map(line).join(""));
+  return file;
+}
+
+const journalLines = async (file) => (await readFile(file, "utf8")).split("\n").filter(Boolean).map((l) => JSON.parse(l));
+
+// A lock file as another (or an earlier) process would have left it
+async function leaveLock(dir, owner) {
+  await mkdir(path.join(dir, "locks"), { recursive: true });
+  const file = path.join(dir, "locks", `${ADDRESS.toLowerCase()}.lock`);
+  await writeFile(file, JSON.stringify({ host: hostname(), startedAt: "2026-01-01T00:00:00.000Z", ...owner }));
+  return file;
+}
+
+test("a key can only be locked once, and is free again after release", async () => {
+  await withDir(async (dir) => {
+    const release = await lockKey(dir, ADDRESS, quiet);
+    await assert.rejects(lockKey(dir, ADDRESS, quiet), /is in use by pid/);
+    release();
+    (await lockKey(dir, ADDRESS, quiet))();
+  });
+});
+
+test("a lock from a live process on this host is respected", async () => {
+  await withDir(async (dir) => {
+    await leaveLock(dir, { pid: process.ppid });
+    await assert.rejects(lockKey(dir, ADDRESS, quiet), new RegExp(`in use by pid ${process.ppid}`));
+  });
+});
+
+test("a lock from another host is never taken over", async () => {
+  await withDir(async (dir) => {
+    await leaveLock(dir, { pid: 999999999, host: "elsewhere" });
+    await assert.rejects(lockKey(dir, ADDRESS, quiet), /on elsewhere/);
+  });
+});
+
+test("stale locks are taken over: dead pid, or this pid left by a killed predecessor", async () => {
+  for (const pid of [999999999, process.pid]) {
+    await withDir(async (dir) => {
+      const file = await leaveLock(dir, { pid });
+      const lines = [];
+      const release = await lockKey(dir, ADDRESS, { log: (l) => lines.push(l) });
+      assert.match(lines[0], /Removing stale lock/);
+      assert.equal(JSON.parse(await readFile(file, "utf8")).startedAt === "2026-01-01T00:00:00.000Z", false);
+      release();
+      assert.equal(existsSync(file), false);
+    });
+  }
+});
+
+test("compaction keeps the latest 50 distinct rounds per feed, however often each was re-signed", async () => {
+  await withDir(async (dir) => {
+    const entries = [];
+    for (let round = 1; round <= 60; round++) {
+      entries.push({ feedId: FEED_A, roundId: String(round) }, { feedId: FEED_A, roundId: String(round) }); // re-signed
+    }
+    entries.push({ feedId: FEED_B, roundId: "1" }, { feedId: FEED_A, roundId: "1", chainId: "1" }); // other feed, other chain
+    const file = await leaveJournal(dir, entries);
+
+    const journal = await openSignJournal(dir, ADDRESS, SCOPE);
+    await journal.close();
+    const left = await journalLines(file);
+    const rounds = new Set(left.filter((e) => e.feedId === FEED_A && e.chainId === "31337").map((e) => Number(e.roundId)));
+    assert.equal(rounds.size, 50);
+    assert.equal(Math.min(...rounds), 11);
+    assert.equal(left.length, 100 + 2);
+    assert.equal(journal.answerFor(FEED_A, 11n), 1n);
+  });
+});
+
+test("a second, different answer for the same feed and round is refused", async () => {
+  await withDir(async (dir) => {
+    const journal = await openSignJournal(dir, ADDRESS, SCOPE);
+    const { submission, signature } = await journal.sign(signer, domain, { feedId: FEED_A, roundId: 3n, answer: 600n });
+    assert.equal(recoverSubmitter(domain, submission, signature), signer.address);
+    await assert.rejects(journal.sign(signer, domain, { feedId: FEED_A, roundId: 3n, answer: 601n }), DoubleSignError);
+    // Other rounds and feeds are independent
+    await journal.sign(signer, domain, { feedId: FEED_A, roundId: 4n, answer: 601n });
+    await journal.sign(signer, domain, { feedId: FEED_B, roundId: 3n, answer: 601n });
+    await journal.close();
+  });
+});
+
+test("signed answers survive a restart", async () => {
+  await withDir(async (dir) => {
+    const first = await openSignJournal(dir, ADDRESS, SCOPE);
+    await first.sign(signer, domain, { feedId: FEED_A, roundId: 7n, answer: 600n });
+    await first.close();
+
+    const second = await openSignJournal(dir, ADDRESS, SCOPE);
+    assert.equal(second.answerFor(FEED_A, 7n), 600n);
+    assert.equal(second.answerFor(FEED_A.toUpperCase().replace("0X", "0x"), 7n), 600n);
+    assert.equal(second.answerFor(FEED_A, 8n), null);
+    await assert.rejects(second.sign(signer, domain, { feedId: FEED_A, roundId: 7n, answer: 599n }), DoubleSignError);
+    await second.close();
+
+    // Another oracle (or chain) has its own rounds
+    const other = await openSignJournal(dir, ADDRESS, { chainId: 31337, oracle: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512" });
+    assert.equal(other.answerFor(FEED_A, 7n), null);
+    await other.close();
+  });
+});
+
+test("re-signing the same answer reuses validUntil until it is within 10s of expiring", async () => {
+  await withDir(async (dir) => {
+    const journal = await openSignJournal(dir, ADDRESS, { ...SCOPE, validForSec: 60 });
+    const a = await journal.sign(signer, domain, { feedId: FEED_A, roundId: 1n, answer: 600n });
+    const b = await journal.sign(signer, domain, { feedId: FEED_A, roundId: 1n, answer: 600n });
+    assert.equal(b.submission.validUntil, a.submission.validUntil);
+    assert.equal((await journalLines(journal.file)).length, 1); // reuse writes nothing
+    await journal.close();
+
+    // An entry 5s from expiry is refreshed, and the refresh is journaled
+    const file = await leaveJournal(dir, [{ feedId: FEED_A, roundId: "2", answer: "600", validUntil: String(nowSec() + 5n) }]);
+    const restarted = await openSignJournal(dir, ADDRESS, { ...SCOPE, validForSec: 60 });
+    const c = await restarted.sign(signer, domain, { feedId: FEED_A, roundId: 2n, answer: 600n });
+    assert.ok(c.submission.validUntil >= nowSec() + 59n);
+    const lines = await journalLines(file);
+    assert.equal(lines.length, 2);
+    assert.equal(lines[1].validUntil, c.submission.validUntil.toString());
+    await restarted.close();
+  });
+});
+
+test("a torn last line is skipped and the entries before it still count", async () => {
+  await withDir(async (dir) => {
+    const file = await leaveJournal(dir, [{ feedId: FEED_A, roundId: "5", answer: "600" }]);
+    await writeFile(file, (await readFile(file, "utf8")) + '{"chainId":"31337","oracle":"0x5fb', { flag: "w" });
+
+    const journal = await openSignJournal(dir, ADDRESS, SCOPE);
+    assert.equal(journal.size, 1);
+    assert.equal(journal.answerFor(FEED_A, 5n), 600n);
+    await journal.sign(signer, domain, { feedId: FEED_A, roundId: 6n, answer: 601n });
+    await journal.close();
+
+    // Compaction dropped the torn line, so the new entry is a whole line of its own
+    const lines = await journalLines(file);
+    assert.deepEqual(lines.map((e) => e.roundId), ["5", "6"]);
+  });
+});
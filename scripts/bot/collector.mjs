@@ -0,0 +1,259 @@
+// Signature collector + relayer (ethers v6)
+//
+// HTTP endpoint that operator signers (scripts/bot/operator-signer.mjs) POST their
+// signed PriceSubmissions to. Each submission is checked before it is pooled:
+//   - feed is served by this collector and exists on-chain
+//   - recovered EIP-712 signer is in getOperators(feedId)
+//   - roundId equals nextRoundId(feedId)
+//   - validUntil is still in the future (chain time)
+//   - answer is within the feed's [minPrice, maxPrice]
+// Pooled submissions are relayed with one submitSignedBatch once a round has enough
+// of them (minSubmissions to open a round, any to join an open one). The collector
+// key only pays gas; it never signs prices.
+//
+// Usage:
+//   KEYSTORE=keys/relayer KEYSTORE_PASSWORD_FILE=/run/secrets/relayer node scripts/bot/collector.mjs \
+//     --rpc http://127.0.0.1:8545 \
+//     --oracle 0xOracle \
+//     --feeds feeds/feeds-anvil.json \
+//     [--port 8788] [--flushMs 2000]
+//
+// The relayer account comes from the same backends as the bot's keys (see
+// operator-keys.mjs); with several accounts, --relayer picks one. A raw RELAYER_KEY is
+// only accepted on local dev chains.
+//
+//   POST /submissions  {feedId, roundId, answer, validUntil, signature}  → 202 | 400
+//   GET  /status       pooled submissions per feed and round
+
+import http from "node:http";
+import { ethers } from "ethers";
+import { createSignerRegistry } from "./signers.mjs";
+import { submitBudget, txPolicy } from "./tx-manager.mjs";
+import { createBatchRelayer } from "./relayer.mjs";
+import { feedIdOf, getFeed, oracleAt, priceLoomDomain, recoverSubmitter } from "../sdk/price-loom.mjs";
+import { checkAnswer, gatingConfig, readGatingState, startDecision } from "./gating.mjs";
+import { loadFeeds } from "../lib/feeds.mjs";
+import { describeError } from "../lib/oracle-errors.mjs";
+import { loadOperatorSigners, selectSigner, signerOptions } from "./operator-keys.mjs";
+import { parseArgs, short } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const ORACLE = argv.oracle || process.env.ORACLE;
+const RELAYER_KEY = argv.relayerKey || process.env.RELAYER_KEY; // raw key, local dev chains only
+const RELAYER_ADDRESS = argv.relayer || process.env.RELAYER_ADDRESS; // account to use when the backend has several
+const FEEDS_FILE = argv.feeds || process.env.FEEDS_FILE;
+const FEED_DESC = argv.feedDesc || process.env.FEED_DESC || "ar/bytes-testv1";
+const PORT = Number(argv.port || process.env.COLLECTOR_PORT || 8788);
+const HOST = argv.host || process.env.COLLECTOR_HOST || "127.0.0.1";
+const FLUSH_MS = Number(argv.flushMs || process.env.FLUSH_MS || 2000);
+const BATCH_TARGET = argv.batchTarget || process.env.BATCH_TARGET || "max";
+const TX_POLICY = txPolicy(argv); // relayer fee caps and timeouts (see tx-manager.mjs)
+const OPERATORS_TTL_MS = 30000; // getOperators cache
+
+if (!ORACLE) {
+  console.error("Missing --oracle");
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(RPC);
+
+const oracle = oracleAt(ORACLE, provider);
+
+class RejectedError extends Error {}
+
+// feedId (lowercase) → { desc, feedId, tag, operators, operatorsAt, pool: Map<round, Map<operator, item>>, relaying }
+const feeds = new Map();
+
+async function operatorsOf(feed) {
+  if (!feed.operators || Date.now() - feed.operatorsAt > OPERATORS_TTL_MS) {
+    const ops = await oracle.getOperators(feed.feedId);
+    feed.operators = new Set(ops.map((a) => a.toLowerCase()));
+    feed.operatorsAt = Date.now();
+  }
+  return feed.operators;
+}
+
+function parseSubmission(body) {
+  const { feedId, roundId, answer, validUntil, signature } = body || {};
+  if (!ethers.isHexString(feedId, 32)) throw new RejectedError("feedId must be bytes32 hex");
+  if (!ethers.isHexString(signature)) throw new RejectedError("signature must be hex");
+  try {
+    return {
+      submission: { feedId, roundId: BigInt(roundId), answer: BigInt(answer), validUntil: BigInt(validUntil) },
+      signature,
+    };
+  } catch {
+    throw new RejectedError("roundId, answer and validUntil must be integers (decimal strings)");
+  }
+}
+
+async function accept(body, domain) {
+  const { submission, signature } = parseSubmission(body);
+  const feed = feeds.get(submission.feedId.toLowerCase());
+  if (!feed) throw new RejectedError(`feed ${submission.feedId} is not served by this collector`);
+
+  let operator;
+  try {
+    operator = recoverSubmitter(domain, submission, signature);
+  } catch {
+    throw new RejectedError("signature does not recover");
+  }
+  if (!(await operatorsOf(feed)).has(operator.toLowerCase())) {
+    throw new RejectedError(`${operator} is not an operator of ${feed.desc}`);
+  }
+
+  const round = await oracle.nextRoundId(feed.feedId);
+  if (submission.roundId !== round) {
+    throw new RejectedError(`wrong round ${submission.roundId} (expected ${round})`);
+  }
+
+  const now = BigInt((await provider.getBlock("latest")).timestamp);
+  if (submission.validUntil <= now) {
+    throw new RejectedError(`expired: validUntil ${submission.validUntil} <= chain time ${now}`);
+  }
+
+  const check = checkAnswer(submission.answer, gatingConfig(await oracle.getConfig(feed.feedId)));
+  if (!check.ok) throw new RejectedError(check.reason);
+
+  if (!feed.pool.has(round)) feed.pool.set(round, new Map());
+  const pool = feed.pool.get(round);
+  // A newer signature from the same operator replaces its older one
+  pool.set(operator.toLowerCase(), { submission, signature, operator });
+  console.log(`${feed.tag}📨 ${short(operator)} → round ${round} answer=${submission.answer} (pool=${pool.size})`);
+  return { feed, operator, round, pending: pool.size };
+}
+
+// Relay any round that has collected enough signatures
+async function flush(feed) {
+  if (feed.relaying) return;
+  feed.relaying = true;
+  try {
+    const round = await oracle.nextRoundId(feed.feedId);
+    // Signatures for rounds that are already closed are useless
+    for (const r of feed.pool.keys()) if (r < round) feed.pool.delete(r);
+
+    const pool = feed.pool.get(round);
+    if (!pool || pool.size === 0) return;
+    if (await oracle.paused()) return;
+
+    const state = await readGatingState(oracle, feed.feedId);
+    const { cfg } = state;
+    const minSubs = cfg.minSubmissions;
+    if (!state.open && pool.size < minSubs) return; // wait for quorum before opening a round
+
+    // Opening a round is gated on the batch's first item: lead with a due answer
+    const collect = async (r) => {
+      const items = [...(feed.pool.get(r)?.values() || [])];
+      if (state.open) return items;
+      const due = (i) => startDecision(i.submission.answer, state.snap, cfg, state.now).start;
+      return [...items.filter(due), ...items.filter((i) => !due(i))];
+    };
+
+    const result = await feed.relayer.relay({
+      feedId: feed.feedId,
+      minSubs,
+      maxSubs: cfg.maxSubmissions,
+      collect,
+      ...submitBudget(TX_POLICY, cfg.timeoutSec),
+      log: (msg) => console.log(`${feed.tag}${msg}`),
+    });
+    if (result.status === "submitted") {
+      console.log(`${feed.tag}📦 Relayed ${result.submitted} submission(s) for round ${result.round}  ✅ ${short(result.hash)} gas=${result.gasUsed}`);
+      for (const op of result.operators) pool.delete(op.toLowerCase());
+    } else if (result.status !== "empty") {
+      console.log(`${feed.tag}ℹ️  Relay for round ${result.round}: ${result.status}`);
+    }
+  } catch (err) {
+    console.error(`${feed.tag}❌ Relay failed: ${describeError(err)}`);
+  } finally {
+    feed.relaying = false;
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function status() {
+  return [...feeds.values()].map((f) => ({
+    feed: f.desc,
+    feedId: f.feedId,
+    rounds: Object.fromEntries([...f.pool].map(([r, p]) => [r.toString(), [...p.values()].map((i) => i.operator)])),
+  }));
+}
+
+const { chainId } = await provider.getNetwork();
+const domain = priceLoomDomain(chainId, ORACLE);
+let keys;
+let relayerEntry;
+try {
+  keys = await loadOperatorSigners({ ...signerOptions(argv), provider, chainId, rawKeys: RELAYER_KEY ? [RELAYER_KEY] : [] });
+  const signer = selectSigner(keys, RELAYER_ADDRESS, { role: "relayer", flag: "--relayer" });
+  relayerEntry = createSignerRegistry([signer], provider, { policy: TX_POLICY }).all()[0];
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const specs = FEEDS_FILE
+  ? (await loadFeeds(FEEDS_FILE)).map((f) => ({ desc: f.desc, feedId: f.feedId }))
+  : [{ desc: FEED_DESC, feedId: feedIdOf(FEED_DESC) }];
+
+console.log(`📮 Collector starting`);
+console.log(`   rpc=${RPC} oracle=${short(ORACLE)} relayer=${relayerEntry.address} (${keys.backend}) feeds=${specs.length} flush=${FLUSH_MS}ms`);
+
+for (const spec of specs) {
+  if (!(await getFeed(oracle, spec.feedId))) {
+    console.warn(`⚠️  Feed ${spec.desc} does not exist on this oracle. Skipping.`);
+    continue;
+  }
+  feeds.set(spec.feedId.toLowerCase(), {
+    ...spec,
+    tag: specs.length > 1 ? `[${spec.desc}] ` : "",
+    operators: null,
+    operatorsAt: 0,
+    pool: new Map(),
+    relaying: false,
+    relayer: createBatchRelayer({ provider, oracleAddress: ORACLE, relayer: relayerEntry, domain, target: BATCH_TARGET }),
+  });
+}
+if (feeds.size === 0) {
+  console.error("❌ No feeds to serve.");
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "GET" && req.url === "/status") return send(res, 200, { feeds: status() });
+  if (req.method !== "POST" || req.url !== "/submissions") return send(res, 404, { error: "not found" });
+
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+    if (body.length > 16384) req.destroy();
+  });
+  req.on("end", async () => {
+    try {
+      const { feed, operator, round, pending } = await accept(JSON.parse(body), domain);
+      send(res, 202, { accepted: true, operator, round, pending });
+      flush(feed);
+    } catch (err) {
+      if (err instanceof RejectedError || err instanceof SyntaxError) {
+        console.log(`🚫 Rejected: ${err.message}`);
+        return send(res, 400, { error: err.message });
+      }
+      console.error(`❌ ${describeError(err)}`);
+      send(res, 500, { error: "internal error" });
+    }
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`   listening on http://${HOST}:${PORT}`);
+});
+
+setInterval(() => {
+  for (const feed of feeds.values()) flush(feed);
+}, FLUSH_MS);
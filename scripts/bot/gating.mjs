@@ -0,0 +1,116 @@
+// Client-side mirror of the oracle's round gating, so answers are checked before
+// they are signed instead of after a reverted transaction.
+//
+// Mirrors PriceLoomOracle:
+//   _withinBounds       minPrice <= answer <= maxPrice              (else OutOfBounds)
+//   _heartbeatElapsed   now - updatedAt >= heartbeatSec             (0 disables)
+//   _exceedsDeviation   |proposed - last| * 10000 / |last| >= bps   (0 disables; floor division like mulDiv)
+// A round can be opened on the first ever submission or when either gate passes
+// (else NotDue). Joining an already open round is not gated.
+//
+// All values are BigInt; `now` is chain time in seconds.
+
+// Positions in the getConfig() tuple, for results without field names
+const CONFIG_INDEX = { minSubmissions: 1, maxSubmissions: 2, heartbeatSec: 4, deviationBps: 5, timeoutSec: 6, minPrice: 7, maxPrice: 8 };
+
+// Gating fields from a getConfig() result or any config object: by name, else by position
+export function gatingConfig(cfg) {
+  const field = (name) => cfg[name] ?? cfg[CONFIG_INDEX[name]];
+  return {
+    minSubmissions: Number(field("minSubmissions")),
+    maxSubmissions: Number(field("maxSubmissions")),
+    heartbeatSec: BigInt(field("heartbeatSec")),
+    deviationBps: BigInt(field("deviationBps")),
+    timeoutSec: BigInt(field("timeoutSec")),
+    minPrice: BigInt(field("minPrice")),
+    maxPrice: BigInt(field("maxPrice")),
+  };
+}
+
+export function withinBounds(answer, cfg) {
+  return answer >= cfg.minPrice && answer <= cfg.maxPrice;
+}
+
+export function heartbeatElapsed(snap, cfg, now) {
+  if (cfg.heartbeatSec === 0n) return false;
+  if (snap.updatedAt === 0n) return true; // no prior answer → allow first round
+  return now - snap.updatedAt >= cfg.heartbeatSec;
+}
+
+// Deviation of `proposed` from the last answer in basis points, rounded down
+export function deviationBpsOf(proposed, snap) {
+  const abs = (x) => (x < 0n ? -x : x);
+  if (snap.answer === 0n) return proposed === 0n ? 0n : null; // null: infinite
+  return (abs(proposed - snap.answer) * 10000n) / abs(snap.answer);
+}
+
+export function exceedsDeviation(proposed, snap, cfg) {
+  if (cfg.deviationBps === 0n) return false;
+  if (snap.updatedAt === 0n) return true; // no prior answer → allow first round
+  const bps = deviationBpsOf(proposed, snap);
+  return bps === null || bps >= cfg.deviationBps;
+}
+
+// Seconds until the heartbeat makes a new round due (0 if it already is), or null
+// when it never will (heartbeat disabled)
+export function heartbeatDueIn(snap, cfg, now) {
+  if (cfg.heartbeatSec === 0n) return null;
+  if (snap.updatedAt === 0n) return 0n;
+  const left = snap.updatedAt + cfg.heartbeatSec - now;
+  return left > 0n ? left : 0n;
+}
+
+export function shouldStartNewRound(proposed, snap, cfg, now) {
+  return heartbeatElapsed(snap, cfg, now) || exceedsDeviation(proposed, snap, cfg);
+}
+
+const pct = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+// → { ok, reason } for signing `answer` at all
+export function checkAnswer(answer, cfg) {
+  if (withinBounds(answer, cfg)) return { ok: true, reason: "within bounds" };
+  return { ok: false, reason: `answer ${answer} outside [${cfg.minPrice}, ${cfg.maxPrice}]` };
+}
+
+// → { start, reason } for opening a new round with `proposed`
+export function startDecision(proposed, snap, cfg, now) {
+  if (snap.updatedAt === 0n) return { start: true, reason: "first round (no data yet)" };
+
+  const age = now - snap.updatedAt;
+  if (heartbeatElapsed(snap, cfg, now)) {
+    return { start: true, reason: `heartbeat elapsed (${age}s ≥ ${cfg.heartbeatSec}s)` };
+  }
+  const bps = deviationBpsOf(proposed, snap);
+  if (exceedsDeviation(proposed, snap, cfg)) {
+    return { start: true, reason: `deviation ${bps === null ? "∞" : pct(bps)} ≥ ${pct(cfg.deviationBps)}` };
+  }
+
+  const why = [];
+  why.push(cfg.heartbeatSec === 0n ? "heartbeat off" : `heartbeat ${age}s < ${cfg.heartbeatSec}s`);
+  why.push(cfg.deviationBps === 0n ? "deviation off" : `deviation ${pct(bps)} < ${pct(cfg.deviationBps)}`);
+  return { start: false, reason: why.join(", ") };
+}
+
+// Everything the decisions above need, read from the oracle in one go.
+// `oracle` needs getConfig, latestRoundData, currentRoundId and latestFinalizedRoundId.
+export async function readGatingState(oracle, feedId) {
+  const provider = oracle.runner.provider;
+  const [cfg, current, latest, block] = await Promise.all([
+    oracle.getConfig(feedId),
+    oracle.currentRoundId(feedId),
+    oracle.latestFinalizedRoundId(feedId),
+    provider.getBlock("latest"),
+  ]);
+  let snap = { answer: 0n, updatedAt: 0n };
+  if (latest > 0n) {
+    // latestRoundData reverts NoData until the first round finalizes
+    const [, answer, , updatedAt] = await oracle.latestRoundData(feedId);
+    snap = { answer: BigInt(answer), updatedAt: BigInt(updatedAt) };
+  }
+  return {
+    cfg: gatingConfig(cfg),
+    snap,
+    now: BigInt(block.timestamp),
+    open: current !== latest, // a round is collecting submissions
+  };
+}
@@ -0,0 +1,158 @@
+// Unit tests for gating.mjs, using the edge cases from test/oracle/OracleGating.t.sol
+// Run: node --test scripts/bot/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  gatingConfig,
+  withinBounds,
+  heartbeatElapsed,
+  heartbeatDueIn,
+  exceedsDeviation,
+  shouldStartNewRound,
+  checkAnswer,
+  startDecision,
+} from "./gating.mjs";
+
+const E8 = 10n ** 8n;
+
+// Same shape as the FeedConfig literals in OracleGating.t.sol
+function config(overrides = {}) {
+  return {
+    minSubmissions: 1,
+    maxSubmissions: 1,
+    heartbeatSec: 0n,
+    deviationBps: 0n,
+    timeoutSec: 900n,
+    minPrice: 0n,
+    maxPrice: 10n ** 20n,
+    ...overrides,
+  };
+}
+
+const NO_DATA = { answer: 0n, updatedAt: 0n };
+const T0 = 1_700_000_000n;
+
+test("deviation equal to threshold triggers a new round", () => {
+  const cfg = config({ deviationBps: 100n }); // 1%
+  const snap = { answer: 100n * E8, updatedAt: T0 };
+  assert.equal(exceedsDeviation(101n * E8, snap, cfg), true);
+  assert.equal(shouldStartNewRound(101n * E8, snap, cfg, T0), true);
+  assert.equal(exceedsDeviation(99n * E8, snap, cfg), true); // -1% counts too
+});
+
+test("deviation just under threshold does not trigger", () => {
+  const cfg = config({ deviationBps: 100n });
+  const snap = { answer: 100n * E8, updatedAt: T0 };
+  // 0.99999999% rounds down to 99 bps, like OZ mulDiv
+  assert.equal(exceedsDeviation(101n * E8 - 1n, snap, cfg), false);
+  const d = startDecision(101n * E8 - 1n, snap, cfg, T0);
+  assert.equal(d.start, false);
+  assert.match(d.reason, /deviation 0\.99% < 1\.00%/);
+});
+
+test("heartbeat elapsed exactly heartbeatSec triggers with the same price", () => {
+  const cfg = config({ heartbeatSec: 10n });
+  const snap = { answer: 100n * E8, updatedAt: T0 };
+  assert.equal(heartbeatElapsed(snap, cfg, T0 + 10n), true);
+  assert.equal(shouldStartNewRound(100n * E8, snap, cfg, T0 + 10n), true);
+  assert.match(startDecision(100n * E8, snap, cfg, T0 + 10n).reason, /heartbeat elapsed \(10s ≥ 10s\)/);
+});
+
+test("heartbeat one second short does not trigger", () => {
+  const cfg = config({ heartbeatSec: 10n });
+  const snap = { answer: 100n * E8, updatedAt: T0 };
+  assert.equal(heartbeatElapsed(snap, cfg, T0 + 9n), false);
+  const d = startDecision(100n * E8, snap, cfg, T0 + 9n);
+  assert.equal(d.start, false);
+  assert.equal(d.reason, "heartbeat 9s < 10s, deviation off");
+});
+
+test("heartbeat deadline counts down to zero and stays there", () => {
+  const cfg = config({ heartbeatSec: 60n });
+  const snap = { answer: 100n * E8, updatedAt: T0 };
+  assert.equal(heartbeatDueIn(snap, cfg, T0 + 15n), 45n);
+  assert.equal(heartbeatDueIn(snap, cfg, T0 + 60n), 0n);
+  assert.equal(heartbeatDueIn(snap, cfg, T0 + 90n), 0n);
+  assert.equal(heartbeatDueIn(NO_DATA, cfg, T0), 0n);
+  assert.equal(heartbeatDueIn(snap, config(), T0), null);
+});
+
+test("disabled gates never trigger on their own", () => {
+  const snap = { answer: 100n * E8, updatedAt: T0 };
+  assert.equal(heartbeatElapsed(snap, config({ deviationBps: 100n }), T0 + 10n ** 9n), false);
+  assert.equal(exceedsDeviation(1000n * E8, snap, config({ heartbeatSec: 10n })), false);
+});
+
+test("first ever round is always allowed", () => {
+  const hb = config({ heartbeatSec: 10n });
+  const dev = config({ deviationBps: 100n });
+  assert.equal(heartbeatElapsed(NO_DATA, hb, T0), true);
+  assert.equal(exceedsDeviation(100n * E8, NO_DATA, dev), true);
+  assert.deepEqual(startDecision(100n * E8, NO_DATA, dev, T0), { start: true, reason: "first round (no data yet)" });
+});
+
+test("any non-zero price deviates from a zero last answer", () => {
+  const cfg = config({ deviationBps: 100n });
+  const snap = { answer: 0n, updatedAt: T0 };
+  assert.equal(exceedsDeviation(1n, snap, cfg), true);
+  assert.equal(exceedsDeviation(-1n, snap, cfg), true);
+  assert.equal(exceedsDeviation(0n, snap, cfg), false);
+});
+
+test("deviation uses absolute values for negative prices", () => {
+  const cfg = config({ deviationBps: 100n, minPrice: -(10n ** 20n) });
+  const snap = { answer: -100n * E8, updatedAt: T0 };
+  assert.equal(exceedsDeviation(-101n * E8, snap, cfg), true);
+  assert.equal(exceedsDeviation(-99n * E8, snap, cfg), true);
+  assert.equal(exceedsDeviation(-100n * E8 - 1n, snap, cfg), false);
+});
+
+test("bounds are inclusive on both ends", () => {
+  const cfg = config({ minPrice: 100n, maxPrice: 200n });
+  assert.equal(withinBounds(100n, cfg), true);
+  assert.equal(withinBounds(200n, cfg), true);
+  assert.equal(withinBounds(99n, cfg), false);
+  assert.equal(withinBounds(201n, cfg), false);
+  assert.deepEqual(checkAnswer(201n, cfg), { ok: false, reason: "answer 201 outside [100, 200]" });
+});
+
+test("gatingConfig reads the positional getConfig tuple", () => {
+  // [decimals, minSubs, maxSubs, trim, heartbeat, deviation, timeout, minPrice, maxPrice, description]
+  const cfg = gatingConfig([8n, 3n, 5n, 0n, 3600n, 50n, 900n, 1n, 10n ** 12n, "AR/USD"]);
+  assert.deepEqual(cfg, {
+    minSubmissions: 3,
+    maxSubmissions: 5,
+    heartbeatSec: 3600n,
+    deviationBps: 50n,
+    timeoutSec: 900n,
+    minPrice: 1n,
+    maxPrice: 10n ** 12n,
+  });
+});
+
+test("gatingConfig reads named fields, e.g. a feeds-file entry", () => {
+  // No positions at all, and decimal strings as in feeds.json
+  const cfg = gatingConfig({
+    decimals: 8,
+    minSubmissions: 3,
+    maxSubmissions: 5,
+    heartbeatSec: 3600,
+    deviationBps: 50,
+    timeoutSec: 900,
+    minPrice: "1",
+    maxPrice: "1000000000000",
+    description: "AR/USD",
+  });
+  assert.deepEqual(cfg, {
+    minSubmissions: 3,
+    maxSubmissions: 5,
+    heartbeatSec: 3600n,
+    deviationBps: 50n,
+    timeoutSec: 900n,
+    minPrice: 1n,
+    maxPrice: 10n ** 12n,
+  });
+  // Names win over positions; zeros are kept, not replaced by the positional fallback
+  assert.equal(gatingConfig({ ...[8n, 3n, 5n, 0n, 3600n, 50n, 900n, 1n, 2n], heartbeatSec: 0n }).heartbeatSec, 0n);
+});
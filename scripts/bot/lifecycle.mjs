@@ -0,0 +1,114 @@
+// Process lifecycle for the bot: startup checks, RPC supervision and graceful shutdown.
+// Waiting for an RPC at startup is openRpcPool's job (scripts/lib/rpc-pool.mjs).
+//
+//   startupChecks     chainId, oracle code, EIP-712 domainSeparator() vs the local domain
+//   superviseRpc      probes the RPC; calls onDown / onUp (with backoff between retries)
+//   onShutdown        SIGTERM / SIGINT: stop(), wait for in-flight work up to a deadline,
+//                     then exit. A second signal exits at once.
+
+import { oracleAt, priceLoomDomain, verifyDomain } from "../sdk/price-loom.mjs";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Throws with every failed check listed; returns { chainId, domain } otherwise
+export async function startupChecks({ provider, oracleAddress, expectedChainId }) {
+  const failures = [];
+  const { chainId } = await provider.getNetwork();
+  if (expectedChainId !== undefined && BigInt(expectedChainId) !== chainId) {
+    failures.push(`chainId is ${chainId}, expected ${expectedChainId}`);
+  }
+
+  const code = await provider.getCode(oracleAddress);
+  if (code === "0x") {
+    failures.push(`no contract at ${oracleAddress} on chainId ${chainId}`);
+  } else {
+    try {
+      await verifyDomain(oracleAt(oracleAddress, provider), priceLoomDomain(chainId, oracleAddress));
+    } catch (err) {
+      failures.push(err.message);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Startup checks failed:\n${failures.map((f) => `   - ${f}`).join("\n")}`);
+  }
+  return { chainId, domain: priceLoomDomain(chainId, oracleAddress) };
+}
+
+// `probe()` resolves true when the RPC is usable. While it is down, it is retried with
+// exponential backoff; `onDown(reason)` / `onUp(downMs)` fire once per transition.
+export function superviseRpc({ probe, onDown, onUp, intervalMs = 5000, maxBackoffMs = 60000 }) {
+  let stopped = false;
+  let timer = null;
+  let downSince = null;
+  let backoff = 1000;
+
+  async function check() {
+    const ok = await probe().catch(() => false);
+    if (stopped) return;
+    let next = intervalMs;
+    if (ok) {
+      if (downSince !== null) onUp(Date.now() - downSince);
+      downSince = null;
+      backoff = 1000;
+    } else {
+      if (downSince === null) {
+        downSince = Date.now();
+        onDown();
+      }
+      next = backoff;
+      backoff = Math.min(backoff * 2, maxBackoffMs);
+    }
+    timer = setTimeout(check, next);
+  }
+  timer = setTimeout(check, intervalMs);
+
+  return {
+    get down() {
+      return downSince !== null;
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+// stop(): stop taking new work. inFlight(): descriptions of work still running.
+// finish(): last words before exit (save state, ...).
+export function onShutdown({ timeoutMs, stop, inFlight, finish = async () => {}, log = console.log }) {
+  let shuttingDown = false;
+
+  async function shutdown(signal) {
+    if (shuttingDown) {
+      log(`🛑 ${signal} again—exiting now`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    log(`🛑 ${signal}: stopping; draining in-flight work (up to ${Math.round(timeoutMs / 1000)}s)`);
+    await stop();
+
+    const deadline = Date.now() + timeoutMs;
+    let busy = inFlight();
+    while (busy.length > 0 && Date.now() < deadline) {
+      await sleep(250);
+      busy = inFlight();
+    }
+    if (busy.length > 0) log(`⚠️  Shutdown deadline reached with work in flight: ${busy.join(", ")}`);
+
+    try {
+      await finish();
+    } catch (err) {
+      log(`⚠️  Shutdown cleanup failed: ${err.message}`);
+    }
+    log(busy.length > 0 ? "👋 Stopped (forced)" : "👋 Stopped cleanly");
+    process.exit(busy.length > 0 ? 1 : 0);
+  }
+
+  for (const signal of ["SIGTERM", "SIGINT"]) process.on(signal, () => shutdown(signal));
+  return {
+    get stopping() {
+      return shuttingDown;
+    },
+  };
+}
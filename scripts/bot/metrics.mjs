@@ -0,0 +1,132 @@
+// Prometheus metrics and health endpoint for the bot
+//
+// A small registry of counters, gauges and histograms with labels, rendered in the
+// Prometheus text exposition format (no client library needed), plus an HTTP server:
+//
+//   GET /metrics  → text/plain; version=0.0.4
+//   GET /healthz  → 200 {"status":"ok",...} or 503 {"status":"unhealthy","reasons":[...]}
+//
+// Values that are cheap to read but expensive to keep current (balances, RPC
+// reachability) are refreshed by `onCollect` hooks right before each scrape.
+
+import http from "node:http";
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+// Same label set → same series, whatever the key order
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function metric(name, help, type) {
+  const series = new Map(); // seriesKey → { labels, value }
+  const get = (labels) => {
+    const key = seriesKey(labels);
+    if (!series.has(key)) series.set(key, { labels, value: 0 });
+    return series.get(key);
+  };
+  return {
+    name,
+    series,
+    get,
+    header: () => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`],
+    lines() {
+      return [...series.values()].map((s) => `${name}${labelString(s.labels)} ${s.value}`);
+    },
+  };
+}
+
+export function createMetrics() {
+  const metrics = [];
+  const collectors = [];
+
+  return {
+    counter(name, help) {
+      const m = metric(name, help, "counter");
+      metrics.push(m);
+      return { inc: (labels = {}, n = 1) => { m.get(labels).value += n; } };
+    },
+
+    gauge(name, help) {
+      const m = metric(name, help, "gauge");
+      metrics.push(m);
+      return {
+        set: (labels, value) => { m.get(labels).value = Number(value); },
+        remove: (labels) => m.series.delete(seriesKey(labels)),
+      };
+    },
+
+    // Cumulative buckets in seconds; `le` is added to the labels
+    histogram(name, help, buckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]) {
+      const m = metric(name, help, "histogram");
+      m.lines = () => [...m.series.values()].flatMap(({ labels, value }) => [
+        ...buckets.map((b, i) => `${name}_bucket${labelString({ ...labels, le: b })} ${value.counts[i]}`),
+        `${name}_bucket${labelString({ ...labels, le: "+Inf" })} ${value.count}`,
+        `${name}_sum${labelString(labels)} ${value.sum}`,
+        `${name}_count${labelString(labels)} ${value.count}`,
+      ]);
+      metrics.push(m);
+      return {
+        observe(labels, v) {
+          const s = m.get(labels);
+          if (s.value === 0) s.value = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          buckets.forEach((b, i) => { if (v <= b) s.value.counts[i]++; });
+          s.value.sum += v;
+          s.value.count++;
+        },
+      };
+    },
+
+    onCollect(fn) {
+      collectors.push(fn);
+    },
+
+    async render() {
+      for (const fn of collectors) {
+        try {
+          await fn();
+        } catch (err) {
+          console.warn(`⚠️  Metrics collector failed: ${err.message}`);
+        }
+      }
+      return metrics
+        .filter((m) => m.series.size > 0)
+        .flatMap((m) => [...m.header(), ...m.lines()])
+        .join("\n") + "\n";
+    },
+  };
+}
+
+// `health()` returns { ok, ...details }; details are echoed in the /healthz body
+export function startMetricsServer({ host, port, metrics, health }) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      // The Host header is client input; a malformed one must not throw outside the try
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (req.method === "GET" && pathname === "/metrics") {
+        const body = await metrics.render();
+        res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+        return res.end(body);
+      }
+      if (req.method === "GET" && pathname === "/healthz") {
+        const { ok, ...details } = await health();
+        res.writeHead(ok ? 200 : 503, { "content-type": "application/json" });
+        return res.end(JSON.stringify({ status: ok ? "ok" : "unhealthy", ...details }));
+      }
+      res.writeHead(404, { "content-type": "application/json" });
+      res.end(JSON.stringify({ error: "not found" }));
+    } catch (err) {
+      res.writeHead(500, { "content-type": "application/json" });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+  });
+  server.listen(port, host, () => {
+    // The bound port, which differs from `port` when that is 0
+    console.log(`📈 Metrics on http://${host}:${server.address().port}/metrics, health on /healthz`);
+  });
+  return server;
+}
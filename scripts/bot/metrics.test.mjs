@@ -0,0 +1,156 @@
+// Unit tests for metrics.mjs (exposition format and the /metrics, /healthz server; no chain needed)
+// Run: node --test scripts/bot/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import net from "node:net";
+import { createMetrics, startMetricsServer } from "./metrics.mjs";
+
+// Starts the server on an OS-picked port; `health` is called per /healthz request
+async function withServer({ metrics = createMetrics(), health }, fn) {
+  const server = startMetricsServer({ host: "127.0.0.1", port: 0, metrics, health });
+  await once(server, "listening");
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, server.address().port);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+test("counters and gauges render HELP, TYPE and one line per label set", async () => {
+  const metrics = createMetrics();
+  const rounds = metrics.counter("rounds_total", "Rounds started");
+  const age = metrics.gauge("answer_age_seconds", "Age of the answer");
+  rounds.inc({ feed: "AR/USD", result: "ok" });
+  rounds.inc({ result: "ok", feed: "AR/USD" }, 2); // same series in another key order
+  rounds.inc({ feed: "AR/byte", result: "ok" });
+  age.set({ feed: "AR/USD" }, 12n);
+
+  const text = await metrics.render();
+  assert.equal(
+    text,
+    [
+      "# HELP rounds_total Rounds started",
+      "# TYPE rounds_total counter",
+      'rounds_total{feed="AR/USD",result="ok"} 3',
+      'rounds_total{feed="AR/byte",result="ok"} 1',
+      "# HELP answer_age_seconds Age of the answer",
+      "# TYPE answer_age_seconds gauge",
+      'answer_age_seconds{feed="AR/USD"} 12',
+      "",
+    ].join("\n"),
+  );
+});
+
+test("metrics without series are left out and removed gauges disappear", async () => {
+  const metrics = createMetrics();
+  metrics.counter("unused_total", "Never incremented");
+  const up = metrics.gauge("up", "Endpoint up");
+  up.set({ host: "a" }, 1);
+  up.set({ host: "b" }, 0);
+  up.remove({ host: "a" });
+
+  const text = await metrics.render();
+  assert.doesNotMatch(text, /unused_total/);
+  assert.doesNotMatch(text, /host="a"/);
+  assert.match(text, /^up\{host="b"\} 0$/m);
+});
+
+test("label values escape backslashes, quotes and newlines", async () => {
+  const metrics = createMetrics();
+  metrics.counter("errors_total", "Errors").inc({ reason: 'bad "x"\\y\nz' });
+  assert.match(await metrics.render(), /^errors_total\{reason="bad \\"x\\"\\\\y\\nz"\} 1$/m);
+});
+
+test("histograms render cumulative buckets, +Inf, sum and count", async () => {
+  const metrics = createMetrics();
+  const latency = metrics.histogram("tick_seconds", "Tick latency", [0.5, 1, 5]);
+  for (const v of [0.2, 0.7, 0.9, 7]) latency.observe({ feed: "AR/USD" }, v);
+
+  const lines = (await metrics.render()).trim().split("\n");
+  assert.deepEqual(lines, [
+    "# HELP tick_seconds Tick latency",
+    "# TYPE tick_seconds histogram",
+    'tick_seconds_bucket{feed="AR/USD",le="0.5"} 1',
+    'tick_seconds_bucket{feed="AR/USD",le="1"} 3',
+    'tick_seconds_bucket{feed="AR/USD",le="5"} 3',
+    'tick_seconds_bucket{feed="AR/USD",le="+Inf"} 4',
+    'tick_seconds_sum{feed="AR/USD"} 8.8',
+    'tick_seconds_count{feed="AR/USD"} 4',
+  ]);
+});
+
+test("onCollect hooks run before each render; a failing hook doesn't break the scrape", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const metrics = createMetrics();
+  const balance = metrics.gauge("balance_eth", "Balance");
+  let reads = 0;
+  metrics.onCollect(() => balance.set({ operator: "0xA" }, ++reads));
+  metrics.onCollect(() => {
+    throw new Error("rpc down");
+  });
+
+  assert.match(await metrics.render(), /balance_eth\{operator="0xA"\} 1/);
+  assert.match(await metrics.render(), /balance_eth\{operator="0xA"\} 2/);
+  assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test("/metrics serves the exposition text and unknown paths are 404", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const metrics = createMetrics();
+  metrics.counter("ticks_total", "Ticks").inc();
+  await withServer({ metrics, health: async () => ({ ok: true }) }, async (base) => {
+    const res = await fetch(`${base}/metrics?x=1`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+    assert.match(await res.text(), /^ticks_total 1$/m);
+    assert.equal((await fetch(`${base}/nope`)).status, 404);
+  });
+});
+
+test("/healthz is 200 when healthy and 503 with the reasons otherwise", async (t) => {
+  t.mock.method(console, "log", () => {});
+  let state = { ok: true, reasons: [], feeds: [{ feed: "AR/USD", failedTicks: 0 }] };
+  await withServer({ health: async () => state }, async (base) => {
+    let res = await fetch(`${base}/healthz`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { status: "ok", reasons: [], feeds: [{ feed: "AR/USD", failedTicks: 0 }] });
+
+    state = { ok: false, reasons: ["AR/USD: 3 failed ticks in a row"] };
+    res = await fetch(`${base}/healthz`);
+    assert.equal(res.status, 503);
+    assert.deepEqual(await res.json(), { status: "unhealthy", reasons: ["AR/USD: 3 failed ticks in a row"] });
+  });
+});
+
+test("/healthz is 500 when the health check itself throws", async (t) => {
+  t.mock.method(console, "log", () => {});
+  await withServer({ health: async () => { throw new Error("boom"); } }, async (base) => {
+    const res = await fetch(`${base}/healthz`);
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { error: "boom" });
+  });
+});
+
+test("a malformed Host header gets a response instead of crashing the process", async (t) => {
+  t.mock.method(console, "log", () => {});
+  await withServer({ health: async () => ({ ok: true }) }, async (base, port) => {
+    const socket = net.connect(port, "127.0.0.1");
+    await once(socket, "connect");
+    socket.end("GET /healthz HTTP/1.1\r\nHost: a b\r\nConnection: close\r\n\r\n");
+    let raw = "";
+    socket.on("data", (chunk) => (raw += chunk));
+    await once(socket, "close");
+    assert.match(raw, /^HTTP\/1\.1 200 /);
+    assert.equal((await fetch(`${base}/healthz`)).status, 200); // still serving
+  });
+});
+
+test("the startup log shows the bound port, not 0", async (t) => {
+  const log = t.mock.method(console, "log", () => {});
+  await withServer({ health: async () => ({ ok: true }) }, async (base, port) => {
+    assert.equal(log.mock.callCount(), 1);
+    assert.match(log.mock.calls[0].arguments[0], new RegExp(`http://127\\.0\\.0\\.1:${port}/metrics`));
+  });
+});
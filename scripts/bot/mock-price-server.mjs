@@ -0,0 +1,68 @@
+// Local mock price API for exercising the bot's http price sources
+// Usage:
+//   node scripts/bot/mock-price-server.mjs --port 8787 --price 6.12 --driftBps 50
+//
+//   GET  /price              → {"price":"6.12","symbol":"default","ts":1700000000}
+//   GET  /price/<symbol>     → price for a named symbol (falls back to --price)
+//   POST /price/<symbol>     → body {"price":"6.50"} sets the price for <symbol>
+//
+// With --driftBps, every GET returns the stored price moved by a random amount
+// within ±driftBps, which is enough to trigger deviation-gated rounds.
+
+import http from "node:http";
+import { parseArgs } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const PORT = Number(argv.port || process.env.MOCK_PRICE_PORT || 8787);
+const HOST = argv.host || process.env.MOCK_PRICE_HOST || "127.0.0.1";
+const DEFAULT_PRICE = String(argv.price || process.env.MOCK_PRICE || "6");
+const DRIFT_BPS = Number(argv.driftBps || process.env.MOCK_DRIFT_BPS || 0);
+
+const prices = new Map([["default", DEFAULT_PRICE]]);
+
+function withDrift(price) {
+  if (!DRIFT_BPS) return price;
+  const bps = (Math.random() * 2 - 1) * DRIFT_BPS;
+  return String(Number(price) * (1 + bps / 10000));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const m = /^\/price(?:\/([^/]+))?\/?$/.exec(url.pathname);
+  if (!m) return send(res, 404, { error: "not found" });
+  const symbol = decodeURIComponent(m[1] || "default");
+
+  if (req.method === "GET") {
+    const price = withDrift(prices.get(symbol) ?? prices.get("default"));
+    return send(res, 200, { price, symbol, ts: Math.floor(Date.now() / 1000) });
+  }
+
+  if (req.method === "POST") {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        const { price } = JSON.parse(body);
+        if (price === undefined || Number.isNaN(Number(price))) throw new Error("price must be numeric");
+        prices.set(symbol, String(price));
+        console.log(`💱 ${symbol} → ${price}`);
+        send(res, 200, { price: String(price), symbol });
+      } catch (e) {
+        send(res, 400, { error: e.message });
+      }
+    });
+    return;
+  }
+
+  send(res, 405, { error: "method not allowed" });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`🧪 Mock price server on http://${HOST}:${PORT}/price (default=${DEFAULT_PRICE}, drift=±${DRIFT_BPS}bps)`);
+});
@@ -0,0 +1,179 @@
+// Operator key backends for the bot
+//
+//   keystore  encrypted JSON keystores (geth / ethers / foundry `cast wallet` format).
+//             KEYSTORE is a directory (every file in it) or a comma-separated list of
+//             files. The password comes from KEYSTORE_PASSWORD_FILE or KEYSTORE_PASSWORD.
+//   remote    a remote signer (web3signer, a node with unlocked accounts, ...) reached over
+//             JSON-RPC. Submissions are signed with eth_signTypedData_v4 and transactions
+//             are sent with eth_sendTransaction; nonces, gas and fees are filled in from
+//             the bot's own RPC. Accounts come from REMOTE_SIGNER_ACCOUNTS or eth_accounts.
+//   raw       plaintext private keys (PRIVATE_KEYS_JSON or the Anvil defaults). Refused
+//             unless the chain is a local dev chain (see DEV_CHAIN_IDS).
+//
+// Every backend yields ethers Signers, which createSignerRegistry() (signers.mjs) wraps
+// with a per-account transaction manager (tx-manager.mjs).
+//
+// The bot, the signer daemon and the collector all load keys this way: signerOptions()
+// reads the shared flags / env, selectSigner() picks one account for single-key roles.
+
+import { readFile, readdir, stat } from "node:fs/promises";
+import path from "node:path";
+import { ethers } from "ethers";
+
+// Anvil / Hardhat (31337) and Ganache / geth --dev (1337)
+export const DEV_CHAIN_IDS = new Set([31337n, 1337n]);
+
+export function isDevChain(chainId) {
+  return DEV_CHAIN_IDS.has(BigInt(chainId));
+}
+
+// Signer whose key lives behind a JSON-RPC endpoint. Reads go to `provider` (the
+// bot's RPC); only signing and sending go to `remote`.
+export class RemoteSigner extends ethers.AbstractSigner {
+  constructor(address, remote, provider = null) {
+    super(provider);
+    this.address = ethers.getAddress(address);
+    this.remote = remote;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.address, this.remote, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return this.remote.send("eth_signTypedData_v4", [this.address.toLowerCase(), JSON.stringify(payload)]);
+  }
+
+  async signMessage(message) {
+    const data = typeof message === "string" ? ethers.toUtf8Bytes(message) : message;
+    return this.remote.send("personal_sign", [ethers.hexlify(data), this.address.toLowerCase()]);
+  }
+
+  async signTransaction(tx) {
+    const populated = await this.populateTransaction(tx);
+    return this.remote.send("eth_signTransaction", [this.remote.getRpcTransaction(populated)]);
+  }
+
+  async sendTransaction(tx) {
+    const populated = await this.populateTransaction(tx);
+    const hash = await this.remote.send("eth_sendTransaction", [this.remote.getRpcTransaction(populated)]);
+
+    // The signer broadcasts; wait for the bot's RPC to see the tx so callers get a response
+    for (let i = 0; i < 60; i++) {
+      const response = await this.provider.getTransaction(hash);
+      if (response) return response;
+      await new Promise((r) => setTimeout(r, 500));
+    }
+    throw new Error(`remote signer sent ${hash} but it never reached the RPC`);
+  }
+}
+
+async function keystoreFiles(spec) {
+  const files = [];
+  for (const entry of spec.split(",").map((s) => s.trim()).filter(Boolean)) {
+    if ((await stat(entry)).isDirectory()) {
+      // Foundry keystores have no extension: take every visible file
+      const names = (await readdir(entry, { withFileTypes: true })).filter((d) => d.isFile() && !d.name.startsWith("."));
+      files.push(...names.map((d) => path.join(entry, d.name)).sort());
+    } else {
+      files.push(entry);
+    }
+  }
+  if (files.length === 0) throw new Error(`No keystore files found in ${spec}`);
+  return files;
+}
+
+async function keystorePassword({ passwordFile, password }) {
+  if (passwordFile) return (await readFile(passwordFile, "utf8")).replace(/\r?\n$/, "");
+  if (password !== undefined) return password;
+  throw new Error("Keystores need a password: set KEYSTORE_PASSWORD_FILE (or KEYSTORE_PASSWORD)");
+}
+
+export async function loadKeystores(spec, { passwordFile, password, provider }) {
+  const pass = await keystorePassword({ passwordFile, password });
+  const wallets = [];
+  for (const file of await keystoreFiles(spec)) {
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(await readFile(file, "utf8"), pass);
+      wallets.push(wallet.connect(provider));
+    } catch (err) {
+      throw new Error(`${file}: ${err.shortMessage || err.message}`);
+    }
+  }
+  return wallets;
+}
+
+export async function remoteSigners(url, { accounts, provider, chainId }) {
+  // No network detection or request batching: many signers implement neither
+  const network = ethers.Network.from(chainId);
+  const remote = new ethers.JsonRpcProvider(url, network, { staticNetwork: network, batchMaxCount: 1 });
+  const addresses = accounts
+    ? accounts.split(",").map((a) => a.trim()).filter(Boolean)
+    : await remote.send("eth_accounts", []);
+  if (addresses.length === 0) throw new Error(`Remote signer ${url} has no accounts`);
+  return addresses.map((a) => new RemoteSigner(a, remote, provider));
+}
+
+export function rawKeySigners(keys, { provider, chainId }) {
+  if (!isDevChain(chainId)) {
+    throw new Error(
+      `Refusing raw private keys on chainId ${chainId}: only local dev chains (${[...DEV_CHAIN_IDS].join(", ")}) allow them. ` +
+      "Use KEYSTORE or REMOTE_SIGNER_URL.",
+    );
+  }
+  return keys.map((k) => new ethers.Wallet(k, provider));
+}
+
+// Backend settings shared by every script that signs (same names as the README table)
+export function signerOptions(argv = {}, env = process.env) {
+  return {
+    backend: argv.signer || env.SIGNER_BACKEND, // inferred when unset
+    keystore: argv.keystore || env.KEYSTORE,
+    passwordFile: argv.keystorePasswordFile || env.KEYSTORE_PASSWORD_FILE,
+    password: env.KEYSTORE_PASSWORD,
+    remoteUrl: argv.remoteSigner || env.REMOTE_SIGNER_URL,
+    remoteAccounts: argv.remoteAccounts || env.REMOTE_SIGNER_ACCOUNTS,
+  };
+}
+
+// The one account a single-key role (signer daemon, collector relayer) uses: `address`
+// when given, otherwise the backend's only account
+export function selectSigner({ backend, signers }, address, { role, flag }) {
+  if (address) {
+    const signer = signers.find((s) => s.address.toLowerCase() === String(address).toLowerCase());
+    if (!signer) throw new Error(`${role} ${address} is not one of the ${backend} signer's accounts`);
+    return signer;
+  }
+  if (signers.length !== 1) {
+    throw new Error(`The ${backend} signer has ${signers.length} accounts; choose the ${role} with ${flag} <address>`);
+  }
+  return signers[0];
+}
+
+// backend: "keystore" | "remote" | "raw", or undefined to infer from which options are set
+export async function loadOperatorSigners({ backend, provider, chainId, keystore, passwordFile, password, remoteUrl, remoteAccounts, rawKeys }) {
+  const kind = backend || (keystore ? "keystore" : remoteUrl ? "remote" : "raw");
+  let signers;
+  switch (kind) {
+    case "keystore":
+      if (!keystore) throw new Error("Signer backend keystore needs KEYSTORE (--keystore)");
+      signers = await loadKeystores(keystore, { passwordFile, password, provider });
+      break;
+    case "remote":
+      if (!remoteUrl) throw new Error("Signer backend remote needs REMOTE_SIGNER_URL (--remoteSigner)");
+      signers = await remoteSigners(remoteUrl, { accounts: remoteAccounts, provider, chainId });
+      break;
+    case "raw":
+      if (!rawKeys?.length) throw new Error("No keys given: set KEYSTORE or REMOTE_SIGNER_URL (or a raw key on local dev chains)");
+      signers = rawKeySigners(rawKeys, { provider, chainId });
+      break;
+    default:
+      throw new Error(`Unknown signer backend "${kind}" (keystore, remote or raw)`);
+  }
+  return { backend: kind, signers };
+}
@@ -0,0 +1,231 @@
+// Per-operator signer daemon (ethers v6)
+//
+// Holds exactly one operator key. Each interval it reads the round to sign from
+// `nextRoundId`, prices it, signs the EIP-712 PriceSubmission and POSTs it to a
+// collector (scripts/bot/collector.mjs), which verifies and relays on-chain. The
+// signer never sends transactions and needs no gas.
+//
+// Usage:
+//   KEYSTORE=keys/op1 KEYSTORE_PASSWORD_FILE=/run/secrets/op1 node scripts/bot/operator-signer.mjs \
+//     --rpc http://127.0.0.1:8545 \
+//     --oracle 0xOracle \
+//     --collector http://127.0.0.1:8788 \
+//     --feedDesc "ar/usd-testv1" \
+//     [--priceBase 6 | --sources scripts/bot/sources.example.json] \
+//     [--interval 10000] [--shutdownTimeout 60000]
+//
+//   --feeds feeds/feeds-anvil.json signs for every feed that lists this operator.
+//
+// The key comes from the same backends as the bot's (see operator-keys.mjs); with several
+// accounts, --operator picks one. A raw OPERATOR_KEY is only accepted on local dev chains.
+//
+// The key is locked and every signature journaled in --stateDir (see bot-state.mjs),
+// shared with operators-bot.mjs: the same key can't sign two answers for one round.
+//
+// One tick per feed runs at a time: an interval that fires while the previous tick is
+// still waiting on the RPC or the collector is skipped. On SIGTERM/SIGINT no new ticks
+// start and running ones get --shutdownTimeout ms to finish (see lifecycle.mjs).
+
+import { ethers } from "ethers";
+import { loadPriceSources } from "./price-sources.mjs";
+import { feedIdOf, getFeed, oracleAt, parseAnswer, priceLoomDomain } from "../sdk/price-loom.mjs";
+import { checkAnswer, readGatingState, startDecision } from "./gating.mjs";
+import { loadFeeds } from "../lib/feeds.mjs";
+import { describeError } from "../lib/oracle-errors.mjs";
+import { lockKey, openSignJournal } from "./bot-state.mjs";
+import { onShutdown } from "./lifecycle.mjs";
+import { loadOperatorSigners, selectSigner, signerOptions } from "./operator-keys.mjs";
+import { parseArgs, short } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const ORACLE = argv.oracle || process.env.ORACLE;
+const COLLECTOR = argv.collector || process.env.COLLECTOR_URL || "http://127.0.0.1:8788";
+const KEY = argv.key || process.env.OPERATOR_KEY; // raw key, local dev chains only
+const OPERATOR = argv.operator || process.env.OPERATOR_ADDRESS; // account to use when the backend has several
+const FEEDS_FILE = argv.feeds || process.env.FEEDS_FILE;
+const FEED_DESC = argv.feedDesc || process.env.FEED_DESC || "ar/bytes-testv1";
+const FEED_ID = argv.feedId || process.env.FEED_ID || feedIdOf(FEED_DESC);
+const INTERVAL = Number(argv.interval || process.env.INTERVAL_MS || 10000);
+const PRICE_BASE = String(argv.priceBase || process.env.PRICE_BASE || "6");
+const SOURCES_FILE = argv.sources || process.env.PRICE_SOURCES;
+const VALID_FOR = Number(argv.validFor || process.env.VALID_FOR_SEC || 60); // validUntil = now + VALID_FOR
+const STATE_DIR = argv.stateDir || process.env.BOT_STATE_DIR || ".bot-state";
+const SHUTDOWN_TIMEOUT_MS = Number(argv.shutdownTimeout || process.env.SHUTDOWN_TIMEOUT_MS || 60000); // drain deadline on SIGTERM/SIGINT
+
+if (!ORACLE) {
+  console.error("Missing --oracle");
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(RPC);
+const { chainId } = await provider.getNetwork();
+let keys;
+let wallet;
+try {
+  keys = await loadOperatorSigners({ ...signerOptions(argv), provider, chainId, rawKeys: KEY ? [KEY] : [] });
+  wallet = selectSigner(keys, OPERATOR, { role: "operator", flag: "--operator" });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const oracle = oracleAt(ORACLE, provider);
+
+async function genPrice(feed) {
+  if (feed.priceSources) {
+    const { answer, errors } = await feed.priceSources.priceFor(wallet.address, feed.decimals);
+    for (const e of errors) console.log(`${feed.tag}  ⚠️  source failed: ${e}`);
+    return answer;
+  }
+  // Demo mode: +- 1% variation
+  const drift = BigInt((Math.floor(Math.random() * 200) - 100));
+  return feed.base + (feed.base * drift) / 10000n;
+}
+
+async function postSubmission(submission, signature) {
+  const res = await fetch(`${COLLECTOR}/submissions`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      feedId: submission.feedId,
+      roundId: submission.roundId.toString(),
+      answer: submission.answer.toString(),
+      validUntil: submission.validUntil.toString(),
+      signature,
+    }),
+    signal: AbortSignal.timeout(5000),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+  return body;
+}
+
+async function tick(feed, domain) {
+  const { feedId, tag } = feed;
+  try {
+    if (await oracle.paused()) {
+      console.log(`${tag}⏸️  Oracle is paused. Waiting for unpause...`);
+      return;
+    }
+
+    const round = await oracle.nextRoundId(feedId);
+    // Already delivered for this round; re-sign only once that signature is about to expire
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    if (feed.accepted?.round === round && feed.accepted.validUntil > now + 10n) return;
+
+    const answer = await genPrice(feed);
+
+    // Never sign an answer the oracle would reject (see gating.mjs)
+    const state = await readGatingState(oracle, feedId);
+    const check = checkAnswer(answer, state.cfg);
+    if (!check.ok) {
+      console.log(`${tag}🚫 Not signing: ${check.reason}`);
+      return;
+    }
+    // No open round: only sign if our answer would be allowed to open one
+    if (!state.open) {
+      const decision = startDecision(answer, state.snap, state.cfg, state.now);
+      if (!decision.start) {
+        console.log(`${tag}🕒 Not due yet (no open round): ${decision.reason}. Waiting…`);
+        return;
+      }
+    }
+
+    // A round signed before (e.g. before a restart) keeps its answer
+    const signed = journal.answerFor(feedId, round);
+    if (signed !== null && signed !== answer) console.log(`${tag}🛡️  Already signed ${signed} for round ${round}—keeping it`);
+    const { submission, signature } = await journal.sign(wallet, domain, { feedId, roundId: round, answer: signed ?? answer });
+
+    const result = await postSubmission(submission, signature);
+    feed.accepted = { round, validUntil: submission.validUntil };
+    console.log(`${tag}✍️  round ${round} → ${submission.answer}  📨 accepted (pending=${result.pending})`);
+  } catch (err) {
+    console.log(`${tag}❌ ${describeError(err)}`);
+  }
+}
+
+let stopping = false; // set on SIGTERM / SIGINT
+
+// tick(), unless one is still running for this feed (or we are shutting down)
+async function runTick(feed, domain) {
+  if (stopping) return;
+  if (feed.running) {
+    console.log(`${feed.tag}⏳ Previous tick still running—skipping this one`);
+    return;
+  }
+  feed.running = true;
+  try {
+    await tick(feed, domain);
+  } finally {
+    feed.running = false;
+  }
+}
+
+let feeds;
+if (FEEDS_FILE) {
+  feeds = (await loadFeeds(FEEDS_FILE)).map((f) => ({
+    desc: f.desc,
+    feedId: f.feedId,
+    priceBase: String(f.bot.priceBase ?? PRICE_BASE),
+    sourcesFile: f.bot.sources ?? SOURCES_FILE,
+    tag: `[${f.desc}] `,
+  }));
+} else {
+  feeds = [{ desc: FEED_DESC, feedId: FEED_ID, priceBase: PRICE_BASE, sourcesFile: SOURCES_FILE, tag: "" }];
+}
+
+console.log(`🔏 Operator signer starting`);
+console.log(`   rpc=${RPC} oracle=${short(ORACLE)} operator=${wallet.address} (${keys.backend}) collector=${COLLECTOR} interval=${INTERVAL}ms`);
+
+const domain = priceLoomDomain(chainId, ORACLE);
+let journal;
+try {
+  await lockKey(STATE_DIR, wallet.address);
+  journal = await openSignJournal(STATE_DIR, wallet.address, { chainId, oracle: ORACLE, validForSec: VALID_FOR });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+console.log(`   🔒 ${short(wallet.address)} locked; signing journal ${journal.file}`);
+
+const active = [];
+for (const feed of feeds) {
+  const onchain = await getFeed(oracle, feed.feedId);
+  if (!onchain) {
+    console.warn(`${feed.tag}⚠️  Feed ${feed.desc} does not exist on this oracle. Skipping.`);
+    continue;
+  }
+  if (!onchain.operators.some((op) => op.toLowerCase() === wallet.address.toLowerCase())) {
+    console.warn(`${feed.tag}⚠️  ${short(wallet.address)} is not an operator of ${feed.desc}. Skipping.`);
+    continue;
+  }
+  feed.decimals = onchain.decimals;
+  feed.base = parseAnswer(feed.priceBase, feed.decimals);
+  feed.accepted = null;
+  feed.running = false;
+  if (feed.sourcesFile) feed.priceSources = await loadPriceSources(feed.sourcesFile);
+  console.log(`${feed.tag}   📊 ${feed.desc} (decimals=${feed.decimals}) prices=${feed.sourcesFile || `base ${feed.priceBase}`}`);
+  active.push(feed);
+}
+if (active.length === 0) {
+  console.error("❌ This key is not an operator of any configured feed.");
+  process.exit(1);
+}
+
+const timers = [];
+onShutdown({
+  timeoutMs: SHUTDOWN_TIMEOUT_MS,
+  stop: () => {
+    stopping = true;
+    for (const t of timers) clearInterval(t);
+  },
+  inFlight: () => active.filter((feed) => feed.running).map((feed) => feed.desc),
+  finish: () => journal.close(),
+});
+
+for (const feed of active) {
+  await runTick(feed, domain);
+  timers.push(setInterval(() => runTick(feed, domain), INTERVAL));
+}
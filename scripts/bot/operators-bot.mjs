@@ -4,30 +4,99 @@
 //     --rpc http://127.0.0.1:8545 \
 //     --oracle 0xOracle \
 //     --feedDesc "ar/bytes-testv1" \
-//     --interval 30000
+//     --interval 30000 \
+//     [--sources scripts/bot/sources.example.json]
+//
+// Multi-feed mode (one process, every feed in the file scheduled independently):
+//   node scripts/bot/operators-bot.mjs --oracle 0xOracle --feeds feeds/feeds-anvil.json
+//
+// Relayer mode (all operator signatures in one submitSignedBatch tx per round):
+//   node scripts/bot/operators-bot.mjs --oracle 0xOracle --mode relayer [--relayerKey 0x...]
+//
+// Operator keys (see operator-keys.mjs; raw keys are refused outside local dev chains):
+//   KEYSTORE=keys/ KEYSTORE_PASSWORD_FILE=/run/secrets/keystore node scripts/bot/operators-bot.mjs ...
+//   REMOTE_SIGNER_URL=http://127.0.0.1:9000 node scripts/bot/operators-bot.mjs ...
+//
+// Prometheus /metrics and /healthz (off unless a port is given):
+//   node scripts/bot/operators-bot.mjs --oracle 0xOracle --metricsPort 9464 [--metricsHost 0.0.0.0]
+//
+// Rounds are joined as soon as RoundStarted is seen (block polling, or --ws for a
+// WebSocket subscription); --interval is only the fallback. Interval-only:
+//   node scripts/bot/operators-bot.mjs --oracle 0xOracle --events off
+//
+// Key locks, the signing journal and feed state live in --stateDir (default .bot-state)
+//
+// Lifecycle (see lifecycle.mjs): startup checks (chainId via --chainId, oracle code,
+// domainSeparator, feeds), ticks paused while the RPC is down, and SIGTERM/SIGINT
+// drain in-flight transactions for up to --shutdownTimeout ms before exiting.
+//
+// Several RPCs (see rpc-pool.mjs): failover for every request, and paused / nextRoundId /
+// latestRoundData read from a quorum of endpoints at one block:
+//   node scripts/bot/operators-bot.mjs --oracle 0xOracle --rpc http://a:8545,http://b:8545,http://c:8545 [--rpcQuorum 2]
 
 import { ethers } from "ethers";
-import { keccak256, toUtf8Bytes } from "ethers";
-
-const argv = Object.fromEntries(process.argv.slice(2).map((x, i, arr) => {
-  if (x.startsWith("--")) return [x.slice(2), arr[i + 1]];
-  return [];
-}).filter(Boolean));
-
-const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+import { loadPriceSources } from "./price-sources.mjs";
+import { createSignerRegistry } from "./signers.mjs";
+import { loadOperatorSigners, rawKeySigners, signerOptions } from "./operator-keys.mjs";
+import { createBatchRelayer } from "./relayer.mjs";
+import { feedIdOf, getFeed, latest, oracleAt, parseAnswer, priceLoomDomain } from "../sdk/price-loom.mjs";
+import { loadFeeds } from "../lib/feeds.mjs";
+import { decodeError, describeError } from "../lib/oracle-errors.mjs";
+import { checkAnswer, exceedsDeviation, heartbeatDueIn, readGatingState, startDecision } from "./gating.mjs";
+import { createMetrics, startMetricsServer } from "./metrics.mjs";
+import { submitBudget, txPolicy } from "./tx-manager.mjs";
+import { watchRoundEvents } from "./scheduler.mjs";
+import { feedStateFile, loadFeedState, lockKey, openSignJournal, saveFeedState } from "./bot-state.mjs";
+import { onShutdown, startupChecks, superviseRpc } from "./lifecycle.mjs";
+import { hostOf, openRpcPool, parseRpcUrls } from "../lib/rpc-pool.mjs";
+import { parseArgs, short } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545"; // comma-separated for failover / quorum reads
+const RPC_QUORUM = argv.rpcQuorum || process.env.RPC_QUORUM; // endpoints that must agree; default: half of them, rounded up
+const RPC_MAX_LAG = Number(argv.rpcMaxLag || process.env.RPC_MAX_LAG_BLOCKS || 2); // blocks an endpoint may trail the highest head
+const RPC_TIMEOUT_MS = Number(argv.rpcTimeout || process.env.RPC_TIMEOUT_MS || 5000); // per request, before failing over
 const ORACLE = argv.oracle || process.env.ORACLE;
+const FEEDS_FILE = argv.feeds || process.env.FEEDS_FILE; // multi-feed mode when set
 const FEED_DESC = argv.feedDesc || process.env.FEED_DESC || "ar/bytes-testv1";
-const FEED_ID = argv.feedId || process.env.FEED_ID || keccak256(toUtf8Bytes(FEED_DESC));
+const FEED_ID = argv.feedId || process.env.FEED_ID || feedIdOf(FEED_DESC);
 const INTERVAL = Number(argv.interval || process.env.INTERVAL_MS || 30000);
 const NUM_OPS = Number(argv.ops || process.env.NUM_OPS || 6);
-const PRICE_BASE = Number(argv.priceBase || process.env.PRICE_BASE || 6); // base price defaults to AR/usd, AR per byte is around 0.00000000199 AR (1.99e-9?)
+const PRICE_BASE = String(argv.priceBase || process.env.PRICE_BASE || "6"); // base price defaults to AR/usd, AR per byte is around 0.00000000199 AR (1.99e-9?)
+const SOURCES_FILE = argv.sources || process.env.PRICE_SOURCES; // real price sources; falls back to random drift around PRICE_BASE
+const MODE = argv.mode || process.env.BOT_MODE || "sequential"; // "sequential" (one tx per operator) or "relayer" (one batch tx)
+const RELAYER_KEY = argv.relayerKey || process.env.RELAYER_KEY; // relayer mode gas payer (raw key, dev chains only)
+const RELAYER_ADDRESS = argv.relayer || process.env.RELAYER_ADDRESS; // relayer mode gas payer picked from the signer backend's accounts
+const SIGNER_OPTIONS = signerOptions(argv); // keystore | remote | raw backend settings (see operator-keys.mjs)
+const BATCH_TARGET = argv.batchTarget || process.env.BATCH_TARGET || "max"; // relayer mode: "max" or "quorum"
+const METRICS_PORT = argv.metricsPort || process.env.METRICS_PORT; // /metrics + /healthz when set
+const METRICS_HOST = argv.metricsHost || process.env.METRICS_HOST || "127.0.0.1";
+const HEALTH_FAILED_TICKS = Number(argv.healthFailedTicks || process.env.HEALTH_FAILED_TICKS || 3); // failed ticks in a row before /healthz turns 503
+const TX_POLICY = txPolicy(argv); // fee caps, bump/cancel and confirmation settings (see tx-manager.mjs)
+const EVENTS = (argv.events || process.env.BOT_EVENTS || "on") !== "off"; // event-driven wake-ups (see scheduler.mjs)
+const WS_URL = argv.ws || process.env.WS_URL; // WebSocket endpoint for round events; block polling when unset
+const EVENT_POLL_MS = Number(argv.eventPoll || process.env.EVENT_POLL_MS || 1000);
+const PRICE_SAMPLE_MS = Number(argv.sampleMs || process.env.PRICE_SAMPLE_MS || 5000); // deviation checks between rounds (price sources only; 0 = off)
+const STATE_DIR = argv.stateDir || process.env.BOT_STATE_DIR || ".bot-state"; // key locks, signing journal, feed state (see bot-state.mjs)
+const VALID_FOR = Number(argv.validFor || process.env.VALID_FOR_SEC || 60); // validUntil = now + VALID_FOR
+const EXPECTED_CHAIN_ID = argv.chainId || process.env.CHAIN_ID; // refuse to start on any other chain when set
+const ALLOW_MISSING_FEEDS = argv.allowMissingFeeds === "true" || process.env.ALLOW_MISSING_FEEDS === "1"; // skip feeds not on the oracle instead of exiting
+const SHUTDOWN_TIMEOUT_MS = Number(argv.shutdownTimeout || process.env.SHUTDOWN_TIMEOUT_MS || 60000); // drain deadline on SIGTERM/SIGINT
+const POKE_AFTER_FAILURES = 2; // empty ticks in a row before trying poke()
+// Skips that mean the round was already taken care of: a "settled" tick, not a failed one.
+// WrongRound is not one: a timed-out round reverts with it too, and needs a poke.
+const SETTLED_REVERTS = new Set(["RoundFull", "DuplicateSubmission"]);
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
 
 if (!ORACLE) {
   console.error("Missing --oracle");
   process.exit(1);
 }
-
-const provider = new ethers.JsonRpcProvider(RPC);
+if (MODE !== "sequential" && MODE !== "relayer") {
+  console.error(`Unknown --mode ${MODE} (expected "sequential" or "relayer")`);
+  process.exit(1);
+}
 
 // Default Anvil private keys (matching feeds-anvil.json operators)
 const ANVIL_KEYS = [
@@ -39,274 +108,800 @@ const ANVIL_KEYS = [
   "0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba",  // 0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc
 ];
 
-let KEYS = (process.env.PRIVATE_KEYS_JSON ? JSON.parse(process.env.PRIVATE_KEYS_JSON) : ANVIL_KEYS).slice(0, NUM_OPS);
-
-const oracleAbi = [
-  "function submitSigned(bytes32 feedId, tuple(bytes32 feedId, uint80 roundId, int256 answer, uint256 validUntil) sub, bytes sig)",
-  "function nextRoundId(bytes32) view returns (uint80)",
-  "function dueToStart(bytes32,int256) view returns (bool)",
-  "function getConfig(bytes32) view returns (tuple(uint8,uint8,uint8,uint8,uint32,uint32,uint32,int256,int256,string))",
-  "function currentRoundId(bytes32) view returns (uint80)",
-  "function latestFinalizedRoundId(bytes32) view returns (uint80)",
-  "function latestRoundData(bytes32) view returns (uint80,int256,uint256,uint256,uint80)",
-  "function isStale(bytes32,uint256) view returns (bool)",
-  "function poke(bytes32) returns (bool)",
-  "function getRoundData(bytes32,uint80) view returns (uint80,int256,uint256,uint256,uint80)",
-  "function paused() view returns (bool)",
-  "function getOperators(bytes32) view returns (address[])",
-];
+const KEYS = (process.env.PRIVATE_KEYS_JSON ? JSON.parse(process.env.PRIVATE_KEYS_JSON) : ANVIL_KEYS).slice(0, NUM_OPS);
+
+// Wait for an RPC, then make sure it is the chain and oracle we expect to sign for
+let rpc;
+let provider;
+let chainId;
+try {
+  rpc = await openRpcPool({
+    urls: parseRpcUrls(RPC),
+    expectedChainId: EXPECTED_CHAIN_ID,
+    quorum: RPC_QUORUM,
+    maxLagBlocks: RPC_MAX_LAG,
+    timeoutMs: RPC_TIMEOUT_MS,
+  });
+  provider = rpc.provider;
+  ({ chainId } = await startupChecks({ provider, oracleAddress: ORACLE, expectedChainId: EXPECTED_CHAIN_ID }));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+let keys;
+let relayerSigners = null;
+try {
+  keys = await loadOperatorSigners({ ...SIGNER_OPTIONS, provider, chainId, rawKeys: KEYS });
+  // A dedicated relayer key gets its own entry unless it is also an operator key
+  if (RELAYER_KEY) relayerSigners = createSignerRegistry(rawKeySigners([RELAYER_KEY], { provider, chainId }), provider, { policy: TX_POLICY });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 
-const oracle = new ethers.Contract(ORACLE, oracleAbi, provider);
+// One signer per operator address, shared by all feeds (see signers.mjs)
+const signers = createSignerRegistry(keys.signers, provider, { policy: TX_POLICY });
+if (RELAYER_ADDRESS && !signers.get(RELAYER_ADDRESS)) {
+  console.error(`Relayer ${RELAYER_ADDRESS} is not one of the ${keys.backend} signer's accounts`);
+  process.exit(1);
+}
 
-// Price generator - base will be set after reading decimals from oracle config
-let base = 0n;
-let decimals = 8; // Will be updated from oracle config
+// The views that decide what gets signed come from a quorum of the RPCs (one RPC: itself)
+const oracle = rpc.withQuorum(oracleAt(ORACLE, provider), ["paused", "nextRoundId", "latestRoundData"]);
+
+// Always recorded; only served when METRICS_PORT is set
+const metrics = createMetrics();
+const m = {
+  ticks: metrics.counter("priceloom_bot_ticks_total", "Ticks by outcome (submitted, settled, failed, not-due, paused, backoff, poked, no-price, halted, stopped)"),
+  tickSeconds: metrics.histogram("priceloom_bot_tick_duration_seconds", "Tick latency"),
+  submissions: metrics.counter("priceloom_bot_submissions_total", "Operator submissions by result; failures carry the decoded error name"),
+  pokes: metrics.counter("priceloom_bot_pokes_total", "poke() calls by result"),
+  latestRound: metrics.gauge("priceloom_bot_latest_round_id", "Latest finalized round id seen by the bot"),
+  answerAge: metrics.gauge("priceloom_bot_answer_age_seconds", "Seconds since the latest answer was updated"),
+  consecutiveFailures: metrics.gauge("priceloom_bot_consecutive_failures", "Ticks in a row without a successful submission (poke() after 2)"),
+  failedTicks: metrics.gauge("priceloom_bot_failed_ticks", "Failed ticks in a row (/healthz threshold: HEALTH_FAILED_TICKS)"),
+  balance: metrics.gauge("priceloom_bot_operator_balance_eth", "Native balance of each operator / relayer account"),
+  rpcUp: metrics.gauge("priceloom_bot_rpc_up", "1 if the RPC answered the last probe"),
+  halted: metrics.gauge("priceloom_bot_halted", "1 per feed (operator \"*\") or operator stopped by a fatal error until restart"),
+  rpcEndpointUp: metrics.gauge("priceloom_bot_rpc_endpoint_up", "1 if the endpoint was healthy (on chain, not lagging) at the last probe"),
+};
+
+// Per-feed state. Everything a tick reads or mutates lives here so feeds never
+// share counters, prices or recovery state.
+function createFeed({ desc, feedId, intervalMs, priceBase, sourcesFile }) {
+  return {
+    desc,
+    feedId,
+    intervalMs,
+    priceBase,
+    sourcesFile,
+    tag: "", // log prefix, set in multi-feed mode
+    decimals: 8, // Will be updated from oracle config
+    base: 0n, // priceBase scaled to decimals
+    priceSources: null, // set when a sources file is configured
+    operators: [], // signer registry entries for this feed's on-chain operators
+    relayer: null, // batch relayer (relayer mode only)
+    lastAnswer: null,
+    lastRoundId: null, // latest finalized round seen (metrics)
+    lastUpdatedAt: null,
+    halted: null, // fatal error that stopped the whole feed (until restart)
+    haltedOps: new Map(), // operator address (lowercase) → fatal error that stopped it on this feed
+    consecutiveFailures: 0,
+    failedTicks: 0, // ticks in a row that errored or landed nothing (/healthz)
+    lastTickAt: 0,
+    backoffMs: 0, // grows on "backoff" reverts, reset by a successful submission
+    backoffUntil: 0,
+    gating: null, // last readGatingState() result: heartbeat deadline and deviation base
+    openRound: null, // { roundId, startedAt } from RoundStarted, cleared by RoundFinalized
+    joinedRound: null, // round this bot is submitting to; its RoundStarted is not a wake-up
+    running: false, // a tick is in progress
+    rerun: null, // reason for a wake-up that arrived during the tick
+    heartbeatTimer: null,
+  };
+}
 
-function genPrice(i) {
-  // +- 1% variation, operator-indexed
-  const drift = BigInt((Math.floor(Math.random() * 200) - 100));
-  return base + (base * drift) / 10000n + BigInt(i) * 10n; // slight spread between ops
+// A fatal revert (NotOperator, NoFeed, bad signature, ...) won't fix itself: stop
+// submitting for the operator, or the whole feed when no operator is to blame, until
+// someone fixes the setup and restarts the bot. Reverts without data (e.g. a tx that
+// lost a race on-chain) aren't fatal errors of the setup and never halt anything.
+function halt(feed, operator, e) {
+  if (!e.selector) return false;
+  if (operator) {
+    feed.haltedOps.set(operator.toLowerCase(), e.message);
+    console.log(`${feed.tag}  🛑 ${short(operator)} halted on ${feed.desc}: ${e.message}. Fix it and restart the bot.`);
+  } else {
+    feed.halted = e.message;
+    console.log(`${feed.tag}🛑 ${feed.desc} halted: ${e.message}. Fix it and restart the bot.`);
+  }
+  m.halted.set({ feed: feed.desc, operator: operator ?? "*" }, 1);
+  return true;
 }
 
-async function initOperators(oracle, feedId) {
-  const onchainOps = await oracle.getOperators(feedId);
-  if (!onchainOps || onchainOps.length === 0) {
-    throw new Error("No operators found on-chain for this feed.");
+// Skip ticks for a while, doubling each time up to MAX_BACKOFF_MS
+function backOff(feed) {
+  feed.backoffMs = Math.min(MAX_BACKOFF_MS, feed.backoffMs ? feed.backoffMs * 2 : feed.intervalMs);
+  feed.backoffUntil = Date.now() + feed.backoffMs;
+}
+
+async function genPrice(feed, i, operator) {
+  if (feed.priceSources) {
+    const { answer, rejected, errors } = await feed.priceSources.priceFor(operator, feed.decimals);
+    if (rejected.length > 0) {
+      console.log(`${feed.tag}  🧹 ${short(operator)} dropped outliers: ${rejected.join(", ")}`);
+    }
+    for (const e of errors) console.log(`${feed.tag}  ⚠️  ${short(operator)} source failed: ${e}`);
+    return answer;
   }
+  // Demo mode: +- 1% variation, operator-indexed
+  const base = feed.base;
+  const drift = BigInt((Math.floor(Math.random() * 200) - 100));
+  return base + (base * drift) / 10000n + BigInt(i) * 10n; // slight spread between ops
+}
 
-  // Create a lookup map of address -> private key for the available keys
-  const addressToKey = new Map();
-  for (const key of KEYS) {
-    const wallet = new ethers.Wallet(key);
-    addressToKey.set(wallet.address.toLowerCase(), key);
+async function initOperators(feed, onchainOps) {
+  if (onchainOps.length === 0) {
+    throw new Error(`No operators found on-chain for ${feed.desc}.`);
   }
 
-  // Create wallets only for the operators that are actually on-chain
-  const wallets = onchainOps.map(opAddress => {
-    const privateKey = addressToKey.get(opAddress.toLowerCase());
-    if (!privateKey) {
-      console.warn(`⚠️  Could not find private key for registered operator ${opAddress}. Skipping.`);
+  // Pick the shared signers for the operators that are actually on-chain
+  const operators = onchainOps.map(opAddress => {
+    const entry = signers.get(opAddress);
+    if (!entry) {
+      console.warn(`${feed.tag}⚠️  No signer for registered operator ${opAddress}. Skipping.`);
       return null;
     }
-    return new ethers.Wallet(privateKey, provider);
+    return entry;
   }).filter(Boolean); // filter out nulls
 
-  if (wallets.length !== onchainOps.length) {
-    console.warn("Warning: Not all on-chain operators could be initialized. The bot will run with a subset.");
+  if (operators.length !== onchainOps.length) {
+    console.warn(`${feed.tag}Warning: Not all on-chain operators could be initialized. The bot will run with a subset.`);
   }
 
-  if (wallets.length === 0) {
-    throw new Error("Could not initialize any operator wallets. Check that on-chain operators have matching private keys in PRIVATE_KEYS_JSON or use default Anvil keys.");
+  if (operators.length === 0) {
+    throw new Error(`Could not initialize any operator wallets. Check that on-chain operators are among the ${keys.backend} signer's accounts (KEYSTORE, REMOTE_SIGNER_URL, or PRIVATE_KEYS_JSON on dev chains).`);
   }
 
-  // Overwrite the global KEYS array so the main loop uses the correct signers.
-  const newKeys = wallets.map(w => w.privateKey);
-  KEYS.splice(0, KEYS.length, ...newKeys);
-
-  console.log(`✅ Initialized ${wallets.length}/${onchainOps.length} valid operator wallets`);
+  feed.operators = operators;
+  console.log(`${feed.tag}✅ Initialized ${operators.length}/${onchainOps.length} valid operator wallets`);
+  for (const op of operators) await op.tx.checkBalance();
 
-  return wallets;
+  return operators;
 }
 
-let lastAnswer = null;
-let consecutiveFailures = 0;
-
-const short = (s) => (typeof s === 'string' && s.startsWith('0x') ? `${s.slice(0, 6)}…${s.slice(-4)}` : s);
-
-async function tick() {
+async function tick(feed) {
+  const { feedId, tag } = feed;
   try {
+    if (feed.halted) return "halted";
+    if (Date.now() < feed.backoffUntil) {
+      console.log(`${tag}⏳ Backing off for ${Math.ceil((feed.backoffUntil - Date.now()) / 1000)}s`);
+      return "backoff";
+    }
+
     // Check if oracle is paused
     const isPaused = await oracle.paused();
     if (isPaused) {
-      console.log("⏸️  Oracle is paused. Waiting for unpause...");
-      return;
+      console.log(`${tag}⏸️  Oracle is paused. Waiting for unpause...`);
+      return "paused";
     }
 
-    // Fetch config for min/max
-    const cfg = await oracle.getConfig(FEED_ID);
-    const minSubs = Number(cfg.minSubmissions);
-    const maxSubs = Number(cfg.maxSubmissions);
+    // Config, latest answer, chain time and whether a round is open (see gating.mjs)
+    const state = await readGatingState(oracle, feedId);
+    feed.gating = state;
+    if (!state.open) feed.openRound = null; // e.g. discarded at timeout without an event
+    const { cfg } = state;
+    const minSubs = cfg.minSubmissions;
 
     // Use nextRoundId - it tells us which round to submit for
-    let targetRound = await oracle.nextRoundId(FEED_ID);
-    const latest = await oracle.latestFinalizedRoundId(FEED_ID);
-    const isNewRound = targetRound > latest;
+    let targetRound = await oracle.nextRoundId(feedId);
 
     // Recovery mechanism: detect stuck round (has submissions but not finalizing)
-    if (consecutiveFailures >= 2) {
-      console.log(`🔧 Detected potential issue. Attempting poke() to force timeout handling...`);
+    if (feed.consecutiveFailures >= POKE_AFTER_FAILURES) {
+      console.log(`${tag}🔧 Detected potential issue. Attempting poke() to force timeout handling...`);
       try {
         // Use first operator's signer for poke()
-        const signer = new ethers.Wallet(KEYS[0], provider);
-        const tx = await oracle.connect(signer).poke(FEED_ID);
-        await tx.wait();
-        console.log(`  ✅ poke() succeeded - oracle state updated`);
-        consecutiveFailures = 0;
-        return;
+        const op = feed.operators[0];
+        const sent = await op.submit(await oracle.poke.populateTransaction(feedId), { label: "poke()" });
+        if (sent.status !== "confirmed") throw new Error(`poke() ${sent.status}: ${sent.reason}`);
+        console.log(`${tag}  ✅ poke() succeeded - oracle state updated`);
+        m.pokes.inc({ feed: feed.desc, result: "ok" });
+        feed.consecutiveFailures = 0;
+        return "poked";
       } catch (err) {
-        console.log(`  ℹ️  poke() returned: ${err.shortMessage || err.message}`);
+        m.pokes.inc({ feed: feed.desc, result: "failed" });
+        console.log(`${tag}  ℹ️  poke() returned: ${describeError(err)}`);
       }
     }
 
-    if (isNewRound) {
-      // Starting a new round - check if it's due
-      const proposed = genPrice(0);
-      const due = await oracle.dueToStart(FEED_ID, proposed);
+    // Price every operator up front; answers outside minPrice/maxPrice are never signed
+    const prices = await priceAll(feed, cfg);
+    if (prices.length === 0) {
+      console.log(`${tag}⚠️  No operator has a valid answer this tick`);
+      return "no-price";
+    }
 
-      if (!due) {
-        console.log("🕒 Not due yet (no open round). Waiting…");
-        return;
+    if (!state.open) {
+      // Only the submission that opens the round is gated, so lead with one that is due
+      const decisions = prices.map((p) => startDecision(p.answer, state.snap, cfg, state.now));
+      const lead = decisions.findIndex((d) => d.start);
+      if (lead === -1) {
+        console.log(`${tag}🕒 Not due yet (no open round): ${decisions[0].reason}. Waiting…`);
+        return "not-due";
       }
-      console.log(`📤 Starting new round ${targetRound} for ${FEED_DESC}`);
+      prices.unshift(...prices.splice(lead, 1));
+      console.log(`${tag}📤 Starting new round ${targetRound} for ${feed.desc}: ${decisions[lead].reason}`);
     } else {
       // Continuing existing open round
-      console.log(`📤 Submitting to open round ${targetRound} for ${FEED_DESC}`);
+      console.log(`${tag}📤 Submitting to open round ${targetRound} for ${feed.desc}`);
     }
 
+    // Shutting down: don't sign anything new
+    if (stopping) return "stopped";
+
     // Prepare domain for EIP-712 (same for all operators) - cache chainId
-    const chainId = (await provider.getNetwork()).chainId;
-    const domain = {
-      name: "Price Loom",
-      version: "1",
-      chainId: chainId,
-      verifyingContract: ORACLE,
-    };
-    const types = {
-      PriceSubmission: [
-        { name: "feedId", type: "bytes32" },
-        { name: "roundId", type: "uint80" },
-        { name: "answer", type: "int256" },
-        { name: "validUntil", type: "uint256" },
-      ],
-    };
+    const domain = await getDomain();
+    feed.joinedRound = targetRound;
+    const budget = submitBudget(TX_POLICY, cfg.timeoutSec); // { timeoutMs, cancelTimeoutMs }
 
-    // Submit operators SEQUENTIALLY to avoid races
     let successful = 0;
-    for (let idx = 0; idx < KEYS.length; idx++) {
+    let settled = false; // others closed or filled the round: nothing landed, but nothing failed
+    if (MODE === "relayer") {
+      // Collect every operator's signature and relay them in one submitSignedBatch
+      const result = await feed.relayer.relay({
+        feedId,
+        minSubs,
+        maxSubs: cfg.maxSubmissions,
+        collect: (round) => signAll(feed, round, domain, prices),
+        ...budget,
+        log: (msg) => console.log(`${tag}${msg}`),
+      });
+      if (result.status === "submitted") {
+        for (const operator of result.operators) m.submissions.inc({ feed: feed.desc, operator, result: "ok", error: "" });
+        const who = result.operators.map(short).join(", ");
+        console.log(`${tag}  📦 Batch of ${result.submitted} (${who}) → round ${result.round}  ✅ ${short(result.hash)} gas=${result.gasUsed}`);
+      } else if (result.status === "full") {
+        console.log(`${tag}  ⏭️  Round ${result.round} already full`);
+      } else if (result.status === "not-due") {
+        console.log(`${tag}  ⏭️  Round ${result.round} not due`);
+      } else if (result.status === "cancelled" || result.status === "timeout") {
+        for (const { op } of prices) m.submissions.inc({ feed: feed.desc, operator: op.address, result: "failed", error: result.status === "timeout" ? "Timeout" : "Cancelled" });
+      } else if (result.status === "gave-up") {
+        console.log(`${tag}  ❌ Could not build a valid batch for round ${result.round}`);
+        for (const { op } of prices) m.submissions.inc({ feed: feed.desc, operator: op.address, result: "failed", error: "BatchGaveUp" });
+      }
+      // A round that is already full or at quorum on-chain is not a failure
+      settled = result.status === "full" || result.onchain >= minSubs;
+      successful = result.submitted;
+    }
+
+    // Submit operators SEQUENTIALLY to avoid races
+    for (const { op, answer } of MODE === "sequential" ? prices : []) {
       // Early exit if quorum reached
       if (successful >= minSubs) {
-        console.log(`  ✅ Quorum (${minSubs}) reached—skipping remaining operators`);
+        console.log(`${tag}  ✅ Quorum (${minSubs}) reached—skipping remaining operators`);
+        break;
+      }
+      if (stopping) {
+        console.log(`${tag}  🛑 Shutting down—skipping remaining operators`);
         break;
       }
-
-      const key = KEYS[idx];
-      const signer = new ethers.Wallet(key, provider);
-      let answer = genPrice(idx);
-      let validUntil = BigInt(Math.floor(Date.now() / 1000) + 60);
 
       // Re-query round before each (adapts if closed mid-loop)
-      const currentTargetRound = await oracle.nextRoundId(FEED_ID);
+      const currentTargetRound = await oracle.nextRoundId(feedId);
       if (currentTargetRound !== targetRound) {
-        console.log(`  ℹ️  Round advanced to ${currentTargetRound} mid-submission—skipping`);
+        console.log(`${tag}  ℹ️  Round advanced to ${currentTargetRound} mid-submission—skipping`);
+        settled = true;
         break;
       }
 
-      const submission = {
-        feedId: FEED_ID,
-        roundId: currentTargetRound,
-        answer,
-        validUntil
-      };
-
-      const signature = await signer.signTypedData(domain, types, submission);
-
-      try {
-        const tx = await oracle.connect(signer).submitSigned(FEED_ID, submission, signature);
-        await tx.wait();
-        console.log(`  ✍️  ${short(signer.address)} → ${answer.toString()}  ✅ ${short(tx.hash)}`);
-        successful++;
-
-        // Delay to let finalize settle if quorum hit
-        await new Promise(r => setTimeout(r, 300));
-      } catch (err) {
-        // Enhanced error parsing
-        let errorData = '';
-        let errCode = 'unknown';
-
-        if (err.data && typeof err.data === 'string' && err.data.startsWith('0x')) {
-          errorData = err.data;
-          const match = err.data.match(/^0x[0-9a-f]{8}/i);
-          if (match) errCode = match[0];
-        } else if (err.error?.data && typeof err.error.data === 'string') {
-          errorData = err.error.data;
-          const match = err.error.data.match(/^0x[0-9a-f]{8}/i);
-          if (match) errCode = match[0];
-        } else if (err.receipt?.logs?.[0]?.data) {
-          errorData = err.receipt.logs[0].data;
-          const match = errorData.match(/0x[0-9a-f]{8}/i);
-          if (match) errCode = match[0];
-        }
-
-        const shortAddr = short(signer.address);
-        const msg = err.shortMessage || err.reason || err.message || '';
-        const shortMsg = msg.length > 50 ? msg.slice(0, 47) + '...' : msg;
-
-        if (errCode === '0x32e1428f' || errorData.includes('0x32e1428f')) { // RoundFull
-          console.log(`  ⏭️  ${shortAddr} skipped (round full)`);
-        } else if (errCode === '0x8daa9e49' || errorData.includes('0x8daa9e49')) { // DuplicateSubmission
-          console.log(`  ⏭️  ${shortAddr} skipped (already submitted)`);
-        } else if (errCode === '0xc3fa7054' || errorData.includes('0xc3fa7054')) { // WrongRound
-          console.log(`  ⏭️  ${shortAddr} skipped (wrong round)`);
-        } else if (errCode === '0x47a2375f' || errorData.includes('0x47a2375f')) { // NotDue
-          console.log(`  ⏭️  ${shortAddr} skipped (not due)`);
-        } else if (errCode === '0xd93c0665' || errorData.includes('0xd93c0665')) { // EnforcedPause
-          console.log(`  ⏸️  ${shortAddr} skipped (oracle paused)`);
-        } else if (errCode === '0x7c214f04' || errorData.includes('0x7c214f04')) { // NotOperator
-          console.log(`  ❌ ${shortAddr} skipped (not an operator)`);
-        } else {
-          console.log(`  ❌ ${shortAddr} failed: ${errCode} (${shortMsg})`);
+      // A "retry" revert (e.g. Expired) gets one fresh signature and another try
+      let outcome = null;
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        const { submission, signature } = await signFor(feed, op, domain, currentTargetRound, answer);
+
+        try {
+          const request = await oracle.submitSigned.populateTransaction(feedId, submission, signature);
+          const sent = await op.submit(request, {
+            label: `${tag}${short(op.address)} round ${currentTargetRound}`,
+            stillUseful: () => obsoleteReason(feedId, submission),
+            ...budget,
+          });
+          if (sent.status === "cancelled") {
+            outcome = { action: "skip", name: "Cancelled", message: `cancelled (${sent.reason})`, settled: sent.reason.startsWith("round advanced") };
+            break;
+          }
+          if (sent.status === "timeout") {
+            outcome = { action: "timeout", name: "Timeout", message: sent.reason };
+            break;
+          }
+          const bumps = sent.replacements ? ` after ${sent.replacements} fee bump(s)` : "";
+          console.log(`${tag}  ✍️  ${short(op.address)} → ${submission.answer.toString()}  ✅ ${short(sent.hash)}${bumps}`);
+          m.submissions.inc({ feed: feed.desc, operator: op.address, result: "ok", error: "" });
+          successful++;
+          outcome = null;
+          break;
+        } catch (err) {
+          outcome = decodeError(err);
+          if (outcome.action !== "retry" || attempt === 2) break;
+          console.log(`${tag}  🔁 ${short(op.address)} ${outcome.message}—retrying`);
         }
       }
+      if (!outcome) continue;
+      m.submissions.inc({ feed: feed.desc, operator: op.address, result: "failed", error: outcome.name || outcome.action });
+
+      const shortAddr = short(op.address);
+      if (outcome.action === "skip") {
+        console.log(`${tag}  ⏭️  ${shortAddr} skipped: ${outcome.message}`);
+        // Lost the race to other submitters, not a failure of ours
+        if (outcome.settled || SETTLED_REVERTS.has(outcome.name)) settled = true;
+      } else if (outcome.action === "backoff") {
+        console.log(`${tag}  ⏸️  ${shortAddr} ${outcome.message}—backing off`);
+        backOff(feed);
+        break;
+      } else if (outcome.action === "poke") {
+        console.log(`${tag}  🔧 ${shortAddr} ${outcome.message}—poking next tick`);
+        feed.consecutiveFailures = POKE_AFTER_FAILURES;
+        break;
+      } else if (outcome.action === "fatal") {
+        if (!halt(feed, op.address, outcome)) console.log(`${tag}  ❌ ${shortAddr} ${outcome.message}`);
+      } else {
+        console.log(`${tag}  ❌ ${shortAddr} failed: ${outcome.message}`);
+      }
     }
 
-    console.log(`  📊 ${successful}/${KEYS.length} operators submitted successfully`);
+    if (MODE === "sequential") {
+      console.log(`${tag}  📊 ${successful}/${feed.operators.length} operators submitted successfully`);
+      // Nothing landed because others finalized the round first
+      if (successful === 0 && !settled && (await oracle.nextRoundId(feedId)) > targetRound) settled = true;
+    }
 
     // Track consecutive failures for recovery logic
-    if (successful === 0) {
-      consecutiveFailures++;
+    if (successful === 0 && !settled) {
+      feed.consecutiveFailures++;
     } else {
-      consecutiveFailures = 0;
+      feed.consecutiveFailures = 0;
+      feed.backoffMs = 0;
     }
 
     // Verify latest data freshness and change
     try {
-      await new Promise(r => setTimeout(r, 1000));
-      const [rid, ans, , updatedAt] = await oracle.latestRoundData(FEED_ID);
-      const now = BigInt(Math.floor(Date.now() / 1000));
-      const age = now - BigInt(updatedAt);
-      const stale = await oracle.isStale(FEED_ID, 0);
-      const changed = lastAnswer === null ? true : (BigInt(ans) !== BigInt(lastAnswer));
-      const freshEmoji = stale ? '⚠️' : '🟢';
-      const changeEmoji = changed ? '🔄' : '⏸️';
-      console.log(`${freshEmoji} latest round=${rid} answer=${ans.toString()} age=${age}s changed=${changeEmoji}`);
-      lastAnswer = BigInt(ans);
+      const round = await latest(oracle, feedId);
+      if (round) {
+        const now = BigInt(Math.floor(Date.now() / 1000));
+        const age = now - round.updatedAt;
+        const stale = await oracle.isStale(feedId, 0);
+        const changed = feed.lastAnswer === null ? true : round.answer !== BigInt(feed.lastAnswer);
+        const freshEmoji = stale ? '⚠️' : '🟢';
+        const changeEmoji = changed ? '🔄' : '⏸️';
+        console.log(`${tag}${freshEmoji} latest round=${round.roundId} answer=${round.answer.toString()} age=${age}s changed=${changeEmoji}`);
+        feed.lastAnswer = round.answer;
+        feed.lastRoundId = round.roundId;
+        feed.lastUpdatedAt = Number(round.updatedAt);
+      } else {
+        console.log(`${tag}ℹ️  No finalized round yet`);
+      }
     } catch (e) {
-      console.warn("ℹ️  Could not read latestRoundData yet:", e.message || e);
+      console.warn(`${tag}ℹ️  Could not read latestRoundData yet: ${describeError(e)}`);
     }
+    return successful > 0 ? "submitted" : settled ? "settled" : "failed";
   } catch (error) {
-    console.error("❌ Tick failed:", error.shortMessage || error.message);
+    const e = decodeError(error);
+    if (e.action === "backoff") backOff(feed);
+    console.error(`${tag}❌ Tick failed: ${e.message}`);
+    if (e.action === "fatal" && halt(feed, null, e)) return "halted";
+    return "failed";
   }
 }
 
-console.log(`🚀 Operator bot starting`);
-console.log(`   rpc=${RPC} oracle=${short(ORACLE)} feed=${FEED_DESC} (${FEED_ID}) ops=${NUM_OPS} interval=${INTERVAL}ms`);
+// tick() plus its outcome, latency and the counters behind /healthz.
+// Feed state is saved after every tick so a restart picks up where it left off.
+async function runTick(feed) {
+  const started = Date.now();
+  const outcome = await tick(feed);
+  const labels = { feed: feed.desc };
+  feed.failedTicks = outcome === "failed" ? feed.failedTicks + 1 : 0;
+  feed.lastTickAt = Date.now();
+  m.ticks.inc({ ...labels, outcome });
+  m.tickSeconds.observe(labels, (feed.lastTickAt - started) / 1000);
+  m.consecutiveFailures.set(labels, feed.consecutiveFailures);
+  m.failedTicks.set(labels, feed.failedTicks);
+  if (feed.lastRoundId !== null) m.latestRound.set(labels, feed.lastRoundId);
+  await saveState().catch((err) => console.warn(`${feed.tag}⚠️  Could not save bot state: ${err.message}`));
+}
+
+// Fields of a feed that survive restarts (BigInts as strings)
+const PERSISTED = ["lastAnswer", "lastRoundId", "lastUpdatedAt", "consecutiveFailures", "backoffMs", "backoffUntil", "joinedRound"];
+const BIGINT_FIELDS = new Set(["lastAnswer", "lastRoundId", "joinedRound"]);
+
+function restoreFeed(feed, saved) {
+  if (!saved) return;
+  for (const key of PERSISTED) {
+    if (saved[key] === undefined || saved[key] === null) continue;
+    feed[key] = BIGINT_FIELDS.has(key) ? BigInt(saved[key]) : saved[key];
+  }
+  console.log(`${feed.tag}   ♻️  Restored state: round=${feed.lastRoundId} answer=${feed.lastAnswer} failures=${feed.consecutiveFailures}`);
+}
 
-// Read feed config from oracle to get decimals
-// Config tuple: [decimals, minSubs, maxSubs, trim, heartbeat, deviation, timeout, minPrice, maxPrice, description]
-const cfg = await oracle.getConfig(FEED_ID);
-decimals = Number(cfg[0]); // decimals is the first field
+async function saveState() {
+  const state = {};
+  for (const feed of active) {
+    state[feed.feedId] = Object.fromEntries(PERSISTED.map((key) => [key, BIGINT_FIELDS.has(key) && feed[key] !== null ? feed[key].toString() : feed[key]]));
+  }
+  await saveFeedState(STATE_FILE, state);
+}
 
-// Calculate base price scaled to the feed's decimals
-// For AR/byte (1.5e-9) with 18 decimals: 1.5e-9 * 1e18 = 1.5e9
-// For AR/USD (6) with 8 decimals: 6 * 1e8 = 6e8
-const scaledPrice = PRICE_BASE * Math.pow(10, decimals);
-base = BigInt(Math.floor(scaledPrice));
+// Sign through the operator's journal (see bot-state.mjs). An operator that already
+// signed this round signs the same answer again rather than a new price.
+async function signFor(feed, op, domain, roundId, proposed) {
+  const journal = journals.get(op.address.toLowerCase());
+  const signed = journal.answerFor(feed.feedId, roundId);
+  if (signed !== null && signed !== proposed) {
+    console.log(`${feed.tag}  🛡️  ${short(op.address)} already signed ${signed} for round ${roundId}—keeping it`);
+  }
+  return journal.sign(op.wallet, domain, { feedId: feed.feedId, roundId, answer: signed ?? proposed });
+}
 
-console.log(`   📊 Feed: ${cfg[9]} (decimals=${decimals})`);
-console.log(`   💰 Base price: ${PRICE_BASE} → ${base} (scaled to ${decimals} decimals)`);
+let stopping = false; // set on SIGTERM / SIGINT
+let rpcDown = false; // set by the RPC supervisor
+let metricsServer = null;
+
+// Ticks for one feed never overlap: wake-ups during a tick collapse into one more
+// tick right after it. "interval" is the fallback timer and is not logged.
+// Nothing starts while shutting down or while the RPC is down.
+async function wake(feed, reason) {
+  if (stopping || rpcDown) return;
+  if (feed.running) {
+    feed.rerun ??= reason;
+    return;
+  }
+  feed.running = true;
+  try {
+    for (let next = reason; next; next = feed.rerun) {
+      feed.rerun = null;
+      if (next !== "interval") console.log(`${feed.tag}⚡ ${next}`);
+      await runTick(feed);
+      scheduleHeartbeat(feed);
+    }
+  } finally {
+    feed.running = false;
+  }
+}
 
-// Initialize operators before starting
-await initOperators(oracle, FEED_ID);
+// Wake up when the heartbeat makes the next round due. One second late, so the
+// block that includes the submission is past the deadline.
+function scheduleHeartbeat(feed) {
+  clearTimeout(feed.heartbeatTimer);
+  if (!EVENTS || !feed.gating) return;
+  const { snap, cfg, now } = feed.gating;
+  const dueIn = heartbeatDueIn(snap, cfg, now);
+  // Due now: the tick that just ran opened the round or found one open
+  if (dueIn === null || dueIn === 0n) return;
+  feed.heartbeatTimer = setTimeout(() => wake(feed, `heartbeat due (${cfg.heartbeatSec}s)`), Number(dueIn) * 1000 + 1000);
+}
 
-await tick();
-setInterval(tick, INTERVAL);
+// Re-read the latest answer after a round finalizes so the heartbeat timer and
+// deviation checks use it
+async function refreshGating(feed) {
+  try {
+    feed.gating = await readGatingState(oracle, feed.feedId);
+    if (!feed.gating.open) feed.openRound = null;
+    if (!feed.running) scheduleHeartbeat(feed);
+  } catch (err) {
+    console.warn(`${feed.tag}ℹ️  Could not refresh round state: ${describeError(err)}`);
+  }
+}
+
+function onRoundEvent(feed, e) {
+  if (e.event === "RoundStarted") {
+    feed.openRound = { roundId: e.roundId, startedAt: e.startedAt };
+    if (feed.joinedRound === e.roundId) return;
+    wake(feed, `round ${e.roundId} started (block ${e.block})—joining`);
+  } else {
+    if (feed.openRound?.roundId === e.roundId) feed.openRound = null;
+    refreshGating(feed);
+  }
+}
+
+// Between rounds, price one operator every PRICE_SAMPLE_MS and wake up as soon as
+// the sample moves past deviationBps. A failing feed is left to the interval tick.
+async function samplePrice(feed) {
+  if (stopping || feed.halted || feed.running || feed.openRound || !feed.gating || feed.failedTicks > 0) return;
+  const op = feed.operators[0];
+  let answer;
+  try {
+    answer = await genPrice(feed, 0, op.address);
+  } catch {
+    return; // the next tick reports source failures
+  }
+  const { snap, cfg } = feed.gating;
+  if (exceedsDeviation(answer, snap, cfg)) {
+    wake(feed, `price sample ${answer} deviates from ${snap.answer} by ≥ ${cfg.deviationBps} bps`);
+  }
+}
+
+// eth_blockNumber within 3s (bypasses ethers' block number cache)
+async function probeRpc() {
+  try {
+    await Promise.race([
+      provider.send("eth_blockNumber", []),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 3000)),
+    ]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Why a pending submission is no longer worth mining (tx manager cancels it), or null
+async function obsoleteReason(feedId, submission) {
+  const round = await oracle.nextRoundId(feedId);
+  if (round !== submission.roundId) return `round advanced to ${round}`;
+  const now = BigInt((await provider.getBlock("latest")).timestamp);
+  if (now > submission.validUntil) return "validUntil passed"; // the oracle accepts validUntil == block.timestamp
+  return null;
+}
+
+let domainPromise = null;
+function getDomain() {
+  domainPromise ??= provider.getNetwork().then((net) => priceLoomDomain(net.chainId, ORACLE));
+  return domainPromise;
+}
+
+// One answer per operator for this tick, minus the ones the oracle would reject
+async function priceAll(feed, cfg) {
+  const prices = [];
+  for (let idx = 0; idx < feed.operators.length; idx++) {
+    const op = feed.operators[idx];
+    if (feed.haltedOps.has(op.address.toLowerCase())) continue;
+    let answer;
+    try {
+      answer = await genPrice(feed, idx, op.address);
+    } catch (err) {
+      console.log(`${feed.tag}  ❌ ${short(op.address)} has no price: ${err.message}`);
+      continue;
+    }
+    const check = checkAnswer(answer, cfg);
+    if (!check.ok) {
+      console.log(`${feed.tag}  🚫 ${short(op.address)} not signing: ${check.reason}`);
+      continue;
+    }
+    prices.push({ op, answer });
+  }
+  return prices;
+}
+
+// Relayer mode: every priced operator signs `round` off-chain; nothing is sent here.
+// Order is kept, so the batch's first item (the one the oracle gates) is a due answer.
+async function signAll(feed, round, domain, prices) {
+  const items = [];
+  for (const { op, answer } of prices) {
+    const { submission, signature } = await signFor(feed, op, domain, round, answer);
+    console.log(`${feed.tag}  ✍️  ${short(op.address)} → ${submission.answer.toString()} (signed)`);
+    items.push({ submission, signature, operator: op.address });
+  }
+  return items;
+}
+
+// Read on-chain config, scale the price base and pick operators for one feed.
+// Returns false if the feed can't be served (e.g. not created on this oracle).
+async function setupFeed(feed) {
+  const info = await getFeed(oracle, feed.feedId);
+  if (!info) {
+    feed.missing = true;
+    return false;
+  }
+  feed.decimals = info.decimals;
+
+  // Calculate base price scaled to the feed's decimals (exact BigInt math, no floats)
+  // For AR/byte (1.5e-9) with 18 decimals: 1.5e-9 * 1e18 = 1.5e9
+  // For AR/USD (6) with 8 decimals: 6 * 1e8 = 6e8
+  feed.base = parseAnswer(feed.priceBase, feed.decimals);
+
+  console.log(`${feed.tag}   📊 Feed: ${info.description} (decimals=${feed.decimals}, interval=${feed.intervalMs}ms)`);
+  if (feed.sourcesFile) {
+    feed.priceSources = await loadPriceSources(feed.sourcesFile);
+    console.log(`${feed.tag}   💰 Price sources: ${feed.sourcesFile} (${feed.priceSources.describe()})`);
+  } else {
+    console.log(`${feed.tag}   💰 Base price: ${feed.priceBase} → ${feed.base} (scaled to ${feed.decimals} decimals, random ±1% drift)`);
+  }
+
+  await initOperators(feed, info.operators);
+
+  if (MODE === "relayer") {
+    const relayerEntry = relayerSigners
+      ? (signers.get(relayerSigners.all()[0].address) || relayerSigners.all()[0])
+      : RELAYER_ADDRESS ? signers.get(RELAYER_ADDRESS) : feed.operators[0];
+    feed.relayer = createBatchRelayer({
+      provider,
+      oracleAddress: ORACLE,
+      relayer: relayerEntry,
+      domain: await getDomain(),
+      target: BATCH_TARGET,
+    });
+    console.log(`${feed.tag}   📦 Relayer: ${short(relayerEntry.address)} (batch target=${BATCH_TARGET})`);
+  }
+  return true;
+}
+
+let feeds;
+if (FEEDS_FILE) {
+  // Per-feed "bot" settings in the feeds file override the CLI/env defaults
+  feeds = (await loadFeeds(FEEDS_FILE)).map((f) => createFeed({
+    desc: f.desc,
+    feedId: f.feedId,
+    intervalMs: Number(f.bot.intervalMs ?? INTERVAL),
+    priceBase: String(f.bot.priceBase ?? PRICE_BASE),
+    sourcesFile: f.bot.sources ?? SOURCES_FILE,
+  }));
+  for (const feed of feeds) feed.tag = `[${feed.desc}] `;
+} else {
+  feeds = [createFeed({ desc: FEED_DESC, feedId: FEED_ID, intervalMs: INTERVAL, priceBase: PRICE_BASE, sourcesFile: SOURCES_FILE })];
+}
+
+console.log(`🚀 Operator bot starting`);
+if (FEEDS_FILE) {
+  console.log(`   rpc=${rpc.urls.map(hostOf).join(",")} oracle=${short(ORACLE)} feeds=${FEEDS_FILE} (${feeds.length}) signers=${signers.size} mode=${MODE}`);
+} else {
+  console.log(`   rpc=${rpc.urls.map(hostOf).join(",")} oracle=${short(ORACLE)} feed=${FEED_DESC} (${FEED_ID}) ops=${NUM_OPS} interval=${INTERVAL}ms mode=${MODE}`);
+}
+console.log(`   keys=${keys.backend} (${signers.size} account(s)) chainId=${chainId}`);
+if (rpc.urls.length > 1) {
+  console.log(`   rpc endpoints: ${rpc.status().map((e) => `${e.host} (${e.state})`).join(", ")}; quorum ${rpc.quorum}, max lag ${RPC_MAX_LAG} block(s)`);
+}
+console.log(`   wake-ups: ${!EVENTS ? "interval only" : `round events via ${WS_URL ? `WebSocket ${hostOf(WS_URL)}` : `block polling every ${EVENT_POLL_MS}ms`}, heartbeat timer, price samples every ${PRICE_SAMPLE_MS}ms (price sources only)`}`);
+console.log(`   fees: maxFee=${TX_POLICY.maxFeeGwei} gwei tip=${TX_POLICY.maxPriorityFeeGwei} gwei, bump ${TX_POLICY.bumpPercent}% after ${TX_POLICY.bumpBlocks} block(s), timeout=${TX_POLICY.timeoutMs}ms`);
+
+// Initialize every feed before starting; in multi-feed mode a broken feed is
+// skipped rather than taking the others down with it. A feed missing from the oracle
+// (wrong oracle, or not created yet) fails startup unless --allowMissingFeeds.
+const active = [];
+for (const feed of feeds) {
+  try {
+    if (await setupFeed(feed)) active.push(feed);
+  } catch (err) {
+    if (!FEEDS_FILE) throw err;
+    console.error(`${feed.tag}❌ Setup failed, feed disabled: ${err.shortMessage || err.message}`);
+  }
+}
+const missing = feeds.filter((f) => f.missing);
+if (missing.length > 0 && !ALLOW_MISSING_FEEDS) {
+  console.error("❌ Startup checks failed:");
+  for (const f of missing) console.error(`   - NoFeed: ${f.desc} (${short(f.feedId)}) does not exist on oracle ${short(ORACLE)}`);
+  console.error("   Create the feed(s) (scripts/admin/reconcile-feeds.mjs) or pass --allowMissingFeeds to skip them.");
+  process.exit(1);
+}
+for (const f of missing) console.warn(`${f.tag}⚠️  NoFeed: ${f.desc} (${f.feedId}) does not exist on this oracle. Skipping (--allowMissingFeeds).`);
+if (active.length === 0) {
+  console.error("❌ No feeds to serve.");
+  process.exit(1);
+}
+
+// One process per key: lock every account this bot will use, then open the
+// operators' signing journals and restore feed state
+const STATE_FILE = feedStateFile(STATE_DIR, chainId, ORACLE);
+const journals = new Map();
+try {
+  const accounts = new Map();
+  for (const feed of active) {
+    for (const op of feed.operators) accounts.set(op.address.toLowerCase(), op.address);
+    if (feed.relayer) accounts.set(feed.relayer.address.toLowerCase(), feed.relayer.address);
+  }
+  for (const address of accounts.values()) await lockKey(STATE_DIR, address);
+  for (const feed of active) {
+    for (const op of feed.operators) {
+      const key = op.address.toLowerCase();
+      if (!journals.has(key)) journals.set(key, await openSignJournal(STATE_DIR, op.address, { chainId, oracle: ORACLE, validForSec: VALID_FOR }));
+    }
+  }
+  console.log(`🔒 Locked ${accounts.size} account(s); signing journal in ${STATE_DIR}/journal (validUntil = now + ${VALID_FOR}s)`);
+  const saved = await loadFeedState(STATE_FILE);
+  for (const feed of active) restoreFeed(feed, saved[feed.feedId]);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+if (METRICS_PORT) {
+  // Refreshed on every scrape rather than every tick
+  metrics.onCollect(async () => {
+    m.rpcUp.set({}, (await probeRpc()) ? 1 : 0);
+    for (const e of rpc.status()) m.rpcEndpointUp.set({ rpc: e.host }, e.state === "up" ? 1 : 0);
+    const now = Math.floor(Date.now() / 1000);
+    for (const feed of active) {
+      if (feed.lastUpdatedAt !== null) m.answerAge.set({ feed: feed.desc }, now - feed.lastUpdatedAt);
+    }
+    const accounts = new Map();
+    for (const feed of active) {
+      for (const op of feed.operators) accounts.set(op.address, op);
+      if (feed.relayer) accounts.set(feed.relayer.address, feed.relayer);
+    }
+    for (const address of accounts.keys()) {
+      m.balance.set({ operator: address }, ethers.formatEther(await provider.getBalance(address)));
+    }
+  });
+
+  metricsServer = startMetricsServer({
+    host: METRICS_HOST,
+    port: Number(METRICS_PORT),
+    metrics,
+    health: async () => {
+      const reasons = [];
+      if (!(await probeRpc())) reasons.push(`RPC ${rpc.urls.map(hostOf).join(", ")} unreachable`);
+      const healthy = rpc.status().filter((e) => e.state === "up").length;
+      if (healthy < rpc.quorum) reasons.push(`${healthy} healthy RPC endpoint(s), quorum is ${rpc.quorum}`);
+      for (const feed of active) {
+        if (feed.halted) reasons.push(`${feed.desc}: halted (${feed.halted})`);
+        for (const [operator, why] of feed.haltedOps) reasons.push(`${feed.desc}: ${short(operator)} halted (${why})`);
+        if (feed.failedTicks >= HEALTH_FAILED_TICKS) {
+          reasons.push(`${feed.desc}: ${feed.failedTicks} failed ticks in a row`);
+        }
+        // A tick that never returns (hung RPC call) shows up as a silent feed
+        const silentMs = Date.now() - feed.lastTickAt;
+        if (feed.lastTickAt && silentMs > Math.max(3 * feed.intervalMs, 60000)) {
+          reasons.push(`${feed.desc}: no tick for ${Math.round(silentMs / 1000)}s`);
+        }
+      }
+      const feedsDetail = active.map((f) => ({
+        feed: f.desc,
+        failedTicks: f.failedTicks,
+        consecutiveFailures: f.consecutiveFailures,
+        lastTickAt: f.lastTickAt ? new Date(f.lastTickAt).toISOString() : null,
+      }));
+      return { ok: reasons.length === 0, reasons, feeds: feedsDetail };
+    },
+  });
+}
+
+let watcher = null;
+if (EVENTS) {
+  const byId = new Map(active.map((f) => [f.feedId.toLowerCase(), f]));
+  watcher = watchRoundEvents({
+    provider,
+    wsUrl: WS_URL,
+    oracleAddress: ORACLE,
+    feedIds: [...byId.keys()],
+    pollMs: EVENT_POLL_MS,
+    onEvent: (e) => onRoundEvent(byId.get(e.feedId), e),
+    // Events were missed while the socket was down: re-read every feed
+    onReconnect: () => active.forEach((feed) => wake(feed, "event stream reconnected")),
+  });
+  console.log(`👂 Watching RoundStarted/RoundFinalized (${watcher.mode})`);
+}
+
+// Pause ticks while no RPC is usable (down, lagging or suddenly on another chain);
+// each endpoint's ups and downs are logged by the pool
+const rpcSupervisor = superviseRpc({
+  probe: async () => (await rpc.probe()).some((e) => e.state === "up"),
+  onDown: () => {
+    rpcDown = true;
+    console.log(`📡 No healthy RPC endpoint; ticks paused, retrying with backoff`);
+  },
+  onUp: (downMs) => {
+    rpcDown = false;
+    console.log(`📡 RPC back after ${Math.round(downMs / 1000)}s; resuming`);
+    for (const feed of active) wake(feed, "RPC reconnected");
+  },
+});
+
+const timers = [];
+onShutdown({
+  timeoutMs: SHUTDOWN_TIMEOUT_MS,
+  stop: () => {
+    stopping = true;
+    for (const t of timers) clearInterval(t);
+    for (const feed of active) clearTimeout(feed.heartbeatTimer);
+    watcher?.stop();
+    rpcSupervisor.stop();
+    metricsServer?.close();
+  },
+  inFlight: () => active.filter((feed) => feed.running).map((feed) => feed.desc),
+  finish: saveState,
+});
+
+// Each feed runs on its own timers; the interval tick is the fallback
+for (const feed of active) {
+  await wake(feed, "interval");
+  timers.push(setInterval(() => wake(feed, "interval"), feed.intervalMs));
+  if (EVENTS && feed.priceSources && PRICE_SAMPLE_MS > 0) {
+    timers.push(setInterval(() => samplePrice(feed), PRICE_SAMPLE_MS));
+  }
+}
@@ -0,0 +1,255 @@
+// Price source layer for the operator bot (ethers-free, plain Node)
+//
+// A sources file describes where each operator reads its price from:
+//
+//   {
+//     "maxDeviationBps": 200,          // drop samples further than 2% from the median
+//     "minSources": 2,                 // need at least 2 surviving samples to answer
+//     "sources": [                     // default set, used by every operator
+//       { "type": "http", "url": "https://api.example.com/ar", "path": "data.price" },
+//       { "type": "command", "cmd": "./fetch-ar.sh" },
+//       { "type": "file", "path": "/var/lib/prices/ar.json", "jsonPath": "usd" }
+//     ],
+//     "operators": {                   // optional per-operator override (by address)
+//       "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266": [{ "type": "fixed", "value": "6.02" }]
+//     }
+//   }
+//
+// Every source yields a decimal string which is scaled to the feed's decimals with
+// exact BigInt math, so "1.5e-9" at 18 decimals is exactly 1500000000n.
+
+import { readFile } from "node:fs/promises";
+import { exec } from "node:child_process";
+import { promisify } from "node:util";
+import path from "node:path";
+import { parseAnswer } from "../sdk/decimals.mjs";
+
+const execAsync = promisify(exec);
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_TTL_MS = 1000;
+
+// Resolve "data.price", "result.XARUSD.c[0]" or "[1].last" against a parsed JSON value.
+export function pickPath(obj, jsonPath) {
+  if (!jsonPath) return obj;
+  return jsonPath
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean)
+    .reduce((o, key) => (o == null ? undefined : o[key]), obj);
+}
+
+// Turn raw source output (JSON document or bare number) into a decimal string.
+function extractValue(raw, jsonPath, label) {
+  let value = raw;
+  if (typeof raw === "string") {
+    const text = raw.trim();
+    try {
+      value = JSON.parse(text);
+    } catch {
+      if (jsonPath) throw new Error(`${label}: output is not JSON, cannot apply path "${jsonPath}"`);
+      value = text;
+    }
+  }
+  value = pickPath(value, jsonPath);
+  if (typeof value !== "number" && typeof value !== "string") {
+    throw new Error(`${label}: no numeric value${jsonPath ? ` at "${jsonPath}"` : ""}`);
+  }
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new Error(`${label}: non-finite value ${value}`);
+  }
+  return String(value);
+}
+
+// Median over BigInts; even counts use the oracle's round-half-up average so a
+// local aggregate matches what `_finalizeRound` would produce for the same set.
+export function medianOf(values) {
+  if (values.length === 0) throw new Error("median of empty set");
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const mid = sorted.length >> 1;
+  if (sorted.length % 2 === 1) return sorted[mid];
+  return avgRoundHalfUpSigned(sorted[mid - 1], sorted[mid]);
+}
+
+// Mirrors PriceLoomMath.avgRoundHalfUpSigned
+function avgRoundHalfUpSigned(a, b) {
+  if (a >= 0n && b >= 0n) return (a + b + 1n) / 2n;
+  if (a <= 0n && b <= 0n) return -((-a - b + 1n) / 2n);
+  return (a + b) / 2n; // mixed signs: BigInt division truncates toward zero
+}
+
+const abs = (x) => (x < 0n ? -x : x);
+
+// Drop samples deviating more than `maxDeviationBps` from the median, then take the
+// median of what is left. A zero median only accepts exact zeros.
+export function aggregate(samples, { maxDeviationBps = 0, minSources = 1 } = {}) {
+  if (samples.length < minSources) {
+    throw new Error(`only ${samples.length}/${minSources} sources answered`);
+  }
+  const center = medianOf(samples);
+  const kept = maxDeviationBps > 0
+    ? samples.filter((v) => abs(v - center) * 10000n <= BigInt(maxDeviationBps) * abs(center))
+    : samples;
+  const rejected = samples.filter((v) => !kept.includes(v));
+  if (kept.length < minSources) {
+    throw new Error(`only ${kept.length}/${minSources} sources within ${maxDeviationBps}bps of median ${center}`);
+  }
+  return { answer: medianOf(kept), used: kept, rejected };
+}
+
+function describe(spec) {
+  switch (spec.type) {
+    case "http": return `http:${spec.url}`;
+    case "file": return `file:${spec.path}`;
+    case "command": return `command:${spec.cmd}`;
+    case "fixed": return `fixed:${spec.value}`;
+    case "replay": return `replay:${spec.file || `${spec.values.length} values`}`;
+    default: return spec.type;
+  }
+}
+
+// Build a reader for a single source spec. Readers return decimal strings and cache
+// their last value for `ttlMs` so operators sharing a source see the same sample
+// within one tick (and a replay source advances once per tick, not per operator).
+export function createSource(spec, { baseDir = process.cwd() } = {}) {
+  const label = spec.name || describe(spec);
+  const timeoutMs = spec.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  let read;
+
+  switch (spec.type) {
+    case "http": {
+      if (!spec.url) throw new Error(`${label}: missing "url"`);
+      read = async () => {
+        const res = await fetch(spec.url, {
+          headers: { accept: "application/json", ...(spec.headers || {}) },
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!res.ok) throw new Error(`${label}: HTTP ${res.status}`);
+        return extractValue(await res.text(), spec.path, label);
+      };
+      break;
+    }
+    case "file": {
+      if (!spec.path) throw new Error(`${label}: missing "path"`);
+      const file = path.resolve(baseDir, spec.path);
+      read = async () => extractValue(await readFile(file, "utf8"), spec.jsonPath, label);
+      break;
+    }
+    case "command": {
+      if (!spec.cmd) throw new Error(`${label}: missing "cmd"`);
+      read = async () => {
+        const { stdout } = await execAsync(spec.cmd, { cwd: baseDir, timeout: timeoutMs });
+        return extractValue(stdout, spec.jsonPath, label);
+      };
+      break;
+    }
+    case "fixed": {
+      if (spec.value === undefined) throw new Error(`${label}: missing "value"`);
+      const value = String(spec.value);
+      read = async () => value;
+      break;
+    }
+    case "replay": {
+      // Values inline or one-per-line in a file; loops unless `loop: false`.
+      let values = spec.values;
+      let idx = 0;
+      read = async () => {
+        if (!values) {
+          if (!spec.file) throw new Error(`${label}: needs "values" or "file"`);
+          const text = await readFile(path.resolve(baseDir, spec.file), "utf8");
+          values = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+        }
+        if (values.length === 0) throw new Error(`${label}: nothing to replay`);
+        if (idx >= values.length) {
+          if (spec.loop === false) throw new Error(`${label}: replay exhausted`);
+          idx = 0;
+        }
+        return String(values[idx++]);
+      };
+      break;
+    }
+    default:
+      throw new Error(`Unknown price source type "${spec.type}"`);
+  }
+
+  const ttlMs = spec.ttlMs ?? DEFAULT_TTL_MS;
+  let cached = null;
+  return {
+    label,
+    async read() {
+      const now = Date.now();
+      if (cached && now - cached.at < ttlMs) return cached.value;
+      const value = await read();
+      cached = { at: now, value };
+      return value;
+    },
+  };
+}
+
+// Load a sources config (see header) and return a price provider with
+// `priceFor(operatorAddress, decimals)`.
+export async function loadPriceSources(file) {
+  const config = JSON.parse(await readFile(file, "utf8"));
+  return createPriceSources(config, { baseDir: path.dirname(path.resolve(file)) });
+}
+
+export function createPriceSources(config, { baseDir } = {}) {
+  const opts = {
+    maxDeviationBps: Number(config.maxDeviationBps ?? 0),
+    minSources: Number(config.minSources ?? 1),
+  };
+
+  // Identical specs share one reader (and therefore one cache / replay cursor).
+  const readers = new Map();
+  const readerFor = (spec) => {
+    const key = JSON.stringify(spec);
+    if (!readers.has(key)) readers.set(key, createSource(spec, { baseDir }));
+    return readers.get(key);
+  };
+
+  const toSet = (specs, owner) => {
+    if (!Array.isArray(specs) || specs.length === 0) {
+      throw new Error(`Price sources for ${owner} must be a non-empty array`);
+    }
+    return specs.map(readerFor);
+  };
+
+  const defaults = config.sources ? toSet(config.sources, "default set") : null;
+  const perOperator = new Map(
+    Object.entries(config.operators || {}).map(([addr, specs]) => [addr.toLowerCase(), toSet(specs, addr)])
+  );
+
+  return {
+    describe() {
+      const all = [...readers.values()].map((r) => r.label);
+      return `${all.length} source(s), ${perOperator.size} operator override(s), minSources=${opts.minSources} maxDeviationBps=${opts.maxDeviationBps}`;
+    },
+
+    async priceFor(operator, decimals) {
+      const set = perOperator.get(String(operator).toLowerCase()) || defaults;
+      if (!set) throw new Error(`No price sources configured for operator ${operator}`);
+
+      const results = await Promise.allSettled(set.map((r) => r.read()));
+      const samples = [];
+      const errors = [];
+      results.forEach((res, i) => {
+        if (res.status === "rejected") {
+          errors.push(`${set[i].label}: ${res.reason?.message || res.reason}`);
+          return;
+        }
+        try {
+          samples.push(parseAnswer(res.value, decimals));
+        } catch (e) {
+          errors.push(`${set[i].label}: ${e.message}`);
+        }
+      });
+
+      try {
+        return { ...aggregate(samples, opts), errors };
+      } catch (e) {
+        const detail = errors.length ? ` (${errors.join("; ")})` : "";
+        throw new Error(`${e.message}${detail}`);
+      }
+    },
+  };
+}
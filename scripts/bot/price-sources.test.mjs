@@ -0,0 +1,157 @@
+// Unit tests for price-sources.mjs (local files, commands and a stub HTTP server; no chain needed)
+// Run: node --test scripts/bot/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { aggregate, createPriceSources, createSource, medianOf, pickPath } from "./price-sources.mjs";
+
+const OP_A = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const OP_B = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const fixed = (value) => ({ type: "fixed", value });
+
+async function withDir(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "price-sources-"));
+  try {
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Serves `routes[url]` as { status, body }; unknown paths are 404
+async function withServer(routes, fn) {
+  const server = createServer((req, res) => {
+    const route = routes[req.url] ?? { status: 404, body: "not found" };
+    res.writeHead(route.status ?? 200, { "content-type": "application/json" });
+    res.end(route.body);
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+test("paths reach into objects and arrays", () => {
+  const doc = { data: { price: "6.1" }, result: { XARUSD: { c: ["6.2", "10"] } }, list: [{ last: 6.3 }] };
+  assert.equal(pickPath(doc, "data.price"), "6.1");
+  assert.equal(pickPath(doc, "result.XARUSD.c[0]"), "6.2");
+  assert.equal(pickPath(doc.list, "[0].last"), 6.3);
+  assert.equal(pickPath(doc, "data.missing.deeper"), undefined);
+  assert.equal(pickPath(doc, undefined), doc);
+});
+
+test("medians match the oracle's round-half-up average", () => {
+  assert.equal(medianOf([3n, 1n, 2n]), 2n);
+  assert.equal(medianOf([1n, 2n]), 2n); // 1.5 rounds up
+  assert.equal(medianOf([-1n, -2n]), -2n); // -1.5 rounds away from zero
+  assert.equal(medianOf([-3n, 4n]), 0n); // mixed signs truncate toward zero
+  assert.throws(() => medianOf([]), /empty/);
+});
+
+test("outliers beyond maxDeviationBps of the median are dropped", () => {
+  const samples = [100n, 102n, 98n, 100n, 150n];
+  const { answer, used, rejected } = aggregate(samples, { maxDeviationBps: 200 });
+  assert.deepEqual(rejected, [150n]);
+  assert.deepEqual(used, [100n, 102n, 98n, 100n]);
+  assert.equal(answer, 100n);
+  // Exactly at the threshold is kept: median 100, 102 is 200 bps away
+  assert.deepEqual(aggregate([100n, 102n, 100n], { maxDeviationBps: 200 }).rejected, []);
+  // A zero median only keeps exact zeros
+  assert.deepEqual(aggregate([0n, 0n, 1n], { maxDeviationBps: 10000 }).rejected, [1n]);
+  // Without a limit nothing is dropped
+  assert.deepEqual(aggregate(samples).rejected, []);
+});
+
+test("too few samples, before or after filtering, is an error", () => {
+  assert.throws(() => aggregate([100n], { minSources: 2 }), /only 1\/2 sources answered/);
+  assert.throws(() => aggregate([100n, 200n], { maxDeviationBps: 100, minSources: 2 }), /only 0\/2 sources within 100bps/);
+});
+
+test("answers are scaled to the feed's decimals exactly", async () => {
+  const sources = createPriceSources({ sources: [fixed("1.5e-9")] });
+  assert.equal((await sources.priceFor(OP_A, 18)).answer, 1500000000n);
+  assert.equal((await sources.priceFor(OP_A, 8)).answer, 0n); // 0.15 of a unit rounds down
+  const usd = createPriceSources({ sources: [fixed("6.015")] });
+  assert.equal((await usd.priceFor(OP_A, 2)).answer, 602n); // half away from zero
+});
+
+test("operators can override the default set", async () => {
+  const sources = createPriceSources({
+    sources: [fixed("6")],
+    operators: { [OP_B.toLowerCase()]: [fixed("7")] },
+  });
+  assert.equal((await sources.priceFor(OP_A, 0)).answer, 6n);
+  assert.equal((await sources.priceFor(OP_B, 0)).answer, 7n);
+  const noDefault = createPriceSources({ operators: { [OP_B]: [fixed("7")] } });
+  await assert.rejects(noDefault.priceFor(OP_A, 0), /No price sources configured/);
+  assert.throws(() => createPriceSources({ sources: [] }), /non-empty array/);
+});
+
+test("a failing source is reported and the others still answer", async () => {
+  const sources = createPriceSources({
+    minSources: 2,
+    sources: [fixed("6"), fixed("6.2"), fixed("not a price"), { type: "replay", values: [], name: "empty" }],
+  });
+  const { answer, errors } = await sources.priceFor(OP_A, 1);
+  assert.equal(answer, 61n);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /fixed:not a price: Not a decimal number/);
+  assert.match(errors[1], /empty: nothing to replay/);
+});
+
+test("when too few sources answer, the error carries every source failure", async () => {
+  const sources = createPriceSources({ minSources: 2, sources: [fixed("6"), fixed("1e999")] });
+  await assert.rejects(sources.priceFor(OP_A, 8), /only 1\/2 sources answered \(fixed:1e999: Exponent out of range/);
+});
+
+test("readers are shared and cached for ttlMs, so a replay advances once per tick", async () => {
+  const replay = { type: "replay", values: ["1", "2", "3"], ttlMs: 60000 };
+  const sources = createPriceSources({ sources: [replay], operators: { [OP_B]: [replay] } });
+  assert.equal((await sources.priceFor(OP_A, 0)).answer, 1n);
+  assert.equal((await sources.priceFor(OP_B, 0)).answer, 1n); // same reader, still cached
+  assert.match(sources.describe(), /^1 source\(s\), 1 operator override\(s\)/);
+
+  const uncached = createSource({ ...replay, ttlMs: 0, loop: false });
+  assert.deepEqual([await uncached.read(), await uncached.read(), await uncached.read()], ["1", "2", "3"]);
+  await assert.rejects(uncached.read(), /replay exhausted/);
+});
+
+test("file, replay-file and command sources", async () => {
+  await withDir(async (dir) => {
+    await writeFile(path.join(dir, "ar.json"), JSON.stringify({ usd: 6.05 }));
+    await writeFile(path.join(dir, "ticks.txt"), "# replayed prices\n6.1\n\n6.2\n");
+    const file = createSource({ type: "file", path: "ar.json", jsonPath: "usd" }, { baseDir: dir });
+    assert.equal(await file.read(), "6.05");
+    const ticks = createSource({ type: "replay", file: "ticks.txt", ttlMs: 0 }, { baseDir: dir });
+    assert.deepEqual([await ticks.read(), await ticks.read(), await ticks.read()], ["6.1", "6.2", "6.1"]);
+    const cmd = createSource({ type: "command", cmd: "echo 6.07" }, { baseDir: dir });
+    assert.equal(await cmd.read(), "6.07");
+    const notJson = createSource({ type: "command", cmd: "echo price=6.07", jsonPath: "usd" }, { baseDir: dir });
+    await assert.rejects(notJson.read(), /output is not JSON/);
+  });
+});
+
+test("http sources follow the path and report HTTP errors", async () => {
+  await withServer({
+    "/ar": { body: JSON.stringify({ data: { price: "6.11" } }) },
+    "/down": { status: 503, body: "{}" },
+    "/null": { body: JSON.stringify({ data: { price: null } }) },
+  }, async (base) => {
+    assert.equal(await createSource({ type: "http", url: `${base}/ar`, path: "data.price" }).read(), "6.11");
+    await assert.rejects(createSource({ type: "http", url: `${base}/down` }).read(), /HTTP 503/);
+    await assert.rejects(createSource({ type: "http", url: `${base}/null`, path: "data.price" }).read(), /no numeric value at "data.price"/);
+  });
+});
+
+test("source specs are checked when the file is loaded", () => {
+  assert.throws(() => createSource({ type: "http" }), /missing "url"/);
+  assert.throws(() => createSource({ type: "file" }), /missing "path"/);
+  assert.throws(() => createSource({ type: "fixed" }), /missing "value"/);
+  assert.throws(() => createSource({ type: "ftp" }), /Unknown price source type "ftp"/);
+});
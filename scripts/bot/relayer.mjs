@@ -0,0 +1,177 @@
+// Batch relayer: packs operator-signed PriceSubmissions into one submitSignedBatch tx
+//
+// The relayer account only pays gas; each entry still carries its operator's EIP-712
+// signature, so it cannot alter answers. Before sending, the batch is rebuilt from
+// what is actually valid on-chain:
+//   - only entries signed for the current `nextRoundId`, not yet expired
+//   - one entry per recovered operator (DuplicateInBatch)
+//   - operators that already submitted this round are dropped (DuplicateSubmission)
+//   - trimmed to the room left before `maxSubmissions` (or `minSubmissions` with target "quorum")
+// The call is preflighted with staticCall so a revert costs nothing. On a rebuildable
+// revert (DuplicateInBatch, LengthMismatch, EmptyBatch, DuplicateSubmission) nextRoundId
+// is read again: if the round moved on, signatures are re-collected for the new one;
+// otherwise the entry that triggers it (found by preflighting ever longer prefixes of the
+// batch) is dropped, or the signatures re-collected when no single entry does. WrongRound
+// and Expired re-collect signatures for the new round. A batch that
+// sits unmined is fee-bumped by the relayer's tx manager, or cancelled once the round
+// has moved on or its signatures have expired.
+
+import { oracleAt, recoverSubmitter } from "../sdk/price-loom.mjs";
+import { decodeError } from "../lib/oracle-errors.mjs";
+import { short } from "../lib/cli.mjs";
+
+const REBUILD = new Set(["DuplicateInBatch", "LengthMismatch", "EmptyBatch", "DuplicateSubmission"]);
+const RESIGN = new Set(["WrongRound", "Expired"]);
+
+export function createBatchRelayer({
+  provider,
+  oracleAddress,
+  relayer, // signer registry entry ({ address, signer, submit })
+  domain,
+  target = "max", // "max" fills the round (finalizes now), "quorum" stops at minSubmissions
+  lookbackBlocks = 5000,
+  maxAttempts = 3,
+  expiryMarginSec = 5,
+}) {
+  const oracle = oracleAt(oracleAddress, provider);
+
+  // Operators that already have a SubmissionReceived for (feedId, round)
+  async function submittedOperators(feedId, round) {
+    const head = await provider.getBlockNumber();
+    const fromBlock = Math.max(0, head - lookbackBlocks);
+    const logs = await oracle.queryFilter(oracle.filters.SubmissionReceived(feedId, round), fromBlock, "latest");
+    return new Set(logs.map((l) => l.args.operator.toLowerCase()));
+  }
+
+  function buildBatch(items, { feedId, round, onchain, excluded, room, now, log }) {
+    const seen = new Set();
+    const batch = [];
+    for (const item of items) {
+      const { submission, signature } = item;
+      if (submission.feedId.toLowerCase() !== feedId.toLowerCase() || BigInt(submission.roundId) !== round) continue;
+      if (BigInt(submission.validUntil) <= now + BigInt(expiryMarginSec)) {
+        log(`  ⌛ ${short(item.operator)} signature expired—dropped`);
+        continue;
+      }
+      let operator;
+      try {
+        operator = recoverSubmitter(domain, submission, signature);
+      } catch {
+        log(`  ❌ ${short(item.operator)} signature unreadable—dropped`);
+        continue;
+      }
+      const key = operator.toLowerCase();
+      if (seen.has(key) || onchain.has(key) || excluded.has(key)) continue;
+      seen.add(key);
+      batch.push({ ...item, operator });
+      if (batch.length >= room) break;
+    }
+    return batch;
+  }
+
+  // The first entry whose prefix of the batch reverts with `name`, or null
+  async function offender(feedId, batch, name) {
+    const call = oracle.connect(relayer.signer).submitSignedBatch.staticCall;
+    for (let k = 1; k <= batch.length; k++) {
+      const prefix = batch.slice(0, k);
+      try {
+        await call(feedId, prefix.map((b) => b.submission), prefix.map((b) => b.signature));
+      } catch (err) {
+        return decodeError(err).name === name ? batch[k - 1] : null;
+      }
+    }
+    return null;
+  }
+
+  return {
+    address: relayer.address,
+
+    // `collect(round)` returns [{ submission, signature, operator? }] signed for `round`.
+    // `timeoutMs` / `cancelTimeoutMs` override the tx manager's waits for the batch.
+    async relay({ feedId, minSubs, maxSubs, collect, timeoutMs, cancelTimeoutMs, log = console.log }) {
+      let round = await oracle.nextRoundId(feedId);
+      let items = await collect(round);
+      let excluded = new Set(); // operators whose entry made this round's batch revert
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const onchain = await submittedOperators(feedId, round);
+        const goal = target === "quorum" ? minSubs : maxSubs;
+        const room = Math.max(0, Math.min(goal, maxSubs) - onchain.size);
+        const now = BigInt((await provider.getBlock("latest")).timestamp);
+        const batch = buildBatch(items, { feedId, round, onchain, excluded, room, now, log });
+
+        if (batch.length === 0) {
+          log(`  ℹ️  Nothing to relay for round ${round} (${onchain.size} already on-chain, ${items.length} signed)`);
+          return { status: "empty", round, submitted: 0, onchain: onchain.size };
+        }
+        if (onchain.size + batch.length < minSubs) {
+          log(`  ⚠️  Batch of ${batch.length} (+${onchain.size} on-chain) is below quorum ${minSubs}; relaying anyway`);
+        }
+
+        const subs = batch.map((b) => b.submission);
+        const sigs = batch.map((b) => b.signature);
+        try {
+          // Preflight so rebuildable reverts don't cost gas
+          await oracle.connect(relayer.signer).submitSignedBatch.staticCall(feedId, subs, sigs);
+          const request = await oracle.submitSignedBatch.populateTransaction(feedId, subs, sigs);
+          const expiry = subs.reduce((m, s) => (BigInt(s.validUntil) < m ? BigInt(s.validUntil) : m), BigInt(subs[0].validUntil));
+          const sent = await relayer.submit(request, {
+            label: `batch round ${round}`,
+            timeoutMs,
+            cancelTimeoutMs,
+            stillUseful: async () => {
+              if ((await oracle.nextRoundId(feedId)) !== round) return "round advanced";
+              if (BigInt((await provider.getBlock("latest")).timestamp) > expiry) return "signatures expired";
+              return null;
+            },
+          });
+          if (sent.status !== "confirmed") {
+            log(`  🗑️  Batch for round ${round} ${sent.status}: ${sent.reason}`);
+            return { status: sent.status, round, submitted: 0, onchain: onchain.size };
+          }
+          return {
+            status: "submitted",
+            round,
+            submitted: batch.length,
+            onchain: onchain.size + batch.length,
+            operators: batch.map((b) => b.operator),
+            hash: sent.hash,
+            gasUsed: sent.receipt.gasUsed,
+          };
+        } catch (err) {
+          const { name } = decodeError(err);
+          if (REBUILD.has(name)) {
+            const current = await oracle.nextRoundId(feedId);
+            if (current !== round) {
+              round = current;
+              excluded = new Set();
+              log(`  🔁 ${name}—round moved on; re-signing for round ${round} (attempt ${attempt}/${maxAttempts})`);
+              items = await collect(round);
+              continue;
+            }
+            const bad = await offender(feedId, batch, name);
+            if (bad) {
+              excluded.add(bad.operator.toLowerCase());
+              log(`  🔁 ${name}—dropping ${short(bad.operator)} and rebuilding (attempt ${attempt}/${maxAttempts})`);
+            } else {
+              log(`  🔁 ${name}—re-collecting signatures for round ${round} (attempt ${attempt}/${maxAttempts})`);
+              items = await collect(round);
+            }
+            continue;
+          }
+          if (RESIGN.has(name)) {
+            round = await oracle.nextRoundId(feedId);
+            excluded = new Set();
+            log(`  🔁 ${name}—re-signing for round ${round} (attempt ${attempt}/${maxAttempts})`);
+            items = await collect(round);
+            continue;
+          }
+          if (name === "RoundFull") return { status: "full", round, submitted: 0, onchain: onchain.size };
+          if (name === "NotDue") return { status: "not-due", round, submitted: 0, onchain: onchain.size };
+          throw err;
+        }
+      }
+      return { status: "gave-up", round, submitted: 0 };
+    },
+  };
+}
@@ -0,0 +1,112 @@
+// Event-driven round scheduling for the bot
+//
+// Instead of waiting for the next interval tick, the bot is woken up when:
+//   - RoundStarted is emitted for one of its feeds (join the round right away)
+//   - RoundFinalized is emitted (the heartbeat deadline moves)
+//   - the heartbeat deadline (updatedAt + heartbeatSec) is reached
+//   - a new price sample deviates enough from the last answer
+// The interval tick stays as a fallback for anything missed.
+//
+// This module watches the round events; the heartbeat timer (heartbeatDueIn in
+// gating.mjs) and price sampling live in the bot. Events come from a WebSocket
+// subscription when a ws:// URL is given, and from eth_getLogs block polling otherwise.
+
+import { ethers } from "ethers";
+import { oracleEvents } from "../indexer/events.mjs";
+
+const ROUND_TOPICS = ["RoundStarted", "RoundFinalized"].map((name) => oracleEvents.getEvent(name).topicHash);
+
+function decodeRoundLog(log) {
+  const parsed = oracleEvents.parseLog(log);
+  if (!parsed) return null;
+  return {
+    event: parsed.name,
+    feedId: parsed.args.feedId.toLowerCase(),
+    roundId: parsed.args.roundId,
+    startedAt: parsed.name === "RoundStarted" ? Number(parsed.args.startedAt) : null,
+    block: log.blockNumber,
+  };
+}
+
+// onEvent({ event, feedId, roundId, startedAt, block }) for every RoundStarted /
+// RoundFinalized of `feedIds`. Returns { mode, stop }.
+//
+// A dropped WebSocket is reopened with backoff and `onReconnect()` is called once it
+// is back (events in between are lost: re-read state there). Block polling backs off
+// while the RPC fails and resumes from the last polled block, so it misses nothing.
+export function watchRoundEvents({ provider, wsUrl, oracleAddress, feedIds, pollMs = 1000, onEvent, onReconnect = () => {}, maxBackoffMs = 30000, log = console.log }) {
+  const wanted = new Set(feedIds.map((id) => id.toLowerCase()));
+  const deliver = (raw) => {
+    const e = decodeRoundLog(raw);
+    if (e && wanted.has(e.feedId)) onEvent(e);
+  };
+
+  let stopped = false;
+  let timer = null;
+
+  if (wsUrl) {
+    let ws = null;
+    let backoff = 1000;
+    const connect = (reconnecting) => {
+      ws = new ethers.WebSocketProvider(wsUrl);
+      ws.on({ address: oracleAddress, topics: [ROUND_TOPICS] }, deliver);
+      // ethers v6 does not reconnect on its own
+      ws.websocket.onerror = () => {};
+      ws.websocket.onclose = () => {
+        if (stopped) return;
+        log(`📡 Event WebSocket ${wsUrl} closed; reconnecting in ${backoff / 1000}s`);
+        ws.destroy().catch(() => {});
+        timer = setTimeout(() => connect(true), backoff);
+        backoff = Math.min(backoff * 2, maxBackoffMs);
+      };
+      ws.websocket.addEventListener("open", () => {
+        backoff = 1000;
+        if (reconnecting) {
+          log(`📡 Event WebSocket reconnected`);
+          onReconnect();
+        }
+      });
+    };
+    connect(false);
+    return {
+      mode: "websocket",
+      stop: () => {
+        stopped = true;
+        clearTimeout(timer);
+        ws?.destroy().catch(() => {});
+      },
+    };
+  }
+
+  let fromBlock = null;
+  let failing = false;
+  let delay = pollMs;
+  async function poll() {
+    try {
+      // getBlockNumber() is cached by ethers; ask for the block itself
+      const head = (await provider.getBlock("latest")).number;
+      fromBlock ??= head + 1;
+      if (head >= fromBlock) {
+        const logs = await provider.getLogs({ address: oracleAddress, topics: [ROUND_TOPICS], fromBlock, toBlock: head });
+        fromBlock = head + 1;
+        for (const l of logs) deliver(l);
+      }
+      if (failing) log(`📡 Round event polling recovered`);
+      failing = false;
+      delay = pollMs;
+    } catch (err) {
+      if (!failing) log(`⚠️  Round event poll failed: ${err.shortMessage || err.message}; backing off`);
+      failing = true;
+      delay = Math.min(delay * 2, maxBackoffMs);
+    }
+    if (!stopped) timer = setTimeout(poll, delay);
+  }
+  poll();
+  return {
+    mode: `polling every ${pollMs}ms`,
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
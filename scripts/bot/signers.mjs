@@ -0,0 +1,43 @@
+// Shared operator signers for the bot
+//
+// One entry per operator address, reused by every feed that lists that operator.
+// Transactions go through the entry's transaction manager (tx-manager.mjs), which
+// assigns nonces locally under a per-account lock, so two feeds submitting for the
+// same operator can never pick the same nonce.
+//
+// Entries are built from private keys or from ready-made ethers Signers (keystore
+// wallets, remote signers; see operator-keys.mjs).
+
+import { ethers } from "ethers";
+import { createTxManager, DEFAULT_TX_POLICY } from "./tx-manager.mjs";
+
+export function createSignerRegistry(keysOrSigners, provider, { policy = DEFAULT_TX_POLICY, log } = {}) {
+  const byAddress = new Map();
+
+  for (const key of keysOrSigners) {
+    // `wallet` signs typed data and runs staticCalls; transactions go through `tx`
+    const wallet = typeof key === "string" ? new ethers.Wallet(key, provider) : key;
+    const addr = wallet.address.toLowerCase();
+    if (byAddress.has(addr)) continue;
+
+    const tx = createTxManager({ provider, signer: wallet, policy, log });
+    byAddress.set(addr, {
+      address: wallet.address,
+      wallet,
+      signer: wallet,
+      tx,
+      // Send a populated request ({ to, data }) and wait for it; see tx-manager.mjs
+      submit: (request, opts) => tx.send(request, opts),
+    });
+  }
+
+  return {
+    size: byAddress.size,
+    get(address) {
+      return byAddress.get(String(address).toLowerCase());
+    },
+    all() {
+      return [...byAddress.values()];
+    },
+  };
+}
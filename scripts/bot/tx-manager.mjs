@@ -0,0 +1,287 @@
+// Transaction manager: one per signing account
+//
+//   - nonces are tracked locally (seeded from the node's pending count) and assigned
+//     under a lock, so concurrent feeds never pick the same one; a send rejected
+//     for its nonce resyncs and retries once
+//   - EIP-1559 fees come from the node, capped by maxFeeGwei / maxPriorityFeeGwei
+//     (legacy gasPrice on chains without a base fee)
+//   - a tx not mined after bumpBlocks blocks is re-sent with the same nonce and
+//     fees raised by bumpPercent (capped); that also re-broadcasts a dropped tx
+//   - before each bump `stillUseful()` is asked; a reason instead of null cancels the
+//     tx with a 0-value self-transfer at the same nonce (round advanced, expired, ...)
+//   - confirmations are awaited up to timeoutMs; on timeout the nonce is cancelled and
+//     send() keeps watching it for up to cancelTimeoutMs, so it only returns once the
+//     cancel or the original has mined (both can be set per send, see submitBudget).
+//     A nonce still pending after that is reported as unresolved, and later sends
+//     from the account throw until it clears.
+//   - after each confirmed tx the balance is checked against lowBalanceEth
+//
+// send() resolves to { status, hash, receipt, replacements, reason, unresolved }, where
+// status is "confirmed", "cancelled" (a cancel or another tx took the nonce) or "timeout"
+// (the cancel after a timeout mined, or `unresolved` is true).
+// Estimation reverts throw as usual (decode with oracle-errors.mjs); a tx that is
+// mined but reverts throws a CALL_EXCEPTION carrying the receipt.
+
+import { ethers } from "ethers";
+import { short } from "../lib/cli.mjs";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export const DEFAULT_TX_POLICY = {
+  maxFeeGwei: 100,
+  maxPriorityFeeGwei: 3,
+  gasLimitMultiplier: 1.2,
+  bumpBlocks: 3,
+  bumpPercent: 15, // nodes require at least +10% to replace
+  confirmations: 1,
+  timeoutMs: 120000,
+  cancelTimeoutMs: 60000, // after a timeout, how long to wait for the nonce to clear
+  pollMs: 1000,
+  lowBalanceEth: 0.05,
+  lowBalanceRepeatMs: 10 * 60 * 1000,
+};
+
+// Flags win over env, env over defaults (same names as the README table)
+export function txPolicy(argv = {}, env = process.env) {
+  const pick = (flag, name, def) => Number(argv[flag] ?? env[name] ?? def);
+  const d = DEFAULT_TX_POLICY;
+  return {
+    ...d,
+    maxFeeGwei: pick("maxFeeGwei", "MAX_FEE_GWEI", d.maxFeeGwei),
+    maxPriorityFeeGwei: pick("maxPriorityFeeGwei", "MAX_PRIORITY_FEE_GWEI", d.maxPriorityFeeGwei),
+    bumpBlocks: pick("bumpBlocks", "BUMP_AFTER_BLOCKS", d.bumpBlocks),
+    bumpPercent: pick("bumpPercent", "BUMP_PERCENT", d.bumpPercent),
+    confirmations: pick("confirmations", "TX_CONFIRMATIONS", d.confirmations),
+    timeoutMs: pick("txTimeout", "TX_TIMEOUT_MS", d.timeoutMs),
+    cancelTimeoutMs: pick("cancelTimeout", "CANCEL_TIMEOUT_MS", d.cancelTimeoutMs),
+    lowBalanceEth: pick("lowBalanceEth", "LOW_BALANCE_ETH", d.lowBalanceEth),
+  };
+}
+
+// Send timeouts for a round submission: the confirmation wait and the wait for the
+// cancel together fit in half the round timeout, so a stuck tx is given up (and the
+// round still has time to fill) rather than outliving the round. The cancel wait gets
+// at most half of that. timeoutSec 0 disables round timeouts on-chain; the policy applies.
+export function submitBudget(policy, timeoutSec) {
+  const sec = Number(timeoutSec);
+  if (sec === 0) return { timeoutMs: policy.timeoutMs, cancelTimeoutMs: policy.cancelTimeoutMs };
+  const total = sec * 500;
+  const cancelTimeoutMs = Math.min(policy.cancelTimeoutMs, Math.floor(total / 2));
+  return { timeoutMs: Math.min(policy.timeoutMs, total - cancelTimeoutMs), cancelTimeoutMs };
+}
+
+const toWei = (g) => ethers.parseUnits(String(g), "gwei");
+const fmtGwei = (wei) => `${Number(ethers.formatUnits(wei, "gwei")).toFixed(2)} gwei`;
+const bump = (v, pct) => v + (v * BigInt(Math.round(pct * 100))) / 10000n;
+const min = (a, b) => (a < b ? a : b);
+const max = (a, b) => (a > b ? a : b);
+
+function isNonceError(err) {
+  const text = `${err.code ?? ""} ${err.shortMessage ?? ""} ${err.message ?? ""}`.toLowerCase();
+  return err.code === "NONCE_EXPIRED" || text.includes("nonce too low") || text.includes("nonce has already been used");
+}
+
+export function createTxManager({ provider, signer, policy = DEFAULT_TX_POLICY, log = console.log }) {
+  const address = signer.address;
+  const maxFeeCap = toWei(policy.maxFeeGwei);
+  const priorityCap = toWei(policy.maxPriorityFeeGwei);
+
+  let nextNonce = null;
+  let lock = Promise.resolve();
+  let lowBalanceAt = 0;
+  let stuckNonce = null; // nonce of a timed-out tx whose cancel never mined
+
+  // Run `fn` alone for this account (nonce assignment + broadcast only)
+  function exclusive(fn) {
+    const run = lock.then(fn);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  async function resync() {
+    nextNonce = await provider.getTransactionCount(address, "pending");
+    return nextNonce;
+  }
+
+  async function headBlock() {
+    return (await provider.getBlock("latest")).number;
+  }
+
+  // Suggested fees, capped
+  async function fees() {
+    const data = await provider.getFeeData();
+    if (data.maxFeePerGas === null) {
+      return { gasPrice: min(data.gasPrice, maxFeeCap) };
+    }
+    const block = await provider.getBlock("latest");
+    const priority = min(data.maxPriorityFeePerGas ?? toWei(1), priorityCap);
+    const maxFee = min((block.baseFeePerGas ?? 0n) * 2n + priority, maxFeeCap);
+    return { maxFeePerGas: maxFee, maxPriorityFeePerGas: min(priority, maxFee) };
+  }
+
+  // Fees for a replacement: previous + bumpPercent, at least today's suggestion, capped.
+  // Returns null when already at the cap (a replacement would be rejected).
+  async function bumped(prev) {
+    const now = await fees();
+    if (prev.gasPrice !== undefined) {
+      const gasPrice = min(max(bump(prev.gasPrice, policy.bumpPercent), now.gasPrice ?? 0n), maxFeeCap);
+      return gasPrice > prev.gasPrice ? { gasPrice } : null;
+    }
+    const maxFeePerGas = min(max(bump(prev.maxFeePerGas, policy.bumpPercent), now.maxFeePerGas ?? 0n), maxFeeCap);
+    const maxPriorityFeePerGas = min(max(bump(prev.maxPriorityFeePerGas, policy.bumpPercent), now.maxPriorityFeePerGas ?? 0n), maxFeePerGas);
+    // Both must rise by the minimum for the node to accept the replacement
+    if (maxFeePerGas < bump(prev.maxFeePerGas, 10) || maxPriorityFeePerGas < bump(prev.maxPriorityFeePerGas, 10)) return null;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  const feeText = (f) => (f.gasPrice !== undefined ? `gasPrice=${fmtGwei(f.gasPrice)}` : `maxFee=${fmtGwei(f.maxFeePerGas)} tip=${fmtGwei(f.maxPriorityFeePerGas)}`);
+
+  async function broadcast(tx) {
+    const response = await signer.sendTransaction(tx);
+    return response.hash;
+  }
+
+  async function checkBalance() {
+    const balance = await provider.getBalance(address);
+    const threshold = ethers.parseEther(String(policy.lowBalanceEth));
+    if (balance < threshold && Date.now() - lowBalanceAt >= policy.lowBalanceRepeatMs) {
+      lowBalanceAt = Date.now();
+      log(`🪫 ${short(address)} balance ${ethers.formatEther(balance)} is below ${policy.lowBalanceEth}; top it up`);
+    }
+    return balance;
+  }
+
+  // Receipt of whichever of `sent` (original, bumps, cancel) was mined
+  async function findReceipt(sent) {
+    for (const { hash } of sent) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async function send(request, { label = "tx", stillUseful = async () => null, timeoutMs = policy.timeoutMs, cancelTimeoutMs = policy.cancelTimeoutMs } = {}) {
+    // A later nonce would queue behind the stuck one (and the stuck tx may still mine)
+    if (stuckNonce !== null) {
+      if ((await provider.getTransactionCount(address, "latest")) <= stuckNonce) {
+        throw new Error(`${short(address)} nonce ${stuckNonce} from a timed-out transaction is still pending`);
+      }
+      stuckNonce = null;
+    }
+
+    // Estimate first: a revert here costs no nonce
+    const estimate = await provider.estimateGas({ ...request, from: address });
+    const gasLimit = (estimate * BigInt(Math.round(policy.gasLimitMultiplier * 100))) / 100n;
+
+    let tx;
+    const first = await exclusive(async () => {
+      if (nextNonce === null) await resync();
+      for (let attempt = 1; ; attempt++) {
+        tx = { ...request, from: address, nonce: nextNonce, gasLimit, ...(await fees()) };
+        try {
+          const hash = await broadcast(tx);
+          nextNonce++;
+          return hash;
+        } catch (err) {
+          if (attempt === 1 && isNonceError(err)) {
+            // The node's count can lag (or be cached briefly); never reuse the rejected one
+            const stale = nextNonce;
+            nextNonce = Math.max(await resync(), stale + 1);
+            log(`  🔢 ${short(address)} nonce ${stale} already used; resynced to ${nextNonce}`);
+            continue;
+          }
+          throw err;
+        }
+      }
+    });
+
+    const sent = [{ hash: first, kind: "original" }];
+    let fee = tx.gasPrice !== undefined ? { gasPrice: tx.gasPrice } : { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+    let sentAtBlock = await headBlock();
+    let cancelReason = null;
+    let timedOut = false;
+    const started = Date.now();
+
+    const cancelTx = () => ({ to: address, from: address, value: 0n, data: "0x", nonce: tx.nonce, gasLimit: 21000n });
+
+    // Replace the tx at this nonce with `next` (bumped fees); false if the cap prevents it
+    async function replace(next, why) {
+      const newFee = await bumped(fee);
+      if (!newFee) {
+        log(`  ⛽ ${label} nonce ${tx.nonce}: at fee cap (${feeText(fee)}), cannot ${why}`);
+        return false;
+      }
+      try {
+        const hash = await broadcast({ ...next, ...newFee });
+        sent.push({ hash, kind: why });
+        fee = newFee;
+        sentAtBlock = await headBlock();
+        log(`  ⛽ ${label} nonce ${tx.nonce}: ${why} → ${short(hash)} (${feeText(newFee)})`);
+        return true;
+      } catch (err) {
+        // The original may have been mined in the meantime
+        if (isNonceError(err)) return false;
+        log(`  ⚠️  ${label} nonce ${tx.nonce}: ${why} failed: ${err.shortMessage || err.message}`);
+        return false;
+      }
+    }
+
+    while (true) {
+      const receipt = await findReceipt(sent);
+      if (receipt) {
+        const head = await headBlock();
+        if (head - receipt.blockNumber + 1 < policy.confirmations) {
+          await sleep(policy.pollMs);
+          continue;
+        }
+        const which = sent.find((s) => s.hash === receipt.hash);
+        await checkBalance().catch(() => {});
+        if (which.kind === "cancel") {
+          return { status: timedOut ? "timeout" : "cancelled", hash: receipt.hash, receipt, replacements: sent.length - 1, reason: cancelReason, unresolved: false };
+        }
+        if (receipt.status !== 1) {
+          throw ethers.makeError("transaction reverted on-chain", "CALL_EXCEPTION", { receipt, action: "sendTransaction", data: null, reason: null, transaction: tx, invocation: null, revert: null });
+        }
+        return { status: "confirmed", hash: receipt.hash, receipt, replacements: sent.length - 1, reason: null, unresolved: false };
+      }
+
+      // Another tx (not ours) took the nonce
+      if ((await provider.getTransactionCount(address, "latest")) > tx.nonce && !(await findReceipt(sent))) {
+        return { status: "cancelled", hash: null, receipt: null, replacements: sent.length - 1, reason: "nonce used by another transaction", unresolved: false };
+      }
+
+      // Timed out: cancel, then keep polling until the cancel or the original mines
+      if (!timedOut && Date.now() - started > timeoutMs) {
+        timedOut = true;
+        if (!cancelReason) {
+          cancelReason = `not confirmed within ${Math.round(timeoutMs / 1000)}s`;
+          await replace(cancelTx(), "cancel");
+        }
+        log(`  ⌛ ${label} nonce ${tx.nonce}: ${cancelReason}; waiting for the nonce to clear`);
+      }
+      if (timedOut && Date.now() - started > timeoutMs + cancelTimeoutMs) {
+        stuckNonce = tx.nonce;
+        log(`  ⚠️  ${label} nonce ${tx.nonce}: still pending ${Math.round(cancelTimeoutMs / 1000)}s after the cancel; no new sends until it clears`);
+        return { status: "timeout", hash: sent[sent.length - 1].hash, receipt: null, replacements: sent.length - 1, reason: `${cancelReason}; nonce ${tx.nonce} unresolved`, unresolved: true };
+      }
+
+      if ((await headBlock()) - sentAtBlock >= policy.bumpBlocks) {
+        if (!cancelReason) {
+          const reason = await stillUseful().catch(() => null);
+          if (reason) {
+            cancelReason = reason;
+            log(`  🗑️  ${label} nonce ${tx.nonce}: no longer useful (${reason}), cancelling`);
+            await replace(cancelTx(), "cancel");
+          } else {
+            await replace(tx, "fee bump");
+          }
+        } else {
+          await replace(cancelTx(), "cancel");
+        }
+      }
+      await sleep(policy.pollMs);
+    }
+  }
+
+  return { address, send, resync, checkBalance };
+}
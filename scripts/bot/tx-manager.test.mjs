@@ -0,0 +1,95 @@
+// Unit tests for tx-manager.mjs (no chain needed)
+// Run: node --test scripts/bot/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_TX_POLICY, createTxManager, submitBudget, txPolicy } from "./tx-manager.mjs";
+
+test("submissions get half the round timeout for confirmation and cancel together", () => {
+  // Default 120s round: 30s to confirm + 30s for the cancel, half the round left
+  assert.deepEqual(submitBudget(DEFAULT_TX_POLICY, 120n), { timeoutMs: 30000, cancelTimeoutMs: 30000 });
+  assert.deepEqual(submitBudget(DEFAULT_TX_POLICY, 60n), { timeoutMs: 15000, cancelTimeoutMs: 15000 });
+  // Long rounds: capped by the policy
+  assert.deepEqual(submitBudget(DEFAULT_TX_POLICY, 900n), { timeoutMs: 120000, cancelTimeoutMs: 60000 });
+  assert.deepEqual(submitBudget({ timeoutMs: 5000, cancelTimeoutMs: 2000 }, 60), { timeoutMs: 5000, cancelTimeoutMs: 2000 });
+  for (const sec of [10, 61, 120, 300, 900, 3600]) {
+    const { timeoutMs, cancelTimeoutMs } = submitBudget(DEFAULT_TX_POLICY, sec);
+    assert.ok(timeoutMs + cancelTimeoutMs <= sec * 500, `${sec}s round`);
+  }
+});
+
+test("round timeouts disabled (timeoutSec 0) fall back to the policy timeouts", () => {
+  assert.deepEqual(submitBudget(DEFAULT_TX_POLICY, 0n), { timeoutMs: DEFAULT_TX_POLICY.timeoutMs, cancelTimeoutMs: DEFAULT_TX_POLICY.cancelTimeoutMs });
+  assert.deepEqual(submitBudget({ timeoutMs: 5000, cancelTimeoutMs: 2000 }, 0), { timeoutMs: 5000, cancelTimeoutMs: 2000 });
+});
+
+test("flags win over env, env over defaults", () => {
+  const policy = txPolicy({ txTimeout: "1000" }, { TX_TIMEOUT_MS: "2000", BUMP_PERCENT: "20" });
+  assert.equal(policy.timeoutMs, 1000);
+  assert.equal(policy.bumpPercent, 20);
+  assert.equal(policy.maxFeeGwei, DEFAULT_TX_POLICY.maxFeeGwei);
+});
+
+// A chain that mines only what `mines(tx)` allows, one block per poll
+function fakeChain({ mines }) {
+  const chain = { head: 1, minedNonce: 0, mines, txs: new Map(), receipts: new Map() };
+  chain.provider = {
+    estimateGas: async () => 21000n,
+    getFeeData: async () => ({ gasPrice: 10n ** 9n, maxFeePerGas: null }),
+    getBlock: async () => ({ number: chain.head++, timestamp: chain.head }),
+    getBalance: async () => 10n ** 18n,
+    getTransactionCount: async () => chain.minedNonce,
+    getTransactionReceipt: async (hash) => chain.receipts.get(hash) ?? null,
+  };
+  chain.signer = {
+    address: "0x000000000000000000000000000000000000dEaD",
+    sendTransaction: async (tx) => {
+      const hash = `0x${(chain.txs.size + 1).toString(16).padStart(64, "0")}`;
+      chain.txs.set(hash, tx);
+      if (chain.mines(tx) && tx.nonce === chain.minedNonce) {
+        chain.minedNonce++;
+        chain.receipts.set(hash, { hash, blockNumber: 0, status: 1, gasUsed: 21000n });
+      }
+      return { hash };
+    },
+  };
+  return chain;
+}
+
+const FAST = { ...DEFAULT_TX_POLICY, timeoutMs: 20, cancelTimeoutMs: 50, pollMs: 1, bumpBlocks: 1000 };
+const request = { to: "0x0000000000000000000000000000000000000001", data: "0x01" };
+
+test("a timed-out tx is only given up once its cancel has mined", async () => {
+  const chain = fakeChain({ mines: (tx) => tx.data === "0x" });
+  const manager = createTxManager({ provider: chain.provider, signer: chain.signer, policy: FAST, log: () => {} });
+  const sent = await manager.send(request);
+  assert.equal(sent.status, "timeout");
+  assert.equal(sent.unresolved, false);
+  assert.equal(chain.minedNonce, 1);
+  assert.equal((await manager.send({ ...request, data: "0x" })).status, "confirmed");
+});
+
+test("a nonce still pending after the cancel is unresolved and blocks later sends", async () => {
+  const chain = fakeChain({ mines: () => false });
+  const manager = createTxManager({ provider: chain.provider, signer: chain.signer, policy: FAST, log: () => {} });
+  const sent = await manager.send(request);
+  assert.equal(sent.status, "timeout");
+  assert.equal(sent.unresolved, true);
+  assert.match(sent.reason, /nonce 0 unresolved/);
+  await assert.rejects(manager.send(request), /nonce 0 from a timed-out transaction is still pending/);
+  chain.minedNonce = 1; // the original (or the cancel) finally mined
+  chain.mines = () => true;
+  assert.equal((await manager.send(request)).status, "confirmed");
+});
+
+test("a stuck send gives up within its own budget, cancel wait included", async () => {
+  const chain = fakeChain({ mines: () => false });
+  // The policy would wait 60s for the cancel; the per-send budget allows 30ms
+  const policy = { ...FAST, timeoutMs: 60000, cancelTimeoutMs: 60000 };
+  const manager = createTxManager({ provider: chain.provider, signer: chain.signer, policy, log: () => {} });
+  const started = Date.now();
+  const sent = await manager.send(request, { timeoutMs: 10, cancelTimeoutMs: 20 });
+  assert.ok(Date.now() - started < 2000);
+  assert.equal(sent.status, "timeout");
+  assert.equal(sent.unresolved, true);
+});
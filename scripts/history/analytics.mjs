@@ -0,0 +1,130 @@
+// Round history analytics: update gaps, what triggered each round, TWAP and the
+// distribution of price moves, for tuning deviationBps / heartbeatSec
+//
+// Rows come from export-history.mjs, oldest first, one per round:
+//   { roundId, answer, startedAt, updatedAt, answeredInRound, stale, firstAnswer }
+// answer / times are BigInt. A stale row is a round that timed out below quorum and
+// rolled the previous answer forward (updatedAt and answeredInRound are the old ones).
+// firstAnswer is the answer that opened the round, when indexed events are merged in.
+//
+// Triggers replay the oracle's gate at the round's startedAt against the previous row,
+// with gating.mjs: "heartbeat", "deviation", "both", "first" (round 1), "neither" (the
+// final answer didn't move enough; without firstAnswer the gate is approximated with it)
+// or null when the previous round is not in the rows.
+
+import { exceedsDeviation, heartbeatElapsed } from "../bot/gating.mjs";
+
+const abs = (x) => (x < 0n ? -x : x);
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// "90s", "30m", "24h", "7d" → seconds; "all" → null
+export function parseWindow(spec) {
+  if (spec === "all") return null;
+  const m = /^(\d+)([smhd])$/.exec(spec);
+  if (!m) throw new Error(`bad window "${spec}" (use e.g. 30m, 24h, 7d or all)`);
+  return Number(m[1]) * UNITS[m[2]];
+}
+
+// Signed move from `prev` to `next` in basis points, to 0.01 bps; null from a zero price
+export function changeBps(prev, next) {
+  if (prev === 0n) return null;
+  return Number(((next - prev) * 1_000_000n) / abs(prev)) / 100;
+}
+
+// Adds gapSec / changeBps (fresh rows, against the previous fresh row; not measured across
+// rounds missing from the rows) and trigger.
+// configAt(timestamp) → gating config (BigInt heartbeatSec / deviationBps) in effect then.
+export function annotate(rows, configAt) {
+  let prevFresh = null;
+  return rows.map((row, i) => {
+    const prev = i > 0 && rows[i - 1].roundId === row.roundId - 1 ? rows[i - 1] : null;
+    if (!prev) prevFresh = null;
+    let trigger = null;
+    if (row.roundId === 1) {
+      trigger = "first";
+    } else if (prev) {
+      const snap = { answer: prev.answer, updatedAt: prev.updatedAt };
+      const cfg = configAt(row.startedAt);
+      const hb = heartbeatElapsed(snap, cfg, row.startedAt);
+      const dev = exceedsDeviation(row.firstAnswer ?? row.answer, snap, cfg);
+      trigger = hb && dev ? "both" : hb ? "heartbeat" : dev ? "deviation" : "neither";
+    }
+    const out = { ...row, gapSec: null, changeBps: null, trigger };
+    if (!row.stale) {
+      if (prevFresh) {
+        out.gapSec = row.updatedAt - prevFresh.updatedAt;
+        out.changeBps = changeBps(prevFresh.answer, row.answer);
+      }
+      prevFresh = row;
+    }
+    return out;
+  });
+}
+
+// Time-weighted average of the fresh answers over [from, to]. Each answer counts from its
+// updatedAt until the next one; the window starts at the first answer if none precedes it.
+// → { twap (BigInt, rounded toward zero), start, covered (seconds) }, or null without data
+export function twap(rows, from, to) {
+  const updates = rows.filter((r) => !r.stale && r.updatedAt <= to).sort((a, b) => (a.updatedAt < b.updatedAt ? -1 : 1));
+  let i = updates.findLastIndex((r) => r.updatedAt <= from);
+  let start = from;
+  if (i < 0) {
+    if (!updates.length) return null;
+    i = 0;
+    start = updates[0].updatedAt;
+  }
+  if (start >= to) return { twap: updates[i].answer, start, covered: 0n };
+  let sum = 0n;
+  for (let t = start; i < updates.length; i++) {
+    const end = i + 1 < updates.length ? updates[i + 1].updatedAt : to;
+    sum += updates[i].answer * (end - t);
+    t = end;
+  }
+  return { twap: sum / (to - start), start, covered: to - start };
+}
+
+// Nearest-rank percentiles of plain numbers
+export function percentiles(values) {
+  if (!values.length) return { count: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+  return { count: sorted.length, min: sorted[0], p50: at(50), p90: at(90), p99: at(99), max: sorted[sorted.length - 1] };
+}
+
+// Buckets of |move| relative to the configured deviation threshold
+const BUCKETS = [0.5, 1, 2, 5];
+
+// Stats over rounds started in (from, to]; cfg: the gating config for bucket bounds
+export function windowStats(rows, { from, to, cfg }) {
+  const inWindow = rows.filter((r) => r.startedAt > from && r.startedAt <= to);
+  const fresh = inWindow.filter((r) => !r.stale);
+
+  const moves = fresh.filter((r) => r.changeBps !== null).map((r) => Math.abs(r.changeBps));
+  const base = Number(cfg.deviationBps || 50n);
+  const edges = BUCKETS.map((m) => m * base);
+  const labels = [`<${edges[0]}`, ...edges.slice(1).map((hi, i) => `${edges[i]}-${hi}`), `≥${edges[edges.length - 1]}`];
+  const buckets = Object.fromEntries(labels.map((l) => [l, 0]));
+  for (const m of moves) {
+    const i = edges.findIndex((e) => m < e);
+    buckets[labels[i === -1 ? edges.length : i]]++;
+  }
+
+  const gaps = fresh.filter((r) => r.gapSec !== null).map((r) => Number(r.gapSec));
+  const missed = cfg.heartbeatSec > 0n ? gaps.filter((g) => g > 2 * Number(cfg.heartbeatSec)).length : 0;
+
+  const triggers = { first: 0, heartbeat: 0, deviation: 0, both: 0, neither: 0, unknown: 0 };
+  for (const r of inWindow) triggers[r.trigger ?? "unknown"]++;
+
+  return {
+    from,
+    to,
+    rounds: inWindow.length,
+    fresh: fresh.length,
+    stale: inWindow.length - fresh.length,
+    twap: twap(rows, from, to),
+    deviation: { ...percentiles(moves), buckets },
+    gaps: { ...percentiles(gaps), overTwiceHeartbeat: missed },
+    triggers,
+  };
+}
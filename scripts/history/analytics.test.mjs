@@ -0,0 +1,152 @@
+// Unit tests for analytics.mjs
+// Run: node --test scripts/history/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { annotate, changeBps, parseWindow, percentiles, twap, windowStats } from "./analytics.mjs";
+
+const CFG = { heartbeatSec: 60n, deviationBps: 50n };
+
+// [answer, startedAt, updatedAt] → rows; a null answer is a stale roll-forward of the row before
+function rows(spec) {
+  const out = [];
+  spec.forEach(([answer, startedAt, updatedAt], i) => {
+    const prev = out[i - 1];
+    const stale = answer === null;
+    out.push({
+      roundId: i + 1,
+      answer: stale ? prev.answer : BigInt(answer),
+      startedAt: BigInt(startedAt),
+      updatedAt: stale ? prev.updatedAt : BigInt(updatedAt),
+      answeredInRound: stale ? prev.answeredInRound : i + 1,
+      stale,
+    });
+  });
+  return out;
+}
+
+test("windows parse to seconds", () => {
+  assert.equal(parseWindow("90s"), 90);
+  assert.equal(parseWindow("30m"), 1800);
+  assert.equal(parseWindow("24h"), 86400);
+  assert.equal(parseWindow("7d"), 604800);
+  assert.equal(parseWindow("all"), null);
+  assert.throws(() => parseWindow("1w"), /bad window/);
+});
+
+test("changeBps is signed and exact to 0.01 bps", () => {
+  assert.equal(changeBps(10000n, 10050n), 50);
+  assert.equal(changeBps(10000n, 9999n), -1);
+  assert.equal(changeBps(30000n, 30001n), 0.33);
+  assert.equal(changeBps(-200n, -100n), 5000);
+  assert.equal(changeBps(0n, 1n), null);
+});
+
+test("triggers replay the heartbeat and deviation gates", () => {
+  const annotated = annotate(
+    rows([
+      [1000, 0, 5], // first
+      [1001, 65, 70], // 60s since updatedAt 5, 10 bps: heartbeat
+      [1100, 80, 82], // 10s, ~988 bps: deviation
+      [1200, 150, 151], // 68s and ~909 bps: both
+      [1201, 160, 161], // 9s and 8 bps: neither
+    ]),
+    () => CFG,
+  );
+  assert.deepEqual(annotated.map((r) => r.trigger), ["first", "heartbeat", "deviation", "both", "neither"]);
+  assert.deepEqual(annotated.map((r) => r.gapSec), [null, 65n, 12n, 69n, 10n]);
+  assert.deepEqual(annotated.map((r) => r.changeBps), [null, 10, 989.01, 909.09, 8.33]);
+});
+
+test("the answer that opened the round decides the deviation trigger", () => {
+  const [, second] = annotate(
+    rows([
+      [1000, 0, 5],
+      [1001, 10, 12],
+    ]).map((r, i) => (i === 1 ? { ...r, firstAnswer: 1100n } : r)),
+    () => CFG,
+  );
+  assert.equal(second.trigger, "deviation");
+});
+
+test("stale rounds carry no gap or move, and the next fresh round measures from the last fresh one", () => {
+  const annotated = annotate(
+    rows([
+      [1000, 0, 5],
+      [null, 70, null], // timed out: rolled forward
+      [1001, 200, 210],
+    ]),
+    () => CFG,
+  );
+  assert.deepEqual(annotated.map((r) => r.trigger), ["first", "heartbeat", "heartbeat"]);
+  assert.equal(annotated[1].gapSec, null);
+  assert.equal(annotated[1].changeBps, null);
+  assert.equal(annotated[2].gapSec, 205n);
+  assert.equal(annotated[2].changeBps, 10);
+});
+
+test("nothing is measured across rounds missing from the rows", () => {
+  const history = rows([[1000, 0, 5], [1001, 65, 70], [1002, 130, 135], [1003, 200, 201]]);
+  const annotated = annotate([history[1], history[3]], () => CFG);
+  assert.deepEqual(annotated.map((r) => r.trigger), [null, null]);
+  assert.deepEqual(annotated.map((r) => r.gapSec), [null, null]);
+});
+
+test("the config in effect when the round started is used", () => {
+  const configAt = (t) => (t < 100n ? CFG : { heartbeatSec: 0n, deviationBps: 5n });
+  const annotated = annotate(rows([[1000, 0, 5], [1001, 70, 72], [1002, 200, 201]]), configAt);
+  assert.deepEqual(annotated.map((r) => r.trigger), ["first", "heartbeat", "deviation"]);
+});
+
+test("TWAP weights each answer by how long it stood", () => {
+  const history = rows([
+    [100, 0, 0],
+    [200, 10, 10],
+    [null, 50, null],
+    [400, 70, 70],
+  ]);
+  // 100 for 10s, 200 for 60s, 400 for 30s
+  assert.deepEqual(twap(history, 0n, 100n), { twap: 250n, start: 0n, covered: 100n });
+  // seeded with the answer standing at the window start
+  assert.deepEqual(twap(history, 40n, 100n), { twap: 300n, start: 40n, covered: 60n });
+  // starts at the first answer when nothing precedes the window
+  assert.deepEqual(twap(history.slice(1), 0n, 20n), { twap: 200n, start: 10n, covered: 10n });
+  assert.equal(twap([], 0n, 10n), null);
+});
+
+test("TWAP stays exact at 18 decimals", () => {
+  const e18 = 10n ** 18n;
+  const history = rows([
+    [String(e18 + 1n), 0, 0],
+    [String(e18 + 2n), 1, 1],
+  ]);
+  assert.equal(twap(history, 0n, 3n).twap, e18 + 1n); // (1 + 2 * 2) / 3 rounds down
+  assert.equal(twap(history, 0n, 4n).twap, e18 + 1n); // exactly 1.75 → 1
+  assert.equal(twap(history, 1n, 4n).twap, e18 + 2n);
+});
+
+test("percentiles use the nearest rank", () => {
+  assert.deepEqual(percentiles([]), { count: 0 });
+  const values = Array.from({ length: 100 }, (_, i) => 100 - i);
+  assert.deepEqual(percentiles(values), { count: 100, min: 1, p50: 50, p90: 90, p99: 99, max: 100 });
+});
+
+test("window stats bucket moves against deviationBps and count late updates", () => {
+  const annotated = annotate(
+    rows([
+      [10000, 0, 1],
+      [10010, 61, 61], // 10 bps
+      [10070, 70, 70], // ~60 bps
+      [null, 200, null],
+      [11000, 300, 300], // ~924 bps, 230s after the last fresh update
+    ]),
+    () => CFG,
+  );
+  const stats = windowStats(annotated, { from: 0n, to: 300n, cfg: CFG });
+  assert.equal(stats.rounds, 4); // round 1 started at the window's (exclusive) start
+  assert.equal(stats.fresh, 3);
+  assert.equal(stats.stale, 1);
+  assert.deepEqual(stats.deviation.buckets, { "<25": 1, "25-50": 0, "50-100": 1, "100-250": 0, "≥250": 1 });
+  assert.equal(stats.gaps.overTwiceHeartbeat, 1);
+  assert.deepEqual(stats.triggers, { first: 0, heartbeat: 2, deviation: 1, both: 1, neither: 0, unknown: 0 });
+});
@@ -0,0 +1,347 @@
+// Round history export with TWAP and volatility analytics
+//
+// Walks getRoundData back from the latest round until the oracle's history ring runs out
+// (HistoryEvicted; it keeps the last 128 rounds) and writes one row per round:
+//   answer (raw integer) and price (formatAnswer: exact, no float rounding), startedAt,
+//   updatedAt, answeredInRound, stale (a timed-out round that rolled the last answer forward),
+//   gapSec / changeBps since the previous fresh answer, and the trigger that opened the round
+//   (heartbeat, deviation, both; see analytics.mjs).
+// All reads are pinned to one block, so the rows are a consistent snapshot.
+//
+// With --events the indexer's store (scripts/indexer) is merged in: per-round submissions,
+// the answer that opened the round (exact triggers), when it finalized or rolled forward,
+// the config in effect at each round, and rounds older than the ring. Rows where the events
+// and the chain disagree are reported.
+//
+// Then, per --windows (ending at the export block): TWAP, the distribution of |changeBps|
+// against deviationBps, update gaps against heartbeatSec, stale rounds and trigger counts.
+//
+// Usage:
+//   node scripts/history/export-history.mjs --oracle 0xOracle --feedDesc ar/usd-testv1 \
+//     [--csv out/ar-usd.csv] [--json out/ar-usd.json] [--windows 1h,24h,7d,all] \
+//     [--events] [--store .indexer/0x...] [--block 123456] [--rpc http://127.0.0.1:8545]
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { ethers } from "ethers";
+import { describeError } from "../lib/oracle-errors.mjs";
+import { feedIdOf, formatAnswer, latest, oracleAt, roundAt } from "../sdk/price-loom.mjs";
+import { gatingConfig } from "../bot/gating.mjs";
+import { readStoredEvents } from "../indexer/store.mjs";
+import { buildHistory } from "../indexer/queries.mjs";
+import { annotate, parseWindow, windowStats } from "./analytics.mjs";
+import { parseArgs, short } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const ORACLE = argv.oracle || process.env.ORACLE;
+const FEED_DESC = argv.feedDesc || process.env.FEED_DESC || "ar/bytes-testv1";
+const CSV_FILE = argv.csv;
+const JSON_FILE = argv.json;
+const WINDOWS = (argv.windows || process.env.HISTORY_WINDOWS || "24h,all").split(",");
+const STORE = argv.store || (argv.events === "true" && ORACLE ? `.indexer/${ORACLE.toLowerCase()}` : null);
+const BLOCK = argv.block ? Number(argv.block) : null;
+
+if (!ORACLE) {
+  console.error("Missing --oracle");
+  process.exit(1);
+}
+try {
+  for (const w of WINDOWS) parseWindow(w);
+} catch (err) {
+  console.error(`--windows: ${err.message}`);
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(RPC);
+const oracle = oracleAt(ORACLE, provider);
+
+const iso = (ts) => (ts === null || ts === undefined ? "" : new Date(Number(ts) * 1000).toISOString().replace(".000Z", "Z"));
+
+function dur(sec) {
+  const s = Number(sec);
+  if (s < 120) return `${s}s`;
+  if (s < 7200) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  if (s < 172800) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  return `${Math.floor(s / 86400)}d ${Math.floor((s % 86400) / 3600)}h`;
+}
+
+// ---------------------------------------------------------------------------
+// Chain
+// ---------------------------------------------------------------------------
+
+const PARALLEL = 16;
+
+// SDK round (null: not readable) → row
+function chainRow(round) {
+  if (!round) return null;
+  return { ...round, roundId: Number(round.roundId), answeredInRound: Number(round.answeredInRound), source: "chain" };
+}
+
+// Latest round back to round 1 or the first evicted one, oldest first
+async function readChainRounds(feedId, at) {
+  const head = chainRow(await latest(oracle, feedId, at));
+  if (!head) return { rows: [], evicted: false };
+  const rows = [head];
+  let evicted = false;
+  for (let next = head.roundId - 1; next >= 1 && !evicted; next -= PARALLEL) {
+    const ids = Array.from({ length: Math.min(PARALLEL, next) }, (_, i) => next - i);
+    const batch = await Promise.all(ids.map(async (r) => chainRow(await roundAt(oracle, feedId, r, at))));
+    for (const row of batch) {
+      if (!row) {
+        evicted = true;
+        break;
+      }
+      rows.push(row);
+    }
+  }
+  return { rows: rows.reverse(), evicted };
+}
+
+// ---------------------------------------------------------------------------
+// Indexed events
+// ---------------------------------------------------------------------------
+
+function withEvents(row, ev) {
+  if (!ev) return row;
+  return {
+    ...row,
+    finalizedAt: ev.finalizedAt,
+    timeToFinalize: ev.timeToFinalize,
+    submissions: ev.submissions.length,
+    firstAnswer: ev.submissions.length ? BigInt(ev.submissions[0].answer) : undefined,
+  };
+}
+
+// Chain rows plus finalized rounds that are only in the events (older than the ring)
+function mergeEvents(chainRows, feedEvents, latestRoundId) {
+  const byId = feedEvents.rounds;
+  const oldest = chainRows.length ? chainRows[0].roundId : latestRoundId + 1;
+  const older = [];
+  for (const ev of [...byId.values()].sort((a, b) => a.roundId - b.roundId)) {
+    if (ev.roundId >= oldest || ev.finalizedAt === null || ev.answer === null) continue;
+    const prev = older[older.length - 1];
+    older.push(
+      withEvents(
+        {
+          roundId: ev.roundId,
+          answer: BigInt(ev.answer),
+          startedAt: BigInt(ev.startedAt ?? ev.finalizedAt),
+          updatedAt: BigInt(ev.updatedAt),
+          // A roll-forward keeps the answeredInRound of the round it carries forward
+          answeredInRound: !ev.stale ? ev.roundId : prev && prev.roundId === ev.roundId - 1 ? prev.answeredInRound : null,
+          stale: ev.stale,
+          source: "events",
+        },
+        ev,
+      ),
+    );
+  }
+
+  const mismatches = [];
+  const merged = chainRows.map((row) => {
+    const ev = byId.get(row.roundId);
+    if (!ev || ev.finalizedAt === null) return row;
+    if (ev.answer !== null && (BigInt(ev.answer) !== row.answer || BigInt(ev.updatedAt) !== row.updatedAt || ev.stale !== row.stale)) {
+      mismatches.push({
+        roundId: row.roundId,
+        chain: { answer: row.answer, updatedAt: row.updatedAt, stale: row.stale },
+        events: { answer: ev.answer, updatedAt: ev.updatedAt, stale: ev.stale },
+      });
+    }
+    return withEvents(row, ev);
+  });
+  return { rows: [...older, ...merged], added: older.length, mismatches };
+}
+
+// configAt(timestamp) from FeedCreated / FeedConfigUpdated, falling back to the current config
+function configTimeline(configs, current) {
+  const timeline = configs
+    .map((c) => ({ timestamp: BigInt(c.timestamp), heartbeatSec: BigInt(c.heartbeatSec), deviationBps: BigInt(c.deviationBps) }))
+    .sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+  if (!timeline.length) return () => current;
+  return (t) => timeline.findLast((c) => c.timestamp <= t) ?? timeline[0];
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+  "roundId",
+  "answer",
+  "price",
+  "startedAt",
+  "updatedAt",
+  "updatedAtIso",
+  "answeredInRound",
+  "stale",
+  "gapSec",
+  "changeBps",
+  "trigger",
+  "source",
+  "submissions",
+  "firstAnswer",
+  "finalizedAt",
+  "timeToFinalize",
+];
+
+function outputRow(row, decimals) {
+  return {
+    roundId: row.roundId,
+    answer: row.answer.toString(),
+    price: formatAnswer(row.answer, decimals),
+    startedAt: Number(row.startedAt),
+    updatedAt: Number(row.updatedAt),
+    updatedAtIso: iso(row.updatedAt),
+    answeredInRound: row.answeredInRound,
+    stale: row.stale,
+    gapSec: row.gapSec === null ? null : Number(row.gapSec),
+    changeBps: row.changeBps,
+    trigger: row.trigger,
+    source: row.source,
+    submissions: row.submissions ?? null,
+    firstAnswer: row.firstAnswer === undefined ? null : row.firstAnswer.toString(),
+    finalizedAt: row.finalizedAt ?? null,
+    timeToFinalize: row.timeToFinalize ?? null,
+  };
+}
+
+function toCsv(rows) {
+  const cell = (v) => (v === null || v === undefined ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return [CSV_COLUMNS.join(","), ...rows.map((r) => CSV_COLUMNS.map((c) => cell(r[c])).join(","))].join("\n") + "\n";
+}
+
+function outputStats(name, stats, decimals) {
+  return {
+    window: name,
+    from: Number(stats.from),
+    to: Number(stats.to),
+    rounds: stats.rounds,
+    fresh: stats.fresh,
+    stale: stats.stale,
+    twap: stats.twap && {
+      answer: stats.twap.twap.toString(),
+      price: formatAnswer(stats.twap.twap, decimals),
+      start: Number(stats.twap.start),
+      coveredSec: Number(stats.twap.covered),
+    },
+    deviationBps: stats.deviation,
+    gapSec: stats.gaps,
+    triggers: stats.triggers,
+  };
+}
+
+async function writeOut(file, body, what) {
+  await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await writeFile(file, body);
+  console.log(`📝 ${what} written: ${file}`);
+}
+
+function printStats(s, cfg) {
+  console.log(`\n📊 Window ${s.window} (${iso(s.from)} → ${iso(s.to)})`);
+  console.log(`   rounds ${s.rounds} (fresh ${s.fresh}, stale ${s.stale})`);
+  if (s.twap) console.log(`   TWAP ${s.twap.price} over ${dur(s.twap.coveredSec)}`);
+  const share = (n) => (s.rounds ? ` (${Math.round((n / s.rounds) * 100)}%)` : "");
+  const triggers = Object.entries(s.triggers).filter(([, n]) => n > 0);
+  if (triggers.length) console.log(`   triggers: ${triggers.map(([k, n]) => `${k} ${n}${share(n)}`).join(", ")}`);
+  const d = s.deviationBps;
+  if (d.count) {
+    const buckets = Object.entries(d.buckets).map(([k, n]) => `${k}: ${n}`).join(", ");
+    console.log(`   |Δ| bps (deviationBps ${cfg.deviationBps}): p50 ${d.p50} p90 ${d.p90} p99 ${d.p99} max ${d.max} — ${buckets}`);
+  }
+  const g = s.gapSec;
+  if (g.count) {
+    console.log(`   update gaps (heartbeatSec ${cfg.heartbeatSec}): p50 ${dur(g.p50)} p90 ${dur(g.p90)} max ${dur(g.max)} — ${g.overTwiceHeartbeat} over 2× heartbeat`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const feedId = feedIdOf(FEED_DESC);
+  const blockTag = BLOCK ?? (await provider.getBlockNumber());
+  const at = { blockTag };
+  const block = await provider.getBlock(blockTag);
+  const end = BigInt(block.timestamp);
+
+  const rawCfg = await oracle.getConfig(feedId, at);
+  if (rawCfg.decimals === 0n) throw new Error(`no feed ${FEED_DESC} (${short(feedId)}) on ${ORACLE} at block ${blockTag}`);
+  const cfg = gatingConfig(rawCfg);
+  const decimals = Number(rawCfg.decimals);
+
+  console.log(`📜 History export: ${FEED_DESC} (${short(feedId)}) "${rawCfg.description}" on oracle ${short(ORACLE)}`);
+  console.log(`   block ${blockTag} (${iso(end)}), decimals ${decimals}, heartbeatSec ${cfg.heartbeatSec}, deviationBps ${cfg.deviationBps}`);
+
+  const chain = await readChainRounds(feedId, at);
+  const latestRoundId = chain.rows.length ? chain.rows[chain.rows.length - 1].roundId : 0;
+  if (chain.rows.length) {
+    const first = chain.rows[0].roundId;
+    console.log(`   on-chain rounds ${first}..${latestRoundId}${chain.evicted ? ` (rounds before ${first} evicted from the ring)` : ""}`);
+  } else {
+    console.log("   no finalized rounds yet");
+  }
+
+  let rows = chain.rows;
+  let configAt = () => cfg;
+  let mismatches = [];
+  if (STORE) {
+    const history = await buildHistory(readStoredEvents(STORE));
+    const feedEvents = history.feeds.get(feedId);
+    if (!feedEvents) {
+      console.log(`   ⚠️ no indexed events for this feed in ${STORE}`);
+    } else {
+      const merged = mergeEvents(chain.rows, feedEvents, latestRoundId);
+      rows = merged.rows;
+      mismatches = merged.mismatches;
+      configAt = configTimeline(feedEvents.configs, cfg);
+      const covered = chain.rows.filter((r) => feedEvents.rounds.get(r.roundId)?.finalizedAt != null).length;
+      console.log(`   events: ${covered}/${chain.rows.length} on-chain rounds indexed, ${merged.added} older round(s) added from ${STORE}`);
+      if (mismatches.length) {
+        console.log(`   ⚠️ ${mismatches.length} round(s) differ between events and chain: ${mismatches.map((m) => m.roundId).join(", ")}`);
+      }
+    }
+  }
+
+  const annotated = annotate(rows, configAt);
+  const out = annotated.map((r) => outputRow(r, decimals));
+  const stale = annotated.filter((r) => r.stale);
+  if (stale.length) console.log(`   stale roll-forwards: ${stale.length} (rounds ${stale.map((r) => r.roundId).join(", ")})`);
+
+  const windows = WINDOWS.map((name) => {
+    const sec = parseWindow(name);
+    const from = sec === null ? (annotated.length ? annotated[0].startedAt - 1n : end) : end - BigInt(sec);
+    return outputStats(name, windowStats(annotated, { from, to: end, cfg: configAt(end) }), decimals);
+  });
+  for (const s of windows) printStats(s, configAt(end));
+  console.log("");
+
+  if (CSV_FILE) await writeOut(CSV_FILE, toCsv(out), `CSV (${out.length} rows)`);
+  if (JSON_FILE) {
+    const report = {
+      oracle: ORACLE,
+      feedDesc: FEED_DESC,
+      feedId,
+      description: rawCfg.description,
+      decimals,
+      block: blockTag,
+      blockTimestamp: Number(end),
+      config: { heartbeatSec: Number(cfg.heartbeatSec), deviationBps: Number(cfg.deviationBps), timeoutSec: Number(cfg.timeoutSec) },
+      evicted: chain.evicted,
+      events: STORE,
+      mismatches,
+      windows,
+      rounds: out,
+    };
+    await writeOut(JSON_FILE, JSON.stringify(report, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2) + "\n", "JSON");
+  }
+  if (!CSV_FILE && !JSON_FILE) console.log("ℹ️  Pass --csv and/or --json to write the rounds out.");
+}
+
+main().catch((err) => {
+  console.error(`\n❌ ${describeError(err)}`);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+// PriceLoomOracle event ABI and log → record decoding for the indexer
+//
+// Records are plain JSON (bigints as decimal strings) so they can be appended to
+// a JSONL file as-is:
+//   { block, blockHash, timestamp, tx, logIndex, event, feedId, ...event args }
+
+import { ethers } from "ethers";
+import { FEED_CONFIG_TUPLE } from "../sdk/abis.mjs";
+
+export const ORACLE_EVENTS = [
+  `event FeedCreated(bytes32 indexed feedId, ${FEED_CONFIG_TUPLE} cfg)`,
+  `event FeedConfigUpdated(bytes32 indexed feedId, ${FEED_CONFIG_TUPLE} cfg)`,
+  "event OperatorAdded(bytes32 indexed feedId, address op)",
+  "event OperatorRemoved(bytes32 indexed feedId, address op)",
+  "event RoundStarted(bytes32 indexed feedId, uint80 indexed roundId, uint256 startedAt)",
+  "event SubmissionReceived(bytes32 indexed feedId, uint80 indexed roundId, address indexed operator, int256 answer)",
+  "event RoundFinalized(bytes32 indexed feedId, uint80 indexed roundId, uint8 submissionCount)",
+  "event PriceUpdated(bytes32 indexed feedId, int256 answer, uint256 updatedAt)",
+  "event StalePriceRolledForward(bytes32 indexed feedId, uint80 indexed roundId)",
+];
+
+export const oracleEvents = new ethers.Interface(ORACLE_EVENTS);
+
+// topic0 for every indexed event, for a single eth_getLogs filter
+export const EVENT_TOPICS = oracleEvents.fragments.map((f) => f.topicHash);
+
+function plain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof ethers.Result) {
+    const obj = value.toObject();
+    return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, plain(v)]));
+  }
+  return value;
+}
+
+// → record, or null for logs that aren't oracle events
+export function decodeLog(log, timestamp) {
+  let parsed;
+  try {
+    parsed = oracleEvents.parseLog(log);
+  } catch {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const record = {
+    block: log.blockNumber,
+    blockHash: log.blockHash,
+    timestamp,
+    tx: log.transactionHash,
+    logIndex: log.index ?? log.logIndex,
+    event: parsed.name,
+  };
+  parsed.fragment.inputs.forEach((input, i) => {
+    record[input.name] = plain(parsed.args[i]);
+  });
+  // OperatorAdded/Removed call it `op`; use one name for every event
+  if (record.op) {
+    record.operator = record.op;
+    delete record.op;
+  }
+  return record;
+}
@@ -0,0 +1,139 @@
+// Oracle event indexer (ethers v6)
+//
+// Backfills every PriceLoomOracle event from a start block into a local JSONL store,
+// then (with --follow) keeps up with new blocks. The on-chain history ring only
+// keeps the last rounds (older ones revert HistoryEvicted); the store keeps all of them.
+//
+// Reorgs: the store remembers recent block hashes. Before each step the newest one
+// is compared with the chain; on a mismatch the indexer walks back to the last block
+// both agree on, drops everything after it and re-indexes from there.
+//
+// Usage:
+//   node scripts/indexer/index-events.mjs \
+//     --rpc http://127.0.0.1:8545 \
+//     --oracle 0xOracle \
+//     [--fromBlock 0] [--store .indexer/<oracle>] \
+//     [--follow] [--confirmations 0] [--batch 2000] [--poll 4000]
+//
+// Query the store with scripts/indexer/query.mjs.
+
+import { ethers } from "ethers";
+import { EVENT_TOPICS, decodeLog } from "./events.mjs";
+import { forkPoint, openJsonlStore } from "./store.mjs";
+import { parseArgs } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const ORACLE = argv.oracle || process.env.ORACLE;
+const FROM_BLOCK = Number(argv.fromBlock || process.env.FROM_BLOCK || 0); // oracle deployment block saves scanning
+const STORE = argv.store || process.env.INDEXER_STORE || (ORACLE && `.indexer/${ORACLE.toLowerCase()}`);
+const FOLLOW = argv.follow === "true" || process.env.INDEXER_FOLLOW === "1";
+const CONFIRMATIONS = Number(argv.confirmations || process.env.CONFIRMATIONS || 0);
+const BATCH = Number(argv.batch || process.env.INDEXER_BATCH || 2000); // blocks per eth_getLogs
+const POLL = Number(argv.poll || process.env.POLL_MS || 4000);
+
+if (!ORACLE) {
+  console.error("Missing --oracle");
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(RPC);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+let stopping = false;
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => {
+    if (stopping) process.exit(1);
+    stopping = true;
+    console.log("🛑 Stopping after the current batch…");
+  });
+}
+
+// getBlockNumber() is cached by ethers; ask for the block itself
+async function headBlock() {
+  return (await provider.getBlock("latest")).number;
+}
+
+// Returns true if the store was rewound
+async function handleReorg(store) {
+  const recent = store.recent;
+  if (recent.length === 0) return false;
+
+  const fork = await forkPoint(recent, async (n) => (await provider.getBlock(n))?.hash);
+  if (fork.block !== null) {
+    if (!fork.reorged && fork.block === store.block) return false;
+    const { dropped } = await store.rewind(fork.block);
+    console.log(`🔀 Reorg: block ${recent[recent.length - 1].number} replaced; rewound to ${fork.block} (dropped ${dropped} event(s))`);
+    return true;
+  }
+
+  // Deeper than the hashes we keep: start over
+  const { dropped } = await store.rewind(FROM_BLOCK - 1);
+  console.warn(`⚠️  Reorg deeper than ${recent.length} remembered blocks; re-indexing from ${FROM_BLOCK} (dropped ${dropped} event(s))`);
+  return true;
+}
+
+async function indexRange(store, fromBlock, toBlock) {
+  const logs = await provider.getLogs({ address: ORACLE, topics: [EVENT_TOPICS], fromBlock, toBlock });
+
+  // One header per block with events (timestamps), plus the range end (reorg anchor)
+  const numbers = [...new Set([...logs.map((l) => l.blockNumber), toBlock])];
+  const blocks = new Map();
+  for (const n of numbers) blocks.set(n, await provider.getBlock(n));
+
+  const records = logs
+    .map((log) => decodeLog(log, blocks.get(log.blockNumber).timestamp))
+    .filter(Boolean)
+    .sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+
+  await store.commit(records, toBlock, [...blocks.values()].map((b) => ({ number: b.number, hash: b.hash })));
+  return records;
+}
+
+async function catchUp(store) {
+  let batch = BATCH;
+  while (!stopping) {
+    const head = (await headBlock()) - CONFIRMATIONS;
+    const from = store.block === null ? FROM_BLOCK : store.block + 1;
+    if (from > head) return;
+
+    const to = Math.min(head, from + batch - 1);
+    let records;
+    try {
+      records = await indexRange(store, from, to);
+    } catch (err) {
+      // Providers cap eth_getLogs ranges; shrink and retry
+      if (batch > 1) {
+        batch = Math.max(1, Math.floor(batch / 2));
+        console.warn(`⚠️  getLogs ${from}-${to} failed (${err.shortMessage || err.message}); batch → ${batch}`);
+        continue;
+      }
+      throw err;
+    }
+    const counts = {};
+    for (const r of records) counts[r.event] = (counts[r.event] || 0) + 1;
+    const summary = Object.entries(counts).map(([e, n]) => `${e}=${n}`).join(" ");
+    console.log(`📥 Blocks ${from}-${to}: ${records.length} event(s)${summary ? `  ${summary}` : ""}`);
+  }
+}
+
+const { chainId } = await provider.getNetwork();
+const store = await openJsonlStore(STORE, { chainId, oracle: ORACLE });
+
+console.log(`🗂️  Indexer starting`);
+console.log(`   rpc=${RPC} chainId=${chainId} oracle=${ORACLE} store=${STORE}`);
+console.log(`   from=${store.block === null ? FROM_BLOCK : store.block + 1} confirmations=${CONFIRMATIONS} batch=${BATCH}${FOLLOW ? ` follow poll=${POLL}ms` : ""}`);
+
+do {
+  try {
+    await handleReorg(store);
+    await catchUp(store);
+  } catch (err) {
+    if (!FOLLOW) throw err;
+    console.error(`❌ ${err.shortMessage || err.message}; retrying in ${POLL}ms`);
+  }
+  if (FOLLOW && !stopping) await sleep(POLL);
+} while (FOLLOW && !stopping);
+
+console.log(`✅ Indexed up to block ${store.block}`);
@@ -0,0 +1,155 @@
+// Round history built from indexed events (see store.mjs)
+//
+// buildHistory() folds the event stream into per-feed state:
+//   feeds:   feedId → { feedId, description, decimals, operators, configs, rounds, cleared }
+//   rounds:  roundId → { roundId, startedAt, finalizedAt, submissions, submissionCount,
+//                        answer, updatedAt, stale, timeToFinalize }
+//   cleared: earlier attempts at a round id, oldest first (same shape, cleared: true)
+// Timestamps are seconds; answers stay decimal strings, as stored.
+//
+// A round that times out below quorum before the feed's first answer is cleared, not
+// rolled forward, and its id is opened again by the next RoundStarted. Each RoundStarted
+// therefore begins a new record; an unfinalized one it replaces moves to `cleared`.
+
+import { feedIdOf } from "../sdk/price-loom.mjs";
+
+function newRound(roundId) {
+  return {
+    roundId: Number(roundId),
+    startedAt: null,
+    startedBlock: null,
+    finalizedAt: null,
+    finalizedBlock: null,
+    submissions: [],
+    submissionCount: null,
+    answer: null,
+    updatedAt: null,
+    stale: false,
+    cleared: false,
+    timeToFinalize: null,
+  };
+}
+
+export async function buildHistory(events) {
+  const feeds = new Map();
+  const feed = (feedId) => {
+    const key = feedId.toLowerCase();
+    if (!feeds.has(key)) {
+      feeds.set(key, { feedId: key, description: null, decimals: null, operators: new Set(), configs: [], rounds: new Map(), cleared: [] });
+    }
+    return feeds.get(key);
+  };
+  const round = (f, roundId) => {
+    const id = Number(roundId);
+    if (!f.rounds.has(id)) f.rounds.set(id, newRound(id));
+    return f.rounds.get(id);
+  };
+  // PriceUpdated carries no roundId; it follows its RoundFinalized in the same tx
+  const lastFinalized = new Map(); // tx:feedId → round
+
+  for await (const e of events) {
+    const f = feed(e.feedId);
+    switch (e.event) {
+      case "FeedCreated":
+      case "FeedConfigUpdated":
+        f.description = e.cfg.description;
+        f.decimals = Number(e.cfg.decimals);
+        f.configs.push({ block: e.block, timestamp: e.timestamp, event: e.event, ...e.cfg });
+        break;
+      case "OperatorAdded":
+        f.operators.add(e.operator);
+        break;
+      case "OperatorRemoved":
+        f.operators.delete(e.operator);
+        break;
+      case "RoundStarted": {
+        const id = Number(e.roundId);
+        const previous = f.rounds.get(id);
+        if (previous && previous.finalizedAt === null) {
+          previous.cleared = true;
+          f.cleared.push(previous);
+          f.rounds.delete(id);
+        }
+        const r = round(f, id);
+        r.startedAt = Number(e.startedAt);
+        r.startedBlock = e.block;
+        break;
+      }
+      case "SubmissionReceived":
+        round(f, e.roundId).submissions.push({
+          operator: e.operator,
+          answer: e.answer,
+          block: e.block,
+          timestamp: e.timestamp,
+          tx: e.tx,
+        });
+        break;
+      case "RoundFinalized": {
+        const r = round(f, e.roundId);
+        r.finalizedAt = e.timestamp;
+        r.finalizedBlock = e.block;
+        r.submissionCount = Number(e.submissionCount);
+        if (r.startedAt !== null) r.timeToFinalize = r.finalizedAt - r.startedAt;
+        lastFinalized.set(`${e.tx}:${f.feedId}`, r);
+        break;
+      }
+      case "PriceUpdated": {
+        const r = lastFinalized.get(`${e.tx}:${f.feedId}`);
+        if (r) {
+          r.answer = e.answer;
+          r.updatedAt = Number(e.updatedAt);
+        }
+        break;
+      }
+      case "StalePriceRolledForward":
+        round(f, e.roundId).stale = true;
+        break;
+    }
+  }
+  return { feeds };
+}
+
+export function roundsOf(history, feed) {
+  const f = history.feeds.get(feedIdOf(feed));
+  if (!f) return [];
+  return [...f.rounds.values()].sort((a, b) => a.roundId - b.roundId);
+}
+
+export function staleRounds(history, feed) {
+  return roundsOf(history, feed).filter((r) => r.stale);
+}
+
+// Attempts that timed out with no answer and were cleared, in order
+export function clearedRounds(history, feed) {
+  return history.feeds.get(feedIdOf(feed))?.cleared ?? [];
+}
+
+// Per operator: submissions (cleared attempts included), share of finalized rounds it
+// took part in, last seen
+export function operatorStats(history, feed) {
+  const rounds = roundsOf(history, feed);
+  const finalized = rounds.filter((r) => r.finalizedAt !== null);
+  const stats = new Map();
+  for (const r of [...clearedRounds(history, feed), ...rounds]) {
+    for (const s of r.submissions) {
+      const st = stats.get(s.operator) || { operator: s.operator, submissions: 0, finalizedRounds: 0, lastSeen: 0 };
+      st.submissions++;
+      if (r.finalizedAt !== null) st.finalizedRounds++;
+      st.lastSeen = Math.max(st.lastSeen, s.timestamp);
+      stats.set(s.operator, st);
+    }
+  }
+  return [...stats.values()]
+    .map((st) => ({ ...st, participation: finalized.length ? st.finalizedRounds / finalized.length : 0 }))
+    .sort((a, b) => b.submissions - a.submissions);
+}
+
+// Min / median / max time from RoundStarted to RoundFinalized, fresh rounds only
+export function finalizeTimes(history, feed) {
+  const times = roundsOf(history, feed)
+    .filter((r) => !r.stale && r.timeToFinalize !== null)
+    .map((r) => r.timeToFinalize)
+    .sort((a, b) => a - b);
+  if (times.length === 0) return null;
+  return { rounds: times.length, min: times[0], median: times[Math.floor(times.length / 2)], max: times[times.length - 1] };
+}
@@ -0,0 +1,125 @@
+// Unit tests for queries.mjs (events as the store holds them; no chain needed)
+// Run: node --test scripts/indexer/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildHistory, clearedRounds, finalizeTimes, operatorStats, roundsOf, staleRounds } from "./queries.mjs";
+import { feedIdOf } from "../sdk/price-loom.mjs";
+
+const FEED = "ar/usd-testv1";
+const FEED_ID = feedIdOf(FEED);
+const OP_A = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const OP_B = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const OP_C = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+// [block, event, fields] → records; each block is its own tx, 12s apart
+function stream(spec) {
+  return spec.map(([block, event, fields = {}], logIndex) => ({
+    block,
+    blockHash: `0x${block.toString(16).padStart(64, "0")}`,
+    timestamp: 1000 + block * 12,
+    tx: `0x${block.toString(16).padStart(64, "a")}`,
+    logIndex,
+    event,
+    feedId: FEED_ID,
+    ...fields,
+  }));
+}
+
+const cfg = { decimals: "8", minSubmissions: "2", maxSubmissions: "3", description: FEED };
+const started = (block, roundId) => [block, "RoundStarted", { roundId: String(roundId), startedAt: String(1000 + block * 12) }];
+const submitted = (block, roundId, operator, answer) => [block, "SubmissionReceived", { roundId: String(roundId), operator, answer }];
+const finalized = (block, roundId, submissionCount, answer) => [
+  [block, "RoundFinalized", { roundId: String(roundId), submissionCount: String(submissionCount) }],
+  [block, "PriceUpdated", { answer, updatedAt: String(1000 + block * 12) }],
+];
+
+test("rounds collect their submissions, answer and time to finalize", async () => {
+  const history = await buildHistory(stream([
+    [1, "FeedCreated", { cfg }],
+    [1, "OperatorAdded", { operator: OP_A }],
+    [1, "OperatorAdded", { operator: OP_B }],
+    started(2, 1),
+    submitted(2, 1, OP_A, "600000000"),
+    submitted(4, 1, OP_B, "602000000"),
+    ...finalized(4, 1, 2, "601000000"),
+  ]));
+  const feed = history.feeds.get(FEED_ID);
+  assert.equal(feed.description, FEED);
+  assert.equal(feed.decimals, 8);
+  assert.deepEqual([...feed.operators], [OP_A, OP_B]);
+
+  const [r] = roundsOf(history, FEED);
+  assert.equal(r.roundId, 1);
+  assert.deepEqual(r.submissions.map((s) => s.operator), [OP_A, OP_B]);
+  assert.equal(r.answer, "601000000");
+  assert.equal(r.submissionCount, 2);
+  assert.equal(r.timeToFinalize, 24);
+  assert.equal(r.stale, false);
+});
+
+test("a round id cleared by a timeout before the first answer starts a new record", async () => {
+  const history = await buildHistory(stream([
+    [1, "FeedCreated", { cfg }],
+    started(2, 1),
+    submitted(2, 1, OP_A, "600000000"),
+    // timed out below quorum with no answer yet: cleared, round 1 opens again
+    started(20, 1),
+    submitted(20, 1, OP_B, "610000000"),
+    submitted(21, 1, OP_C, "612000000"),
+    ...finalized(21, 1, 2, "611000000"),
+  ]));
+  const [r] = roundsOf(history, FEED);
+  assert.deepEqual(r.submissions.map((s) => s.operator), [OP_B, OP_C]);
+  assert.equal(r.startedAt, 1000 + 20 * 12);
+  assert.equal(r.timeToFinalize, 12);
+
+  const [cleared] = clearedRounds(history, FEED);
+  assert.equal(cleared.roundId, 1);
+  assert.equal(cleared.cleared, true);
+  assert.equal(cleared.finalizedAt, null);
+  assert.deepEqual(cleared.submissions.map((s) => s.operator), [OP_A]);
+
+  // A's submission still counts, but not towards a finalized round
+  const a = operatorStats(history, FEED).find((s) => s.operator === OP_A);
+  assert.equal(a.submissions, 1);
+  assert.equal(a.participation, 0);
+});
+
+test("stale roll-forwards keep the previous answer and are left out of finalize times", async () => {
+  const history = await buildHistory(stream([
+    [1, "FeedCreated", { cfg }],
+    started(2, 1),
+    submitted(2, 1, OP_A, "600000000"),
+    submitted(2, 1, OP_B, "600000000"),
+    submitted(2, 1, OP_C, "600000000"),
+    ...finalized(2, 1, 3, "600000000"),
+    started(10, 2),
+    submitted(10, 2, OP_A, "650000000"),
+    ...finalized(20, 2, 1, "600000000"),
+    [20, "StalePriceRolledForward", { roundId: "2" }],
+    started(21, 3),
+    submitted(21, 3, OP_B, "640000000"),
+  ]));
+  const rounds = roundsOf(history, FEED);
+  assert.deepEqual(rounds.map((r) => r.roundId), [1, 2, 3]);
+  assert.deepEqual(staleRounds(history, FEED).map((r) => r.roundId), [2]);
+  assert.equal(rounds[1].answer, "600000000");
+  assert.equal(rounds[2].finalizedAt, null); // still open
+  assert.deepEqual(clearedRounds(history, FEED), []);
+  assert.deepEqual(finalizeTimes(history, FEED), { rounds: 1, min: 0, median: 0, max: 0 });
+
+  const stats = operatorStats(history, FEED);
+  assert.deepEqual(stats.map((s) => [s.operator, s.submissions, s.participation]), [
+    [OP_A, 2, 1],
+    [OP_B, 2, 0.5],
+    [OP_C, 1, 0.5],
+  ]);
+});
+
+test("unknown feeds have no rounds", async () => {
+  const history = await buildHistory(stream([]));
+  assert.deepEqual(roundsOf(history, FEED), []);
+  assert.deepEqual(clearedRounds(history, FEED), []);
+  assert.equal(finalizeTimes(history, FEED), null);
+});
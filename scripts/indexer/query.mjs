@@ -0,0 +1,128 @@
+// Query the indexer's JSONL store (no RPC needed)
+//
+// Usage:
+//   node scripts/indexer/query.mjs --oracle 0xOracle <command> [--feed ar/usd-testv1] [--json]
+//   node scripts/indexer/query.mjs --store .indexer/0x... <command> ...
+//
+// Commands:
+//   feeds              feeds seen, with round counts and current operators
+//   rounds [--limit N] per-round submission set, time to finalize, answer, stale flag
+//   round <id>         one round in full, after any cleared attempts at the same id
+//   stale              rounds that timed out without quorum and rolled forward stale
+//   operators          per-operator submissions and participation
+
+import { readStoredEvents } from "./store.mjs";
+import { buildHistory, clearedRounds, finalizeTimes, operatorStats, roundsOf, staleRounds } from "./queries.mjs";
+import { feedIdOf } from "../sdk/price-loom.mjs";
+import { parseArgs, positionalArgs, short } from "../lib/cli.mjs";
+
+const flags = parseArgs();
+const positional = positionalArgs();
+
+const ORACLE = flags.oracle || process.env.ORACLE;
+const STORE = flags.store || process.env.INDEXER_STORE || (ORACLE && `.indexer/${ORACLE.toLowerCase()}`);
+const FEED = flags.feed || process.env.FEED_DESC;
+const JSON_OUT = flags.json === "true";
+const LIMIT = Number(flags.limit || 20);
+const [command = "feeds", ...rest] = positional;
+
+if (!STORE) {
+  console.error("Missing --store or --oracle");
+  process.exit(1);
+}
+
+const iso = (ts) => (ts ? new Date(ts * 1000).toISOString().replace(".000Z", "Z") : "-");
+const print = (value, text) => (JSON_OUT ? console.log(JSON.stringify(value, null, 2)) : text());
+
+const history = await buildHistory(readStoredEvents(STORE));
+
+// Without --feed, the only indexed feed (or ask)
+function feedArg() {
+  if (FEED) return feedIdOf(FEED);
+  if (history.feeds.size === 1) return [...history.feeds.keys()][0];
+  const names = [...history.feeds.values()].map((f) => f.description || f.feedId).join(", ");
+  console.error(`Pass --feed (indexed: ${names || "none"})`);
+  process.exit(1);
+}
+
+function roundLine(r) {
+  const ops = r.submissions.map((s) => short(s.operator)).join(",");
+  const ttf = r.timeToFinalize === null ? "-" : `${r.timeToFinalize}s`;
+  const state = r.cleared ? "🧹 cleared" : r.stale ? "⚠️ stale" : r.finalizedAt ? "✅" : "⏳ open";
+  return `  #${r.roundId}  ${state}  started=${iso(r.startedAt)}  ttf=${ttf}  subs=${r.submissions.length}  answer=${r.answer ?? "-"}  [${ops}]`;
+}
+
+switch (command) {
+  case "feeds": {
+    const rows = [...history.feeds.values()].map((f) => ({
+      feedId: f.feedId,
+      description: f.description,
+      decimals: f.decimals,
+      rounds: f.rounds.size,
+      stale: [...f.rounds.values()].filter((r) => r.stale).length,
+      cleared: f.cleared.length,
+      operators: [...f.operators],
+    }));
+    print(rows, () => {
+      console.log(`📚 ${rows.length} feed(s) in ${STORE}`);
+      for (const r of rows) {
+        console.log(`  ${r.description ?? "?"}  ${r.feedId}  rounds=${r.rounds} stale=${r.stale} cleared=${r.cleared} operators=${r.operators.length}`);
+      }
+    });
+    break;
+  }
+  case "rounds": {
+    const feedId = feedArg();
+    const rounds = roundsOf(history, feedId).slice(-LIMIT);
+    const times = finalizeTimes(history, feedId);
+    print({ feedId, finalizeTimes: times, rounds }, () => {
+      console.log(`📜 Last ${rounds.length} round(s) of ${history.feeds.get(feedId)?.description ?? feedId}`);
+      for (const r of rounds) console.log(roundLine(r));
+      if (times) console.log(`  ⏱️  time to finalize: min=${times.min}s median=${times.median}s max=${times.max}s (${times.rounds} fresh rounds)`);
+    });
+    break;
+  }
+  case "round": {
+    const feedId = feedArg();
+    const id = Number(rest[0]);
+    const attempts = [
+      ...clearedRounds(history, feedId).filter((x) => x.roundId === id),
+      ...roundsOf(history, feedId).filter((x) => x.roundId === id),
+    ];
+    if (attempts.length === 0) {
+      console.error(`Round ${rest[0]} is not in the store`);
+      process.exit(1);
+    }
+    print(attempts.length === 1 ? attempts[0] : attempts, () => {
+      for (const r of attempts) {
+        console.log(roundLine(r));
+        console.log(`     finalized=${iso(r.finalizedAt)} block=${r.finalizedBlock ?? "-"} submissionCount=${r.submissionCount ?? "-"}`);
+        for (const s of r.submissions) console.log(`     ✍️  ${s.operator} → ${s.answer}  block=${s.block} tx=${short(s.tx)}`);
+      }
+    });
+    break;
+  }
+  case "stale": {
+    const feedId = feedArg();
+    const rounds = staleRounds(history, feedId);
+    print(rounds, () => {
+      console.log(`⚠️  ${rounds.length} stale round(s)`);
+      for (const r of rounds) console.log(roundLine(r));
+    });
+    break;
+  }
+  case "operators": {
+    const feedId = feedArg();
+    const stats = operatorStats(history, feedId);
+    print(stats, () => {
+      console.log(`👥 Operators of ${history.feeds.get(feedId)?.description ?? feedId}`);
+      for (const s of stats) {
+        console.log(`  ${s.operator}  submissions=${s.submissions}  participation=${(s.participation * 100).toFixed(1)}%  lastSeen=${iso(s.lastSeen)}`);
+      }
+    });
+    break;
+  }
+  default:
+    console.error(`Unknown command "${command}" (feeds, rounds, round <id>, stale, operators)`);
+    process.exit(1);
+}
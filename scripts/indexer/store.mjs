@@ -0,0 +1,127 @@
+// JSONL event store for the indexer
+//
+// <dir>/events.jsonl   one decoded event per line, in chain order
+// <dir>/cursor.json    { chainId, oracle, block, size, recent: [{ number, hash }] }
+//
+// `block` is the last fully indexed block and `size` the length of events.jsonl at
+// that point; anything past `size` is a partial write and is truncated on open.
+// `recent` holds the hashes of recently indexed blocks so a reorg can be traced back
+// to the last block both chains share. Everything after that block is dropped from
+// events.jsonl and re-indexed.
+
+import { createReadStream, existsSync } from "node:fs";
+import { appendFile, mkdir, readFile, rename, stat, truncate, writeFile } from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline";
+
+const RECENT_BLOCKS = 128;
+
+export async function openJsonlStore(dir, { chainId, oracle }) {
+  await mkdir(dir, { recursive: true });
+  const eventsFile = path.join(dir, "events.jsonl");
+  const cursorFile = path.join(dir, "cursor.json");
+
+  let cursor = { chainId: String(chainId), oracle: oracle.toLowerCase(), block: null, size: 0, recent: [] };
+  if (existsSync(cursorFile)) {
+    const saved = JSON.parse(await readFile(cursorFile, "utf8"));
+    if (saved.chainId !== cursor.chainId || saved.oracle !== cursor.oracle) {
+      throw new Error(`${dir} indexes oracle ${saved.oracle} on chain ${saved.chainId}; use another --store`);
+    }
+    cursor = saved;
+  }
+  if (existsSync(eventsFile) && (await stat(eventsFile)).size > cursor.size) {
+    await truncate(eventsFile, cursor.size);
+  }
+
+  async function saveCursor() {
+    const tmp = `${cursorFile}.tmp`;
+    await writeFile(tmp, JSON.stringify(cursor, null, 2));
+    await rename(tmp, cursorFile);
+  }
+
+  return {
+    dir,
+    get block() {
+      return cursor.block;
+    },
+    get recent() {
+      return cursor.recent;
+    },
+
+    // Append the events of blocks (cursor.block, toBlock] and move the cursor.
+    // Events are written before the cursor, so a crash in between re-indexes the range.
+    async commit(records, toBlock, hashes) {
+      if (records.length > 0) {
+        const chunk = records.map((r) => JSON.stringify(r)).join("\n") + "\n";
+        await appendFile(eventsFile, chunk);
+        cursor.size += Buffer.byteLength(chunk);
+      }
+      const known = new Map(cursor.recent.map((b) => [b.number, b.hash]));
+      for (const b of hashes) known.set(b.number, b.hash);
+      cursor.recent = [...known]
+        .map(([number, hash]) => ({ number, hash }))
+        .sort((a, b) => a.number - b.number)
+        .slice(-RECENT_BLOCKS);
+      cursor.block = toBlock;
+      await saveCursor();
+    },
+
+    // Drop everything after `block` (the last block still on the canonical chain)
+    async rewind(block) {
+      let kept = 0;
+      let dropped = 0;
+      if (existsSync(eventsFile)) {
+        const lines = [];
+        for await (const record of this.events()) {
+          if (record.block <= block) {
+            lines.push(JSON.stringify(record));
+            kept++;
+          } else {
+            dropped++;
+          }
+        }
+        const body = lines.length ? lines.join("\n") + "\n" : "";
+        const tmp = `${eventsFile}.tmp`;
+        await writeFile(tmp, body);
+        await rename(tmp, eventsFile);
+        cursor.size = Buffer.byteLength(body);
+      }
+      cursor.block = block;
+      cursor.recent = cursor.recent.filter((b) => b.number <= block);
+      await saveCursor();
+      return { kept, dropped };
+    },
+
+    events() {
+      return readStoredEvents(dir);
+    },
+  };
+}
+
+// Newest remembered block that `hashAt(number)` still agrees with: { block, reorged },
+// or block null when none does (the reorg is deeper than the hashes kept)
+export async function forkPoint(recent, hashAt) {
+  for (let i = recent.length - 1; i >= 0; i--) {
+    if ((await hashAt(recent[i].number)) === recent[i].hash) {
+      return { block: recent[i].number, reorged: i < recent.length - 1 };
+    }
+  }
+  return { block: null, reorged: true };
+}
+
+// Read-only access for queries; doesn't need the chain the store was built from
+export async function* readStoredEvents(dir) {
+  const eventsFile = path.join(dir, "events.jsonl");
+  if (!existsSync(eventsFile)) return;
+  const lines = readline.createInterface({ input: createReadStream(eventsFile), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      return; // half-written tail while the indexer is appending
+    }
+    yield record;
+  }
+}
@@ -0,0 +1,87 @@
+// Unit tests for store.mjs (temp directories, no chain needed)
+// Run: node --test scripts/indexer/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appendFile, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { forkPoint, openJsonlStore, readStoredEvents } from "./store.mjs";
+
+const ORACLE = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const hash = (n, fork = "") => `0x${fork}${n}`;
+const record = (block, event = "RoundStarted") => ({ block, blockHash: hash(block), event });
+
+async function withDir(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "indexer-store-"));
+  try {
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function collect(events) {
+  const out = [];
+  for await (const e of events) out.push(e);
+  return out;
+}
+
+test("a reopened store resumes from its cursor and drops a half-written tail", async () => {
+  await withDir(async (dir) => {
+    const store = await openJsonlStore(dir, { chainId: 31337n, oracle: ORACLE });
+    assert.equal(store.block, null);
+    await store.commit([record(3), record(5)], 10, [{ number: 5, hash: hash(5) }, { number: 10, hash: hash(10) }]);
+    await store.commit([], 20, [{ number: 20, hash: hash(20) }]);
+
+    // A crash between appending events and saving the cursor
+    await appendFile(path.join(dir, "events.jsonl"), JSON.stringify(record(25)) + "\n{\"block\":2");
+
+    const reopened = await openJsonlStore(dir, { chainId: 31337n, oracle: ORACLE.toLowerCase() });
+    assert.equal(reopened.block, 20);
+    assert.deepEqual(reopened.recent.map((b) => b.number), [5, 10, 20]);
+    assert.deepEqual((await collect(reopened.events())).map((e) => e.block), [3, 5]);
+    await reopened.commit([record(25)], 30, [{ number: 30, hash: hash(30) }]);
+    assert.deepEqual((await collect(readStoredEvents(dir))).map((e) => e.block), [3, 5, 25]);
+  });
+});
+
+test("a store belongs to one oracle on one chain", async () => {
+  await withDir(async (dir) => {
+    const store = await openJsonlStore(dir, { chainId: 31337n, oracle: ORACLE });
+    await store.commit([], 1, [{ number: 1, hash: hash(1) }]);
+    await assert.rejects(openJsonlStore(dir, { chainId: 1n, oracle: ORACLE }), /indexes oracle .* on chain 31337; use another --store/);
+    await assert.rejects(openJsonlStore(dir, { chainId: 31337n, oracle: `0x${"1".repeat(40)}` }), /use another --store/);
+  });
+});
+
+test("a reorg is traced back to the last shared block and everything after it is dropped", async () => {
+  await withDir(async (dir) => {
+    const store = await openJsonlStore(dir, { chainId: 31337n, oracle: ORACLE });
+    await store.commit([record(2), record(4)], 5, [2, 4, 5].map((n) => ({ number: n, hash: hash(n) })));
+    await store.commit([record(7), record(9)], 10, [7, 9, 10].map((n) => ({ number: n, hash: hash(n) })));
+
+    // Same chain: nothing to do
+    assert.deepEqual(await forkPoint(store.recent, async (n) => hash(n)), { block: 10, reorged: false });
+
+    // Blocks after 5 were replaced
+    const chain = async (n) => (n <= 5 ? hash(n) : hash(n, "f"));
+    const fork = await forkPoint(store.recent, chain);
+    assert.deepEqual(fork, { block: 5, reorged: true });
+    assert.deepEqual(await store.rewind(fork.block), { kept: 2, dropped: 2 });
+    assert.equal(store.block, 5);
+    assert.deepEqual(store.recent.map((b) => b.number), [2, 4, 5]);
+
+    // The rewind survives a restart and indexing carries on from there
+    const reopened = await openJsonlStore(dir, { chainId: 31337n, oracle: ORACLE });
+    assert.equal(reopened.block, 5);
+    await reopened.commit([{ ...record(8), blockHash: hash(8, "f") }], 10, [{ number: 10, hash: hash(10, "f") }]);
+    assert.deepEqual((await collect(reopened.events())).map((e) => e.block), [2, 4, 8]);
+  });
+});
+
+test("a reorg deeper than the remembered hashes has no fork point", async () => {
+  const recent = [1, 2, 3].map((n) => ({ number: n, hash: hash(n) }));
+  assert.deepEqual(await forkPoint(recent, async (n) => hash(n, "f")), { block: null, reorged: true });
+  assert.deepEqual(await forkPoint([], async () => null), { block: null, reorged: true });
+});
@@ -0,0 +1,24 @@
+// Command-line helpers shared by the scripts
+//
+//   parseArgs(args)       "--name value" pairs → { name: "value" }; a flag followed by another
+//                         flag (or nothing) is "true"
+//   positionalArgs(args)  the words that are neither flags nor flag values
+//   short(value)          0x1234…abcd for addresses and hashes; anything else unchanged
+//
+// Both parsers default to process.argv.slice(2).
+
+const isFlag = (x) => typeof x === "string" && x.startsWith("--");
+
+export function parseArgs(args = process.argv.slice(2)) {
+  return Object.fromEntries(args.map((x, i, arr) => {
+    if (!isFlag(x)) return [];
+    const next = arr[i + 1];
+    return [x.slice(2), next === undefined || isFlag(next) ? "true" : next];
+  }).filter((e) => e.length));
+}
+
+export function positionalArgs(args = process.argv.slice(2)) {
+  return args.filter((x, i) => !isFlag(x) && !(i > 0 && isFlag(args[i - 1])));
+}
+
+export const short = (s) => (typeof s === "string" && s.startsWith("0x") ? `${s.slice(0, 6)}…${s.slice(-4)}` : s);
@@ -0,0 +1,32 @@
+// Unit tests for cli.mjs
+// Run: node --test scripts/lib/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseArgs, positionalArgs, short } from "./cli.mjs";
+
+test("flags take the next word as their value, or \"true\"", () => {
+  assert.deepEqual(parseArgs(["--rpc", "http://127.0.0.1:8545", "--follow", "--batch", "500", "--once"]), {
+    rpc: "http://127.0.0.1:8545",
+    follow: "true",
+    batch: "500",
+    once: "true",
+  });
+  assert.deepEqual(parseArgs(["--offset", "-5"]), { offset: "-5" });
+  assert.deepEqual(parseArgs([]), {});
+});
+
+test("positional words skip flag values", () => {
+  const args = ["round", "3", "--oracle", "0xabc", "--json", "--feed", "ar/usd-testv1"];
+  assert.deepEqual(positionalArgs(args), ["round", "3"]);
+  assert.deepEqual(parseArgs(args), { oracle: "0xabc", json: "true", feed: "ar/usd-testv1" });
+  // A word after a flag is always its value
+  assert.deepEqual(positionalArgs(["--json", "round", "3"]), ["3"]);
+  assert.deepEqual(positionalArgs(["rounds", "--limit", "5"]), ["rounds"]);
+});
+
+test("short() abbreviates hex and passes everything else through", () => {
+  assert.equal(short("0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266"), "0xf39F…2266");
+  assert.equal(short("ar/usd-testv1"), "ar/usd-testv1");
+  assert.equal(short(null), null);
+});
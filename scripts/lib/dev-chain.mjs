@@ -0,0 +1,53 @@
+// Helpers for scripts that drive a local anvil / hardhat node (differential tests, scenarios)
+//
+//   devWallet(i)       account i of the default test mnemonic (funded on anvil and hardhat)
+//   txOutcome(sent)    wait for a transaction → { error, receipt }; error is the decoded
+//                      custom error name, or null when it succeeded
+//   mineTogether(...)  broadcast transactions with automine off, then mine them in one block
+//
+// A reverting transaction is rejected by hardhat with its revert data (after being mined);
+// anvil mines it with status 0, so the data is read back with debug_traceTransaction.
+
+import { ethers } from "ethers";
+import { decodeError } from "./oracle-errors.mjs";
+
+export const DEV_MNEMONIC = "test test test test test test test test test test test junk";
+// Account 0: deployer of the local oracle, holds FEED_ADMIN_ROLE and PAUSER_ROLE
+export const DEV_ADMIN_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+export function devWallet(i, provider = null) {
+  return ethers.HDNodeWallet.fromPhrase(DEV_MNEMONIC, undefined, `m/44'/60'/0'/0/${i}`).connect(provider);
+}
+
+// Revert data of a mined, failed transaction
+async function traceRevert(provider, hash) {
+  const trace = await provider.send("debug_traceTransaction", [hash, { disableStack: true, disableMemory: true, disableStorage: true }]);
+  const ret = trace.returnValue || "";
+  return ret.startsWith("0x") ? ret : `0x${ret}`;
+}
+
+// `sent`: a TransactionResponse or a promise of one
+export async function txOutcome(provider, sent) {
+  try {
+    const tx = await sent;
+    return { error: null, receipt: await tx.wait() };
+  } catch (err) {
+    const source = err.receipt ? { data: await traceRevert(provider, err.receipt.hash) } : err;
+    const decoded = decodeError(source);
+    return { error: decoded.name ?? decoded.message, receipt: err.receipt ?? null };
+  }
+}
+
+// `senders`: functions that broadcast one transaction each, in order. They land in the
+// same block, in that order (same fees), like a burst hitting the mempool at once.
+export async function mineTogether(provider, senders) {
+  await provider.send("evm_setAutomine", [false]);
+  const sent = [];
+  try {
+    for (const send of senders) sent.push(await send().catch((err) => ({ rejected: err })));
+  } finally {
+    await provider.send("evm_mine", []);
+    await provider.send("evm_setAutomine", [true]);
+  }
+  return Promise.all(sent.map((tx) => txOutcome(provider, tx.rejected ? Promise.reject(tx.rejected) : tx)));
+}
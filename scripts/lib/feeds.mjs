@@ -0,0 +1,41 @@
+// Loader for feeds/feeds.json (the same file the Forge scripts consume)
+//
+// Feed entries carry the on-chain config used by CreateFeedsFromJson.s.sol plus an
+// optional off-chain "bot" block that Forge ignores:
+//
+//   { "id": "ar/usd-testv1", "decimals": 8, ..., "operators": [...],
+//     "bot": { "intervalMs": 15000, "priceBase": "6", "sources": "../scripts/bot/sources.example.json" } }
+//
+// feedId is keccak256(bytes(id)), matching `keccak256(abi.encodePacked(idStr))` in the scripts.
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { feedIdOf } from "../sdk/price-loom.mjs";
+
+export async function loadFeeds(file) {
+  const json = JSON.parse(await readFile(file, "utf8"));
+  if (!Array.isArray(json.feeds) || json.feeds.length === 0) {
+    throw new Error(`${file}: expected a non-empty "feeds" array`);
+  }
+  const baseDir = path.dirname(path.resolve(file));
+
+  const seen = new Set();
+  return json.feeds.map((f, i) => {
+    if (!f.id || typeof f.id !== "string") throw new Error(`${file}: feeds[${i}] is missing "id"`);
+    if (seen.has(f.id)) throw new Error(`${file}: duplicate feed id "${f.id}"`);
+    seen.add(f.id);
+
+    const bot = f.bot || {};
+    return {
+      ...f,
+      desc: f.id,
+      feedId: feedIdOf(f.id),
+      operators: f.operators || [],
+      bot: {
+        ...bot,
+        // Paths inside the feeds file are relative to the file, not the cwd
+        sources: bot.sources ? path.resolve(baseDir, bot.sources) : undefined,
+      },
+    };
+  });
+}
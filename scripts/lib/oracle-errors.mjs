@@ -0,0 +1,256 @@
+// Revert decoder shared by the bot and the integration scripts
+//
+// Decodes any revert (custom error, Error(string), Panic) into its name and arguments
+// and maps it to what a caller should do about it:
+//
+//   skip     this submission can't land (round full, already submitted, not due...); move on
+//   retry    transient; re-sign / rebuild and try again now
+//   backoff  nothing can succeed until something external changes (paused, no data yet)
+//   poke     a round is stuck open; call poke() so the timeout path closes it
+//   fatal    misconfiguration (wrong key, feed missing, bad signature); needs a human
+//
+// Error fragments come from the Foundry artifacts in out/ when they exist (`forge build`),
+// so the decoder follows the contracts. The list below mirrors src/ and is used when
+// out/ hasn't been built.
+
+import { existsSync, readFileSync } from "node:fs";
+import { ethers } from "ethers";
+
+const ARTIFACTS_DIR = new URL("../../out/", import.meta.url);
+const ARTIFACTS = [
+  "PriceLoomOracle.sol/PriceLoomOracle.json",
+  "PriceLoomAdapterFactory.sol/PriceLoomAdapterFactory.json",
+];
+
+export const PRICE_LOOM_ERRORS = [
+  // PriceLoomOracle.sol
+  "error AdminZero()",
+  "error ZeroFeedId()",
+  "error FeedExists()",
+  "error MinGreaterThanOps()",
+  "error TooManyOps()",
+  "error ZeroOperator()",
+  "error DuplicateOperator()",
+  "error NoFeed()",
+  "error OpenRound()",
+  "error DecimalsImmutable()",
+  "error OperatorAlreadyExists()",
+  "error NotOperator()",
+  "error MaxOperatorsReached()",
+  "error QuorumGreaterThanOps()",
+  "error NoData()",
+  "error BadRoundId()",
+  "error HistoryEvicted()",
+  "error FeedMismatch()",
+  "error Expired()",
+  "error OutOfBounds()",
+  "error WrongRound()",
+  "error RoundFull()",
+  "error DuplicateSubmission()",
+  "error DuplicateInBatch()",
+  "error LengthMismatch()",
+  "error EmptyBatch()",
+  "error NoAnswers()",
+  "error BadDecimals()",
+  "error BadMinMax()",
+  "error MinSubmissionsTooSmall()",
+  "error MaxSubmissionsTooLarge()",
+  "error MaxGreaterThanOperators()",
+  "error TrimUnsupported()",
+  "error BoundsInvalid()",
+  "error MinPriceTooLow()",
+  "error MaxPriceTooHigh()",
+  "error DescriptionTooLong()",
+  "error NoGating()",
+  "error NotDue()",
+  // PriceLoomAdapterFactory.sol
+  "error FeedNotFound()",
+  // OpenZeppelin (AccessControl, Pausable, ReentrancyGuard, ECDSA, SafeCast)
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AccessControlBadConfirmation()",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+];
+
+// name → [action, reason]
+export const ERROR_ACTIONS = {
+  // Submission path
+  RoundFull: ["skip", "round full"],
+  DuplicateSubmission: ["skip", "already submitted this round"],
+  WrongRound: ["skip", "round moved on"],
+  NotDue: ["skip", "heartbeat/deviation not met"],
+  OutOfBounds: ["skip", "answer outside minPrice/maxPrice"],
+  Expired: ["retry", "signature expired (validUntil passed)"],
+  DuplicateInBatch: ["retry", "operator twice in batch"],
+  LengthMismatch: ["retry", "subs/sigs length mismatch"],
+  EmptyBatch: ["retry", "empty batch"],
+  ReentrancyGuardReentrantCall: ["retry", "reentrant call"],
+  EnforcedPause: ["backoff", "oracle paused"],
+  OpenRound: ["poke", "a round is still open"],
+  NoAnswers: ["poke", "round closed with no answers"],
+  NotOperator: ["fatal", "not an operator of this feed"],
+  NoFeed: ["fatal", "feed does not exist"],
+  FeedNotFound: ["fatal", "feed does not exist"],
+  FeedMismatch: ["fatal", "signed feedId differs from target feed"],
+  ECDSAInvalidSignature: ["fatal", "invalid signature"],
+  ECDSAInvalidSignatureLength: ["fatal", "invalid signature length"],
+  ECDSAInvalidSignatureS: ["fatal", "invalid signature s value"],
+  // Reads
+  NoData: ["backoff", "no finalized round yet"],
+  BadRoundId: ["skip", "round 0 does not exist"],
+  HistoryEvicted: ["skip", "round evicted from history ring"],
+  ExpectedPause: ["skip", "oracle is not paused"],
+  // Admin
+  AccessControlUnauthorizedAccount: ["fatal", "caller lacks role"],
+  AccessControlBadConfirmation: ["fatal", "bad renounce confirmation"],
+  AdminZero: ["fatal", "admin is zero address"],
+  ZeroFeedId: ["fatal", "feedId is zero"],
+  FeedExists: ["fatal", "feed already exists"],
+  MinGreaterThanOps: ["fatal", "minSubmissions > operators"],
+  TooManyOps: ["fatal", "too many operators"],
+  ZeroOperator: ["fatal", "operator is zero address"],
+  DuplicateOperator: ["fatal", "duplicate operator"],
+  DecimalsImmutable: ["fatal", "decimals cannot change"],
+  OperatorAlreadyExists: ["fatal", "operator already exists"],
+  MaxOperatorsReached: ["fatal", "operator limit reached"],
+  QuorumGreaterThanOps: ["fatal", "minSubmissions > operators"],
+  BadDecimals: ["fatal", "decimals must be 1..18"],
+  BadMinMax: ["fatal", "maxSubmissions < minSubmissions"],
+  MinSubmissionsTooSmall: ["fatal", "minSubmissions must be >= 1"],
+  MaxSubmissionsTooLarge: ["fatal", "maxSubmissions above operator limit"],
+  MaxGreaterThanOperators: ["fatal", "maxSubmissions > operators"],
+  TrimUnsupported: ["fatal", "trim must be 0"],
+  BoundsInvalid: ["fatal", "maxPrice < minPrice"],
+  MinPriceTooLow: ["fatal", "minPrice is int256 min"],
+  MaxPriceTooHigh: ["fatal", "maxPrice is int256 max"],
+  DescriptionTooLong: ["fatal", "description over 100 bytes"],
+  NoGating: ["fatal", "heartbeat and deviation both zero"],
+  SafeCastOverflowedUintDowncast: ["fatal", "value overflows cast"],
+  // Built-ins
+  Panic: ["fatal", "panic"],
+};
+
+// Revert strings (Error(string)) that aren't failures of the caller
+const REASON_ACTIONS = {
+  "No data present": ["backoff", "no finalized round yet"],
+};
+
+function loadArtifactErrors(dir) {
+  const fragments = [];
+  for (const rel of ARTIFACTS) {
+    const file = new URL(rel, dir);
+    if (!existsSync(file)) continue;
+    const { abi } = JSON.parse(readFileSync(file, "utf8"));
+    fragments.push(...abi.filter((f) => f.type === "error"));
+  }
+  return fragments;
+}
+
+// Revert data is a 4-byte selector plus 32-byte words; this also keeps addresses
+// and tx hashes in error messages from being mistaken for one.
+const isRevertData = (d) => typeof d === "string" && /^0x([0-9a-f]{2})+$/i.test(d) && (d.length - 10) % 64 === 0;
+
+// Every hex revert payload reachable from an ethers / JSON-RPC error, outermost first
+function revertPayloads(err) {
+  const found = [];
+  const seen = new Set();
+  const visit = (e, depth) => {
+    if (!e || typeof e !== "object" || depth > 4 || seen.has(e)) return;
+    seen.add(e);
+    for (const d of [e.data, e.data?.data]) if (isRevertData(d)) found.push(d);
+    for (const k of ["error", "info", "cause"]) visit(e[k], depth + 1);
+  };
+  visit(err, 0);
+  // Last resort: some nodes only put the data in the message text
+  const text = `${err?.message || ""} ${err?.info?.error?.message || ""}`;
+  for (const m of text.matchAll(/0x[0-9a-f]{8,}/gi)) if (isRevertData(m[0])) found.push(m[0]);
+  return found;
+}
+
+function plainArgs(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    out[input.name || String(i)] = args[i];
+  });
+  return out;
+}
+
+export function createErrorDecoder({ abi = [], artifactsDir = ARTIFACTS_DIR } = {}) {
+  const fromArtifacts = artifactsDir ? loadArtifactErrors(artifactsDir) : [];
+  // Artifacts repeat the built-in list; keep one fragment per signature
+  const bySig = new Map();
+  for (const f of [...PRICE_LOOM_ERRORS, ...fromArtifacts, ...abi]) {
+    if (typeof f === "string" ? !f.startsWith("error ") : f.type !== "error") continue;
+    const fragment = ethers.ErrorFragment.from(f);
+    bySig.set(fragment.format("sighash"), fragment);
+  }
+  const iface = new ethers.Interface([...bySig.values()]);
+
+  // → { name, args, signature, selector, action, reason, message }
+  function decode(err) {
+    for (const data of revertPayloads(err)) {
+      let parsed = null;
+      try {
+        parsed = iface.parseError(data);
+      } catch {}
+      if (!parsed) continue;
+
+      const args = plainArgs(parsed.fragment, parsed.args);
+      let [action, reason] = ERROR_ACTIONS[parsed.name] || ["fatal", "unmapped error"];
+      if (parsed.name === "Error") {
+        [action, reason] = REASON_ACTIONS[parsed.args[0]] || ["fatal", parsed.args[0]];
+      } else if (parsed.name === "Panic") {
+        reason = `panic 0x${parsed.args[0].toString(16)}`;
+      }
+      return {
+        name: parsed.name,
+        args,
+        signature: parsed.signature,
+        selector: parsed.selector,
+        action,
+        reason,
+        message: formatError(parsed.name, args, reason),
+      };
+    }
+
+    const selector = revertPayloads(err)[0]?.slice(0, 10) ?? null;
+    if (selector) {
+      return { name: null, args: {}, signature: null, selector, action: "fatal", reason: "unknown error", message: `unknown error ${selector}` };
+    }
+    // Plain revert string already decoded by ethers (e.g. `require` in the adapter)
+    if (typeof err?.reason === "string") {
+      const [action, reason] = REASON_ACTIONS[err.reason] || ["fatal", err.reason];
+      const args = { 0: err.reason };
+      return { name: "Error", args, signature: "Error(string)", selector: "0x08c379a0", action, reason, message: formatError("Error", args) };
+    }
+    // Not a decodable revert: RPC/network trouble and nonce races are worth retrying
+    const message = err?.shortMessage || err?.message || String(err);
+    const action = err?.code === "CALL_EXCEPTION" ? "fatal" : "retry";
+    return { name: null, args: {}, signature: null, selector: null, action, reason: message, message };
+  }
+
+  return {
+    interface: iface,
+    decode,
+    // One-line description for logs: "NotOperator (not an operator of this feed)"
+    describe(err) {
+      return decode(err).message;
+    },
+  };
+}
+
+function formatError(name, args, reason) {
+  if (name === "Error") return `reverted: ${args[0]}`;
+  const shown = Object.entries(args).map(([k, v]) => `${k}=${v}`);
+  return `${shown.length ? `${name}(${shown.join(", ")})` : name} (${reason})`;
+}
+
+const defaultDecoder = createErrorDecoder();
+
+export const decodeError = (err) => defaultDecoder.decode(err);
+export const describeError = (err) => defaultDecoder.describe(err);
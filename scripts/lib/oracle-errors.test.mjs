@@ -0,0 +1,95 @@
+// Unit tests for oracle-errors.mjs (no chain needed)
+// Run: node --test scripts/lib/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { ERROR_ACTIONS, PRICE_LOOM_ERRORS, createErrorDecoder, decodeError, describeError } from "./oracle-errors.mjs";
+
+const iface = new ethers.Interface(PRICE_LOOM_ERRORS);
+const revert = (name, args = []) => iface.encodeErrorResult(name, args);
+const errorString = (reason) => ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]).replace(/^0x/, "0x08c379a0");
+const panic = (code) => ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [code]).replace(/^0x/, "0x4e487b71");
+const ACTIONS = new Set(["skip", "retry", "backoff", "poke", "fatal"]);
+
+test("custom errors decode by name and map to their action", () => {
+  const e = decodeError({ code: "CALL_EXCEPTION", data: revert("RoundFull") });
+  assert.equal(e.name, "RoundFull");
+  assert.equal(e.action, "skip");
+  assert.equal(e.selector, iface.getError("RoundFull").selector);
+  assert.equal(e.message, "RoundFull (round full)");
+  assert.equal(decodeError({ data: revert("EnforcedPause") }).action, "backoff");
+  assert.equal(decodeError({ data: revert("OpenRound") }).action, "poke");
+  assert.equal(decodeError({ data: revert("Expired") }).action, "retry");
+  assert.equal(decodeError({ data: revert("NotOperator") }).action, "fatal");
+});
+
+test("error arguments are decoded and shown", () => {
+  const account = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const role = ethers.id("FEED_ADMIN_ROLE");
+  const e = decodeError({ data: revert("AccessControlUnauthorizedAccount", [account, role]) });
+  assert.equal(e.args.account, account);
+  assert.equal(e.args.neededRole, role);
+  assert.equal(e.message, `AccessControlUnauthorizedAccount(account=${account}, neededRole=${role}) (caller lacks role)`);
+});
+
+test("Error(string) maps known reasons and is fatal otherwise", () => {
+  const noData = decodeError({ data: errorString("No data present") });
+  assert.equal(noData.name, "Error");
+  assert.equal(noData.action, "backoff");
+  const other = decodeError({ data: errorString("boom") });
+  assert.deepEqual([other.action, other.message], ["fatal", "reverted: boom"]);
+  // Already decoded by ethers, no data left
+  assert.equal(decodeError({ code: "CALL_EXCEPTION", reason: "No data present" }).action, "backoff");
+});
+
+test("Panic carries its code", () => {
+  const e = decodeError({ data: panic(0x11) });
+  assert.equal(e.name, "Panic");
+  assert.equal(e.action, "fatal");
+  assert.equal(e.reason, "panic 0x11");
+});
+
+test("revert data nested in JSON-RPC errors is found", () => {
+  const data = revert("WrongRound");
+  assert.equal(decodeError({ info: { error: { code: 3, message: "execution reverted", data } } }).name, "WrongRound");
+  assert.equal(decodeError({ error: { data: { data } } }).name, "WrongRound");
+  assert.equal(decodeError({ cause: { info: { error: { data } } } }).name, "WrongRound");
+  // Some nodes only put it in the message
+  assert.equal(decodeError({ message: `execution reverted: custom error ${data}` }).name, "WrongRound");
+  // Outermost payload wins
+  assert.equal(decodeError({ data: revert("RoundFull"), info: { error: { data } } }).name, "RoundFull");
+});
+
+test("addresses and hashes in messages are not mistaken for revert data", () => {
+  const e = decodeError(new Error(`tx ${ethers.id("x")} from 0x70997970C51812dc3A010C7d01b50e0d17dc79C8 failed`));
+  assert.equal(e.selector, null);
+  assert.equal(e.action, "retry");
+});
+
+test("unknown selectors, data-less reverts and network errors", () => {
+  const unknown = decodeError({ data: "0xdeadbeef" });
+  assert.deepEqual([unknown.name, unknown.selector, unknown.action], [null, "0xdeadbeef", "fatal"]);
+  assert.equal(decodeError({ code: "CALL_EXCEPTION", data: null, message: "transaction reverted on-chain" }).action, "fatal");
+  const network = decodeError(Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" }));
+  assert.deepEqual([network.action, network.message], ["retry", "connect ECONNREFUSED"]);
+  assert.equal(describeError(new Error("timeout")), "timeout");
+});
+
+test("every known error has a valid action, and every mapping a known error", () => {
+  const known = new Set(PRICE_LOOM_ERRORS.map((f) => ethers.ErrorFragment.from(f).name));
+  for (const name of known) assert.ok(ERROR_ACTIONS[name], `${name} has no action`);
+  for (const [name, [action, reason]] of Object.entries(ERROR_ACTIONS)) {
+    assert.ok(known.has(name) || name === "Panic", `${name} is not a known error`);
+    assert.ok(ACTIONS.has(action), `${name}: unknown action ${action}`);
+    assert.ok(reason, `${name} has no reason`);
+  }
+});
+
+test("extra ABIs extend the decoder", () => {
+  const decoder = createErrorDecoder({ abi: ["error Custom(uint256 code)"], artifactsDir: null });
+  const data = new ethers.Interface(["error Custom(uint256 code)"]).encodeErrorResult("Custom", [7]);
+  const e = decoder.decode({ data });
+  assert.deepEqual([e.name, e.args.code, e.action, e.reason], ["Custom", 7n, "fatal", "unmapped error"]);
+  assert.equal(decoder.decode({ data: revert("RoundFull") }).name, "RoundFull");
+});
@@ -0,0 +1,330 @@
+// Several RPC endpoints behind one ethers provider (ethers v6)
+//
+//   parseRpcUrls("http://a:8545,http://b:8545")   comma-separated list → URLs, in priority order
+//   hostOf(url)      host[:port] only, for logs and health output
+//   openRpcPool({ urls, expectedChainId, ... })   waits for an endpoint (up to waitMs), then returns the pool:
+//     provider         ethers provider: each request goes to the first healthy endpoint and
+//                      fails over to the next on a transport error (refused, timeout, HTTP 5xx).
+//                      Signed transactions go to every live endpoint at once.
+//     withQuorum(c, names)  contract `c` with the `names` views turned into quorum reads
+//     quorumRead(label, read)  read(provider, { blockTag }) on several endpoints; see below
+//     pinBlock()       the block quorum reads pin: the highest one `quorum` healthy endpoints have
+//     probe()          re-checks every endpoint; → status()
+//     status()         [{ url, host, state, chainId, head, reason }]
+//
+// Endpoint states: "up", "behind" (head more than maxLagBlocks below the highest head seen),
+// "down" (no answer) and "wrong-chain". Only "up" endpoints serve requests while there is
+// one; otherwise "behind" and "down" ones are tried as a last resort, never "wrong-chain".
+//
+// Quorum reads pin a block: the highest one at least `quorum` healthy endpoints have (or the
+// caller's numeric blockTag), and ask every healthy endpoint that has it. The answer that
+// `quorum` of them agree on wins; a revert agreed on is rethrown. Too few endpoints, a tie
+// or no quorum throws, so a lagging or forked node can't decide what the bot signs.
+
+import { ethers } from "ethers";
+import { decodeError } from "./oracle-errors.mjs";
+import { short } from "./cli.mjs";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function parseRpcUrls(value) {
+  const urls = String(value ?? "").split(",").map((u) => u.trim()).filter(Boolean);
+  if (urls.length === 0) throw new Error("no RPC URL given");
+  return urls;
+}
+
+// Host only: paths and query strings often carry API keys
+export function hostOf(url) {
+  try {
+    return new URL(url).host || url;
+  } catch {
+    return url;
+  }
+}
+
+// Plain JSON-RPC over fetch within `timeoutMs` (ethers retries network detection forever)
+async function rpcCall(url, method, params, timeoutMs) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const body = await res.json();
+  if (body.error) throw new Error(body.error.message);
+  return body.result;
+}
+
+const reasonOf = (err) => err?.cause?.code || err?.shortMessage || err?.message || String(err);
+
+// Comparable form of a call result (ethers Results are arrays; BigInts aren't JSON)
+const canonical = (value) => JSON.stringify(value, (_, v) => (typeof v === "bigint" ? `${v}n` : v));
+
+// A JsonRpcApiProvider whose transport is the pool
+class PoolProvider extends ethers.JsonRpcApiProvider {
+  #send;
+  constructor(network, send, options = {}) {
+    super(network, { ...options, staticNetwork: network, batchMaxCount: 1 });
+    this.#send = send;
+  }
+  async send(method, params) {
+    await this._start();
+    return await super.send(method, params);
+  }
+  _send(payload) {
+    return this.#send(payload);
+  }
+}
+
+export async function openRpcPool({
+  urls,
+  expectedChainId,
+  quorum = Math.ceil(urls.length / 2),
+  maxLagBlocks = 2,
+  timeoutMs = 5000,
+  waitMs = Infinity,
+  maxBackoffMs = 60000,
+  providerOptions = {},
+  log = console.log,
+}) {
+  quorum = Number(quorum);
+  if (!Number.isInteger(quorum) || quorum < 1 || quorum > urls.length) {
+    throw new Error(`RPC quorum must be between 1 and ${urls.length} (the number of URLs), got ${quorum}`);
+  }
+
+  // The chain: --chainId if given, else the one most endpoints report (first URL on a tie)
+  let chainId;
+  const giveUpAt = Date.now() + waitMs;
+  for (let delay = 1000; chainId === undefined; delay = Math.min(delay * 2, maxBackoffMs)) {
+    const ids = await Promise.all(urls.map((url) => rpcCall(url, "eth_chainId", [], timeoutMs).then(BigInt, () => null)));
+    const seen = ids.filter((id) => id !== null);
+    if (seen.length > 0) {
+      const count = (id) => seen.filter((x) => x === id).length;
+      chainId = expectedChainId !== undefined ? BigInt(expectedChainId) : seen.reduce((best, id) => (count(id) > count(best) ? id : best));
+    } else if (Date.now() + delay > giveUpAt) {
+      throw new Error(`no RPC reachable (${urls.map(hostOf).join(", ")})`);
+    } else {
+      log(`📡 No RPC reachable (${urls.map(hostOf).join(", ")}); retrying in ${delay / 1000}s`);
+      await sleep(delay);
+    }
+  }
+
+  const network = ethers.Network.from(chainId);
+  const endpoints = urls.map((url) => {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = timeoutMs;
+    return {
+      url,
+      host: hostOf(url),
+      provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network, batchMaxCount: 1 }),
+      state: null, // until the first probe
+      alive: false, // answered the last probe or head refresh
+      chainId: null,
+      head: null,
+      reason: "not probed yet",
+    };
+  });
+
+  function setState(e, state, reason = null) {
+    if (e.state !== state) {
+      const detail = state === "up" ? `head ${e.head}` : reason;
+      log(`📡 RPC ${e.host} ${e.state ? `${e.state} → ` : ""}${state}${detail ? ` (${detail})` : ""}`);
+    }
+    e.state = state;
+    e.reason = reason;
+  }
+
+  const onChain = (e) => e.alive && e.chainId === chainId;
+
+  // Every endpoint's state from what the last probe / head refresh saw
+  function classify() {
+    const heads = endpoints.filter(onChain).map((e) => e.head);
+    const tip = heads.length > 0 ? Math.max(...heads) : null;
+    for (const e of endpoints) {
+      if (!e.alive) setState(e, "down", e.reason);
+      else if (e.chainId !== chainId) setState(e, "wrong-chain", `chainId ${e.chainId}, expected ${chainId}`);
+      else if (tip - e.head > maxLagBlocks) setState(e, "behind", `${tip - e.head} blocks behind ${tip}`);
+      else setState(e, "up");
+    }
+  }
+
+  function markDown(e, err) {
+    e.alive = false;
+    e.reason = reasonOf(err);
+  }
+
+  async function probeOne(e) {
+    try {
+      const [id, head] = await Promise.all([
+        rpcCall(e.url, "eth_chainId", [], timeoutMs),
+        rpcCall(e.url, "eth_blockNumber", [], timeoutMs),
+      ]);
+      Object.assign(e, { alive: true, chainId: BigInt(id), head: Number(head) });
+    } catch (err) {
+      markDown(e, err);
+    }
+  }
+
+  async function probe() {
+    await Promise.all(endpoints.map(probeOne));
+    classify();
+    return status();
+  }
+
+  function status() {
+    return endpoints.map(({ url, host, state, chainId: id, head, reason }) => ({ url, host, state, chainId: id, head, reason }));
+  }
+
+  // Heads of the live endpoints, refreshed once for all quorum reads started meanwhile
+  let refreshing = null;
+  function refreshHeads() {
+    refreshing ??= Promise.all(
+      endpoints.filter(onChain).map(async (e) => {
+        try {
+          e.head = Number(await rpcCall(e.url, "eth_blockNumber", [], timeoutMs));
+        } catch (err) {
+          markDown(e, err);
+        }
+      }),
+    ).then(() => {
+      refreshing = null;
+      classify();
+    });
+    return refreshing;
+  }
+
+  // Healthy endpoints in priority order, then the other ones on this chain as a last resort
+  function candidates() {
+    const usable = endpoints.filter((e) => e.state !== "wrong-chain");
+    return [...usable.filter((e) => e.state === "up"), ...usable.filter((e) => e.state !== "up")];
+  }
+
+  async function send(payload) {
+    if (!Array.isArray(payload) && payload.method === "eth_sendRawTransaction") return broadcast(payload);
+    let lastError = null;
+    for (const e of candidates()) {
+      try {
+        return await e.provider._send(payload);
+      } catch (err) {
+        lastError = err;
+        markDown(e, err);
+        classify();
+      }
+    }
+    throw lastError ?? new Error(`no RPC endpoint on chainId ${chainId}`);
+  }
+
+  // Every live endpoint gets the signed tx, so one that accepts without propagating can't
+  // lose it. The first acceptance in priority order is the answer; "already known" and
+  // nonce errors from the others are expected. With no acceptance, the first error is.
+  async function broadcast(payload) {
+    const all = candidates();
+    const up = all.filter((e) => e.state === "up");
+    const targets = up.length > 0 ? up : all;
+    const results = await Promise.all(targets.map((e) => e.provider._send(payload).catch((err) => {
+      markDown(e, err);
+      return err;
+    })));
+    classify();
+    const ok = results.find((r) => Array.isArray(r) && r.every((x) => !("error" in x)));
+    const answered = results.find((r) => Array.isArray(r));
+    if (ok || answered) return ok ?? answered;
+    throw results[0] ?? new Error(`no RPC endpoint on chainId ${chainId}`);
+  }
+
+  const provider = new PoolProvider(network, send, providerOptions);
+
+  async function pinBlock(label = "quorum read") {
+    await refreshHeads();
+    const up = endpoints.filter((e) => e.state === "up");
+    if (up.length < quorum) {
+      const others = endpoints.filter((e) => e.state !== "up").map((e) => `${e.host} ${e.state}`).join(", ");
+      throw new Error(`${label}: ${up.length} healthy RPC endpoint(s), quorum is ${quorum}${others ? ` (${others})` : ""}`);
+    }
+    return up.map((e) => e.head).sort((a, b) => b - a)[quorum - 1];
+  }
+
+  async function quorumRead(label, read, blockTag = null) {
+    let pin;
+    if (typeof blockTag === "number" || typeof blockTag === "bigint") {
+      await refreshHeads();
+      pin = Number(blockTag);
+    } else {
+      pin = await pinBlock(label);
+    }
+    const asked = endpoints.filter((e) => e.state === "up" && e.head >= pin);
+
+    const groups = new Map();
+    const failed = [];
+    await Promise.all(asked.map(async (e) => {
+      let outcome;
+      try {
+        const value = await read(e.provider, { blockTag: pin });
+        outcome = { key: `value ${canonical(value)}`, value };
+      } catch (err) {
+        if (err?.code !== "CALL_EXCEPTION") {
+          failed.push(`${e.host}: ${reasonOf(err)}`);
+          return;
+        }
+        // Shown by name: raw revert data in the error message would decode as that revert
+        const { name, args } = decodeError(err);
+        const shown = `revert ${name === "Error" ? JSON.stringify(args[0]) : name ?? "(unknown)"}`;
+        outcome = { key: `revert ${err.data ?? err.shortMessage}`, shown, revert: err };
+      }
+      const { key } = outcome;
+      const group = groups.get(key) ?? { shown: key, ...outcome, hosts: [] };
+      group.hosts.push(e.host);
+      groups.set(key, group);
+    }));
+
+    const ranked = [...groups.values()].sort((a, b) => b.hosts.length - a.hosts.length);
+    const [top, next] = ranked;
+    const summary = () => [
+      ...ranked.map((g) => `${g.hosts.length} × ${g.shown.length > 80 ? `${g.shown.slice(0, 77)}...` : g.shown} (${g.hosts.join(", ")})`),
+      ...failed,
+    ].join("; ");
+    if (!top || top.hosts.length < quorum || (next && next.hosts.length === top.hosts.length)) {
+      throw new Error(`${label}: no quorum of ${quorum} at block ${pin}: ${summary() || "no endpoint has the block"}`);
+    }
+    if (ranked.length > 1) log(`⚠️  RPC disagreement on ${label} at block ${pin}: ${summary()}`);
+    if (top.revert) throw top.revert;
+    return top.value;
+  }
+
+  // Calls to `names` become quorum reads; everything else (writes, other views,
+  // populateTransaction, target, runner...) goes to `contract` as is.
+  function withQuorum(contract, names) {
+    const only = new Set(names);
+    return new Proxy(contract, {
+      get(target, prop, receiver) {
+        if (typeof prop !== "string" || !only.has(prop)) return Reflect.get(target, prop, receiver);
+        const fragment = target.interface.getFunction(prop);
+        return (...args) => {
+          const overrides = args.length > fragment.inputs.length ? args.pop() : {};
+          return quorumRead(`${prop}(${args.map((a) => short(String(a))).join(", ")})`, (runner, at) => target.connect(runner)[prop](...args, { ...overrides, ...at }), overrides.blockTag);
+        };
+      },
+    });
+  }
+
+  await probe();
+  if (!endpoints.some(onChain)) {
+    throw new Error(`no RPC endpoint is on chainId ${chainId}: ${endpoints.map((e) => `${e.host} ${e.reason ?? `chainId ${e.chainId}`}`).join(", ")}`);
+  }
+  return {
+    chainId,
+    urls,
+    quorum,
+    provider,
+    probe,
+    status,
+    pinBlock,
+    quorumRead,
+    withQuorum,
+    stop() {
+      provider.destroy();
+      for (const e of endpoints) e.provider.destroy();
+    },
+  };
+}
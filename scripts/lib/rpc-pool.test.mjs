@@ -0,0 +1,138 @@
+// Unit tests for rpc-pool.mjs against stub JSON-RPC servers (no chain needed)
+// Run: node --test scripts/lib/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { openRpcPool, parseRpcUrls } from "./rpc-pool.mjs";
+
+const hex = (n) => `0x${n.toString(16)}`;
+
+// A node at `head` on `chainId`; `value` answers test_value; every call is recorded
+async function stubNode({ chainId = 31337, head = 100, value = "a" } = {}) {
+  const node = { chainId, head, value, calls: [] };
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const { id, method, params } = JSON.parse(body);
+      node.calls.push(method);
+      const results = {
+        eth_chainId: hex(node.chainId),
+        eth_blockNumber: hex(node.head),
+        eth_sendRawTransaction: "0x" + "11".repeat(32),
+        test_value: node.value,
+      };
+      const reply = method in results ? { result: results[method] } : { error: { code: -32601, message: `no ${method}` } };
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ jsonrpc: "2.0", id, ...reply }));
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  node.url = `http://127.0.0.1:${server.address().port}`;
+  node.close = () => new Promise((r) => server.close(r));
+  return node;
+}
+
+// A URL nothing listens on
+async function deadUrl() {
+  const node = await stubNode();
+  await node.close();
+  return node.url;
+}
+
+async function withNodes(specs, fn) {
+  const nodes = await Promise.all(specs.map(stubNode));
+  try {
+    await fn(nodes);
+  } finally {
+    await Promise.all(nodes.map((n) => n.close()));
+  }
+}
+
+const open = (urls, opts = {}) => openRpcPool({ urls, timeoutMs: 1000, waitMs: 0, log: () => {}, ...opts });
+const read = (provider, { blockTag }) => provider.send("test_value", [blockTag]);
+
+test("RPC lists are comma-separated", () => {
+  assert.deepEqual(parseRpcUrls(" http://a:8545, http://b:8545 ,"), ["http://a:8545", "http://b:8545"]);
+  assert.throws(() => parseRpcUrls(""), /no RPC URL/);
+});
+
+test("the quorum must fit the endpoints", async () => {
+  await withNodes([{}], async ([a]) => {
+    await assert.rejects(open([a.url], { quorum: 2 }), /between 1 and 1/);
+    await assert.rejects(open([a.url], { quorum: 0 }), /between 1 and 1/);
+  });
+});
+
+test("requests fail over past a dead endpoint", async () => {
+  await withNodes([{ head: 7 }], async ([b]) => {
+    const rpc = await open([await deadUrl(), b.url]);
+    assert.deepEqual(rpc.status().map((e) => e.state), ["down", "up"]);
+    assert.equal(await rpc.provider.getBlockNumber(), 7);
+    rpc.stop();
+  });
+});
+
+test("an unreachable pool fails fast with waitMs 0", async () => {
+  await assert.rejects(open([await deadUrl()]), /no RPC reachable/);
+});
+
+test("endpoints on another chain or too far behind are not used", async () => {
+  await withNodes([{ chainId: 1 }, { head: 90 }, { head: 100 }, { head: 99 }], async ([wrong, behind, tip, near]) => {
+    const rpc = await open([wrong.url, behind.url, tip.url, near.url], { expectedChainId: 31337 });
+    assert.deepEqual(rpc.status().map((e) => e.state), ["wrong-chain", "behind", "up", "up"]);
+    await rpc.provider.send("test_value", []);
+    assert.deepEqual(wrong.calls.filter((m) => m === "test_value"), []);
+    assert.deepEqual(behind.calls.filter((m) => m === "test_value"), []);
+    rpc.stop();
+  });
+});
+
+test("with --chainId, a pool with no endpoint on that chain is refused", async () => {
+  await withNodes([{ chainId: 1 }], async ([a]) => {
+    await assert.rejects(open([a.url], { expectedChainId: 31337 }), /no RPC endpoint is on chainId 31337/);
+  });
+});
+
+test("quorum reads pin the highest block a quorum has and take the majority", async () => {
+  await withNodes([{ head: 101, value: "b" }, { head: 100 }, { head: 100 }], async (nodes) => {
+    const lines = [];
+    const rpc = await open(nodes.map((n) => n.url), { quorum: 2, log: (l) => lines.push(l) });
+    assert.equal(await rpc.pinBlock(), 100);
+    assert.equal(await rpc.quorumRead("value", read), "a");
+    assert.match(lines.at(-1), /disagreement on value at block 100: 2 × value "a".*1 × value "b"/);
+    rpc.stop();
+  });
+});
+
+test("a tie or too few agreeing endpoints is an error, not an answer", async () => {
+  await withNodes([{ value: "a" }, { value: "b" }], async (nodes) => {
+    const rpc = await open(nodes.map((n) => n.url), { quorum: 1 });
+    await assert.rejects(rpc.quorumRead("value", read), /value: no quorum of 1 at block 100/);
+    rpc.stop();
+  });
+  await withNodes([{ value: "a" }, { value: "b" }, { value: "c" }], async (nodes) => {
+    const rpc = await open(nodes.map((n) => n.url), { quorum: 2 });
+    await assert.rejects(rpc.quorumRead("value", read), /no quorum of 2/);
+    rpc.stop();
+  });
+});
+
+test("quorum reads need a quorum of healthy endpoints", async () => {
+  await withNodes([{ head: 100 }, { head: 50 }], async (nodes) => {
+    const rpc = await open(nodes.map((n) => n.url), { quorum: 2 });
+    await assert.rejects(rpc.quorumRead("value", read), /1 healthy RPC endpoint\(s\), quorum is 2 \(127\.0\.0\.1:\d+ behind\)/);
+    rpc.stop();
+  });
+});
+
+test("signed transactions go to every healthy endpoint", async () => {
+  await withNodes([{}, {}, { head: 10 }], async (nodes) => {
+    const rpc = await open(nodes.map((n) => n.url));
+    const hash = await rpc.provider.send("eth_sendRawTransaction", ["0x02"]);
+    assert.equal(hash, "0x" + "11".repeat(32));
+    assert.deepEqual(nodes.map((n) => n.calls.filter((m) => m === "eth_sendRawTransaction").length), [1, 1, 0]);
+    rpc.stop();
+  });
+});
@@ -0,0 +1,321 @@
+// Differential test: the JS round model (round-model.mjs) against a deployed PriceLoomOracle
+//
+// Each scenario creates a fresh feed with a random config (quorum, max, heartbeat,
+// deviation, timeout, bounds, signed prices) and replays random steps against both the
+// oracle and the model: submissions, batches, poke, pause / unpause and time jumps,
+// including expired, out-of-bounds, wrong-round, duplicate and non-operator submissions.
+// After every step it compares:
+//   outcome   success, or the same custom error
+//   events    RoundStarted, SubmissionReceived, RoundFinalized, PriceUpdated, StalePriceRolledForward
+//   views     latestRoundData (or NoData), currentRoundId, latestFinalizedRoundId, isStale
+// and at the end getRoundData for every round. A scenario stops at its first divergence.
+//
+// Dev chains only (anvil / hardhat node): the admin key creates feeds and pauses the
+// oracle, and the node is switched to automine with explicit block timestamps.
+//
+// Usage:
+//   node scripts/model/diff-oracle.mjs --oracle 0xOracle \
+//     [--rpc http://127.0.0.1:8545] [--scenarios 20] [--steps 40] [--seed 1] [--verbose]
+//
+// Scenario i runs with seed + i; replay one with --seed <seed> --scenarios 1 --verbose.
+// Exits 1 if any scenario diverged.
+
+import { ethers } from "ethers";
+import { decodeError, describeError } from "../lib/oracle-errors.mjs";
+import { DEV_ADMIN_KEY, devWallet, txOutcome } from "../lib/dev-chain.mjs";
+import { oracleEvents } from "../indexer/events.mjs";
+import { gatingConfig } from "../bot/gating.mjs";
+import { feedIdOf, oracleAt, priceLoomDomain, signSubmission } from "../sdk/price-loom.mjs";
+import { ModelRevert, createRoundModel } from "./round-model.mjs";
+import { parseArgs, short } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const ORACLE = argv.oracle || process.env.ORACLE;
+const SCENARIOS = Number(argv.scenarios || 20);
+const STEPS = Number(argv.steps || 40);
+const SEED = Number(argv.seed || process.env.SEED || Date.now() % 100000);
+const VERBOSE = argv.verbose === "true";
+const ADMIN_KEY = argv.adminKey || process.env.ADMIN_KEY || DEV_ADMIN_KEY;
+
+if (!ORACLE) {
+  console.error("Missing --oracle");
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(RPC);
+const admin = new ethers.Wallet(ADMIN_KEY, provider);
+const oracle = oracleAt(ORACLE, provider);
+const accounts = Array.from({ length: 9 }, (_, i) => devWallet(i + 1));
+const OUTSIDER = accounts[8]; // never an operator: NotOperator
+const E8 = 10n ** 8n;
+
+// mulberry32: small, seedable, good enough for test inputs
+function rng(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (lo, hi) => lo + Math.floor(next() * (hi - lo + 1)),
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    chance: (p) => next() < p,
+  };
+}
+
+// Random feed: config tuple for createFeed plus the operator wallets
+function randomFeed(r, seed) {
+  const operators = accounts.slice(0, r.int(3, 7));
+  const maxSubmissions = r.int(1, operators.length);
+  const minSubmissions = r.int(1, maxSubmissions);
+  let heartbeatSec = r.pick([0, 30, 120]);
+  const deviationBps = r.pick([0, 50, 500]);
+  if (heartbeatSec === 0 && deviationBps === 0) heartbeatSec = 60; // NoGating
+  const timeoutSec = r.pick([0, 45, 180]);
+  const base = r.pick([100n * E8, 3n * E8, -20n * E8, 0n]);
+  const spread = base === 0n ? 10n * E8 : (base < 0n ? -base : base) / 5n;
+  const desc = `model-diff/${seed}/${Date.now().toString(36)}`;
+  const cfg = [8, minSubmissions, maxSubmissions, 0, heartbeatSec, deviationBps, timeoutSec, base - spread, base + spread, desc];
+  return { feedId: feedIdOf(desc), desc, cfg, operators, base, spread };
+}
+
+function randomAnswer(r, feed, model) {
+  const snap = model.snapshot;
+  if (snap.updatedAt !== 0n && r.chance(0.2)) return snap.answer; // no deviation: NotDue unless heartbeat
+  if (r.chance(0.05)) return r.chance(0.5) ? feed.base + feed.spread + 1n : feed.base - feed.spread - 1n; // OutOfBounds
+  return feed.base + (BigInt(r.int(-1_000_000, 1_000_000)) * feed.spread) / 1_000_000n;
+}
+
+function randomSubmission(r, feed, model, now, operator = r.chance(0.08) ? OUTSIDER : r.pick(feed.operators)) {
+  let roundId = model.nextRoundId();
+  if (r.chance(0.08)) roundId += roundId > 1n && r.chance(0.5) ? -1n : 1n; // WrongRound
+  return {
+    wallet: operator,
+    operator: operator.address,
+    roundId,
+    answer: randomAnswer(r, feed, model),
+    validUntil: now + (r.chance(0.05) ? -1n : 60n), // Expired
+  };
+}
+
+function randomStep(r, feed, model, t) {
+  const dt = r.chance(0.7) ? r.int(1, 10) : r.chance(0.66) ? r.int(20, 90) : r.int(100, 400);
+  const now = BigInt(t + dt);
+  const roll = r.next();
+  let step;
+  if (model.paused && r.chance(0.4)) {
+    step = { kind: "unpause" };
+  } else if (roll < 0.55) {
+    step = { kind: "submit", sub: randomSubmission(r, feed, model, now) };
+  } else if (roll < 0.72) {
+    const pool = [...feed.operators].sort(() => r.next() - 0.5);
+    const size = r.chance(0.03) ? 0 : r.int(1, Math.min(4, pool.length));
+    const subs = pool.slice(0, size).map((op) => randomSubmission(r, feed, model, now, op));
+    if (subs.length > 0 && r.chance(0.05)) subs.push({ ...subs[0] }); // DuplicateInBatch
+    step = { kind: "batch", subs };
+  } else if (roll < 0.96) {
+    step = { kind: "poke" };
+  } else {
+    step = { kind: model.paused ? "unpause" : "pause" };
+  }
+  return { ...step, dt, t: t + dt };
+}
+
+function describeStep(step) {
+  const item = (s) => `${short(s.operator)} r${s.roundId} ${s.answer}${s.validUntil < BigInt(step.t) ? " (expired)" : ""}`;
+  if (step.kind === "submit") return `submit ${item(step.sub)}`;
+  if (step.kind === "batch") return `batch [${step.subs.map(item).join(", ")}]`;
+  return step.kind;
+}
+
+function applyToModel(model, step) {
+  const now = BigInt(step.t);
+  try {
+    let events;
+    if (step.kind === "submit") events = model.submit(now, step.sub);
+    else if (step.kind === "batch") events = model.submitBatch(now, step.subs);
+    else if (step.kind === "poke") events = model.poke(now);
+    else events = model[step.kind]();
+    return { error: null, events };
+  } catch (err) {
+    if (!(err instanceof ModelRevert)) throw err;
+    return { error: err.errorName, events: [] };
+  }
+}
+
+async function calldata(feed, domain, step) {
+  const signed = async (s) => {
+    const submission = { feedId: feed.feedId, roundId: s.roundId, answer: s.answer, validUntil: s.validUntil };
+    return [submission, await signSubmission(s.wallet, domain, submission)];
+  };
+  if (step.kind === "submit") {
+    const [sub, sig] = await signed(step.sub);
+    return oracle.interface.encodeFunctionData("submitSigned", [feed.feedId, sub, sig]);
+  }
+  if (step.kind === "batch") {
+    const items = await Promise.all(step.subs.map(signed));
+    return oracle.interface.encodeFunctionData("submitSignedBatch", [feed.feedId, items.map((i) => i[0]), items.map((i) => i[1])]);
+  }
+  if (step.kind === "poke") return oracle.interface.encodeFunctionData("poke", [feed.feedId]);
+  return oracle.interface.encodeFunctionData(step.kind, []);
+}
+
+// One transaction mined at timestamp `t` → { error, logs, block }
+async function sendAt(data, t) {
+  await provider.send("evm_setNextBlockTimestamp", [t]);
+  // raw RPC: ethers caches identical requests for 250ms
+  const nonce = Number(await provider.send("eth_getTransactionCount", [admin.address, "pending"]));
+  const fees = { maxFeePerGas: ethers.parseUnits("100", "gwei"), maxPriorityFeePerGas: ethers.parseUnits("1", "gwei") };
+  const { error, receipt } = await txOutcome(provider, admin.sendTransaction({ to: ORACLE, data, nonce, gasLimit: 5_000_000, ...fees }));
+  const block = Number(await provider.send("eth_blockNumber", []));
+  return { error, logs: error ? [] : receipt.logs, block };
+}
+
+// Events as comparable strings, feedId left out
+const fmtValue = (v) => (typeof v === "bigint" ? v.toString() : typeof v === "string" ? v.toLowerCase() : String(v));
+const fmtEvent = ({ event, ...args }) => `${event}(${Object.entries(args).map(([k, v]) => `${k}=${fmtValue(v)}`).join(", ")})`;
+
+function chainEvents(logs) {
+  const out = [];
+  for (const log of logs) {
+    if (log.address.toLowerCase() !== ORACLE.toLowerCase()) continue;
+    const parsed = oracleEvents.parseLog(log);
+    if (!parsed) continue;
+    const { feedId, ...args } = parsed.args.toObject();
+    out.push({ event: parsed.name, ...args });
+  }
+  return out.map(fmtEvent);
+}
+
+const MAX_AGE = ethers.MaxUint256; // isStale(feed, MAX_AGE): only "no data" or rolled-forward
+
+async function chainViews(feedId, block) {
+  const at = { blockTag: block };
+  const [current, latest, stale, data] = await Promise.all([
+    oracle.currentRoundId(feedId, at),
+    oracle.latestFinalizedRoundId(feedId, at),
+    oracle.isStale(feedId, MAX_AGE, at),
+    oracle.latestRoundData(feedId, at).then((r) => [...r].map(String).join(","), (err) => decodeError(err).name),
+  ]);
+  return { current: String(current), latest: String(latest), stale, latestRoundData: data };
+}
+
+function modelViews(model, now) {
+  let data;
+  try {
+    data = model.latestRoundData().map(String).join(",");
+  } catch (err) {
+    data = err.errorName;
+  }
+  return {
+    current: String(model.currentRoundId()),
+    latest: String(model.latestFinalizedRoundId()),
+    stale: model.isStale(now, MAX_AGE),
+    latestRoundData: data,
+  };
+}
+
+function diff(model, chain) {
+  const out = [];
+  for (const key of Object.keys(model)) {
+    const [a, b] = [JSON.stringify(model[key]), JSON.stringify(chain[key])];
+    if (a !== b) out.push(`${key.padEnd(16)} model=${a}  oracle=${b}`);
+  }
+  return out;
+}
+
+const count = (map, key) => (map[key] = (map[key] ?? 0) + 1);
+
+async function runScenario(seed, domain, tally) {
+  const r = rng(seed);
+  const feed = randomFeed(r, seed);
+  const [, min, max, , hb, dev, timeout, lo, hi] = feed.cfg;
+  const model = createRoundModel({ cfg: gatingConfig(feed.cfg), operators: feed.operators.map((w) => w.address) });
+
+  let t = (await provider.getBlock("latest")).timestamp + 1;
+  const created = await sendAt(oracle.interface.encodeFunctionData("createFeed", [feed.feedId, feed.cfg, feed.operators.map((w) => w.address)]), t);
+  if (created.error) throw new Error(`createFeed failed: ${created.error}`);
+  if (VERBOSE) {
+    console.log(`\n🎲 seed ${seed}: ${feed.desc} ops=${feed.operators.length} min=${min} max=${max} hb=${hb}s dev=${dev}bps timeout=${timeout}s bounds=[${lo}, ${hi}]`);
+  }
+
+  for (let i = 1; i <= STEPS; i++) {
+    const step = randomStep(r, feed, model, t);
+    t = step.t;
+    const expected = applyToModel(model, step);
+    const got = await sendAt(await calldata(feed, domain, step), t);
+
+    const found = diff(
+      { outcome: expected.error ?? "ok", events: expected.events.map(fmtEvent), ...modelViews(model, BigInt(t)) },
+      { outcome: got.error ?? "ok", events: chainEvents(got.logs), ...(await chainViews(feed.feedId, got.block)) },
+    );
+    count(tally.outcomes, expected.error ?? "ok");
+    for (const e of expected.events) count(tally.events, e.event);
+    if (VERBOSE) {
+      const events = expected.events.map((e) => e.event).join(", ");
+      console.log(`  ${String(i).padStart(3)} +${step.dt}s ${describeStep(step)} → ${expected.error ?? "ok"}${events ? ` [${events}]` : ""}`);
+    }
+    if (found.length > 0) {
+      return { seed, step: i, what: describeStep(step), found, paused: model.paused };
+    }
+  }
+
+  // Every round in the model's history, read back from the oracle
+  const block = Number(await provider.send("eth_blockNumber", []));
+  for (let id = 1n; id <= model.latestFinalizedRoundId(); id++) {
+    const a = model.getRoundData(id).map(String).join(",");
+    const b = [...(await oracle.getRoundData(feed.feedId, id, { blockTag: block }))].map(String).join(",");
+    if (a !== b) return { seed, step: "end", what: `getRoundData(${id})`, found: [`model=${a}  oracle=${b}`], paused: model.paused };
+  }
+  return { seed, paused: model.paused };
+}
+
+console.log("🔬 Round model vs oracle");
+console.log(`   rpc=${RPC} oracle=${short(ORACLE)} scenarios=${SCENARIOS} steps=${STEPS} seed=${SEED}`);
+
+const { chainId } = await provider.getNetwork();
+const domain = priceLoomDomain(chainId, ORACLE);
+await provider.send("evm_setIntervalMining", [0]);
+await provider.send("evm_setAutomine", [true]);
+
+async function unpauseIfPaused() {
+  if (!(await oracle.paused())) return;
+  const t = (await provider.getBlock("latest")).timestamp + 1;
+  const res = await sendAt(oracle.interface.encodeFunctionData("unpause", []), t);
+  if (res.error) throw new Error(`unpause failed: ${res.error}`);
+}
+
+const tally = { outcomes: {}, events: {} };
+const divergences = [];
+try {
+  await unpauseIfPaused();
+  for (let n = 0; n < SCENARIOS; n++) {
+    const result = await runScenario(SEED + n, domain, tally);
+    if (result.paused) await unpauseIfPaused();
+    if (!result.found) {
+      if (!VERBOSE) process.stdout.write(".");
+      continue;
+    }
+    divergences.push(result);
+    console.log(`\n❌ seed ${result.seed} diverged at step ${result.step}: ${result.what}`);
+    for (const line of result.found) console.log(`   ${line}`);
+  }
+} catch (err) {
+  console.error(`\n❌ ${describeError(err)}`);
+  process.exit(1);
+}
+
+const counts = (map) => Object.entries(map).sort((a, b) => b[1] - a[1]).map(([k, v]) => `${k}×${v}`).join(" ");
+console.log(`\n   outcomes: ${counts(tally.outcomes)}`);
+console.log(`   events:   ${counts(tally.events)}`);
+if (divergences.length > 0) {
+  console.log(`❌ ${divergences.length}/${SCENARIOS} scenario(s) diverged. Replay: --seed ${divergences[0].seed} --scenarios 1 --verbose`);
+  process.exit(1);
+}
+console.log(`✅ ${SCENARIOS} scenario(s) × ${STEPS} steps: model and oracle agree`);
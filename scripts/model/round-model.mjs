@@ -0,0 +1,244 @@
+// Reference model of one PriceLoomOracle feed's round state machine, in plain JS
+//
+// Mirrors PriceLoomOracle:
+//   submitSigned / submitSignedBatch   checks in the same order, same custom errors
+//   _handleTimeoutIfNeeded             timeout first: finalize at quorum, else roll stale
+//   _finalizeRound                     sorted median; even counts average half-up (signed)
+//   _rollForwardStale                  carry the last answer; keep updatedAt/answeredInRound
+//   history                            128-round ring buffer (HistoryEvicted)
+// Gating (bounds, heartbeat, deviation) comes from ../bot/gating.mjs.
+//
+// Signatures are not modeled: a submission names its operator. Every call takes the
+// block timestamp `now`, returns the events it would emit ({ event, ...args }, feedId
+// left out) and throws ModelRevert without changing state, like a reverted transaction.
+//
+// All values are BigInt; `cfg` has the gatingConfig() shape.
+
+import { shouldStartNewRound, withinBounds } from "../bot/gating.mjs";
+
+const HISTORY_CAPACITY = 128n;
+const INT256_MIN = -(2n ** 255n);
+
+export class ModelRevert extends Error {
+  constructor(errorName) {
+    super(errorName);
+    this.name = "ModelRevert";
+    this.errorName = errorName; // custom error name, as decodeError() reports it
+  }
+}
+
+const revert = (name) => {
+  throw new ModelRevert(name);
+};
+
+// PriceLoomMath.avgRoundHalfUpSigned
+export function avgRoundHalfUpSigned(a, b) {
+  if (a >= 0n && b >= 0n) return (a + b + 1n) / 2n;
+  if (a <= 0n && b <= 0n) {
+    const mu = (-a - b + 1n) / 2n;
+    return mu === 2n ** 255n ? INT256_MIN : -mu;
+  }
+  return (a + b) / 2n; // mixed signs: BigInt division truncates toward zero, like Solidity
+}
+
+export function median(answers) {
+  const buf = [...answers].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const n = buf.length;
+  if (n % 2 === 1) return buf[(n - 1) / 2];
+  return avgRoundHalfUpSigned(buf[n / 2 - 1], buf[n / 2]);
+}
+
+export function createRoundModel({ cfg, operators }) {
+  const opIndex = new Map(operators.map((op, i) => [op.toLowerCase(), i + 1])); // 1-based, like _opIndex
+  let state = {
+    paused: false,
+    latestRoundId: 0n,
+    snap: { roundId: 0n, answer: 0n, startedAt: 0n, updatedAt: 0n, answeredInRound: 0n, stale: true, submissionCount: 0n },
+    open: null, // { roundId, startedAt, answers: [], submitted: Set of operator indexes }
+    history: new Map(), // (roundId - 1) % 128 → round record
+  };
+
+  // Runs `fn` on a copy of the state; the copy replaces the state only if nothing reverts
+  function tx(fn) {
+    const s = structuredClone(state);
+    const events = [];
+    fn(s, (event, args) => events.push({ event, ...args }));
+    state = s;
+    return events;
+  }
+
+  function record(s, roundId) {
+    s.latestRoundId = roundId;
+    s.history.set((roundId - 1n) % HISTORY_CAPACITY, { ...s.snap });
+  }
+
+  function finalize(s, emit, now) {
+    const { roundId, startedAt, answers } = s.open;
+    if (answers.length === 0) revert("NoAnswers");
+    const answer = median(answers);
+    const n = BigInt(answers.length);
+    s.snap = { roundId, answer, startedAt, updatedAt: now, answeredInRound: roundId, stale: false, submissionCount: n };
+    emit("RoundFinalized", { roundId, submissionCount: n });
+    emit("PriceUpdated", { answer, updatedAt: now });
+    record(s, roundId);
+    s.open = null;
+  }
+
+  function rollForwardStale(s, emit) {
+    const { roundId, startedAt, answers } = s.open;
+    const n = BigInt(answers.length);
+    s.snap = { ...s.snap, roundId, startedAt, stale: true, submissionCount: n };
+    emit("RoundFinalized", { roundId, submissionCount: n });
+    emit("PriceUpdated", { answer: s.snap.answer, updatedAt: s.snap.updatedAt });
+    emit("StalePriceRolledForward", { roundId });
+    record(s, roundId);
+    s.open = null;
+  }
+
+  function handleTimeout(s, emit, now) {
+    if (cfg.timeoutSec === 0n || !s.open) return false;
+    if (now - s.open.startedAt < cfg.timeoutSec) return false;
+    if (s.open.answers.length >= cfg.minSubmissions) {
+      finalize(s, emit, now);
+    } else if (s.snap.updatedAt === 0n) {
+      s.open = null; // no answer yet: discard the round, keep NoData
+    } else {
+      rollForwardStale(s, emit);
+    }
+    return true;
+  }
+
+  // A new round needs the first submission ever, or a gate (heartbeat / deviation) to pass
+  function requireDue(s, now, proposed) {
+    const firstEver = s.snap.updatedAt === 0n;
+    if (!(firstEver || shouldStartNewRound(proposed, s.snap, cfg, now))) revert("NotDue");
+  }
+
+  function startRound(s, emit, now) {
+    const roundId = s.latestRoundId + 1n;
+    s.open = { roundId, startedAt: now, answers: [], submitted: new Set() };
+    emit("RoundStarted", { roundId, startedAt: now });
+  }
+
+  function indexOf(operator) {
+    return opIndex.get(operator.toLowerCase()) ?? 0;
+  }
+
+  // { operator, roundId, answer, validUntil }
+  function submit(now, sub) {
+    return tx((s, emit) => {
+      if (s.paused) revert("EnforcedPause");
+      if (now > sub.validUntil) revert("Expired");
+      if (!withinBounds(sub.answer, cfg)) revert("OutOfBounds");
+      const idx = indexOf(sub.operator);
+      if (idx === 0) revert("NotOperator");
+
+      handleTimeout(s, emit, now);
+
+      const openId = s.latestRoundId + 1n;
+      if (!s.open) {
+        requireDue(s, now, sub.answer);
+        if (sub.roundId !== openId) revert("WrongRound");
+        startRound(s, emit, now);
+      } else if (sub.roundId !== openId) {
+        revert("WrongRound");
+      }
+
+      if (s.open.answers.length >= cfg.maxSubmissions) revert("RoundFull");
+      if (s.open.submitted.has(idx)) revert("DuplicateSubmission");
+      s.open.submitted.add(idx);
+      s.open.answers.push(sub.answer);
+      emit("SubmissionReceived", { roundId: openId, operator: sub.operator, answer: sub.answer });
+
+      if (s.open.answers.length === cfg.maxSubmissions) finalize(s, emit, now);
+    });
+  }
+
+  // [{ operator, roundId, answer, validUntil }, ...]; items after the round fills are ignored
+  function submitBatch(now, subs) {
+    return tx((s, emit) => {
+      if (s.paused) revert("EnforcedPause");
+      handleTimeout(s, emit, now);
+
+      const openId = s.latestRoundId + 1n;
+      if (!s.open) {
+        if (subs.length === 0) revert("EmptyBatch");
+        const first = subs[0];
+        requireDue(s, now, first.answer);
+        if (first.roundId !== openId) revert("WrongRound");
+        if (now > first.validUntil) revert("Expired");
+        if (!withinBounds(first.answer, cfg)) revert("OutOfBounds");
+        startRound(s, emit, now);
+      }
+
+      if (s.open.answers.length >= cfg.maxSubmissions) revert("RoundFull");
+      const inBatch = new Set();
+      for (const sub of subs) {
+        if (sub.roundId !== openId) revert("WrongRound");
+        if (now > sub.validUntil) revert("Expired");
+        if (!withinBounds(sub.answer, cfg)) revert("OutOfBounds");
+        const idx = indexOf(sub.operator);
+        if (idx === 0) revert("NotOperator");
+        if (inBatch.has(idx)) revert("DuplicateInBatch");
+        inBatch.add(idx);
+        if (s.open.submitted.has(idx)) revert("DuplicateSubmission");
+        if (s.open.answers.length >= cfg.maxSubmissions) revert("RoundFull");
+        s.open.answers.push(sub.answer);
+        emit("SubmissionReceived", { roundId: openId, operator: sub.operator, answer: sub.answer });
+
+        if (s.open.answers.length === cfg.maxSubmissions) {
+          for (const i of inBatch) s.open.submitted.add(i);
+          finalize(s, emit, now);
+          return;
+        }
+      }
+      for (const i of inBatch) s.open.submitted.add(i);
+    });
+  }
+
+  return {
+    submit,
+    submitBatch,
+    poke: (now) => tx((s, emit) => handleTimeout(s, emit, now)),
+    pause: () =>
+      tx((s) => {
+        if (s.paused) revert("EnforcedPause");
+        s.paused = true;
+      }),
+    unpause: () =>
+      tx((s) => {
+        if (!s.paused) revert("ExpectedPause");
+        s.paused = false;
+      }),
+
+    // Views, same names and reverts as the contract
+    latestRoundData() {
+      const { snap } = state;
+      if (snap.updatedAt === 0n) revert("NoData");
+      return [snap.roundId, snap.answer, snap.startedAt, snap.updatedAt, snap.answeredInRound];
+    },
+    getRoundData(roundId) {
+      if (roundId === 0n) revert("BadRoundId");
+      const r = state.history.get((roundId - 1n) % HISTORY_CAPACITY);
+      if (!r || r.roundId !== roundId) revert("HistoryEvicted");
+      return [r.roundId, r.answer, r.startedAt, r.updatedAt, r.answeredInRound];
+    },
+    currentRoundId: () => (state.open ? state.open.roundId : state.latestRoundId),
+    latestFinalizedRoundId: () => state.latestRoundId,
+    nextRoundId: () => state.latestRoundId + 1n,
+    isStale: (now, maxStalenessSec) =>
+      state.snap.updatedAt === 0n || state.snap.stale || now - state.snap.updatedAt > maxStalenessSec,
+    dueToStart: (now, proposed) => shouldStartNewRound(proposed, state.snap, cfg, now),
+
+    get paused() {
+      return state.paused;
+    },
+    get snapshot() {
+      return { ...state.snap };
+    },
+    // Open round as { roundId, startedAt, answers }, or null
+    get openRound() {
+      return state.open && { roundId: state.open.roundId, startedAt: state.open.startedAt, answers: [...state.open.answers] };
+    },
+  };
+}
@@ -0,0 +1,129 @@
+// Unit tests for round-model.mjs, using the cases from test/oracle/OracleSubmissions.t.sol,
+// OracleBatchEdgeCases.t.sol and test/lib/Math.t.sol
+// Run: node --test scripts/model/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { avgRoundHalfUpSigned, createRoundModel, median } from "./round-model.mjs";
+
+const E8 = 10n ** 8n;
+const T0 = 1_700_000_000n;
+const OPS = ["0x01", "0x02", "0x03", "0x04"].map((a) => a.padEnd(42, "0"));
+
+// Same as the OracleSubmissions.t.sol feed: quorum 2, max 3, timeout 900s
+function model(overrides = {}) {
+  const cfg = {
+    minSubmissions: 2,
+    maxSubmissions: 3,
+    heartbeatSec: 3600n,
+    deviationBps: 50n,
+    timeoutSec: 900n,
+    minPrice: -1000n * E8,
+    maxPrice: 1000n * E8,
+    ...overrides,
+  };
+  return createRoundModel({ cfg, operators: OPS });
+}
+
+const sub = (op, roundId, answer, validUntil = T0 + 10_000n) => ({ operator: OPS[op], roundId, answer, validUntil });
+const names = (events) => events.map((e) => e.event);
+
+test("signed averages match PriceLoomMath", () => {
+  assert.equal(avgRoundHalfUpSigned(1n, 2n), 2n);
+  assert.equal(avgRoundHalfUpSigned(2n, 4n), 3n);
+  assert.equal(avgRoundHalfUpSigned(-2n, -4n), -3n);
+  assert.equal(avgRoundHalfUpSigned(-1n, -2n), -2n); // half-up on magnitudes
+  assert.equal(avgRoundHalfUpSigned(-3n, 2n), 0n); // mixed: truncates toward zero
+  assert.equal(avgRoundHalfUpSigned(-(2n ** 255n), -(2n ** 255n)), -(2n ** 255n));
+  assert.equal(median([102n, 100n, 101n]), 101n);
+  assert.equal(median([-100n * E8, -101n * E8]), -1005n * 10n ** 7n);
+});
+
+test("round finalizes at maxSubmissions with the median", () => {
+  const m = model();
+  assert.deepEqual(names(m.submit(T0, sub(0, 1n, 100n * E8))), ["RoundStarted", "SubmissionReceived"]);
+  m.submit(T0 + 1n, sub(1, 1n, 102n * E8));
+  assert.equal(m.currentRoundId(), 1n);
+  assert.equal(m.latestFinalizedRoundId(), 0n);
+  const events = m.submit(T0 + 2n, sub(2, 1n, 101n * E8));
+  assert.deepEqual(names(events), ["SubmissionReceived", "RoundFinalized", "PriceUpdated"]);
+  assert.deepEqual(m.latestRoundData(), [1n, 101n * E8, T0, T0 + 2n, 1n]);
+  assert.equal(m.isStale(T0 + 2n, 60n), false);
+});
+
+test("timeout with quorum finalizes at the poke's timestamp", () => {
+  const m = model();
+  m.submit(T0, sub(0, 1n, 100n * E8));
+  m.submit(T0, sub(1, 1n, 102n * E8));
+  assert.throws(() => m.latestRoundData(), { errorName: "NoData" });
+  assert.deepEqual(m.poke(T0 + 899n), []);
+  m.poke(T0 + 901n);
+  assert.deepEqual(m.latestRoundData(), [1n, 101n * E8, T0, T0 + 901n, 1n]);
+});
+
+test("timeout below quorum rolls the last answer forward as stale", () => {
+  const m = model();
+  for (const [op, p] of [[0, 100n], [1, 101n], [2, 102n]]) m.submit(T0, sub(op, 1n, p * E8));
+  m.submit(T0 + 4000n, sub(0, 2n, 200n * E8));
+  const events = m.poke(T0 + 4901n);
+  assert.deepEqual(names(events), ["RoundFinalized", "PriceUpdated", "StalePriceRolledForward"]);
+  assert.deepEqual(m.latestRoundData(), [2n, 101n * E8, T0 + 4000n, T0, 1n]);
+  assert.equal(m.isStale(T0 + 4901n, 10n ** 9n), true);
+  assert.deepEqual(m.getRoundData(2n), [2n, 101n * E8, T0 + 4000n, T0, 1n]);
+});
+
+test("timeout without prior data discards the round and keeps NoData", () => {
+  const m = model();
+  m.submit(T0, sub(0, 1n, 100n * E8));
+  assert.deepEqual(m.poke(T0 + 901n), []);
+  assert.throws(() => m.latestRoundData(), { errorName: "NoData" });
+  assert.equal(m.currentRoundId(), 0n);
+  assert.equal(m.nextRoundId(), 1n);
+});
+
+test("reverts leave the state untouched, including the timeout they triggered", () => {
+  const m = model();
+  for (const [op, p] of [[0, 100n], [1, 101n], [2, 102n]]) m.submit(T0, sub(op, 1n, p * E8));
+  m.submit(T0 + 4000n, sub(0, 2n, 200n * E8));
+  // Timed out: the submission would roll round 2 forward, then fails on the round id
+  assert.throws(() => m.submit(T0 + 4901n, sub(1, 2n, 200n * E8)), { errorName: "WrongRound" });
+  assert.equal(m.latestFinalizedRoundId(), 1n);
+  assert.equal(m.currentRoundId(), 2n);
+});
+
+test("submission checks revert with the contract's errors", () => {
+  const m = model();
+  assert.throws(() => m.submit(T0, sub(0, 1n, 100n * E8, T0 - 1n)), { errorName: "Expired" });
+  assert.throws(() => m.submit(T0, sub(0, 1n, 2000n * E8)), { errorName: "OutOfBounds" });
+  assert.throws(() => m.submit(T0, { ...sub(0, 1n, 100n * E8), operator: "0x".padEnd(42, "9") }), { errorName: "NotOperator" });
+  assert.throws(() => m.submit(T0, sub(0, 2n, 100n * E8)), { errorName: "WrongRound" });
+  m.submit(T0, sub(0, 1n, 100n * E8));
+  assert.throws(() => m.submit(T0, sub(0, 1n, 100n * E8)), { errorName: "DuplicateSubmission" });
+  m.submit(T0, sub(1, 1n, 100n * E8));
+  m.submit(T0, sub(2, 1n, 100n * E8));
+  assert.throws(() => m.submit(T0 + 1n, sub(3, 2n, 100n * E8)), { errorName: "NotDue" });
+  m.pause();
+  assert.throws(() => m.submit(T0 + 1n, sub(3, 2n, 200n * E8)), { errorName: "EnforcedPause" });
+  assert.deepEqual(m.poke(T0 + 1n), []); // poke works while paused
+});
+
+test("batches check items in order and stop once the round is full", () => {
+  const m = model();
+  assert.throws(() => m.submitBatch(T0, []), { errorName: "EmptyBatch" });
+  assert.throws(() => m.submitBatch(T0, [sub(0, 1n, 100n * E8), sub(0, 1n, 101n * E8)]), { errorName: "DuplicateInBatch" });
+  m.submit(T0, sub(0, 1n, 100n * E8));
+  assert.throws(() => m.submitBatch(T0, [sub(1, 1n, 101n * E8), sub(0, 1n, 101n * E8)]), { errorName: "DuplicateSubmission" });
+  // The fourth item would be RoundFull on its own; the batch returns before reaching it
+  const events = m.submitBatch(T0 + 1n, [sub(1, 1n, 101n * E8), sub(2, 1n, 102n * E8), sub(3, 1n, 103n * E8)]);
+  assert.deepEqual(names(events), ["SubmissionReceived", "SubmissionReceived", "RoundFinalized", "PriceUpdated"]);
+  assert.deepEqual(m.latestRoundData(), [1n, 101n * E8, T0, T0 + 1n, 1n]);
+});
+
+test("history is a 128-round ring buffer", () => {
+  const m = model({ minSubmissions: 1, maxSubmissions: 1, heartbeatSec: 1n });
+  for (let r = 1n; r <= 130n; r++) m.submit(T0 + r, sub(0, r, 100n * E8));
+  assert.throws(() => m.getRoundData(0n), { errorName: "BadRoundId" });
+  assert.throws(() => m.getRoundData(2n), { errorName: "HistoryEvicted" });
+  assert.equal(m.getRoundData(3n)[0], 3n);
+  assert.equal(m.getRoundData(130n)[0], 130n);
+});
@@ -0,0 +1,58 @@
+// Local webhook stub for exercising the monitor's webhook sink
+// Usage:
+//   node scripts/monitor/mock-webhook.mjs --port 8790 [--fail 2]
+//
+//   POST /alerts   → records the alert and prints its `text`
+//   GET  /alerts   → every alert received so far, as a JSON array
+//
+// With --fail N, the first N POSTs answer 500, which exercises the sink's retries.
+
+import http from "node:http";
+import { parseArgs } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const PORT = Number(argv.port || process.env.MOCK_WEBHOOK_PORT || 8790);
+const HOST = argv.host || process.env.MOCK_WEBHOOK_HOST || "127.0.0.1";
+let failures = Number(argv.fail || 0);
+
+const received = [];
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (url.pathname !== "/alerts") return send(res, 404, { error: "not found" });
+
+  if (req.method === "GET") return send(res, 200, received);
+
+  if (req.method === "POST") {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (failures > 0) {
+        failures--;
+        console.log(`💥 Failing on purpose (${failures} more)`);
+        return send(res, 500, { error: "injected failure" });
+      }
+      try {
+        const alert = JSON.parse(body);
+        received.push(alert);
+        console.log(`📨 ${alert.text ?? JSON.stringify(alert)}`);
+        send(res, 200, { ok: true });
+      } catch (e) {
+        send(res, 400, { error: e.message });
+      }
+    });
+    return;
+  }
+
+  send(res, 405, { error: "method not allowed" });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`🧪 Mock webhook on http://${HOST}:${PORT}/alerts${failures ? ` (failing first ${failures})` : ""}`);
+});
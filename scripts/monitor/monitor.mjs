@@ -0,0 +1,156 @@
+// Feed liveness monitor (ethers v6)
+//
+// Watches every configured feed and alerts when:
+//   feed-stale         latest answer is older than heartbeatSec × --staleFactor
+//   round-overdue      a round has been open longer than timeoutSec (nobody poked / submitted)
+//   stale-rollforward  a round timed out below quorum and rolled the old answer forward
+//   paused             the oracle is paused
+//   operator-missed    an operator has no SubmissionReceived in the last --missedRounds finalized rounds
+//
+// Conditions alert once when they start, repeat every --repeatMs while they last, and
+// send a "resolved" alert when they clear. Roll-forwards alert once per round. The rules
+// themselves are in rules.mjs; this script reads the chain and feeds them.
+//
+// Usage:
+//   node scripts/monitor/monitor.mjs \
+//     --rpc http://127.0.0.1:8545 \
+//     --oracle 0xOracle \
+//     --feeds feeds/feeds-anvil.json \
+//     [--sinks stdout,json:logs/alerts.jsonl,file:logs/alerts.log,webhook:http://127.0.0.1:8790/alerts] \
+//     [--interval 15000] [--staleFactor 2] [--missedRounds 3] [--repeatMs 600000] [--once]
+//
+// --once runs a single check and exits 2 if any condition is firing (cron / CI friendly).
+
+import { ethers } from "ethers";
+import { loadFeeds } from "../lib/feeds.mjs";
+import { describeError } from "../lib/oracle-errors.mjs";
+import { EVENT_TOPICS, decodeLog } from "../indexer/events.mjs";
+import { createSinks } from "./sinks.mjs";
+import { createAlertBook, feedAlerts, newFeedState, pausedAlert, pruneRounds, trackEvent } from "./rules.mjs";
+import { feedConfig, feedIdOf, getFeed, oracleAt } from "../sdk/price-loom.mjs";
+import { parseArgs, short } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const ORACLE = argv.oracle || process.env.ORACLE;
+const FEEDS_FILE = argv.feeds || process.env.FEEDS_FILE;
+const FEED_DESC = argv.feedDesc || process.env.FEED_DESC || "ar/bytes-testv1";
+const SINKS = argv.sinks || process.env.MONITOR_SINKS || "stdout";
+const INTERVAL = Number(argv.interval || process.env.MONITOR_INTERVAL_MS || 15000);
+const STALE_FACTOR = Number(argv.staleFactor || process.env.STALE_FACTOR || 2);
+const MISSED_ROUNDS = Number(argv.missedRounds || process.env.MISSED_ROUNDS || 3);
+const REPEAT_MS = Number(argv.repeatMs || process.env.ALERT_REPEAT_MS || 10 * 60 * 1000);
+const LOOKBACK = Number(argv.lookbackBlocks || process.env.LOOKBACK_BLOCKS || 5000);
+const ONCE = argv.once === "true";
+
+if (!ORACLE) {
+  console.error("Missing --oracle");
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(RPC);
+
+const oracle = oracleAt(ORACLE, provider);
+const sinks = createSinks(SINKS);
+
+const rules = { missedRounds: MISSED_ROUNDS, staleFactor: STALE_FACTOR };
+
+const emit = (alert) => sinks.send({ ...alert, at: new Date().toISOString() });
+const book = createAlertBook({ repeatMs: REPEAT_MS, emit }); // active conditions (see rules.mjs)
+
+// ---- Event tracking --------------------------------------------------------
+
+let nextBlock = null; // first block not yet scanned
+
+async function scanEvents(feedsById, head) {
+  const from = nextBlock ?? Math.max(0, head - LOOKBACK);
+  if (from > head) return;
+  const logs = await provider.getLogs({ address: ORACLE, topics: [EVENT_TOPICS], fromBlock: from, toBlock: head });
+  for (const log of logs) {
+    const e = decodeLog(log, null);
+    const feed = e && feedsById.get(e.feedId.toLowerCase());
+    if (feed) trackEvent(feed, e, rules);
+  }
+  nextBlock = head + 1;
+}
+
+// ---- Checks ----------------------------------------------------------------
+
+async function checkFeed(feed, now, seen) {
+  const { feedId } = feed;
+  const config = feedConfig(await oracle.getConfig(feedId));
+  const latest = await oracle.latestFinalizedRoundId(feedId);
+  const current = await oracle.currentRoundId(feedId);
+  let latestRound = null;
+  if (latest > 0n) {
+    const [, answer, , updatedAt] = await oracle.latestRoundData(feedId);
+    latestRound = { answer, updatedAt };
+  }
+  const operators = MISSED_ROUNDS > 0 && feed.finalized.length >= MISSED_ROUNDS ? await oracle.getOperators(feedId) : [];
+
+  const { firing, once } = feedAlerts(feed, { config, latest, current, latestRound, operators }, { now, ...rules });
+  for (const alert of firing) await book.firing(seen, alert);
+  for (const alert of once) await emit({ ...alert, status: "firing" });
+  pruneRounds(feed, latest, rules);
+}
+
+async function poll(feeds, feedsById) {
+  const seen = new Set();
+  const block = await provider.getBlock("latest");
+  const now = block.timestamp;
+
+  await scanEvents(feedsById, block.number);
+
+  if (await oracle.paused()) {
+    await book.firing(seen, pausedAlert(ORACLE));
+  }
+
+  for (const feed of feeds) {
+    try {
+      await checkFeed(feed, now, seen);
+    } catch (err) {
+      console.error(`❌ ${feed.desc}: check failed: ${describeError(err)}`);
+      // Keep this feed's alerts as they were rather than resolving them
+      for (const key of book.active.keys()) if (key.includes(feed.feedId)) seen.add(key);
+    }
+  }
+
+  await book.resolveMissing(seen);
+}
+
+const specs = FEEDS_FILE
+  ? (await loadFeeds(FEEDS_FILE)).map((f) => ({ desc: f.desc, feedId: f.feedId }))
+  : [{ desc: FEED_DESC, feedId: feedIdOf(FEED_DESC) }];
+
+const feeds = [];
+for (const spec of specs) {
+  if (!(await getFeed(oracle, spec.feedId))) {
+    console.warn(`⚠️  Feed ${spec.desc} does not exist on this oracle. Skipping.`);
+    continue;
+  }
+  feeds.push(newFeedState(spec));
+}
+if (feeds.length === 0) {
+  console.error("❌ No feeds to monitor.");
+  process.exit(1);
+}
+const feedsById = new Map(feeds.map((f) => [f.feedId.toLowerCase(), f]));
+
+console.log(`🔭 Monitor starting`);
+console.log(`   rpc=${RPC} oracle=${short(ORACLE)} feeds=${feeds.map((f) => f.desc).join(",")} interval=${INTERVAL}ms`);
+console.log(`   staleFactor=${STALE_FACTOR} missedRounds=${MISSED_ROUNDS} sinks=${sinks.names.join(",")}`);
+
+async function safePoll() {
+  try {
+    await poll(feeds, feedsById);
+  } catch (err) {
+    console.error(`❌ Poll failed: ${describeError(err)}`);
+  }
+}
+
+await safePoll();
+if (ONCE) {
+  process.exit(book.active.size > 0 ? 2 : 0);
+}
+setInterval(safePoll, INTERVAL);
@@ -0,0 +1,164 @@
+// Alert rules for the monitor, kept free of RPC calls so they can be tested without a chain
+//
+// Per feed, state folded from oracle events (trackEvent):
+//   startedAt     roundId → RoundStarted timestamp
+//   submitters    roundId → Set of operators (lowercase) with a SubmissionReceived
+//   finalized     ids of the last `missedRounds` finalized rounds
+//   rollForwards  StalePriceRolledForward events not alerted yet
+//
+// Each poll reads a snapshot of the feed from the oracle:
+//   { config (sdk feedConfig), latest, current (round ids, BigInt),
+//     latestRound ({ answer, updatedAt }, or null before the first answer), operators }
+//
+// The alert book turns conditions into alerts: once when they start, again every
+// `repeatMs` while they last, and "resolved" when a poll no longer sees them.
+
+import { short } from "../lib/cli.mjs";
+
+export function newFeedState(spec) {
+  return { ...spec, startedAt: new Map(), submitters: new Map(), finalized: [], rollForwards: [] };
+}
+
+export function trackEvent(feed, e, { missedRounds }) {
+  switch (e.event) {
+    case "RoundStarted":
+      feed.startedAt.set(Number(e.roundId), Number(e.startedAt));
+      break;
+    case "SubmissionReceived": {
+      const id = Number(e.roundId);
+      if (!feed.submitters.has(id)) feed.submitters.set(id, new Set());
+      feed.submitters.get(id).add(e.operator.toLowerCase());
+      break;
+    }
+    case "RoundFinalized":
+      feed.finalized.push(Number(e.roundId));
+      feed.finalized = feed.finalized.slice(-Math.max(missedRounds, 1));
+      break;
+    case "StalePriceRolledForward":
+      feed.rollForwards.push({ roundId: Number(e.roundId), block: e.block, tx: e.tx });
+      break;
+  }
+}
+
+export function pausedAlert(oracle) {
+  return {
+    key: "paused",
+    kind: "paused",
+    severity: "critical",
+    feed: null,
+    message: `oracle ${short(oracle)} is paused; no rounds can progress`,
+    details: { oracle },
+  };
+}
+
+// → { firing: conditions that hold now, once: one-off alerts (roll-forwards, taken
+// from the feed state so each is sent once) }
+export function feedAlerts(feed, snap, { now, staleFactor, missedRounds }) {
+  const { desc, feedId } = feed;
+  const { heartbeatSec: heartbeat, timeoutSec: timeout, minSubmissions: minSubs } = snap.config;
+  const firing = [];
+  const once = [];
+
+  // feed-stale
+  if (snap.latest > 0n && heartbeat > 0 && snap.latestRound) {
+    const { answer, updatedAt } = snap.latestRound;
+    const age = now - Number(updatedAt);
+    const limit = heartbeat * staleFactor;
+    if (age > limit) {
+      firing.push({
+        key: `feed-stale:${feedId}`,
+        kind: "feed-stale",
+        severity: age > limit * 2 ? "critical" : "warning",
+        feed: desc,
+        message: `answer ${answer} is ${age}s old (heartbeat ${heartbeat}s × ${staleFactor})`,
+        details: { feedId, answer: answer.toString(), updatedAt: Number(updatedAt), age, heartbeatSec: heartbeat },
+      });
+    }
+  }
+
+  // round-overdue
+  if (snap.current !== snap.latest && timeout > 0) {
+    const openId = Number(snap.current);
+    const startedAt = feed.startedAt.get(openId);
+    const open = startedAt === undefined ? null : now - startedAt;
+    if (open !== null && open > timeout) {
+      const subs = feed.submitters.get(openId)?.size ?? 0;
+      const hint = subs >= minSubs ? "poke() will finalize it" : "poke() will roll the last answer forward";
+      firing.push({
+        key: `round-overdue:${feedId}`,
+        kind: "round-overdue",
+        severity: "warning",
+        feed: desc,
+        message: `round ${openId} open for ${open}s (timeout ${timeout}s, ${subs}/${minSubs} submissions); ${hint}`,
+        details: { feedId, roundId: openId, startedAt, openSec: open, timeoutSec: timeout, submissions: subs },
+      });
+    }
+  }
+
+  // stale-rollforward
+  for (const r of feed.rollForwards.splice(0)) {
+    once.push({
+      key: `stale-rollforward:${feedId}:${r.roundId}`,
+      kind: "stale-rollforward",
+      severity: "warning",
+      feed: desc,
+      message: `round ${r.roundId} timed out below quorum (${minSubs}); previous answer rolled forward as stale`,
+      details: { feedId, ...r },
+    });
+  }
+
+  // operator-missed
+  if (missedRounds > 0 && feed.finalized.length >= missedRounds) {
+    const window = feed.finalized.slice(-missedRounds);
+    for (const op of snap.operators) {
+      const missed = window.every((id) => !feed.submitters.get(id)?.has(op.toLowerCase()));
+      if (!missed) continue;
+      firing.push({
+        key: `operator-missed:${feedId}:${op.toLowerCase()}`,
+        kind: "operator-missed",
+        severity: "warning",
+        feed: desc,
+        message: `${op} missed the last ${missedRounds} rounds (${window[0]}–${window[window.length - 1]})`,
+        details: { feedId, operator: op, rounds: window },
+      });
+    }
+  }
+
+  return { firing, once };
+}
+
+// Forget rounds that can no longer matter
+export function pruneRounds(feed, latest, { missedRounds }) {
+  const oldest = Math.min(Number(latest) - missedRounds, ...feed.finalized);
+  for (const id of feed.submitters.keys()) if (id < oldest) feed.submitters.delete(id);
+  for (const id of feed.startedAt.keys()) if (id < oldest) feed.startedAt.delete(id);
+}
+
+// `emit(alert)` gets each alert with its status; `now()` is in milliseconds
+export function createAlertBook({ repeatMs, emit, now = Date.now }) {
+  const active = new Map(); // key → { alert, sentAt }
+  return {
+    active,
+
+    // Condition seen this poll: alert when new, or again once repeatMs has passed
+    async firing(seen, alert) {
+      seen.add(alert.key);
+      const prev = active.get(alert.key);
+      if (prev && now() - prev.sentAt < repeatMs) {
+        prev.alert = alert;
+        return;
+      }
+      active.set(alert.key, { alert, sentAt: now() });
+      await emit({ ...alert, status: "firing" });
+    },
+
+    // Conditions not seen this poll have cleared
+    async resolveMissing(seen) {
+      for (const [key, { alert }] of active) {
+        if (seen.has(key)) continue;
+        active.delete(key);
+        await emit({ ...alert, status: "resolved", message: `cleared (was: ${alert.message})` });
+      }
+    },
+  };
+}
@@ -0,0 +1,163 @@
+// Unit tests for the monitor's alert rules (rules.mjs; no chain needed)
+// Run: node --test scripts/monitor/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAlertBook, feedAlerts, newFeedState, pausedAlert, pruneRounds, trackEvent } from "./rules.mjs";
+
+const FEED_ID = "0x826d" + "0".repeat(60);
+const OP_A = "0xbaa64Ab6ccF447ecF0330764C63C91A548A79833";
+const OP_B = "0x0812818C8b6D0186c8c6B43A9d5199EecaB22F6F";
+const OPTS = { now: 10_000, staleFactor: 2, missedRounds: 3 };
+const RULES = { missedRounds: 3 };
+
+const feed = () => newFeedState({ desc: "ar/usd-testv1", feedId: FEED_ID });
+
+// One poll's reads: round 5 finalized 10s ago, nothing open
+function snap(overrides = {}) {
+  return {
+    config: { heartbeatSec: 30, timeoutSec: 120, minSubmissions: 2 },
+    latest: 5n,
+    current: 5n,
+    latestRound: { answer: 600000000n, updatedAt: 9_990n },
+    operators: [OP_A, OP_B],
+    ...overrides,
+  };
+}
+
+const kinds = (alerts) => alerts.map((a) => a.kind);
+
+// Finalized rounds `ids`, each with submissions from `ops`
+function finalize(f, ids, ops) {
+  for (const roundId of ids) {
+    trackEvent(f, { event: "RoundStarted", roundId: BigInt(roundId), startedAt: 9_000n }, RULES);
+    for (const operator of ops) trackEvent(f, { event: "SubmissionReceived", roundId: BigInt(roundId), operator }, RULES);
+    trackEvent(f, { event: "RoundFinalized", roundId: BigInt(roundId) }, RULES);
+  }
+}
+
+test("a fresh, idle feed raises nothing", () => {
+  const { firing, once } = feedAlerts(feed(), snap(), OPTS);
+  assert.deepEqual(firing, []);
+  assert.deepEqual(once, []);
+});
+
+test("feed-stale fires past heartbeat × staleFactor and turns critical at twice that", () => {
+  const at = (age) => feedAlerts(feed(), snap({ latestRound: { answer: 600000000n, updatedAt: BigInt(10_000 - age) } }), OPTS).firing;
+  assert.deepEqual(at(60), []); // exactly 30s × 2
+  const [warning] = at(61);
+  assert.equal(warning.kind, "feed-stale");
+  assert.equal(warning.key, `feed-stale:${FEED_ID}`);
+  assert.equal(warning.severity, "warning");
+  assert.equal(warning.message, "answer 600000000 is 61s old (heartbeat 30s × 2)");
+  assert.deepEqual(warning.details, { feedId: FEED_ID, answer: "600000000", updatedAt: 9_939, age: 61, heartbeatSec: 30 });
+  assert.equal(at(121)[0].severity, "critical");
+});
+
+test("feed-stale is off without data or without a heartbeat", () => {
+  const old = { answer: 1n, updatedAt: 0n };
+  assert.deepEqual(feedAlerts(feed(), snap({ latest: 0n, current: 0n, latestRound: null }), OPTS).firing, []);
+  const noHeartbeat = snap({ latestRound: old, config: { heartbeatSec: 0, timeoutSec: 120, minSubmissions: 2 } });
+  assert.deepEqual(feedAlerts(feed(), noHeartbeat, OPTS).firing, []);
+});
+
+test("round-overdue fires once an open round outlives timeoutSec, with the poke outcome", () => {
+  const f = feed();
+  trackEvent(f, { event: "RoundStarted", roundId: 6n, startedAt: 9_880n }, RULES);
+  trackEvent(f, { event: "SubmissionReceived", roundId: 6n, operator: OP_A }, RULES);
+  const open = snap({ current: 6n });
+
+  assert.deepEqual(feedAlerts(f, open, OPTS).firing, []); // open for exactly 120s
+  const [below] = feedAlerts(f, open, { ...OPTS, now: 10_001 }).firing;
+  assert.equal(below.kind, "round-overdue");
+  assert.equal(below.message, "round 6 open for 121s (timeout 120s, 1/2 submissions); poke() will roll the last answer forward");
+
+  trackEvent(f, { event: "SubmissionReceived", roundId: 6n, operator: OP_B }, RULES);
+  const [quorum] = feedAlerts(f, open, { ...OPTS, now: 10_001 }).firing;
+  assert.match(quorum.message, /2\/2 submissions\); poke\(\) will finalize it$/);
+});
+
+test("round-overdue needs the RoundStarted event to know how long the round is open", () => {
+  assert.deepEqual(kinds(feedAlerts(feed(), snap({ current: 6n }), { ...OPTS, now: 1e9 }).firing), ["feed-stale"]);
+});
+
+test("stale-rollforward alerts once per event", () => {
+  const f = feed();
+  trackEvent(f, { event: "StalePriceRolledForward", roundId: 3n, block: 40, tx: "0xabc" }, RULES);
+  const first = feedAlerts(f, snap(), OPTS);
+  assert.deepEqual(first.firing, []);
+  assert.equal(first.once.length, 1);
+  assert.equal(first.once[0].key, `stale-rollforward:${FEED_ID}:3`);
+  assert.equal(first.once[0].message, "round 3 timed out below quorum (2); previous answer rolled forward as stale");
+  assert.deepEqual(first.once[0].details, { feedId: FEED_ID, roundId: 3, block: 40, tx: "0xabc" });
+  assert.deepEqual(feedAlerts(f, snap(), OPTS).once, []);
+});
+
+test("operator-missed names operators absent from every one of the last missedRounds rounds", () => {
+  const f = feed();
+  finalize(f, [1, 2], [OP_A]);
+  assert.deepEqual(feedAlerts(f, snap(), OPTS).firing, []); // only 2 rounds seen so far
+
+  finalize(f, [3], [OP_A]);
+  let { firing } = feedAlerts(f, snap(), OPTS);
+  assert.deepEqual(kinds(firing), ["operator-missed"]);
+  assert.equal(firing[0].key, `operator-missed:${FEED_ID}:${OP_B.toLowerCase()}`);
+  assert.equal(firing[0].message, `${OP_B} missed the last 3 rounds (1–3)`);
+
+  finalize(f, [4], [OP_B]); // one submission in the window clears it
+  ({ firing } = feedAlerts(f, snap(), OPTS));
+  assert.deepEqual(firing, []);
+  assert.deepEqual(f.finalized, [2, 3, 4]);
+});
+
+test("operator-missed is off with missedRounds 0", () => {
+  const f = feed();
+  finalize(f, [1, 2, 3], [OP_A]);
+  assert.deepEqual(feedAlerts(f, snap(), { ...OPTS, missedRounds: 0 }).firing, []);
+});
+
+test("pruning drops rounds older than the missed-rounds window", () => {
+  const f = feed();
+  finalize(f, [1, 2, 3, 4, 5, 6], [OP_A]);
+  pruneRounds(f, 6n, RULES);
+  assert.deepEqual([...f.submitters.keys()], [3, 4, 5, 6]);
+  assert.deepEqual([...f.startedAt.keys()], [3, 4, 5, 6]);
+});
+
+test("paused is a critical oracle-wide alert", () => {
+  const alert = pausedAlert("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+  assert.equal(alert.key, "paused");
+  assert.equal(alert.severity, "critical");
+  assert.equal(alert.feed, null);
+  assert.equal(alert.message, "oracle 0x5FbD…0aa3 is paused; no rounds can progress");
+});
+
+test("the alert book fires once, repeats after repeatMs, and resolves when a poll no longer sees it", async () => {
+  const sent = [];
+  let clock = 0;
+  const book = createAlertBook({ repeatMs: 1000, emit: async (a) => sent.push(a), now: () => clock });
+  const poll = async (alerts) => {
+    const seen = new Set();
+    for (const a of alerts) await book.firing(seen, a);
+    await book.resolveMissing(seen);
+  };
+  const paused = pausedAlert("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+
+  await poll([paused]);
+  clock = 999;
+  await poll([paused]);
+  assert.deepEqual(sent.map((a) => a.status), ["firing"]);
+
+  clock = 1000;
+  await poll([paused]);
+  assert.deepEqual(sent.map((a) => a.status), ["firing", "firing"]);
+  assert.equal(book.active.size, 1);
+
+  await poll([]);
+  assert.deepEqual(sent.map((a) => a.status), ["firing", "firing", "resolved"]);
+  assert.equal(sent[2].message, `cleared (was: ${paused.message})`);
+  assert.equal(book.active.size, 0);
+
+  await poll([]);
+  assert.equal(sent.length, 3);
+});
@@ -0,0 +1,99 @@
+// Alert sinks for the monitor
+//
+// A sink spec is "type" or "type:target":
+//   stdout               human-readable line per alert (default)
+//   json[:path]          one JSON object per line, to stdout or appended to `path`
+//   file:path            human-readable line per alert with a timestamp, appended to `path`
+//   webhook:url          POST the alert as JSON; `text` holds the human-readable line,
+//                        so Slack/Mattermost-style incoming webhooks work as-is
+//
+// Alert shape (see monitor.mjs):
+//   { key, kind, severity: "warning"|"critical", status: "firing"|"resolved",
+//     feed, message, details, at }
+//
+// A sink never throws: a failing sink is logged and the others still get the alert.
+
+import { appendFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+
+const ICONS = { critical: "🚨", warning: "⚠️ " };
+
+export function formatAlert(alert) {
+  const icon = alert.status === "resolved" ? "✅" : ICONS[alert.severity] || "ℹ️ ";
+  const feed = alert.feed ? `${alert.feed} ` : "";
+  return `${icon} [${alert.status === "resolved" ? "resolved" : alert.severity}] ${feed}${alert.kind}: ${alert.message}`;
+}
+
+async function appendLine(file, line) {
+  await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await appendFile(file, line + "\n");
+}
+
+// Retries after backoffMs, then 2×, 4×… (non-2xx, network errors and timeouts alike)
+function webhookSink(url, { timeoutMs = 5000, retries = 2, backoffMs = 500 } = {}) {
+  return async (alert) => {
+    const body = JSON.stringify({ ...alert, text: formatAlert(alert) });
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (res.ok) return;
+        throw new Error(`HTTP ${res.status}`);
+      } catch (err) {
+        if (attempt >= retries) throw err;
+        await new Promise((r) => setTimeout(r, backoffMs * 2 ** attempt));
+      }
+    }
+  };
+}
+
+// `webhook` options ({ timeoutMs, retries, backoffMs }) apply to webhook sinks
+export function createSink(spec, { webhook } = {}) {
+  const i = spec.indexOf(":");
+  const type = i === -1 ? spec : spec.slice(0, i);
+  const target = i === -1 ? "" : spec.slice(i + 1);
+
+  let send;
+  switch (type) {
+    case "stdout":
+      send = async (alert) => console.log(formatAlert(alert));
+      break;
+    case "json":
+      send = target
+        ? (alert) => appendLine(target, JSON.stringify(alert))
+        : async (alert) => console.log(JSON.stringify(alert));
+      break;
+    case "file":
+      if (!target) throw new Error(`sink "${spec}": file needs a path (file:alerts.log)`);
+      send = (alert) => appendLine(target, `${alert.at} ${formatAlert(alert)}`);
+      break;
+    case "webhook":
+      if (!/^https?:\/\//.test(target)) throw new Error(`sink "${spec}": webhook needs an http(s) URL`);
+      send = webhookSink(target, webhook);
+      break;
+    default:
+      throw new Error(`unknown sink "${spec}" (stdout, json[:path], file:path, webhook:url)`);
+  }
+  return { name: spec, send };
+}
+
+// "stdout,webhook:http://127.0.0.1:8790/alerts" → one fan-out sink
+export function createSinks(list, options) {
+  const sinks = String(list).split(",").map((s) => s.trim()).filter(Boolean).map((s) => createSink(s, options));
+  return {
+    names: sinks.map((s) => s.name),
+    async send(alert) {
+      await Promise.all(sinks.map(async (s) => {
+        try {
+          await s.send(alert);
+        } catch (err) {
+          console.error(`❌ Sink ${s.name} failed: ${err.message}`);
+        }
+      }));
+    },
+  };
+}
@@ -0,0 +1,132 @@
+// Unit tests for the monitor's alert sinks (temp files and a stub webhook server; no chain needed)
+// Run: node --test scripts/monitor/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createSink, createSinks, formatAlert } from "./sinks.mjs";
+
+const ALERT = {
+  key: "feed-stale:0x826d",
+  kind: "feed-stale",
+  severity: "critical",
+  status: "firing",
+  feed: "ar/usd-testv1",
+  message: "answer 600000000 is 130s old (heartbeat 30s × 2)",
+  details: { age: 130 },
+  at: "2026-10-19T12:00:00.000Z",
+};
+const FAST = { webhook: { backoffMs: 20, timeoutMs: 1000 } };
+
+async function withDir(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "sinks-"));
+  try {
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Answers the nth POST with statuses[n] (the last one after that); records each request
+async function withWebhook(statuses, fn) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ at: Date.now(), body: JSON.parse(body) });
+      res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/alerts`, requests);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+test("alerts format with the severity icon, or as resolved", () => {
+  assert.equal(formatAlert(ALERT), "🚨 [critical] ar/usd-testv1 feed-stale: answer 600000000 is 130s old (heartbeat 30s × 2)");
+  assert.equal(formatAlert({ ...ALERT, status: "resolved", message: "cleared" }), "✅ [resolved] ar/usd-testv1 feed-stale: cleared");
+  assert.equal(formatAlert({ ...ALERT, kind: "paused", severity: "warning", feed: null }), `⚠️  [warning] paused: ${ALERT.message}`);
+});
+
+test("bad sink specs are rejected up front", () => {
+  assert.throws(() => createSink("file"), /file needs a path/);
+  assert.throws(() => createSink("webhook:ftp://x"), /webhook needs an http\(s\) URL/);
+  assert.throws(() => createSink("pager"), /unknown sink "pager"/);
+});
+
+test("file and json sinks append one line per alert, creating the directory", async () => {
+  await withDir(async (dir) => {
+    const log = path.join(dir, "logs", "alerts.log");
+    const jsonl = path.join(dir, "logs", "alerts.jsonl");
+    const sinks = createSinks(`file:${log},json:${jsonl}`);
+    assert.deepEqual(sinks.names, [`file:${log}`, `json:${jsonl}`]);
+
+    await sinks.send(ALERT);
+    await sinks.send({ ...ALERT, status: "resolved", message: "cleared" });
+
+    assert.deepEqual((await readFile(log, "utf8")).split("\n"), [
+      `${ALERT.at} ${formatAlert(ALERT)}`,
+      `${ALERT.at} ✅ [resolved] ar/usd-testv1 feed-stale: cleared`,
+      "",
+    ]);
+    const lines = (await readFile(jsonl, "utf8")).trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(lines, [ALERT, { ...ALERT, status: "resolved", message: "cleared" }]);
+  });
+});
+
+test("json without a path writes to stdout", async (t) => {
+  const log = t.mock.method(console, "log", () => {});
+  await createSink("json").send(ALERT);
+  assert.deepEqual(JSON.parse(log.mock.calls[0].arguments[0]), ALERT);
+});
+
+test("the webhook sink posts the alert with a text field", async () => {
+  await withWebhook([200], async (url, requests) => {
+    await createSink(`webhook:${url}`, FAST).send(ALERT);
+    assert.equal(requests.length, 1);
+    assert.deepEqual(requests[0].body, { ...ALERT, text: formatAlert(ALERT) });
+  });
+});
+
+test("the webhook sink retries failed posts with a doubling backoff", async () => {
+  await withWebhook([500, 503, 200], async (url, requests) => {
+    await createSink(`webhook:${url}`, FAST).send(ALERT);
+    assert.equal(requests.length, 3);
+    assert.ok(requests[1].at - requests[0].at >= 20);
+    assert.ok(requests[2].at - requests[1].at >= 40);
+  });
+});
+
+test("the webhook sink gives up after its retries with the last status", async () => {
+  await withWebhook([502], async (url, requests) => {
+    await assert.rejects(createSink(`webhook:${url}`, { webhook: { ...FAST.webhook, retries: 1 } }).send(ALERT), /HTTP 502/);
+    assert.equal(requests.length, 2);
+  });
+});
+
+test("an unreachable webhook is retried too, and a failing sink doesn't stop the others", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  await withDir(async (dir) => {
+    // A port that was just free: connections are refused
+    const server = createServer();
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    const { port } = server.address();
+    await new Promise((r) => server.close(r));
+
+    const log = path.join(dir, "alerts.log");
+    const sinks = createSinks(`webhook:http://127.0.0.1:${port}/alerts,file:${log}`, FAST);
+    const started = Date.now();
+    await sinks.send(ALERT);
+    assert.ok(Date.now() - started >= 20 + 40); // two backoffs before giving up
+    assert.match(error.mock.calls[0].arguments[0], /^❌ Sink webhook:http:\/\/127\.0\.0\.1:\d+\/alerts failed: /);
+    assert.match(await readFile(log, "utf8"), /feed-stale/);
+  });
+});
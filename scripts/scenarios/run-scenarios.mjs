@@ -0,0 +1,348 @@
+// Fault-injection scenario runner: simulated (mis)behaving operators against a local oracle
+//
+// Each scenario file (scripts/scenarios/*.json) describes a feed and a list of steps.
+// The runner creates a fresh feed for it, plays the steps with the dev accounts as
+// operators, and asserts on the outcome of each step, on latestRoundData, and on the
+// events and errors seen over the whole scenario.
+//
+// Steps ("do"):
+//   submit    op signs and submits; { op, answer, round, validFor, from, label }
+//   sign      op signs without sending (a late or replayed submission); needs a label
+//   send      send a labeled signature (again); { label, from }
+//   round     online operators (or `ops`) submit one after another, like the bot
+//   race      the same, but every transaction lands in one block
+//   offline / online   take operators out of / back into `round` and `race`
+//   advance   move chain time forward { seconds }
+//   poke / pause / unpause
+//   check     assert latestRoundData / currentRoundId now
+//
+// `op` is an operator index (0-based) or "outsider" (a key that is no operator).
+// `round` is the round to sign for: omitted = nextRoundId(), "+1" / "-1" relative to it,
+// or a number. `from` pays gas: the operator itself by default, "relayer" or another op.
+// `expect` on a step is an outcome ("ok" or an error name) every transaction must have,
+// or counts ({ "ok": 5, "NotDue": 1 }).
+//
+// Usage:
+//   node scripts/scenarios/run-scenarios.mjs --oracle 0xOracle \
+//     [--rpc http://127.0.0.1:8545] [--scenarios scripts/scenarios] [--only concurrent-race]
+//
+// Dev chains only (anvil / hardhat node). Exits 1 if any assertion failed.
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ethers } from "ethers";
+import { decodeError, describeError } from "../lib/oracle-errors.mjs";
+import { DEV_ADMIN_KEY, devWallet, mineTogether, txOutcome } from "../lib/dev-chain.mjs";
+import { oracleEvents } from "../indexer/events.mjs";
+import { feedIdOf, oracleAt, priceLoomDomain, signSubmission } from "../sdk/price-loom.mjs";
+import { parseArgs, short } from "../lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const ORACLE = argv.oracle || process.env.ORACLE;
+const SCENARIOS = (argv.scenarios || path.dirname(fileURLToPath(import.meta.url))).split(",");
+const ONLY = argv.only ? new Set(argv.only.split(",")) : null;
+const ADMIN_KEY = argv.adminKey || process.env.ADMIN_KEY || DEV_ADMIN_KEY;
+
+if (!ORACLE) {
+  console.error("Missing --oracle");
+  process.exit(1);
+}
+
+// Feed defaults: the shape of feeds/feeds-anvil.json, with a long heartbeat so that
+// only `advance` makes it elapse
+const FEED_DEFAULTS = {
+  operators: 6,
+  decimals: 8,
+  minSubmissions: 3,
+  maxSubmissions: 5,
+  heartbeatSec: 300,
+  deviationBps: 50,
+  timeoutSec: 120,
+  minPrice: "1",
+  maxPrice: "1000000",
+};
+const GAS_LIMIT = 1_000_000; // fixed, so reverting submissions are mined instead of failing estimation
+
+// No request cache: every view must see the block just mined
+const provider = new ethers.JsonRpcProvider(RPC, undefined, { cacheTimeout: -1 });
+const admin = new ethers.Wallet(ADMIN_KEY, provider);
+const oracle = oracleAt(ORACLE, provider);
+const OUTSIDER = devWallet(9, provider);
+
+const counts = (map) => Object.entries(map).map(([k, v]) => `${k}×${v}`).join(" ") || "none";
+const bump = (map, key, n = 1) => (map[key] = (map[key] ?? 0) + n);
+
+async function loadScenarios() {
+  const files = [];
+  for (const entry of SCENARIOS) {
+    if ((await stat(entry)).isDirectory()) {
+      const names = (await readdir(entry)).filter((f) => f.endsWith(".json")).sort();
+      files.push(...names.map((f) => path.join(entry, f)));
+    } else {
+      files.push(entry);
+    }
+  }
+  const scenarios = [];
+  for (const file of files) {
+    const s = JSON.parse(await readFile(file, "utf8"));
+    if (!s.name || !Array.isArray(s.steps)) throw new Error(`${file}: expected "name" and a "steps" array`);
+    for (const [i, step] of s.steps.entries()) {
+      if (!STEPS[step.do]) throw new Error(`${file}: steps[${i}] has unknown "do": ${JSON.stringify(step.do)}`);
+    }
+    if (!ONLY || ONLY.has(s.name)) scenarios.push({ ...s, file });
+  }
+  return scenarios;
+}
+
+async function chainNow() {
+  const block = await provider.send("eth_getBlockByNumber", ["latest", false]);
+  return BigInt(block.timestamp);
+}
+
+function walletOf(ctx, op) {
+  if (op === "outsider") return OUTSIDER;
+  if (op === "relayer") return admin;
+  const wallet = ctx.operators[op];
+  if (!wallet) throw new Error(`no operator ${op} (feed has ${ctx.operators.length})`);
+  return wallet;
+}
+
+function answerFor(ctx, step, op, i) {
+  const explicit = step.answers?.[op] ?? (i === undefined ? step.answer : undefined);
+  if (explicit !== undefined) return ethers.parseUnits(String(explicit), ctx.decimals);
+  // round / race: base answer plus `spread` per position, like the bot's demo prices
+  return ethers.parseUnits(String(step.answer), ctx.decimals) + BigInt(i) * ethers.parseUnits(String(step.spread ?? 0), ctx.decimals);
+}
+
+async function sign(ctx, op, answer, step) {
+  const wallet = walletOf(ctx, op);
+  const next = await oracle.nextRoundId(ctx.feedId);
+  let roundId = next;
+  if (typeof step.round === "number") roundId = BigInt(step.round);
+  else if (typeof step.round === "string") roundId = next + BigInt(step.round);
+  const validUntil = (await chainNow()) + BigInt(step.validFor ?? 60);
+  const submission = { feedId: ctx.feedId, roundId, answer, validUntil };
+  return { op, submission, signature: await signSubmission(wallet, ctx.domain, submission) };
+}
+
+function sendSigned(ctx, signed, from) {
+  const sender = walletOf(ctx, from ?? signed.op);
+  return oracle.connect(sender).submitSigned(ctx.feedId, signed.submission, signed.signature, { gasLimit: GAS_LIMIT });
+}
+
+// Tally one transaction's outcome and its events into the scenario totals
+function record(ctx, outcome) {
+  const name = outcome.error ?? "ok";
+  if (outcome.error) bump(ctx.errors, outcome.error);
+  for (const log of outcome.error ? [] : outcome.receipt.logs) {
+    if (log.address.toLowerCase() !== ORACLE.toLowerCase()) continue;
+    const parsed = oracleEvents.parseLog(log);
+    if (parsed && parsed.args.feedId === ctx.feedId) bump(ctx.events, parsed.name);
+  }
+  return name;
+}
+
+function expectOutcomes(expected, names) {
+  if (expected === undefined) return null;
+  const got = {};
+  for (const n of names) bump(got, n);
+  const want = typeof expected === "string" ? { [expected]: names.length } : expected;
+  const same = Object.keys({ ...want, ...got }).every((k) => (want[k] ?? 0) === (got[k] ?? 0));
+  return same ? null : `expected ${counts(want)}, got ${counts(got)}`;
+}
+
+function operatorsOf(ctx, step) {
+  return step.ops ?? ctx.operators.map((_, i) => i).filter((i) => !ctx.offline.has(i));
+}
+
+async function adminTx(ctx, fn, ...args) {
+  return record(ctx, await txOutcome(provider, oracle.connect(admin)[fn](...args, { gasLimit: GAS_LIMIT })));
+}
+
+const STEPS = {
+  async submit(ctx, step) {
+    const signed = await sign(ctx, step.op, answerFor(ctx, step, step.op), step);
+    if (step.label) ctx.labels.set(step.label, signed);
+    const name = record(ctx, await txOutcome(provider, sendSigned(ctx, signed, step.from)));
+    return { names: [name], text: `op ${step.op} r${signed.submission.roundId} ${step.answer}` };
+  },
+  async sign(ctx, step) {
+    if (!step.label) throw new Error(`"sign" needs a label`);
+    const signed = await sign(ctx, step.op, answerFor(ctx, step, step.op), step);
+    ctx.labels.set(step.label, signed);
+    return { names: [], text: `op ${step.op} signs r${signed.submission.roundId} ${step.answer} as "${step.label}"` };
+  },
+  async send(ctx, step) {
+    const signed = ctx.labels.get(step.label);
+    if (!signed) throw new Error(`no signature labeled "${step.label}"`);
+    const name = record(ctx, await txOutcome(provider, sendSigned(ctx, signed, step.from)));
+    return { names: [name], text: `"${step.label}"${step.from !== undefined ? ` from ${step.from}` : ""}` };
+  },
+  async round(ctx, step) {
+    const names = [];
+    const ops = operatorsOf(ctx, step);
+    for (const [i, op] of ops.entries()) {
+      const signed = await sign(ctx, op, answerFor(ctx, step, op, i), step);
+      names.push(record(ctx, await txOutcome(provider, sendSigned(ctx, signed))));
+    }
+    return { names, text: `ops ${ops.join(",")} @ ${step.answer}` };
+  },
+  async race(ctx, step) {
+    // Everyone signs for the round they see now, then all transactions hit one block
+    const ops = operatorsOf(ctx, step);
+    const signed = [];
+    for (const [i, op] of ops.entries()) signed.push(await sign(ctx, op, answerFor(ctx, step, op, i), step));
+    const outcomes = await mineTogether(provider, signed.map((s) => () => sendSigned(ctx, s)));
+    return { names: outcomes.map((o) => record(ctx, o)), text: `ops ${ops.join(",")} @ ${step.answer} in one block` };
+  },
+  async offline(ctx, step) {
+    for (const op of step.ops) ctx.offline.add(op);
+    return { names: [], text: `ops ${step.ops.join(",")}` };
+  },
+  async online(ctx, step) {
+    for (const op of step.ops) ctx.offline.delete(op);
+    return { names: [], text: `ops ${step.ops.join(",")}` };
+  },
+  async advance(ctx, step) {
+    await provider.send("evm_increaseTime", [step.seconds]);
+    await provider.send("evm_mine", []);
+    return { names: [], text: `${step.seconds}s` };
+  },
+  async poke(ctx) {
+    return { names: [await adminTx(ctx, "poke", ctx.feedId)], text: "" };
+  },
+  async pause(ctx) {
+    return { names: [await adminTx(ctx, "pause")], text: "" };
+  },
+  async unpause(ctx) {
+    return { names: [await adminTx(ctx, "unpause")], text: "" };
+  },
+  async check(ctx, step) {
+    const what = ["latestRoundData", "currentRoundId"].filter((k) => step[k] !== undefined);
+    return { names: [], text: what.join(", "), failures: await checkState(ctx, step) };
+  },
+};
+
+// latestRoundData / currentRoundId assertions, shared by "check" steps and the final expect
+async function checkState(ctx, expect) {
+  const failures = [];
+  if (expect.latestRoundData !== undefined) {
+    const want = expect.latestRoundData;
+    let got;
+    try {
+      const r = await oracle.latestRoundData(ctx.feedId);
+      const stale = await oracle.isStale(ctx.feedId, ethers.MaxUint256); // only "rolled forward" counts
+      got = { roundId: Number(r.roundId), answer: ethers.formatUnits(r.answer, ctx.decimals), answeredInRound: Number(r.answeredInRound), stale };
+    } catch (err) {
+      if (decodeError(err).name !== "NoData") throw err;
+      got = "NoData";
+    }
+    if (typeof want === "string" || typeof got === "string") {
+      if (want !== got) failures.push(`latestRoundData: expected ${JSON.stringify(want)}, got ${JSON.stringify(got)}`);
+    } else {
+      for (const [k, v] of Object.entries(want)) {
+        const same = k === "answer" ? ethers.parseUnits(String(v), ctx.decimals) === ethers.parseUnits(got.answer, ctx.decimals) : v === got[k];
+        if (!same) failures.push(`latestRoundData.${k}: expected ${v}, got ${got[k]}`);
+      }
+    }
+  }
+  if (expect.currentRoundId !== undefined) {
+    const got = Number(await oracle.currentRoundId(ctx.feedId));
+    if (got !== expect.currentRoundId) failures.push(`currentRoundId: expected ${expect.currentRoundId}, got ${got}`);
+  }
+  return failures;
+}
+
+function checkTotals(label, want, got, exact) {
+  if (want === undefined) return [];
+  const keys = exact ? Object.keys({ ...want, ...got }) : Object.keys(want);
+  const wrong = keys.filter((k) => (want[k] ?? 0) !== (got[k] ?? 0));
+  return wrong.length ? [`${label}: expected ${counts(want)}, got ${counts(got)}`] : [];
+}
+
+async function runScenario(scenario, domain) {
+  const cfg = { ...FEED_DEFAULTS, ...scenario.feed };
+  const desc = `scenario/${scenario.name}/${Date.now().toString(36)}`.slice(0, 100);
+  const ctx = {
+    feedId: feedIdOf(desc),
+    decimals: cfg.decimals,
+    domain,
+    operators: Array.from({ length: cfg.operators }, (_, i) => devWallet(i + 1, provider)),
+    offline: new Set(),
+    labels: new Map(),
+    events: {},
+    errors: {},
+  };
+  const units = (x) => ethers.parseUnits(String(x), cfg.decimals);
+  const feedConfig = [cfg.decimals, cfg.minSubmissions, cfg.maxSubmissions, 0, cfg.heartbeatSec, cfg.deviationBps, cfg.timeoutSec, units(cfg.minPrice), units(cfg.maxPrice), desc];
+  const created = await txOutcome(provider, oracle.connect(admin).createFeed(ctx.feedId, feedConfig, ctx.operators.map((w) => w.address)));
+  if (created.error) throw new Error(`createFeed failed: ${created.error}`);
+
+  console.log(`\n🎬 ${scenario.name}${scenario.description ? `: ${scenario.description}` : ""}`);
+  console.log(`   ops=${cfg.operators} min=${cfg.minSubmissions} max=${cfg.maxSubmissions} heartbeat=${cfg.heartbeatSec}s deviation=${cfg.deviationBps}bps timeout=${cfg.timeoutSec}s feed=${short(ctx.feedId)}`);
+
+  let failed = 0;
+  for (const [i, step] of scenario.steps.entries()) {
+    let result;
+    try {
+      result = await STEPS[step.do](ctx, step);
+    } catch (err) {
+      result = { names: [], text: "", failures: [`step threw: ${err.message}`] };
+    }
+    const failures = [...(result.failures ?? [])];
+    const mismatch = expectOutcomes(step.expect, result.names);
+    if (mismatch) failures.push(mismatch);
+    const tally = {};
+    for (const n of result.names) bump(tally, n);
+    const text = result.text ? ` ${result.text}` : "";
+    const outcome = result.names.length ? ` → ${counts(tally)}` : "";
+    const note = step.note ? `  (${step.note})` : "";
+    console.log(`  ${failures.length ? "❌" : "✅"} ${String(i + 1).padStart(2)} ${step.do}${text}${outcome}${note}`);
+    for (const f of failures) console.log(`       ${f}`);
+    failed += failures.length;
+  }
+
+  const expect = scenario.expect ?? {};
+  const final = [
+    ...(await checkState(ctx, expect)),
+    ...checkTotals("events", expect.events, ctx.events, false),
+    ...checkTotals("errors", expect.errors, ctx.errors, true), // any error not listed fails
+  ];
+  console.log(`  ${final.length ? "❌" : "✅"} final: events ${counts(ctx.events)}; errors ${counts(ctx.errors)}`);
+  for (const f of final) console.log(`       ${f}`);
+  failed += final.length;
+
+  if (await oracle.paused()) await txOutcome(provider, oracle.connect(admin).unpause()); // leave the oracle usable
+  return failed === 0;
+}
+
+console.log("🧯 Fault-injection scenarios");
+console.log(`   rpc=${RPC} oracle=${short(ORACLE)}`);
+
+let passed = 0;
+let scenarios;
+try {
+  scenarios = await loadScenarios();
+  const { chainId } = await provider.getNetwork();
+  const domain = priceLoomDomain(chainId, ORACLE);
+  // Time only moves on `advance` (and by 1s per block)
+  await provider.send("evm_setIntervalMining", [0]);
+  await provider.send("evm_setAutomine", [true]);
+  if (await oracle.paused()) await txOutcome(provider, oracle.connect(admin).unpause());
+
+  for (const scenario of scenarios) {
+    if (await runScenario(scenario, domain)) passed++;
+  }
+} catch (err) {
+  console.error(`\n❌ ${describeError(err)}`);
+  process.exit(1);
+}
+
+if (passed < scenarios.length) {
+  console.log(`\n❌ ${scenarios.length - passed}/${scenarios.length} scenario(s) failed`);
+  process.exit(1);
+}
+console.log(`\n✅ ${passed}/${scenarios.length} scenario(s) passed`);
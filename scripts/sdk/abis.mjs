@@ -0,0 +1,106 @@
+// Human-readable ABIs for PriceLoomOracle, PriceLoomAggregatorV3Adapter and
+// PriceLoomAdapterFactory, with named tuple fields so results read as cfg.decimals, round.answer.
+//
+// Complete external surfaces, including the inherited OpenZeppelin parts (AccessControl,
+// Pausable, EIP-712 / ERC-5267) and every custom error, so ethers decodes reverts on its own.
+
+import { PRICE_LOOM_ERRORS } from "../lib/oracle-errors.mjs";
+
+export const FEED_CONFIG_TUPLE =
+  "tuple(uint8 decimals, uint8 minSubmissions, uint8 maxSubmissions, uint8 trim, uint32 heartbeatSec, uint32 deviationBps, uint32 timeoutSec, int256 minPrice, int256 maxPrice, string description)";
+
+export const PRICE_SUBMISSION_TUPLE = "tuple(bytes32 feedId, uint80 roundId, int256 answer, uint256 validUntil)";
+
+const ROUND_DATA = "(uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)";
+
+export const ORACLE_ABI = [
+  // Constants
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function PAUSER_ROLE() view returns (bytes32)",
+  "function FEED_ADMIN_ROLE() view returns (bytes32)",
+  "function MAX_OPERATORS() view returns (uint8)",
+  "function PRICE_SUBMISSION_TYPEHASH() view returns (bytes32)",
+  "function version() pure returns (uint256)",
+
+  // Feed admin (FEED_ADMIN_ROLE) and pausing (PAUSER_ROLE)
+  `function createFeed(bytes32 feedId, ${FEED_CONFIG_TUPLE} cfg, address[] operators)`,
+  `function setFeedConfig(bytes32 feedId, ${FEED_CONFIG_TUPLE} cfg)`,
+  "function addOperator(bytes32 feedId, address op)",
+  "function removeOperator(bytes32 feedId, address op)",
+  "function pause()",
+  "function unpause()",
+  "function paused() view returns (bool)",
+
+  // Reads
+  `function getConfig(bytes32 feedId) view returns (${FEED_CONFIG_TUPLE})`,
+  "function isOperator(bytes32 feedId, address op) view returns (bool)",
+  "function operatorCount(bytes32 feedId) view returns (uint256)",
+  "function getOperators(bytes32 feedId) view returns (address[] out)",
+  "function getLatestPrice(bytes32 feedId) view returns (int256 price, uint256 updatedAt)",
+  `function latestRoundData(bytes32 feedId) view returns ${ROUND_DATA}`,
+  `function getRoundData(bytes32 feedId, uint80 roundId) view returns ${ROUND_DATA}`,
+  "function currentRoundId(bytes32 feedId) view returns (uint80)",
+  "function latestFinalizedRoundId(bytes32 feedId) view returns (uint80)",
+  "function nextRoundId(bytes32 feedId) view returns (uint80)",
+  "function dueToStart(bytes32 feedId, int256 proposed) view returns (bool)",
+  "function isStale(bytes32 feedId, uint256 maxStalenessSec) view returns (bool)",
+
+  // Submissions (EIP-712 signed) and maintenance
+  `function submitSigned(bytes32 feedId, ${PRICE_SUBMISSION_TUPLE} sub, bytes sig)`,
+  `function submitSignedBatch(bytes32 feedId, ${PRICE_SUBMISSION_TUPLE}[] subs, bytes[] sigs)`,
+  "function poke(bytes32 feedId)",
+  "function domainSeparator() view returns (bytes32)",
+  "function priceSubmissionTypehash() pure returns (bytes32)",
+  `function getTypedDataHash(${PRICE_SUBMISSION_TUPLE} sub) view returns (bytes32)`,
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+
+  // AccessControl
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function renounceRole(bytes32 role, address callerConfirmation)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+
+  // Events
+  `event FeedCreated(bytes32 indexed feedId, ${FEED_CONFIG_TUPLE} cfg)`,
+  `event FeedConfigUpdated(bytes32 indexed feedId, ${FEED_CONFIG_TUPLE} cfg)`,
+  "event OperatorAdded(bytes32 indexed feedId, address op)",
+  "event OperatorRemoved(bytes32 indexed feedId, address op)",
+  "event SubmissionReceived(bytes32 indexed feedId, uint80 indexed roundId, address indexed operator, int256 answer)",
+  "event RoundStarted(bytes32 indexed feedId, uint80 indexed roundId, uint256 startedAt)",
+  "event RoundFinalized(bytes32 indexed feedId, uint80 indexed roundId, uint8 submissionCount)",
+  "event PriceUpdated(bytes32 indexed feedId, int256 answer, uint256 updatedAt)",
+  "event StalePriceRolledForward(bytes32 indexed feedId, uint80 indexed roundId)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)",
+  "event EIP712DomainChanged()",
+
+  ...PRICE_LOOM_ERRORS.filter((e) => e !== "error FeedNotFound()"),
+  // OpenZeppelin ShortStrings (EIP712 constructor)
+  "error InvalidShortString()",
+  "error StringTooLong(string str)",
+];
+
+// AggregatorV3Interface plus the adapter's immutables
+export const ADAPTER_ABI = [
+  "function oracle() view returns (address)",
+  "function feedId() view returns (bytes32)",
+  "function decimals() view returns (uint8)",
+  "function description() view returns (string)",
+  "function version() view returns (uint256)",
+  `function latestRoundData() view returns ${ROUND_DATA}`,
+  `function getRoundData(uint80 roundId) view returns ${ROUND_DATA}`,
+];
+
+export const FACTORY_ABI = [
+  "function oracle() view returns (address)",
+  "function deployAdapter(bytes32 feedId) returns (address adapter)",
+  "function deployAdapterDeterministic(bytes32 feedId) returns (address adapter)",
+  "function computeAdapterAddress(bytes32 feedId) view returns (address predicted)",
+  "event AdapterDeployed(bytes32 indexed feedId, address adapter)",
+  "error FeedNotFound()",
+];
@@ -0,0 +1,46 @@
+// Exact conversions between integer answers and decimal strings (BigInt, no floats)
+//
+// Plain Node with no ethers import, so the price source layer can use it too.
+
+// Integer answer → decimal string, exact at any scale: 600000000n at 8 → "6.0",
+// 1509000010n at 18 → "0.00000000150900001" (same output as ethers.formatUnits)
+export function formatAnswer(answer, decimals) {
+  const value = BigInt(answer);
+  const d = Number(decimals);
+  if (d === 0) return value.toString();
+  const digits = (value < 0n ? -value : value).toString().padStart(d + 1, "0");
+  const int = digits.slice(0, digits.length - d);
+  const frac = digits.slice(digits.length - d).replace(/0+$/, "");
+  return `${value < 0n ? "-" : ""}${int}.${frac || "0"}`;
+}
+
+// Largest |exponent| parseAnswer accepts. Price sources are untrusted input, and
+// "1e100000000" would otherwise tie up the event loop computing 10n ** shift.
+export const MAX_EXPONENT = 80;
+
+// Parse a decimal string ("6", "-0.25", "1.5e-9", "12E3") into an integer scaled by
+// 10^decimals. Digits beyond `decimals` are rounded half away from zero.
+export function parseAnswer(value, decimals) {
+  const s = String(value).trim();
+  const m = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(s);
+  if (!m || (!m[2] && !m[3])) {
+    throw new Error(`Not a decimal number: "${s}"`);
+  }
+  const [, sign, intPart = "", fracPart = "", expPart = "0"] = m;
+  if (Math.abs(Number(expPart)) > MAX_EXPONENT) {
+    throw new Error(`Exponent out of range (|e| > ${MAX_EXPONENT}): "${s.length > 40 ? `${s.slice(0, 37)}...` : s}"`);
+  }
+  const digits = BigInt((intPart + fracPart) || "0");
+  const shift = Number(decimals) + Number(expPart) - fracPart.length;
+
+  let out;
+  if (shift >= 0) {
+    out = digits * 10n ** BigInt(shift);
+  } else if (-shift > intPart.length + fracPart.length) {
+    out = 0n; // below half a unit at any digits
+  } else {
+    const div = 10n ** BigInt(-shift);
+    out = (digits + div / 2n) / div;
+  }
+  return sign === "-" ? -out : out;
+}
@@ -0,0 +1,176 @@
+// Client SDK for PriceLoomOracle and its AggregatorV3 adapters (ethers v6)
+//
+//   feedIdOf(feed)                        "ar/usd-testv1" or a bytes32 feedId → feedId
+//   oracleAt / adapterAt / factoryAt      contracts with the full ABIs (abis.mjs)
+//   getFeed(oracle, feed)                 config with named fields plus operators, or null
+//   latest(oracle, feed)                  latest round, or null before the first one (NoData)
+//   roundAt(oracle, feed, roundId)        one round, or null once evicted from the ring
+//   isStale(round, maxStalenessSec, now)  the oracle's isStale() on a round read earlier
+//   formatAnswer / parseAnswer            exact conversions between answers and decimal strings (decimals.mjs)
+//   priceLoomDomain / verifyDomain        EIP-712 domain, and a check against domainSeparator()
+//   buildSubmission / signSubmission      range-checked PriceSubmission, signed for a checked domain
+//
+// Reads take ethers overrides (e.g. { blockTag }). Rounds are
+// { roundId, answer, startedAt, updatedAt, answeredInRound, stale } with BigInt numbers;
+// `stale` marks a round that timed out below quorum and rolled the last answer forward.
+
+import { ethers, isHexString, keccak256, toUtf8Bytes } from "ethers";
+import { decodeError } from "../lib/oracle-errors.mjs";
+import { ADAPTER_ABI, FACTORY_ABI, ORACLE_ABI } from "./abis.mjs";
+
+export { ADAPTER_ABI, FACTORY_ABI, FEED_CONFIG_TUPLE, ORACLE_ABI, PRICE_SUBMISSION_TUPLE } from "./abis.mjs";
+export { formatAnswer, parseAnswer } from "./decimals.mjs";
+
+export const HISTORY_SIZE = 128; // rounds kept by getRoundData before HistoryEvicted
+
+const UINT80_MAX = 2n ** 80n - 1n;
+const INT256_MIN = -(2n ** 255n);
+const INT256_MAX = 2n ** 255n - 1n;
+const UINT256_MAX = 2n ** 256n - 1n;
+
+// ---------------------------------------------------------------------------
+// Contracts and feeds
+// ---------------------------------------------------------------------------
+
+export const oracleAt = (address, runner) => new ethers.Contract(address, ORACLE_ABI, runner);
+export const adapterAt = (address, runner) => new ethers.Contract(address, ADAPTER_ABI, runner);
+export const factoryAt = (address, runner) => new ethers.Contract(address, FACTORY_ABI, runner);
+
+// keccak256(bytes(id)), as the Forge scripts derive it; a bytes32 is taken as the feedId
+export function feedIdOf(feed) {
+  return isHexString(feed, 32) ? feed.toLowerCase() : keccak256(toUtf8Bytes(feed));
+}
+
+// getConfig() result → plain object (counts and times as numbers, prices as BigInt)
+export function feedConfig(cfg) {
+  return {
+    decimals: Number(cfg.decimals),
+    minSubmissions: Number(cfg.minSubmissions),
+    maxSubmissions: Number(cfg.maxSubmissions),
+    trim: Number(cfg.trim),
+    heartbeatSec: Number(cfg.heartbeatSec),
+    deviationBps: Number(cfg.deviationBps),
+    timeoutSec: Number(cfg.timeoutSec),
+    minPrice: BigInt(cfg.minPrice),
+    maxPrice: BigInt(cfg.maxPrice),
+    description: cfg.description,
+  };
+}
+
+// → { feedId, ...config, operators }, or null when the feed doesn't exist
+export async function getFeed(oracle, feed, overrides = {}) {
+  const feedId = feedIdOf(feed);
+  const cfg = await oracle.getConfig(feedId, overrides);
+  if (cfg.decimals === 0n) return null;
+  return { feedId, ...feedConfig(cfg), operators: [...(await oracle.getOperators(feedId, overrides))] };
+}
+
+// ---------------------------------------------------------------------------
+// Rounds
+// ---------------------------------------------------------------------------
+
+// latestRoundData / getRoundData result → round. A roll-forward keeps answeredInRound.
+export function roundOf([roundId, answer, startedAt, updatedAt, answeredInRound]) {
+  return { roundId, answer, startedAt, updatedAt, answeredInRound, stale: answeredInRound < roundId };
+}
+
+// Runs a read, mapping the named revert to null
+async function orNull(read, errorName) {
+  try {
+    return await read();
+  } catch (err) {
+    if (decodeError(err).name === errorName) return null;
+    throw err;
+  }
+}
+
+export async function latest(oracle, feed, overrides = {}) {
+  return orNull(async () => roundOf(await oracle.latestRoundData(feedIdOf(feed), overrides)), "NoData");
+}
+
+// Rounds past the latest one read as evicted too (their ring slot holds another round)
+export async function roundAt(oracle, feed, roundId, overrides = {}) {
+  if (BigInt(roundId) < 1n) throw new Error(`roundId must be at least 1, got ${roundId}`);
+  return orNull(async () => roundOf(await oracle.getRoundData(feedIdOf(feed), roundId, overrides)), "HistoryEvicted");
+}
+
+// Mirrors the oracle's isStale(): no data yet, a roll-forward, or older than maxStalenessSec
+// at `now` (chain time, seconds)
+export function isStale(round, maxStalenessSec, now) {
+  if (!round || round.updatedAt === 0n) return true;
+  return round.stale || BigInt(now) - round.updatedAt > BigInt(maxStalenessSec);
+}
+
+// ---------------------------------------------------------------------------
+// EIP-712 submissions
+// ---------------------------------------------------------------------------
+
+// Mirrors PriceLoomOracle: EIP712("Price Loom", "1") and
+// PriceSubmission(bytes32 feedId,uint80 roundId,int256 answer,uint256 validUntil)
+export const DOMAIN_NAME = "Price Loom";
+export const DOMAIN_VERSION = "1";
+
+export const PRICE_SUBMISSION_TYPES = {
+  PriceSubmission: [
+    { name: "feedId", type: "bytes32" },
+    { name: "roundId", type: "uint80" },
+    { name: "answer", type: "int256" },
+    { name: "validUntil", type: "uint256" },
+  ],
+};
+
+// Throws unless `domain` is a Price Loom domain: the oracle recovers a different signer otherwise
+export function checkDomain(domain) {
+  if (domain?.name !== DOMAIN_NAME || domain?.version !== DOMAIN_VERSION) {
+    throw new Error(`not a Price Loom domain: name/version must be "${DOMAIN_NAME}"/"${DOMAIN_VERSION}"`);
+  }
+  let chainId;
+  try {
+    chainId = BigInt(domain.chainId);
+  } catch {
+    chainId = 0n;
+  }
+  if (chainId <= 0n) throw new Error(`domain chainId must be a positive integer, got ${domain.chainId}`);
+  if (!ethers.isAddress(domain.verifyingContract)) {
+    throw new Error(`domain verifyingContract must be the oracle address, got ${domain.verifyingContract}`);
+  }
+  return domain;
+}
+
+export function priceLoomDomain(chainId, verifyingContract) {
+  return checkDomain({ name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId, verifyingContract });
+}
+
+// Throws unless the oracle's domainSeparator() matches `domain`
+export async function verifyDomain(oracle, domain) {
+  const local = ethers.TypedDataEncoder.hashDomain(checkDomain(domain));
+  let onchain;
+  try {
+    onchain = await oracle.domainSeparator();
+  } catch (err) {
+    throw new Error(`${oracle.target} has no domainSeparator(): not a PriceLoom oracle? (${err.shortMessage || err.message})`);
+  }
+  if (onchain !== local) {
+    throw new Error(`domainSeparator() is ${onchain} but the local domain hashes to ${local} (name/version/chainId/address differ)`);
+  }
+}
+
+// → { feedId, roundId, answer, validUntil } with BigInt fields, checked against the Solidity types.
+// Whether the oracle accepts it (round, expiry, bounds) is left to the oracle.
+export function buildSubmission({ feedId, roundId, answer, validUntil }) {
+  if (!isHexString(feedId, 32)) throw new Error(`feedId must be a bytes32, got ${feedId}`);
+  const sub = { feedId: feedId.toLowerCase(), roundId: BigInt(roundId), answer: BigInt(answer), validUntil: BigInt(validUntil) };
+  if (sub.roundId < 0n || sub.roundId > UINT80_MAX) throw new Error(`roundId ${sub.roundId} does not fit in a uint80`);
+  if (sub.answer < INT256_MIN || sub.answer > INT256_MAX) throw new Error(`answer ${sub.answer} does not fit in an int256`);
+  if (sub.validUntil < 0n || sub.validUntil > UINT256_MAX) throw new Error(`validUntil ${sub.validUntil} does not fit in a uint256`);
+  return sub;
+}
+
+export async function signSubmission(signer, domain, submission) {
+  return signer.signTypedData(checkDomain(domain), PRICE_SUBMISSION_TYPES, buildSubmission(submission));
+}
+
+// Address that produced `signature` over `submission`, as the oracle would recover it.
+export function recoverSubmitter(domain, submission, signature) {
+  return ethers.verifyTypedData(domain, PRICE_SUBMISSION_TYPES, submission, signature);
+}
@@ -0,0 +1,109 @@
+// Unit tests for the client SDK (no chain needed)
+// Run: node --test scripts/sdk/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers, keccak256, toUtf8Bytes } from "ethers";
+import {
+  ORACLE_ABI,
+  buildSubmission,
+  checkDomain,
+  feedIdOf,
+  formatAnswer,
+  isStale,
+  parseAnswer,
+  priceLoomDomain,
+  recoverSubmitter,
+  roundOf,
+  signSubmission,
+} from "./price-loom.mjs";
+
+const ORACLE = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const FEED_ID = keccak256(toUtf8Bytes("ar/usd-testv1"));
+
+test("feedIdOf hashes a description and passes a bytes32 through", () => {
+  assert.equal(feedIdOf("ar/usd-testv1"), FEED_ID);
+  assert.equal(feedIdOf(FEED_ID.toUpperCase().replace("0X", "0x")), FEED_ID);
+});
+
+test("formatAnswer matches ethers.formatUnits", () => {
+  for (const [answer, decimals] of [[600000000n, 8], [1509000010n, 18], [-25n, 2], [0n, 8], [10n ** 30n + 1n, 18], [7n, 0]]) {
+    assert.equal(formatAnswer(answer, decimals), ethers.formatUnits(answer, decimals));
+  }
+});
+
+test("parseAnswer is exact and round-trips formatAnswer", () => {
+  assert.equal(parseAnswer("6", 8), 600000000n);
+  assert.equal(parseAnswer("-0.25", 8), -25000000n);
+  assert.equal(parseAnswer("1.5e-9", 18), 1500000000n);
+  assert.equal(parseAnswer("12E3", 2), 1200000n);
+  assert.equal(parseAnswer("0.000000015", 8), 2n); // half away from zero
+  assert.equal(parseAnswer("-0.000000015", 8), -2n);
+  for (const [answer, decimals] of [[123456789012345678901234567890n, 18], [-1n, 18], [600000000n, 8]]) {
+    assert.equal(parseAnswer(formatAnswer(answer, decimals), decimals), answer);
+  }
+  assert.throws(() => parseAnswer("1,5", 8), /Not a decimal number/);
+  assert.throws(() => parseAnswer(".", 8), /Not a decimal number/);
+  assert.throws(() => parseAnswer("1e100000000", 8), /Exponent out of range/);
+  assert.throws(() => parseAnswer("1e-81", 8), /Exponent out of range/);
+  assert.equal(parseAnswer("1e80", 0), 10n ** 80n);
+  assert.equal(parseAnswer(`0.${"0".repeat(5000)}1`, 18), 0n);
+});
+
+test("rounds flag a roll-forward as stale", () => {
+  assert.equal(roundOf([5n, 100n, 50n, 60n, 5n]).stale, false);
+  assert.deepEqual(roundOf([6n, 100n, 70n, 60n, 5n]), { roundId: 6n, answer: 100n, startedAt: 70n, updatedAt: 60n, answeredInRound: 5n, stale: true });
+});
+
+test("isStale mirrors the oracle", () => {
+  const fresh = roundOf([5n, 100n, 50n, 60n, 5n]);
+  assert.equal(isStale(null, 0, 100), true);
+  assert.equal(isStale({ ...fresh, updatedAt: 0n }, 0, 100), true);
+  assert.equal(isStale(roundOf([6n, 100n, 70n, 60n, 5n]), 3600, 61), true);
+  assert.equal(isStale(fresh, 40, 100), false); // exactly maxStalenessSec old
+  assert.equal(isStale(fresh, 39, 100), true);
+  assert.equal(isStale(fresh, 0, 60), false);
+});
+
+test("domains are checked", () => {
+  const domain = priceLoomDomain(31337, ORACLE);
+  assert.deepEqual(domain, { name: "Price Loom", version: "1", chainId: 31337, verifyingContract: ORACLE });
+  assert.throws(() => checkDomain({ ...domain, name: "PriceLoom" }), /not a Price Loom domain/);
+  assert.throws(() => checkDomain({ ...domain, version: "2" }), /not a Price Loom domain/);
+  assert.throws(() => priceLoomDomain(0, ORACLE), /chainId/);
+  assert.throws(() => priceLoomDomain("mainnet", ORACLE), /chainId/);
+  assert.throws(() => priceLoomDomain(1, "0x1234"), /verifyingContract/);
+});
+
+test("submissions are checked against the Solidity types", () => {
+  const sub = { feedId: FEED_ID, roundId: 1, answer: "-5", validUntil: 100 };
+  assert.deepEqual(buildSubmission(sub), { feedId: FEED_ID, roundId: 1n, answer: -5n, validUntil: 100n });
+  assert.equal(buildSubmission({ ...sub, roundId: 0 }).roundId, 0n); // range only; the oracle rejects it
+  assert.throws(() => buildSubmission({ ...sub, feedId: "ar/usd-testv1" }), /bytes32/);
+  assert.throws(() => buildSubmission({ ...sub, roundId: 2n ** 80n }), /uint80/);
+  assert.throws(() => buildSubmission({ ...sub, roundId: -1 }), /uint80/);
+  assert.throws(() => buildSubmission({ ...sub, answer: 2n ** 255n }), /int256/);
+  assert.equal(buildSubmission({ ...sub, answer: -(2n ** 255n) }).answer, -(2n ** 255n));
+  assert.throws(() => buildSubmission({ ...sub, validUntil: -1 }), /uint256/);
+});
+
+test("signed submissions recover to the signer", async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const domain = priceLoomDomain(31337, ORACLE);
+  const sub = buildSubmission({ feedId: FEED_ID, roundId: 3, answer: 600000000n, validUntil: 1_700_000_000 });
+  const sig = await signSubmission(wallet, domain, sub);
+  assert.equal(recoverSubmitter(domain, sub, sig), wallet.address);
+  assert.notEqual(recoverSubmitter(priceLoomDomain(1, ORACLE), sub, sig), wallet.address);
+  await assert.rejects(signSubmission(wallet, { ...domain, name: "x" }, sub), /not a Price Loom domain/);
+});
+
+test("getConfig decodes to named fields", () => {
+  const iface = new ethers.Interface(ORACLE_ABI);
+  const cfg = [8, 3, 5, 1, 3600, 50, 900, 1n, 10n ** 12n, "AR / USD"];
+  const data = iface.encodeFunctionResult("getConfig", [cfg]);
+  const [decoded] = iface.decodeFunctionResult("getConfig", data);
+  assert.equal(decoded.decimals, 8n);
+  assert.equal(decoded.deviationBps, 50n);
+  assert.equal(decoded.description, "AR / USD");
+  assert.equal(iface.parseError(iface.encodeErrorResult("HistoryEvicted", [])).name, "HistoryEvicted");
+});
@@ -1,227 +1,343 @@
-// Test script to verify Adapter and TestPriceConsumer integration
-// Usage: node scripts/test-adapter-consumer.mjs
-
+// Verification suite for the Oracle → Adapter → Consumer integration
+//
+// Checks every feed in feeds.json against a deployed oracle and adapter factory:
+//   - the feed exists on the oracle with the decimals and description of feeds.json
+//   - the adapter at factory.computeAdapterAddress(feedId) has code and points at this oracle/feed
+//   - decimals / description / version parity between adapter and oracle
+//   - latestRoundData parity, and getRoundData parity over the last --rounds rounds
+//   - for each --consumer: it reads a known adapter and latest() matches that adapter
+//
+// All reads are pinned to one block, so a bot submitting meanwhile can't cause a mismatch.
+// Answers are compared as BigInt. Exits 1 if any check failed.
+//
+// With several --rpc URLs (comma-separated) every endpoint must be healthy, and the
+// block is one a quorum of them has. Round and config reads are cross-checked across
+// them (see lib/rpc-pool.mjs): disagreements are printed, and a read without a quorum
+// fails its check (--rpcQuorum N with N URLs makes any disagreement a failure).
+//
+// Usage:
+//   node scripts/test-adapter-consumer.mjs --oracle 0xOracle --factory 0xFactory \
+//     [--rpc http://a:8545[,http://b:8545,...]] [--rpcQuorum 2] \
+//     [--feeds feeds/feeds.json] [--consumer 0xConsumer[,0x...]] [--rounds 10] \
+//     [--requireData] [--json reports/adapters.json] [--junit reports/adapters.xml]
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
 import { ethers } from "ethers";
-/*
-  Oracle :
-  0x5FbDB2315678afecb367f032d93F642f64180aa3
-  Factory:
-  0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512
-  Created feed: ar/bytes-testv1
-  0x3f32666a158724369a9dd545820fe3317324bc95cc0955f73607bbfd95fee049
-  Adapter predicted:
-  0xD9164F568A7d21189F61bd53502BdE277883A0A2
-  Adapter deployed :
-  0xD9164F568A7d21189F61bd53502BdE277883A0A2
-  */
-
-const RPC = process.env.RPC_URL || "http://127.0.0.1:8545";
-const ORACLE = process.env.ORACLE || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
-const ADAPTER = process.env.ADAPTER || "0xD9164F568A7d21189F61bd53502BdE277883A0A2";
-const CONSUMER = process.env.CONSUMER || "0x610178dA211FEF7D417bC0e6FeD39F05609AD788";
-const FEED_DESC = process.env.FEED_DESC || "ar/bytes-testv1";
-const FEED_ID = ethers.keccak256(ethers.toUtf8Bytes(FEED_DESC));
-
-const provider = new ethers.JsonRpcProvider(RPC);
-
-// ABIs
-const oracleAbi = [
-  "function latestRoundData(bytes32) view returns (uint80,int256,uint256,uint256,uint80)",
-  "function getRoundData(bytes32,uint80) view returns (uint80,int256,uint256,uint256,uint80)",
-  "function getConfig(bytes32) view returns (tuple(uint8 decimals,uint8 minSubmissions,uint8 maxSubmissions,uint8 trim,uint32 heartbeatSec,uint32 deviationBps,uint32 timeoutSec,int256 minPrice,int256 maxPrice,string description))",
-];
+import { decodeError, describeError } from "./lib/oracle-errors.mjs";
+import { loadFeeds } from "./lib/feeds.mjs";
+import { openRpcPool, parseRpcUrls } from "./lib/rpc-pool.mjs";
+import { HISTORY_SIZE, adapterAt, factoryAt, formatAnswer, oracleAt } from "./sdk/price-loom.mjs";
+import { parseArgs, short } from "./lib/cli.mjs";
+
+const argv = parseArgs();
+
+const RPC = argv.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const RPC_QUORUM = argv.rpcQuorum || process.env.RPC_QUORUM; // default: half of the endpoints, rounded up
+const ORACLE = argv.oracle || process.env.ORACLE || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const FACTORY = argv.factory || process.env.FACTORY || "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+const FEEDS_FILE = argv.feeds || process.env.FEEDS_FILE || "feeds/feeds.json";
+const CONSUMERS = (argv.consumer || process.env.CONSUMER || "").split(",").filter(Boolean);
+const ROUNDS = Number(argv.rounds || process.env.ROUNDS || 10);
+const REQUIRE_DATA = argv.requireData === "true" || process.env.REQUIRE_DATA === "true";
+const JSON_REPORT = argv.json || process.env.JSON_REPORT;
+const JUNIT_REPORT = argv.junit || process.env.JUNIT_REPORT;
+
+// Endpoint states are reported by the "rpc endpoints" check; only disagreements are printed
+const quietRpcLog = (line) => {
+  if (line.startsWith("⚠️")) console.log(`  ${line}`);
+};
+
+let rpc;
+try {
+  rpc = await openRpcPool({ urls: parseRpcUrls(RPC), quorum: RPC_QUORUM, waitMs: 0, log: quietRpcLog });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+const provider = rpc.provider;
 
-const adapterAbi = [
-  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
-  "function getRoundData(uint80) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
-  "function decimals() view returns (uint8)",
-  "function description() view returns (string)",
-  "function version() view returns (uint256)",
-];
+// Views compared across RPC endpoints (a no-op with one endpoint)
+const CROSS_CHECKED = ["getConfig", "latestRoundData", "getRoundData", "version"];
 
+// TestPriceConsumer (src/examples); oracle, adapter and factory ABIs come from the SDK
 const consumerAbi = [
   "function latest() view returns (int256 answer, uint256 updatedAt)",
   "function adapter() view returns (address)",
 ];
 
-const oracle = new ethers.Contract(ORACLE, oracleAbi, provider);
-const adapter = new ethers.Contract(ADAPTER, adapterAbi, provider);
-const consumer = new ethers.Contract(CONSUMER, consumerAbi, provider);
+const oracle = rpc.withQuorum(oracleAt(ORACLE, provider), CROSS_CHECKED);
+const factory = factoryAt(FACTORY, provider);
 
-const short = (s) => (typeof s === 'string' && s.startsWith('0x') ? `${s.slice(0, 6)}…${s.slice(-4)}` : s);
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
 
-console.log("🧪 Testing Adapter & Consumer Integration\n");
-console.log("Configuration:");
-console.log(`  Oracle:   ${short(ORACLE)}`);
-console.log(`  Adapter:  ${short(ADAPTER)}`);
-console.log(`  Consumer: ${short(CONSUMER)}`);
-console.log(`  Feed:     ${FEED_DESC}`);
-console.log(`  Feed ID:  ${FEED_ID}\n`);
+// A failed assertion, as opposed to an RPC error while checking
+class CheckFailed extends Error {}
 
-async function testOracle() {
-  console.log("📊 Testing Oracle...");
-  try {
-    const [roundId, answer, startedAt, updatedAt, answeredInRound] = await oracle.latestRoundData(FEED_ID);
-    const config = await oracle.getConfig(FEED_ID);
-    const decimals = config.decimals;
-    const description = config.description;
-
-    const now = Math.floor(Date.now() / 1000);
-    const age = now - Number(updatedAt);
-
-    console.log(`  ✅ Latest Round Data:`);
-    console.log(`     Round ID:     ${roundId}`);
-    console.log(`     Answer:       ${answer.toString()} (${Number(answer) / 10**Number(decimals)})`);
-    console.log(`     Decimals:     ${decimals}`);
-    console.log(`     Description:  ${description}`);
-    console.log(`     Updated At:   ${new Date(Number(updatedAt) * 1000).toISOString()}`);
-    console.log(`     Age:          ${age}s`);
-    console.log(`     Answered In:  ${answeredInRound}\n`);
-
-    return { roundId, answer, decimals, updatedAt };
-  } catch (err) {
-    console.log(`  ❌ Oracle test failed: ${err.message}\n`);
-    throw err;
+function expectEqual(what, got, want) {
+  const show = (v) => (typeof v === "string" && !v.startsWith("0x") ? JSON.stringify(v) : v);
+  if (got !== want) throw new CheckFailed(`${what}: expected ${show(want)}, got ${show(got)}`);
+}
+
+const ROUND_FIELDS = ["roundId", "answer", "startedAt", "updatedAt", "answeredInRound"];
+
+function expectSameRound(what, got, want) {
+  const diff = ROUND_FIELDS.filter((_, i) => got[i] !== want[i]);
+  if (diff.length) {
+    const show = (r) => diff.map((f) => `${f}=${r[ROUND_FIELDS.indexOf(f)]}`).join(" ");
+    throw new CheckFailed(`${what}: expected ${show(want)}, got ${show(got)}`);
   }
 }
 
-async function testAdapter(expectedRoundId, expectedAnswer) {
-  console.log("🔌 Testing Adapter (Chainlink-compatible)...");
+// Call result or the revert; anything that is not a revert (RPC trouble) is thrown
+async function attempt(call) {
   try {
-    const [roundId, answer, startedAt, updatedAt, answeredInRound] = await adapter.latestRoundData();
-    const decimals = await adapter.decimals();
-    const description = await adapter.description();
-    const version = await adapter.version();
-
-    const now = Math.floor(Date.now() / 1000);
-    const age = now - Number(updatedAt);
-
-    console.log(`  ✅ Latest Round Data:`);
-    console.log(`     Round ID:     ${roundId}`);
-    console.log(`     Answer:       ${answer.toString()} (${Number(answer) / 10**Number(decimals)})`);
-    console.log(`     Decimals:     ${decimals}`);
-    console.log(`     Description:  ${description}`);
-    console.log(`     Version:      ${version}`);
-    console.log(`     Updated At:   ${new Date(Number(updatedAt) * 1000).toISOString()}`);
-    console.log(`     Age:          ${age}s`);
-    console.log(`     Answered In:  ${answeredInRound}\n`);
-
-    // Verify data matches oracle
-    if (roundId === expectedRoundId && answer === expectedAnswer) {
-      console.log(`  ✅ Adapter data matches Oracle\n`);
-    } else {
-      console.log(`  ⚠️  Adapter data mismatch!`);
-      console.log(`     Expected: roundId=${expectedRoundId}, answer=${expectedAnswer}`);
-      console.log(`     Got:      roundId=${roundId}, answer=${answer}\n`);
-    }
-
-    return { roundId, answer, decimals, updatedAt };
+    return { value: [...(await call())] };
   } catch (err) {
-    console.log(`  ❌ Adapter test failed: ${err.message}\n`);
-    throw err;
+    if (err?.code !== "CALL_EXCEPTION") throw err;
+    const decoded = decodeError(err);
+    return { revert: decoded.name === "Error" ? `"${decoded.args[0]}"` : decoded.name ?? decoded.message };
   }
 }
 
-async function testConsumer(expectedAnswer, expectedUpdatedAt) {
-  console.log("🛒 Testing Consumer Contract...");
-  try {
-    const adapterAddr = await consumer.adapter();
-    console.log(`  Configured Adapter: ${short(adapterAddr)}`);
+// ---------------------------------------------------------------------------
+// Suites: one per feed, plus setup and consumers
+// ---------------------------------------------------------------------------
 
-    if (adapterAddr.toLowerCase() !== ADAPTER.toLowerCase()) {
-      console.log(`  ⚠️  Consumer is using different adapter: ${adapterAddr}`);
-      console.log(`     Expected: ${ADAPTER}\n`);
-    }
+const suites = [];
 
-    const [answer, updatedAt] = await consumer.latest();
+function suite(name, props = {}) {
+  const s = { name, ...props, checks: [] };
+  suites.push(s);
+  return s;
+}
 
-    console.log(`  ✅ Latest Data:`);
-    console.log(`     Answer:       ${answer.toString()}`);
-    console.log(`     Updated At:   ${new Date(Number(updatedAt) * 1000).toISOString()}`);
-    console.log(`     Age:          ${Math.floor(Date.now() / 1000) - Number(updatedAt)}s\n`);
+async function check(s, name, fn) {
+  const started = Date.now();
+  let entry;
+  try {
+    entry = { name, ok: true, detail: (await fn()) || "" };
+  } catch (err) {
+    entry = { name, ok: false, detail: err instanceof CheckFailed ? err.message : `error: ${describeError(err)}` };
+  }
+  entry.ms = Date.now() - started;
+  s.checks.push(entry);
+  console.log(`  ${entry.ok ? "✅" : "❌"} ${name}${entry.detail ? `: ${entry.detail}` : ""}`);
+  return entry.ok;
+}
 
-    // Verify data matches expected
-    if (answer === expectedAnswer && updatedAt === expectedUpdatedAt) {
-      console.log(`  ✅ Consumer data matches Oracle & Adapter\n`);
-    } else if (answer !== expectedAnswer) {
-      console.log(`  ⚠️  Consumer data mismatch!`);
-      console.log(`     Expected: answer=${expectedAnswer}`);
-      console.log(`     Got:      answer=${answer}\n`);
+async function verifyFeed(feed, blockTag) {
+  const s = suite(feed.desc, { feedId: feed.feedId });
+  console.log(`\n📈 ${feed.desc} (${short(feed.feedId)})`);
+  const at = { blockTag };
+
+  let cfg;
+  const feedOk = await check(s, "oracle config", async () => {
+    cfg = await oracle.getConfig(feed.feedId, at);
+    if (cfg.decimals === 0n) throw new CheckFailed("feed does not exist on the oracle");
+    if (feed.decimals !== undefined) expectEqual("decimals", cfg.decimals, BigInt(feed.decimals));
+    if (feed.description !== undefined) expectEqual("description", cfg.description, feed.description);
+    return `decimals=${cfg.decimals} "${cfg.description}"`;
+  });
+  if (!feedOk) return;
+
+  let adapter;
+  const adapterOk = await check(s, "adapter code", async () => {
+    const address = await factory.computeAdapterAddress(feed.feedId, at);
+    s.adapter = address;
+    if ((await provider.getCode(address, blockTag)) === "0x") {
+      throw new CheckFailed(`no code at ${address} (deployAdapterDeterministic not run for this feed?)`);
     }
+    adapter = rpc.withQuorum(adapterAt(address, provider), CROSS_CHECKED);
+    return address;
+  });
+  if (!adapterOk) return;
+
+  await check(s, "adapter wiring", async () => {
+    expectEqual("oracle", ethers.getAddress(await adapter.oracle(at)), ethers.getAddress(ORACLE));
+    expectEqual("feedId", await adapter.feedId(at), feed.feedId);
+  });
+
+  await check(s, "decimals / description / version", async () => {
+    expectEqual("decimals", await adapter.decimals(at), cfg.decimals);
+    expectEqual("description", await adapter.description(at), cfg.description);
+    const version = await oracle.version(at);
+    expectEqual("version", await adapter.version(at), version);
+    return `decimals=${cfg.decimals} version=${version}`;
+  });
+
+  let latest = null;
+  await check(s, "latestRoundData", async () => {
+    const fromOracle = await attempt(() => oracle.latestRoundData(feed.feedId, at));
+    const fromAdapter = await attempt(() => adapter.latestRoundData(at));
+    if (fromOracle.revert) {
+      if (fromAdapter.value) throw new CheckFailed(`oracle reverts ${fromOracle.revert} but the adapter returns round ${fromAdapter.value[0]}`);
+      if (REQUIRE_DATA) throw new CheckFailed(`no data (${fromOracle.revert})`);
+      return `no data yet (oracle ${fromOracle.revert}, adapter ${fromAdapter.revert})`;
+    }
+    if (fromAdapter.revert) throw new CheckFailed(`oracle returns round ${fromOracle.value[0]} but the adapter reverts ${fromAdapter.revert}`);
+    expectSameRound("adapter", fromAdapter.value, fromOracle.value);
+    latest = fromOracle.value;
+    const [roundId, answer, , updatedAt, answeredInRound] = latest;
+    return `round ${roundId} answer=${formatAnswer(answer, cfg.decimals)} updatedAt=${updatedAt} answeredInRound=${answeredInRound}`;
+  });
+
+  if (latest) {
+    const last = latest[0];
+    const span = BigInt(Math.min(ROUNDS, HISTORY_SIZE));
+    const first = last > span ? last - span + 1n : 1n;
+    await check(s, `getRoundData ${first}..${last}`, async () => {
+      for (let r = first; r <= last; r++) {
+        const fromOracle = await attempt(() => oracle.getRoundData(feed.feedId, r, at));
+        const fromAdapter = await attempt(() => adapter.getRoundData(r, at));
+        if (fromOracle.revert) throw new CheckFailed(`round ${r}: oracle reverts ${fromOracle.revert}`);
+        if (fromAdapter.revert) throw new CheckFailed(`round ${r}: adapter reverts ${fromAdapter.revert}`);
+        expectSameRound(`round ${r} adapter`, fromAdapter.value, fromOracle.value);
+        expectEqual(`round ${r} roundId`, fromOracle.value[0], r);
+        if (fromOracle.value[4] > r) throw new CheckFailed(`round ${r}: answeredInRound ${fromOracle.value[4]} is ahead of the round`);
+      }
+      expectSameRound(`getRoundData(${last}) vs latestRoundData`, (await attempt(() => oracle.getRoundData(feed.feedId, last, at))).value, latest);
+      // Nothing is readable past the latest round, on either contract
+      const pastOracle = await attempt(() => oracle.getRoundData(feed.feedId, last + 1n, at));
+      const pastAdapter = await attempt(() => adapter.getRoundData(last + 1n, at));
+      if (pastOracle.value || pastAdapter.value) throw new CheckFailed(`round ${last + 1n} is readable past the latest round`);
+      return `${last - first + 1n} round(s) match`;
+    });
+  }
+}
 
-    return { answer, updatedAt };
+async function verifyConsumer(address, blockTag) {
+  const consumer = new ethers.Contract(address, consumerAbi, provider);
+  const at = { blockTag };
+  let adapterAddress;
+  try {
+    adapterAddress = await consumer.adapter(at);
   } catch (err) {
-    console.log(`  ❌ Consumer test failed: ${err.message}\n`);
-    throw err;
+    const s = suite(`consumer ${address}`);
+    console.log(`\n🛒 consumer ${short(address)}`);
+    await check(s, "adapter()", async () => {
+      throw err.code === "CALL_EXCEPTION" || err.code === "BAD_DATA" ? new CheckFailed(`not a TestPriceConsumer (${describeError(err)})`) : err;
+    });
+    return;
   }
+
+  // Reported under the feed whose adapter it reads
+  const s = suites.find((x) => x.adapter && sameAddress(x.adapter, adapterAddress)) ?? suite(`consumer ${address}`);
+  console.log(`\n🛒 consumer ${short(address)} → adapter ${short(adapterAddress)}${s.feedId ? ` (${s.name})` : ""}`);
+  await check(s, `consumer ${short(address)}`, async () => {
+    if (!s.feedId) throw new CheckFailed(`reads adapter ${adapterAddress}, which is not the adapter of any feed in ${FEEDS_FILE}`);
+    const adapter = rpc.withQuorum(adapterAt(adapterAddress, provider), CROSS_CHECKED);
+    const fromAdapter = await attempt(() => adapter.latestRoundData(at));
+    const fromConsumer = await attempt(() => consumer.latest(at));
+    if (fromAdapter.revert) {
+      if (fromConsumer.value) throw new CheckFailed(`adapter reverts ${fromAdapter.revert} but latest() returns ${fromConsumer.value[0]}`);
+      return `no data yet (${fromConsumer.revert})`;
+    }
+    if (fromConsumer.revert) throw new CheckFailed(`latest() reverts ${fromConsumer.revert}`);
+    expectEqual("answer", fromConsumer.value[0], fromAdapter.value[1]);
+    expectEqual("updatedAt", fromConsumer.value[1], fromAdapter.value[3]);
+    return `answer=${fromConsumer.value[0]} updatedAt=${fromConsumer.value[1]}`;
+  });
 }
 
-async function testHistoricalData() {
-  console.log("📜 Testing Historical Data Access...");
-  try {
-    const [latestRoundId] = await oracle.latestRoundData(FEED_ID);
-
-    // Try to fetch previous round (if it exists)
-    if (latestRoundId > 1n) {
-      const prevRoundId = latestRoundId - 1n;
-      console.log(`  Fetching round ${prevRoundId}...`);
-
-      const [roundId, answer, startedAt, updatedAt, answeredInRound] = await oracle.getRoundData(FEED_ID, prevRoundId);
-      console.log(`  ✅ Historical data available:`);
-      console.log(`     Round ID: ${roundId}`);
-      console.log(`     Answer:   ${answer.toString()}`);
-      console.log(`     Updated:  ${new Date(Number(updatedAt) * 1000).toISOString()}\n`);
-
-      // Try same via adapter
-      const [aRoundId, aAnswer, aStartedAt, aUpdatedAt, aAnsweredInRound] = await adapter.getRoundData(prevRoundId);
-      console.log(`  ✅ Adapter historical data:`);
-      console.log(`     Round ID: ${aRoundId}`);
-      console.log(`     Answer:   ${aAnswer.toString()}`);
-      console.log(`     Updated:  ${new Date(Number(aUpdatedAt) * 1000).toISOString()}\n`);
-
-      if (answer === aAnswer && updatedAt === aUpdatedAt) {
-        console.log(`  ✅ Historical data consistent between Oracle and Adapter\n`);
-      }
-    } else {
-      console.log(`  ℹ️  Only one round available, skipping historical test\n`);
+// ---------------------------------------------------------------------------
+// Reports
+// ---------------------------------------------------------------------------
+
+const xml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function junitReport(totals) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="price-loom adapters" tests="${totals.tests}" failures="${totals.failures}" time="${totals.ms / 1000}">`);
+  for (const s of suites) {
+    const failures = s.checks.filter((c) => !c.ok).length;
+    const time = s.checks.reduce((t, c) => t + c.ms, 0) / 1000;
+    lines.push(`  <testsuite name="${xml(s.name)}" tests="${s.checks.length}" failures="${failures}" time="${time}">`);
+    for (const c of s.checks) {
+      const open = `    <testcase classname="${xml(s.name)}" name="${xml(c.name)}" time="${c.ms / 1000}"`;
+      lines.push(c.ok ? `${open}/>` : `${open}>\n      <failure message="${xml(c.detail)}"/>\n    </testcase>`);
     }
-  } catch (err) {
-    console.log(`  ⚠️  Historical data test: ${err.message}\n`);
+    lines.push("  </testsuite>");
   }
+  lines.push("</testsuites>");
+  return lines.join("\n") + "\n";
 }
 
-async function main() {
-  try {
-    // Test Oracle
-    const oracleData = await testOracle();
+async function writeReport(file, body) {
+  await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await writeFile(file, body);
+  console.log(`📝 Report written: ${file}`);
+}
 
-    // Test Adapter
-    const adapterData = await testAdapter(oracleData.roundId, oracleData.answer);
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
 
-    // Test Consumer
-    const consumerData = await testConsumer(oracleData.answer, oracleData.updatedAt);
+async function main() {
+  const started = Date.now();
+  const blockTag = await rpc.pinBlock("block to verify at");
+  const { chainId } = await provider.getNetwork();
+
+  console.log("🧪 Adapter & Consumer Verification\n");
+  console.log("Configuration:");
+  console.log(`  RPC:       ${RPC} (chainId ${chainId}, block ${blockTag}${rpc.urls.length > 1 ? `, quorum ${rpc.quorum}/${rpc.urls.length}` : ""})`);
+  console.log(`  Oracle:    ${ORACLE}`);
+  console.log(`  Factory:   ${FACTORY}`);
+  console.log(`  Feeds:     ${FEEDS_FILE}`);
+  console.log(`  Consumers: ${CONSUMERS.length ? CONSUMERS.map(short).join(", ") : "none"}`);
+  console.log(`  Rounds:    last ${ROUNDS}`);
+
+  const setup = suite("setup");
+  console.log("\n🔧 Setup");
+  const feeds = [];
+  const ready = [
+    await check(setup, "feeds file", async () => {
+      feeds.push(...(await loadFeeds(FEEDS_FILE)));
+      return `${feeds.length} feed(s)`;
+    }),
+    await check(setup, "rpc endpoints", async () => {
+      const endpoints = rpc.status();
+      const bad = endpoints.filter((e) => e.state !== "up");
+      if (bad.length) throw new CheckFailed(bad.map((e) => `${e.host} ${e.state} (${e.reason})`).join(", "));
+      return `${endpoints.length} endpoint(s) on chainId ${rpc.chainId}, heads ${endpoints.map((e) => e.head).join("/")}`;
+    }),
+    await check(setup, "oracle code", async () => {
+      if ((await provider.getCode(ORACLE, blockTag)) === "0x") throw new CheckFailed(`no contract at ${ORACLE}`);
+    }),
+    await check(setup, "factory", async () => {
+      if ((await provider.getCode(FACTORY, blockTag)) === "0x") throw new CheckFailed(`no contract at ${FACTORY}`);
+      expectEqual("factory.oracle()", ethers.getAddress(await factory.oracle({ blockTag })), ethers.getAddress(ORACLE));
+    }),
+  ];
+
+  if (ready.every(Boolean)) {
+    for (const feed of feeds) await verifyFeed(feed, blockTag);
+    for (const address of CONSUMERS) await verifyConsumer(address, blockTag);
+  }
 
-    // Test Historical Data
-    await testHistoricalData();
+  const all = suites.flatMap((s) => s.checks);
+  const totals = { tests: all.length, failures: all.filter((c) => !c.ok).length, ms: Date.now() - started };
 
-    console.log("═══════════════════════════════════════");
-    console.log("✅ ALL TESTS PASSED!");
-    console.log("═══════════════════════════════════════");
-    console.log("\nSummary:");
-    console.log(`  Oracle Round:    ${oracleData.roundId}`);
-    console.log(`  Oracle Answer:   ${oracleData.answer.toString()}`);
-    console.log(`  Adapter Answer:  ${adapterData.answer.toString()}`);
-    console.log(`  Consumer Answer: ${consumerData.answer.toString()}`);
-    console.log(`  Data Age:        ${Math.floor(Date.now() / 1000) - Number(oracleData.updatedAt)}s`);
-    console.log("\n✅ Integration verified: Oracle → Adapter → Consumer\n");
+  if (JSON_REPORT) {
+    const report = { rpc: RPC, chainId: Number(chainId), block: blockTag, oracle: ORACLE, factory: FACTORY, feedsFile: FEEDS_FILE, ...totals, suites };
+    await writeReport(JSON_REPORT, JSON.stringify(report, null, 2) + "\n");
+  }
+  if (JUNIT_REPORT) await writeReport(JUNIT_REPORT, junitReport(totals));
 
-  } catch (err) {
+  console.log("\n═══════════════════════════════════════");
+  if (totals.failures) {
+    console.log(`❌ ${totals.failures}/${totals.tests} CHECKS FAILED`);
     console.log("═══════════════════════════════════════");
-    console.log("❌ TESTS FAILED");
-    console.log("═══════════════════════════════════════");
-    console.error(err);
+    for (const s of suites) {
+      for (const c of s.checks.filter((x) => !x.ok)) console.log(`  ${s.name} › ${c.name}: ${c.detail}`);
+    }
     process.exit(1);
   }
+  console.log(`✅ ALL ${totals.tests} CHECKS PASSED (${feeds.length} feed(s), block ${blockTag})`);
+  console.log("═══════════════════════════════════════");
 }
 
-main();
+main().catch((err) => {
+  console.error(`\n❌ ${describeError(err)}`);
+  process.exit(1);
+});